@@ -7,6 +7,8 @@ import path from 'path';
 import got from 'got';
 import registryUrlModule from 'registry-url';
 
+import type {HyperColors} from '../lib/utils/color-schemes';
+
 const registryUrl = registryUrlModule();
 
 // If the user defines XDG_CONFIG_HOME they definitely want their config there,
@@ -128,6 +130,12 @@ async function uninstall(plugin: string) {
   save(config);
 }
 
+function setColors(colors: HyperColors) {
+  const config = getParsedFile();
+  config.config = {...config.config, ...colors};
+  save(config);
+}
+
 function list() {
   if (getPlugins().length > 0) {
     return getPlugins().join('\n');
@@ -136,4 +144,4 @@ function list() {
 }
 
 export const configPath = fileName;
-export {exists, existsOnNpm, isInstalled, install, uninstall, list};
+export {exists, existsOnNpm, isInstalled, install, uninstall, list, setColors};
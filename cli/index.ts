@@ -2,7 +2,7 @@
 /* eslint no-console: 0 */
 import {spawn, exec} from 'child_process';
 import type {SpawnOptions} from 'child_process';
-import {existsSync} from 'fs';
+import {existsSync, readFileSync} from 'fs';
 import {isAbsolute, resolve} from 'path';
 import {promisify} from 'util';
 
@@ -14,6 +14,15 @@ import open from 'open';
 import ora from 'ora';
 
 import {version} from '../app/package.json';
+import {
+  detectSchemeFormat,
+  isSchemeFormat,
+  parseColorSchemes,
+  schemeFormats,
+  selectColorScheme,
+  toHyperColors
+} from '../lib/utils/color-schemes';
+import type {ColorScheme} from '../lib/utils/color-schemes';
 
 import * as api from './api';
 
@@ -185,16 +194,55 @@ args.command(
   []
 );
 
+args.command(
+  'theme',
+  'Import an iTerm2, Windows Terminal, Alacritty or Hyper color scheme into the config',
+  (name, args_, options: {format?: string}) => {
+    const [file, schemeName] = args_;
+    if (!file) {
+      console.error(chalk.red('Color scheme file is required'));
+      process.exit(1);
+    }
+    const format = options.format;
+    if (format !== undefined && !isSchemeFormat(format)) {
+      console.error(chalk.red(`Unknown color scheme format: ${format} (expected ${schemeFormats.join(', ')})`));
+      process.exit(1);
+    }
+
+    let scheme: ColorScheme;
+    try {
+      const content = readFileSync(file, 'utf8');
+      const detected = format ?? detectSchemeFormat(content, file);
+      if (!detected) {
+        throw new Error(`cannot tell the color scheme format; pass --format (${schemeFormats.join(', ')})`);
+      }
+      // The optional second argument picks a scheme from files holding several
+      scheme = selectColorScheme(parseColorSchemes(content, detected), schemeName);
+    } catch (err) {
+      console.error(chalk.red(`${file}: ${err instanceof Error ? err.message : String(err)}`));
+      process.exit(1);
+    }
+
+    checkConfig();
+    api.setColors(toHyperColors(scheme));
+    console.log(chalk.green(`${scheme.name ?? file} imported into ${api.configPath}`));
+    process.exit(0);
+  },
+  []
+);
+
 args.command('<default>', 'Launch Hyper');
 
 args.option(['v', 'verbose'], 'Verbose mode', false);
+args.option(['f', 'format'], `Color scheme format for theme: ${schemeFormats.join(', ')} (detected if omitted)`);
 
 const main = (argv: string[]) => {
   const flags = args.parse(argv, {
     name: 'hyper',
     version: false,
     mri: {
-      boolean: ['v', 'verbose']
+      boolean: ['v', 'verbose'],
+      string: ['f', 'format']
     },
     mainColor: 'yellow',
     subColor: 'dim'
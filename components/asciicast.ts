@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Terminal session recordings in asciinema's asciicast v2 format
+ * A recording is newline-delimited JSON: a header object, then one `[time, type, data]` array per event.
+ * @see https://docs.asciinema.org/manual/asciicast/v2/
+ * @version 1.0.0
+ */
+
+/**
+ * First line of a recording
+ */
+export interface AsciicastHeader {
+  version: 2
+  /** Terminal size in cells */
+  width: number
+  height: number
+  /** Start of the recording, in seconds since the Unix epoch */
+  timestamp?: number
+  /** Length of the recording in seconds */
+  duration?: number
+  /** Longest pause kept when playing, in seconds */
+  idle_time_limit?: number
+  title?: string
+  env?: Record<string, string>
+}
+
+/**
+ * Output ("o"), input ("i"), marker ("m") or resize ("r"), at a time in seconds from the start
+ */
+export type AsciicastEvent = [time: number, type: string, data: string]
+
+/**
+ * A parsed recording
+ */
+export interface Asciicast {
+  header: AsciicastHeader
+  events: AsciicastEvent[]
+}
+
+/**
+ * Raised for a recording that is not valid asciicast v2
+ */
+export class AsciicastError extends Error {
+  constructor(
+    message: string,
+    public readonly line: number,
+  ) {
+    super(message)
+    this.name = "AsciicastError"
+  }
+}
+
+/**
+ * Collects the events of a session as it happens
+ */
+export class SessionRecording {
+  /** When the recording started, in seconds since the Unix epoch */
+  readonly timestamp = Math.floor(Date.now() / 1000)
+  private readonly start = performance.now()
+  private readonly events: AsciicastEvent[] = []
+
+  /**
+   * @param path Absolute path the recording is saved to when it stops
+   * @param header Terminal size and optional title and environment
+   */
+  constructor(
+    readonly path: string,
+    private readonly header: Omit<AsciicastHeader, "version" | "timestamp" | "duration">,
+  ) {}
+
+  /**
+   * Record text the user typed
+   * @param data Keystrokes, e.g. a command line followed by "\r"
+   */
+  input(data: string): void {
+    this.events.push([this.elapsed(), "i", data])
+  }
+
+  /**
+   * Record text written to the terminal
+   * @param data Output, with "\r\n" line endings and any escape sequences
+   */
+  output(data: string): void {
+    this.events.push([this.elapsed(), "o", data])
+  }
+
+  /**
+   * Number of events recorded so far
+   */
+  get eventCount(): number {
+    return this.events.length
+  }
+
+  /**
+   * Seconds since the recording started
+   */
+  elapsed(): number {
+    return Math.round(performance.now() - this.start) / 1000
+  }
+
+  /**
+   * Finish the recording
+   * @returns Recording with its duration set
+   */
+  finish(): Asciicast {
+    return {
+      header: { version: 2, ...this.header, timestamp: this.timestamp, duration: this.elapsed() },
+      events: [...this.events],
+    }
+  }
+}
+
+export class AsciicastFormat {
+  /**
+   * Serialize a recording
+   * @param cast Recording
+   * @returns asciicast v2 text, ending with a newline
+   */
+  static stringify(cast: Asciicast): string {
+    return [cast.header, ...cast.events].map((entry) => JSON.stringify(entry)).join("\n") + "\n"
+  }
+
+  /**
+   * Parse a recording
+   * @param text asciicast v2 text
+   * @returns Header and events in time order
+   * @throws AsciicastError if the header or an event is malformed, or the version is not 2
+   */
+  static parse(text: string): Asciicast {
+    const lines = text.split(/\r?\n/)
+    let header: AsciicastHeader | null = null
+    const events: AsciicastEvent[] = []
+
+    for (const [index, line] of lines.entries()) {
+      if (line.trim() === "") continue
+      let value: unknown
+      try {
+        value = JSON.parse(line)
+      } catch {
+        throw new AsciicastError("invalid JSON", index + 1)
+      }
+
+      if (!header) {
+        header = this.parseHeader(value, index + 1)
+        continue
+      }
+      if (
+        !Array.isArray(value) ||
+        value.length < 3 ||
+        typeof value[0] !== "number" ||
+        !(value[0] >= 0) ||
+        typeof value[1] !== "string" ||
+        typeof value[2] !== "string"
+      ) {
+        throw new AsciicastError("expected an event [time, type, data]", index + 1)
+      }
+      events.push([value[0], value[1], value[2]])
+    }
+
+    if (!header) throw new AsciicastError("missing header", 1)
+    // Players treat times as monotonic; keep recordings with small reorderings playable
+    events.sort((a, b) => a[0] - b[0])
+    return { header, events }
+  }
+
+  /**
+   * Validate the header object
+   * @private
+   */
+  private static parseHeader(value: unknown, line: number): AsciicastHeader {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      throw new AsciicastError("expected a header object", line)
+    }
+    const header = value as Partial<AsciicastHeader>
+    if (header.version !== 2) {
+      throw new AsciicastError(`unsupported version ${JSON.stringify(header.version)}`, line)
+    }
+    if (!Number.isInteger(header.width) || !Number.isInteger(header.height)) {
+      throw new AsciicastError("header needs integer width and height", line)
+    }
+    return header as AsciicastHeader
+  }
+}
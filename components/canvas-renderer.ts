@@ -0,0 +1,695 @@
+/**
+ * @fileoverview Canvas renderers for the terminal screen
+ * The GPU renderers draw one instanced quad per cell, sampling glyphs from a GlyphAtlas; the
+ * Canvas2D renderer draws text directly and is the fallback when no GPU backend works.
+ * @version 1.0.0
+ */
+
+import type { RenderedRow } from "./vt100-processor"
+import type { GPUManager } from "./gpu-system"
+import { GlyphAtlas, cssFont, type CellMetrics, type FontSpec, type GlyphStyle } from "./glyph-atlas"
+import { TerminalLinks } from "./terminal-links"
+
+/**
+ * How the terminal screen is drawn: DOM elements, the GPU adapter, or a 2D canvas
+ */
+export type RendererMode = "dom" | "gpu" | "canvas2d"
+
+/**
+ * Colors that depend on the page theme, as CSS colors
+ */
+export interface FrameColors {
+  /** Text of output rows */
+  foreground: string
+  /** Text of echoed command rows */
+  command: string
+  /** Text of error rows */
+  error: string
+  /** Terminal background, which inverse text without a background color uses */
+  background: string
+}
+
+/**
+ * Everything needed to draw the visible rows
+ */
+export interface RenderFrame {
+  /** Rows from the top of the canvas down */
+  rows: RenderedRow[]
+  font: FontSpec
+  metrics: CellMetrics
+  colors: FrameColors
+}
+
+/**
+ * Draws frames onto a canvas it owns
+ */
+export interface TerminalRenderer {
+  /** Backend name shown to the user */
+  readonly name: string
+  readonly canvas: HTMLCanvasElement
+  /**
+   * Resize the drawing buffer
+   * @param width Width in CSS pixels
+   * @param height Height in CSS pixels
+   * @param pixelRatio Device pixels per CSS pixel
+   */
+  resize(width: number, height: number, pixelRatio: number): void
+  render(frame: RenderFrame): void
+  dispose(): void
+}
+
+/** Red, green, blue and alpha between 0 and 1, not premultiplied */
+type RGBA = [number, number, number, number]
+
+/** Run of equally styled cells with its colors resolved */
+interface PaintedRun {
+  col: number
+  chars: string[]
+  foreground: string
+  background: string | null
+  /** Opacity of the text; dim text is drawn translucent */
+  alpha: number
+  glyph: GlyphStyle
+  hidden: boolean
+}
+
+const TRANSPARENT: RGBA = [0, 0, 0, 0]
+/** Opacity of dim (SGR 2) text, as in the DOM renderer */
+const DIM_ALPHA = 0.6
+/** Floats per cell instance: cell position (2), atlas rect (4), foreground (4), background (4) */
+const INSTANCE_FLOATS = 14
+
+/**
+ * Resolve the colors and decorations of a row's runs
+ * Inverse swaps the colors, falling back to the terminal colors, and openable links are underlined.
+ * @param row Row from VT100Processor.getRows()
+ * @param colors Theme colors
+ * @returns Runs in column order
+ */
+function paintRow(row: RenderedRow, colors: FrameColors): PaintedRun[] {
+  const defaultColor = row.tag === "command" ? colors.command : row.tag === "error" ? colors.error : colors.foreground
+  const runs: PaintedRun[] = []
+  let col = 0
+
+  for (const segment of row.segments) {
+    const styles = segment.styles
+    const chars = Array.from(segment.text)
+    let foreground = styles.color ?? defaultColor
+    let background = styles.backgroundColor ?? null
+    if (styles.inverse) {
+      ;[foreground, background] = [background ?? colors.background, foreground]
+    }
+    const link = segment.link && TerminalLinks.isOpenable(segment.link.uri)
+
+    runs.push({
+      col,
+      chars,
+      foreground,
+      background,
+      alpha: styles.dim ? DIM_ALPHA : 1,
+      glyph: {
+        bold: styles.bold,
+        italic: styles.italic,
+        underline: styles.underline || link,
+        strikethrough: styles.strikethrough,
+      },
+      hidden: styles.hidden ?? false,
+    })
+    col += chars.length
+  }
+  return runs
+}
+
+/**
+ * Converts CSS colors to RGBA by painting them, which handles every syntax the browser does
+ */
+class ColorCache {
+  private readonly context: CanvasRenderingContext2D
+  private readonly colors = new Map<string, RGBA>()
+
+  constructor() {
+    const canvas = document.createElement("canvas")
+    canvas.width = 1
+    canvas.height = 1
+    const context = canvas.getContext("2d", { willReadFrequently: true })
+    if (!context) throw new Error("Canvas 2D is not available for color parsing")
+    this.context = context
+  }
+
+  get(color: string): RGBA {
+    const cached = this.colors.get(color)
+    if (cached) return cached
+
+    this.context.clearRect(0, 0, 1, 1)
+    this.context.fillStyle = "#000000"
+    this.context.fillStyle = color
+    this.context.fillRect(0, 0, 1, 1)
+    const [red, green, blue, alpha] = this.context.getImageData(0, 0, 1, 1).data
+    const rgba: RGBA = [red / 255, green / 255, blue / 255, alpha / 255]
+    this.colors.set(color, rgba)
+    return rgba
+  }
+}
+
+/**
+ * Draws text with the 2D canvas API; works everywhere a canvas does
+ */
+export class Canvas2DRenderer implements TerminalRenderer {
+  readonly name = "Canvas2D"
+  readonly canvas = document.createElement("canvas")
+  private readonly context: CanvasRenderingContext2D
+  private pixelRatio = 1
+
+  constructor() {
+    const context = this.canvas.getContext("2d")
+    if (!context) throw new Error("Canvas 2D is not available")
+    this.context = context
+  }
+
+  resize(width: number, height: number, pixelRatio: number): void {
+    this.canvas.width = Math.round(width * pixelRatio)
+    this.canvas.height = Math.round(height * pixelRatio)
+    this.pixelRatio = pixelRatio
+  }
+
+  render(frame: RenderFrame): void {
+    const context = this.context
+    const { metrics } = frame
+    context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0)
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    context.textBaseline = "alphabetic"
+
+    frame.rows.forEach((row, y) => {
+      const top = y * metrics.height
+      for (const run of paintRow(row, frame.colors)) {
+        const left = run.col * metrics.width
+        const width = run.chars.length * metrics.width
+        if (run.background) {
+          context.fillStyle = run.background
+          context.fillRect(left, top, width, metrics.height)
+        }
+        if (run.hidden) continue
+
+        context.globalAlpha = run.alpha
+        context.fillStyle = run.foreground
+        context.font = cssFont(frame.font, run.glyph)
+        // One character per cell keeps fallback fonts on the grid
+        run.chars.forEach((char, index) => {
+          if (char !== " ") context.fillText(char, left + index * metrics.width, top + metrics.baseline)
+        })
+
+        const thickness = Math.max(1, Math.round(frame.font.size * 0.07))
+        if (run.glyph.underline) {
+          const y = Math.min(top + metrics.baseline + 2, top + metrics.height - thickness)
+          context.fillRect(left, y, width, thickness)
+        }
+        if (run.glyph.strikethrough) {
+          context.fillRect(left, top + metrics.baseline - frame.font.size * 0.3, width, thickness)
+        }
+        context.globalAlpha = 1
+      }
+    })
+  }
+
+  dispose(): void {
+    this.canvas.remove()
+  }
+}
+
+/**
+ * Shared part of the GPU renderers: the glyph atlas and the per-cell instance data
+ */
+abstract class AtlasRenderer implements TerminalRenderer {
+  abstract readonly name: string
+  protected atlas: GlyphAtlas | null = null
+  protected instances = new Float32Array(INSTANCE_FLOATS * 4096)
+  private readonly colors = new ColorCache()
+  /** Font, cell size and pixel ratio the atlas was drawn for */
+  private atlasKey = ""
+  private pixelRatio = 1
+
+  constructor(readonly canvas: HTMLCanvasElement) {}
+
+  abstract render(frame: RenderFrame): void
+  abstract dispose(): void
+
+  resize(width: number, height: number, pixelRatio: number): void {
+    this.canvas.width = Math.round(width * pixelRatio)
+    this.canvas.height = Math.round(height * pixelRatio)
+    this.pixelRatio = pixelRatio
+  }
+
+  /**
+   * Fill the instance array with the cells that draw something
+   * @param frame Frame to draw
+   * @returns Atlas the glyph rects refer to and the number of instances
+   */
+  protected buildInstances(frame: RenderFrame): { atlas: GlyphAtlas; count: number } {
+    const key = `${frame.font.family}|${frame.font.size}|${frame.metrics.width}|${frame.metrics.height}|${this.pixelRatio}`
+    if (!this.atlas || key !== this.atlasKey) {
+      this.atlas = new GlyphAtlas(frame.font, frame.metrics, this.pixelRatio)
+      this.atlasKey = key
+    }
+    const atlas = this.atlas
+
+    const runs = frame.rows.map((row) => paintRow(row, frame.colors))
+    const cells = runs.reduce((total, row) => total + row.reduce((sum, run) => sum + run.chars.length, 0), 0)
+    atlas.prepare(cells)
+    if (this.instances.length < cells * INSTANCE_FLOATS) {
+      this.instances = new Float32Array(2 ** Math.ceil(Math.log2(cells * INSTANCE_FLOATS)))
+    }
+
+    const data = this.instances
+    let count = 0
+    runs.forEach((row, y) => {
+      for (const run of row) {
+        const foreground = this.colors.get(run.foreground)
+        const background = run.background ? this.colors.get(run.background) : TRANSPARENT
+        const decorated = run.glyph.underline || run.glyph.strikethrough
+
+        run.chars.forEach((char, index) => {
+          const glyph = run.hidden || (char === " " && !decorated) ? GlyphAtlas.BLANK : atlas.get(char, run.glyph)
+          if (glyph === GlyphAtlas.BLANK && background[3] === 0) return
+
+          const offset = count++ * INSTANCE_FLOATS
+          data[offset] = run.col + index
+          data[offset + 1] = y
+          data[offset + 2] = glyph.x
+          data[offset + 3] = glyph.y
+          data[offset + 4] = glyph.width
+          data[offset + 5] = glyph.height
+          data[offset + 6] = foreground[0]
+          data[offset + 7] = foreground[1]
+          data[offset + 8] = foreground[2]
+          data[offset + 9] = foreground[3] * run.alpha
+          data.set(background, offset + 10)
+        })
+      }
+    })
+    return { atlas, count }
+  }
+
+  /**
+   * Cell size in device pixels
+   */
+  protected getCellSize(frame: RenderFrame): [number, number] {
+    return [Math.round(frame.metrics.width * this.pixelRatio), Math.round(frame.metrics.height * this.pixelRatio)]
+  }
+}
+
+const WEBGL_VERTEX_SHADER = `#version 300 es
+in vec2 a_cell;
+in vec4 a_glyph;
+in vec4 a_foreground;
+in vec4 a_background;
+uniform vec2 u_cellSize;
+uniform vec2 u_viewport;
+uniform vec2 u_atlasSize;
+out vec2 v_uv;
+out vec4 v_foreground;
+out vec4 v_background;
+
+void main() {
+  vec2 corner = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1));
+  vec2 position = (a_cell + corner) * u_cellSize;
+  gl_Position = vec4(position / u_viewport * vec2(2.0, -2.0) + vec2(-1.0, 1.0), 0.0, 1.0);
+  v_uv = (a_glyph.xy + corner * a_glyph.zw) / u_atlasSize;
+  v_foreground = a_foreground;
+  v_background = a_background;
+}
+`
+
+const WEBGL_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+uniform sampler2D u_atlas;
+in vec2 v_uv;
+in vec4 v_foreground;
+in vec4 v_background;
+out vec4 color;
+
+void main() {
+  float coverage = texture(u_atlas, v_uv).a * v_foreground.a;
+  vec4 background = vec4(v_background.rgb * v_background.a, v_background.a);
+  color = vec4(v_foreground.rgb * coverage, coverage) + background * (1.0 - coverage);
+}
+`
+
+/**
+ * Draws cells as instanced quads with WebGL2
+ */
+export class WebGLRenderer extends AtlasRenderer {
+  readonly name = "WebGL"
+  private readonly gl: WebGL2RenderingContext
+  private readonly program: WebGLProgram
+  private readonly vertexArray: WebGLVertexArrayObject
+  private readonly instanceBuffer: WebGLBuffer
+  private readonly texture: WebGLTexture
+  private readonly uniforms: Record<"cellSize" | "viewport" | "atlasSize" | "atlas", WebGLUniformLocation | null>
+  private uploadedAtlas: GlyphAtlas | null = null
+  private uploadedVersion = -1
+
+  /**
+   * @param onLost Called when the browser drops the context, after which nothing draws
+   * @throws Error if WebGL2 is unavailable or the shaders do not compile
+   */
+  constructor(onLost: () => void) {
+    super(document.createElement("canvas"))
+    const gl = this.canvas.getContext("webgl2", { alpha: true, premultipliedAlpha: true, antialias: false })
+    if (!gl) throw new Error("WebGL2 is not available")
+    this.gl = gl
+    this.canvas.addEventListener("webglcontextlost", onLost, { once: true })
+
+    this.program = this.createProgram()
+    this.uniforms = {
+      cellSize: gl.getUniformLocation(this.program, "u_cellSize"),
+      viewport: gl.getUniformLocation(this.program, "u_viewport"),
+      atlasSize: gl.getUniformLocation(this.program, "u_atlasSize"),
+      atlas: gl.getUniformLocation(this.program, "u_atlas"),
+    }
+
+    this.vertexArray = gl.createVertexArray()!
+    this.instanceBuffer = gl.createBuffer()!
+    gl.bindVertexArray(this.vertexArray)
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer)
+    const stride = INSTANCE_FLOATS * 4
+    const attributes: [string, number, number][] = [
+      ["a_cell", 2, 0],
+      ["a_glyph", 4, 2],
+      ["a_foreground", 4, 6],
+      ["a_background", 4, 10],
+    ]
+    for (const [name, size, offset] of attributes) {
+      const location = gl.getAttribLocation(this.program, name)
+      gl.enableVertexAttribArray(location)
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset * 4)
+      gl.vertexAttribDivisor(location, 1)
+    }
+    gl.bindVertexArray(null)
+
+    this.texture = gl.createTexture()!
+    gl.bindTexture(gl.TEXTURE_2D, this.texture)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+  }
+
+  render(frame: RenderFrame): void {
+    const gl = this.gl
+    if (gl.isContextLost()) return
+    const { atlas, count } = this.buildInstances(frame)
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height)
+    gl.clearColor(0, 0, 0, 0)
+    gl.clear(gl.COLOR_BUFFER_BIT)
+    if (count === 0) return
+
+    gl.activeTexture(gl.TEXTURE0)
+    gl.bindTexture(gl.TEXTURE_2D, this.texture)
+    if (atlas !== this.uploadedAtlas || atlas.version !== this.uploadedVersion) {
+      gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false)
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, atlas.canvas)
+      this.uploadedAtlas = atlas
+      this.uploadedVersion = atlas.version
+    }
+
+    gl.useProgram(this.program)
+    gl.uniform2f(this.uniforms.cellSize, ...this.getCellSize(frame))
+    gl.uniform2f(this.uniforms.viewport, this.canvas.width, this.canvas.height)
+    gl.uniform2f(this.uniforms.atlasSize, GlyphAtlas.SIZE, GlyphAtlas.SIZE)
+    gl.uniform1i(this.uniforms.atlas, 0)
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer)
+    gl.bufferData(gl.ARRAY_BUFFER, this.instances.subarray(0, count * INSTANCE_FLOATS), gl.DYNAMIC_DRAW)
+    gl.bindVertexArray(this.vertexArray)
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count)
+    gl.bindVertexArray(null)
+  }
+
+  dispose(): void {
+    const gl = this.gl
+    gl.deleteTexture(this.texture)
+    gl.deleteBuffer(this.instanceBuffer)
+    gl.deleteVertexArray(this.vertexArray)
+    gl.deleteProgram(this.program)
+    this.canvas.remove()
+  }
+
+  /**
+   * Compile and link the cell shaders
+   * @private
+   */
+  private createProgram(): WebGLProgram {
+    const gl = this.gl
+    const program = gl.createProgram()!
+    for (const [type, source] of [
+      [gl.VERTEX_SHADER, WEBGL_VERTEX_SHADER],
+      [gl.FRAGMENT_SHADER, WEBGL_FRAGMENT_SHADER],
+    ] as const) {
+      const shader = gl.createShader(type)!
+      gl.shaderSource(shader, source)
+      gl.compileShader(shader)
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Terminal shader failed to compile: ${gl.getShaderInfoLog(shader)}`)
+      }
+      gl.attachShader(program, shader)
+      gl.deleteShader(shader)
+    }
+    gl.linkProgram(program)
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Terminal shader failed to link: ${gl.getProgramInfoLog(program)}`)
+    }
+    return program
+  }
+}
+
+const WEBGPU_SHADER = `
+struct Uniforms {
+  cellSize: vec2f,
+  viewport: vec2f,
+  atlasSize: vec2f,
+}
+
+struct Instance {
+  @location(0) cell: vec2f,
+  @location(1) glyph: vec4f,
+  @location(2) foreground: vec4f,
+  @location(3) background: vec4f,
+}
+
+struct Varyings {
+  @builtin(position) position: vec4f,
+  @location(0) uv: vec2f,
+  @location(1) foreground: vec4f,
+  @location(2) background: vec4f,
+}
+
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
+@group(0) @binding(1) var atlasSampler: sampler;
+@group(0) @binding(2) var atlas: texture_2d<f32>;
+
+@vertex
+fn vertexMain(@builtin(vertex_index) vertex: u32, instance: Instance) -> Varyings {
+  let corner = vec2f(f32(vertex & 1u), f32(vertex >> 1u));
+  let position = (instance.cell + corner) * uniforms.cellSize;
+  var out: Varyings;
+  out.position = vec4f(position / uniforms.viewport * vec2f(2.0, -2.0) + vec2f(-1.0, 1.0), 0.0, 1.0);
+  out.uv = (instance.glyph.xy + corner * instance.glyph.zw) / uniforms.atlasSize;
+  out.foreground = instance.foreground;
+  out.background = instance.background;
+  return out;
+}
+
+@fragment
+fn fragmentMain(in: Varyings) -> @location(0) vec4f {
+  let coverage = textureSample(atlas, atlasSampler, in.uv).a * in.foreground.a;
+  let background = vec4f(in.background.rgb * in.background.a, in.background.a);
+  return vec4f(in.foreground.rgb * coverage, coverage) + background * (1.0 - coverage);
+}
+`
+
+/** Size of the uniform buffer: three vec2f, padded to 16 bytes */
+const WEBGPU_UNIFORM_SIZE = 32
+
+/**
+ * Draws cells as instanced quads with the WebGPU device of the active GPU adapter
+ */
+export class WebGPURenderer extends AtlasRenderer {
+  readonly name = "WebGPU"
+  private instanceBuffer: GPUBuffer | null = null
+  private uploadedAtlas: GlyphAtlas | null = null
+  private uploadedVersion = -1
+  private disposed = false
+
+  private constructor(
+    canvas: HTMLCanvasElement,
+    private readonly device: GPUDevice,
+    private readonly context: GPUCanvasContext,
+    private readonly pipeline: GPURenderPipeline,
+    private readonly uniformBuffer: GPUBuffer,
+    private readonly texture: GPUTexture,
+    private readonly bindGroup: GPUBindGroup,
+  ) {
+    super(canvas)
+  }
+
+  /**
+   * Create a renderer on a device
+   * @param device Device of the active adapter
+   * @param onLost Called when the device is lost, e.g. after `gpu switch`, unless disposed first
+   * @returns Renderer with its own canvas
+   * @throws Error if the canvas context or the pipeline cannot be created
+   */
+  static async create(device: GPUDevice, onLost: () => void): Promise<WebGPURenderer> {
+    const canvas = document.createElement("canvas")
+    const context = canvas.getContext("webgpu")
+    if (!context) throw new Error("WebGPU canvas context is not available")
+    const format = navigator.gpu.getPreferredCanvasFormat()
+    context.configure({ device, format, alphaMode: "premultiplied" })
+
+    const module = device.createShaderModule({ code: WEBGPU_SHADER })
+    const pipeline = await device.createRenderPipelineAsync({
+      layout: "auto",
+      vertex: {
+        module,
+        entryPoint: "vertexMain",
+        buffers: [
+          {
+            arrayStride: INSTANCE_FLOATS * 4,
+            stepMode: "instance",
+            attributes: [
+              { shaderLocation: 0, offset: 0, format: "float32x2" },
+              { shaderLocation: 1, offset: 8, format: "float32x4" },
+              { shaderLocation: 2, offset: 24, format: "float32x4" },
+              { shaderLocation: 3, offset: 40, format: "float32x4" },
+            ],
+          },
+        ],
+      },
+      fragment: { module, entryPoint: "fragmentMain", targets: [{ format }] },
+      primitive: { topology: "triangle-strip" },
+    })
+
+    const uniformBuffer = device.createBuffer({
+      size: WEBGPU_UNIFORM_SIZE,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    })
+    const texture = device.createTexture({
+      size: [GlyphAtlas.SIZE, GlyphAtlas.SIZE],
+      format: "rgba8unorm",
+      usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+    })
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: uniformBuffer } },
+        { binding: 1, resource: device.createSampler({ magFilter: "nearest", minFilter: "nearest" }) },
+        { binding: 2, resource: texture.createView() },
+      ],
+    })
+
+    const renderer = new WebGPURenderer(canvas, device, context, pipeline, uniformBuffer, texture, bindGroup)
+    device.lost.then(() => {
+      if (!renderer.disposed) onLost()
+    })
+    return renderer
+  }
+
+  render(frame: RenderFrame): void {
+    if (this.disposed || this.canvas.width === 0 || this.canvas.height === 0) return
+    const device = this.device
+    const { atlas, count } = this.buildInstances(frame)
+
+    if (atlas !== this.uploadedAtlas || atlas.version !== this.uploadedVersion) {
+      device.queue.copyExternalImageToTexture({ source: atlas.canvas }, { texture: this.texture }, [
+        GlyphAtlas.SIZE,
+        GlyphAtlas.SIZE,
+      ])
+      this.uploadedAtlas = atlas
+      this.uploadedVersion = atlas.version
+    }
+
+    const [cellWidth, cellHeight] = this.getCellSize(frame)
+    device.queue.writeBuffer(
+      this.uniformBuffer,
+      0,
+      new Float32Array([
+        cellWidth,
+        cellHeight,
+        this.canvas.width,
+        this.canvas.height,
+        GlyphAtlas.SIZE,
+        GlyphAtlas.SIZE,
+      ]),
+    )
+
+    const bytes = count * INSTANCE_FLOATS * 4
+    if (count > 0) {
+      if (!this.instanceBuffer || this.instanceBuffer.size < bytes) {
+        this.instanceBuffer?.destroy()
+        this.instanceBuffer = device.createBuffer({
+          size: this.instances.byteLength,
+          usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+        })
+      }
+      device.queue.writeBuffer(this.instanceBuffer, 0, this.instances, 0, count * INSTANCE_FLOATS)
+    }
+
+    const encoder = device.createCommandEncoder()
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: this.context.getCurrentTexture().createView(),
+          clearValue: { r: 0, g: 0, b: 0, a: 0 },
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    })
+    if (count > 0 && this.instanceBuffer) {
+      pass.setPipeline(this.pipeline)
+      pass.setBindGroup(0, this.bindGroup)
+      pass.setVertexBuffer(0, this.instanceBuffer)
+      pass.draw(4, count)
+    }
+    pass.end()
+    device.queue.submit([encoder.finish()])
+  }
+
+  dispose(): void {
+    this.disposed = true
+    this.context.unconfigure()
+    this.instanceBuffer?.destroy()
+    this.uniformBuffer.destroy()
+    this.texture.destroy()
+    this.canvas.remove()
+  }
+}
+
+/**
+ * Create the renderer for a mode
+ * The gpu mode draws with the backend of GPUManager's active adapter (initializing the best one if
+ * needed): WebGPU for the WebGPU, Metal and Vulkan adapters, WebGL2 for the WebGL adapter. Without a
+ * GPU adapter, or if the GPU renderer cannot be set up, it falls back to Canvas2D.
+ * @param mode Canvas renderer mode
+ * @param gpuManager Manager whose active adapter picks the GPU backend
+ * @param onLost Called when a GPU renderer stops drawing and should be created again
+ * @returns Renderer with a canvas that is not yet in the document
+ */
+export async function createTerminalRenderer(
+  mode: Exclude<RendererMode, "dom">,
+  gpuManager: GPUManager,
+  onLost: () => void,
+): Promise<TerminalRenderer> {
+  if (mode === "gpu") {
+    try {
+      const adapter = await gpuManager.ensureAdapter()
+      const device = gpuManager.getDevice()
+      if (device) return await WebGPURenderer.create(device, onLost)
+      if (adapter?.type === "webgl") return new WebGLRenderer(onLost)
+    } catch (error) {
+      console.warn("[v0] GPU terminal renderer unavailable, falling back to Canvas2D:", error)
+    }
+  }
+  return new Canvas2DRenderer()
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview The 256-color palette ANSI output is drawn with
+ * Entries 0-15 come from the active Base16 theme, 16-255 are xterm's color cube and grayscale ramp.
+ * @version 1.0.0
+ */
+
+import type { Base16Theme } from "./workflow-system"
+
+/**
+ * Color of a cell: a palette index (0-255), a "#rrggbb" truecolor value, or null for the default color
+ */
+export type CellColor = number | string | null
+
+/** ANSI color names in SGR order (30-37, 40-47) */
+const ANSI_NAMES = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"] as const
+
+/** Colors used when no theme is active */
+const DEFAULT_ANSI_COLORS = [
+  "#000000", // Black
+  "#ff0000", // Red
+  "#00ff00", // Green
+  "#ffff00", // Yellow
+  "#0000ff", // Blue
+  "#ff00ff", // Magenta
+  "#00ffff", // Cyan
+  "#ffffff", // White
+  "#808080", // Bright Black (Gray)
+  "#ff8080", // Bright Red
+  "#80ff80", // Bright Green
+  "#ffff80", // Bright Yellow
+  "#8080ff", // Bright Blue
+  "#ff80ff", // Bright Magenta
+  "#80ffff", // Bright Cyan
+  "#ffffff", // Bright White
+]
+
+/** Channel intensities of xterm's 6x6x6 color cube */
+const CUBE_LEVELS = [0x00, 0x5f, 0x87, 0xaf, 0xd7, 0xff]
+
+export class ColorPalette {
+  /** Palette used when no theme is active */
+  static readonly DEFAULT = new ColorPalette(DEFAULT_ANSI_COLORS)
+
+  private readonly colors: string[]
+
+  /**
+   * @param ansiColors The 16 basic colors, normal then bright
+   */
+  constructor(ansiColors: string[]) {
+    this.colors = [...ansiColors.slice(0, 16)]
+    for (let index = 16; index < 256; index++) {
+      this.colors.push(ColorPalette.extendedColor(index))
+    }
+  }
+
+  /**
+   * Build the palette of a Base16 theme
+   * @param theme Theme whose terminal_colors become entries 0-15, or null for the default colors
+   * @returns Palette
+   */
+  static fromTheme(theme: Base16Theme | null): ColorPalette {
+    if (!theme) return ColorPalette.DEFAULT
+    const { normal, bright } = theme.terminal_colors
+    return new ColorPalette([...ANSI_NAMES.map((name) => normal[name]), ...ANSI_NAMES.map((name) => bright[name])])
+  }
+
+  /**
+   * Look up a cell color
+   * @param color Palette index, truecolor value or null
+   * @returns CSS color, or undefined for the default color
+   */
+  resolve(color: CellColor): string | undefined {
+    if (color === null) return undefined
+    if (typeof color === "string") return color
+    return this.colors[color]
+  }
+
+  /**
+   * Format a truecolor value
+   * @param red Red channel, 0-255
+   * @param green Green channel, 0-255
+   * @param blue Blue channel, 0-255
+   * @returns "#rrggbb"
+   */
+  static rgb(red: number, green: number, blue: number): string {
+    return `#${[red, green, blue].map((channel) => Math.min(channel, 255).toString(16).padStart(2, "0")).join("")}`
+  }
+
+  /**
+   * Compute a color of the cube (16-231) or the grayscale ramp (232-255)
+   * @private
+   */
+  private static extendedColor(index: number): string {
+    if (index >= 232) {
+      const level = 8 + (index - 232) * 10
+      return ColorPalette.rgb(level, level, level)
+    }
+    const cube = index - 16
+    return ColorPalette.rgb(
+      CUBE_LEVELS[Math.floor(cube / 36)],
+      CUBE_LEVELS[Math.floor(cube / 6) % 6],
+      CUBE_LEVELS[cube % 6],
+    )
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview localStorage persistence backend for command history
+ * @version 1.0.0
+ */
+
+import type { HistoryStorage } from "./command-history"
+
+/**
+ * Stores history entries in localStorage so they survive a reload
+ */
+export class LocalStorageHistoryStore implements HistoryStorage {
+  private static readonly KEY_PREFIX = "hyper-terminal-history-"
+
+  /**
+   * Check whether localStorage is available (it is not during server rendering)
+   * @returns True if entries can be stored
+   */
+  static isSupported(): boolean {
+    return typeof localStorage !== "undefined"
+  }
+
+  load(key: string): string[] | null {
+    const stored = localStorage.getItem(LocalStorageHistoryStore.KEY_PREFIX + key)
+    if (stored === null) return null
+
+    try {
+      const entries: unknown = JSON.parse(stored)
+      return Array.isArray(entries) ? entries.filter((entry): entry is string => typeof entry === "string") : null
+    } catch {
+      return null
+    }
+  }
+
+  save(key: string, entries: string[]): void {
+    localStorage.setItem(LocalStorageHistoryStore.KEY_PREFIX + key, JSON.stringify(entries))
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Command history with bash-style expansion and optional persistence
+ * @version 1.0.0
+ */
+
+/**
+ * Persistence backend for history entries
+ */
+export interface HistoryStorage {
+  /** Load saved entries, or null if none were saved */
+  load(key: string): string[] | null
+  /** Save entries */
+  save(key: string, entries: string[]): void
+}
+
+/**
+ * Limits applied when a command is recorded
+ */
+export interface HistoryOptions {
+  /** Maximum number of entries to keep (HISTSIZE); negative keeps everything */
+  size: number
+  /** HISTCONTROL values: ignorespace, ignoredups, ignoreboth, erasedups */
+  control: string[]
+}
+
+/**
+ * Raised when a history reference such as `!42` cannot be resolved
+ */
+export class HistoryExpansionError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "HistoryExpansionError"
+  }
+}
+
+/**
+ * Ordered list of previously entered command lines (oldest first)
+ */
+export class CommandHistory {
+  private entries: string[] = []
+  private storage: { backend: HistoryStorage; key: string } | null = null
+
+  /**
+   * Get all entries
+   * @returns Entries, oldest first; entry n (1-based) is what `!n` refers to
+   */
+  getEntries(): string[] {
+    return this.entries
+  }
+
+  /**
+   * Record a command line
+   * @param command Command line as entered (after history expansion)
+   * @param options Size limit and HISTCONTROL settings
+   */
+  add(command: string, options: HistoryOptions): void {
+    const control = new Set(options.control)
+    const ignoreSpace = control.has("ignorespace") || control.has("ignoreboth")
+    const ignoreDups = control.has("ignoredups") || control.has("ignoreboth")
+
+    if (!command.trim() || options.size === 0) return
+    if (ignoreSpace && /^\s/.test(command)) return
+
+    // Pick up entries other tabs saved since we last looked
+    this.entries = this.storage?.backend.load(this.storage.key) ?? this.entries
+    if (ignoreDups && this.entries[this.entries.length - 1] === command) return
+    if (control.has("erasedups")) {
+      this.entries = this.entries.filter((entry) => entry !== command)
+    }
+
+    this.entries = [...this.entries, command]
+    if (options.size > 0 && this.entries.length > options.size) {
+      this.entries = this.entries.slice(-options.size)
+    }
+    this.persist()
+  }
+
+  /**
+   * Delete a single entry
+   * @param number 1-based entry number
+   * @returns True if the entry existed
+   */
+  delete(number: number): boolean {
+    if (number < 1 || number > this.entries.length) return false
+    this.entries = this.entries.filter((_, index) => index !== number - 1)
+    this.persist()
+    return true
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear(): void {
+    this.entries = []
+    this.persist()
+  }
+
+  /**
+   * Find the newest entry containing a query, searching backwards
+   * @param query Text to look for
+   * @param before Only consider entries with a lower index (defaults to all entries)
+   * @returns Index of the matching entry, or -1 if there is none
+   */
+  search(query: string, before = this.entries.length): number {
+    for (let index = Math.min(before, this.entries.length) - 1; index >= 0; index--) {
+      if (this.entries[index].includes(query)) return index
+    }
+    return -1
+  }
+
+  /**
+   * Apply bash history expansion: `!!`, `!n`, `!-n` and `!prefix`
+   * Nothing is expanded inside single quotes, after a backslash, or when `!` is followed by a blank, `=` or `(`.
+   * @param line Command line as typed
+   * @returns Line with history references replaced
+   * @throws HistoryExpansionError if a reference does not match any entry
+   */
+  expand(line: string): string {
+    let result = ""
+    let quote: "'" | '"' | null = null
+
+    for (let index = 0; index < line.length; index++) {
+      const char = line[index]
+      if (quote === "'") {
+        result += char
+        if (char === "'") quote = null
+        continue
+      }
+      if (char === "\\" && index + 1 < line.length) {
+        // Keep the escape for the parser; it only stops expansion here
+        result += char + line[++index]
+        continue
+      }
+      if (char === "'" || char === '"') {
+        quote = char === quote ? null : quote ?? char
+        result += char
+        continue
+      }
+      // `$!` is a shell parameter, not a history reference
+      if (char !== "!" || result.endsWith("$")) {
+        result += char
+        continue
+      }
+
+      const reference = line.slice(index + 1).match(/^(!|-?[0-9]+|[^\s=(!;&|<>'"]+)/)
+      if (!reference) {
+        result += char
+        continue
+      }
+
+      const event = reference[1]
+      result += this.resolve(event)
+      index += event.length
+    }
+
+    return result
+  }
+
+  /**
+   * Persist entries to a storage backend, replacing the in-memory list with any saved entries
+   * @param backend Storage backend
+   * @param key Key the entries are stored under
+   */
+  attachStorage(backend: HistoryStorage, key: string): void {
+    this.storage = { backend, key }
+    const saved = backend.load(key)
+    if (saved) {
+      this.entries = saved
+    } else {
+      this.persist()
+    }
+  }
+
+  /**
+   * Look up the entry an event designator refers to
+   * @param event Designator without the leading "!" (e.g., "!", "3", "-2", "git")
+   * @returns Matching entry
+   * @throws HistoryExpansionError if no entry matches
+   * @private
+   */
+  private resolve(event: string): string {
+    let entry: string | undefined
+    if (event === "!") {
+      entry = this.entries[this.entries.length - 1]
+    } else if (/^-[0-9]+$/.test(event)) {
+      entry = this.entries[this.entries.length + Number.parseInt(event, 10)]
+    } else if (/^[0-9]+$/.test(event)) {
+      entry = this.entries[Number.parseInt(event, 10) - 1]
+    } else {
+      entry = [...this.entries].reverse().find((candidate) => candidate.startsWith(event))
+    }
+
+    if (entry === undefined) {
+      throw new HistoryExpansionError(`!${event}: event not found`)
+    }
+    return entry
+  }
+
+  /**
+   * Write entries to the attached storage backend
+   * @private
+   */
+  private persist(): void {
+    if (!this.storage) return
+    try {
+      this.storage.backend.save(this.storage.key, this.entries)
+    } catch (error) {
+      console.error("[v0] Failed to persist history:", error)
+    }
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Saving generated files through the browser's download prompt
+ * @version 1.0.0
+ */
+
+/**
+ * Offer data to the user as a file download
+ * The object URL is revoked after the click has been handled; revoking it right away can cancel the download.
+ * @param filename Suggested file name
+ * @param data File contents
+ * @param type MIME type of the file
+ */
+export function downloadFile(filename: string, data: BlobPart, type: string): void {
+  const url = URL.createObjectURL(new Blob([data], { type }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Unix mode bit helpers for the virtual file system
+ * @version 1.0.0
+ */
+
+/** Bit offset of each permission class within the mode */
+const CLASS_SHIFT: Record<string, number> = { u: 6, g: 3, o: 0 }
+
+/** Special bit that belongs to each permission class (setuid, setgid, sticky) */
+const CLASS_SPECIAL: Record<string, number> = { u: 0o4000, g: 0o2000, o: 0o1000 }
+
+/**
+ * Formatting and parsing of permission modes (e.g., 0o755 <-> "drwxr-xr-x")
+ */
+export class FileMode {
+  /**
+   * Render mode bits the way `ls -l` does
+   * @param type Node type, rendered as the leading character
+   * @param mode Permission bits including setuid, setgid and sticky
+   * @returns Permissions string (e.g., "drwxr-xr-x", "-rwsr-xr-x")
+   */
+  static format(type: "file" | "directory", mode: number): string {
+    const chars = (type === "directory" ? "d" : "-").split("")
+    for (let bit = 8; bit >= 0; bit--) {
+      chars.push(mode & (1 << bit) ? "rwx"[(8 - bit) % 3] : "-")
+    }
+
+    const special: [number, number, string][] = [
+      [0o4000, 3, "s"],
+      [0o2000, 6, "s"],
+      [0o1000, 9, "t"],
+    ]
+    for (const [bit, index, symbol] of special) {
+      if (mode & bit) {
+        chars[index] = chars[index] === "x" ? symbol : symbol.toUpperCase()
+      }
+    }
+    return chars.join("")
+  }
+
+  /**
+   * Parse a permissions string back into mode bits
+   * @param permissions Permissions string (e.g., "-rw-r--r--")
+   * @returns Permission bits
+   */
+  static parse(permissions: string): number {
+    let mode = 0
+    permissions
+      .slice(1, 10)
+      .split("")
+      .forEach((char, index) => {
+        const bit = 1 << (8 - index)
+        if (char !== "-" && char !== "S" && char !== "T") mode |= bit
+        if ((char === "s" || char === "S") && index === 2) mode |= 0o4000
+        if ((char === "s" || char === "S") && index === 5) mode |= 0o2000
+        if ((char === "t" || char === "T") && index === 8) mode |= 0o1000
+      })
+    return mode
+  }
+
+  /**
+   * Apply a `chmod` mode operand to existing bits
+   * Supports octal modes ("755", "4755") and symbolic clauses ("u+x", "go-w", "a=rX,u+s", "g=u").
+   * @param spec Mode operand
+   * @param mode Current permission bits
+   * @param type Node type (capital X only adds execute to directories and executables)
+   * @param umask Mask applied to clauses without a "who" part, as POSIX chmod does
+   * @returns New permission bits, or null if the operand is invalid
+   */
+  static apply(spec: string, mode: number, type: "file" | "directory", umask = 0): number | null {
+    if (/^[0-7]{1,4}$/.test(spec)) {
+      return Number.parseInt(spec, 8)
+    }
+
+    let result = mode
+    for (const clause of spec.split(",")) {
+      const match = clause.match(/^([ugoa]*)((?:[-+=](?:[ugo]|[rwxXst]*))+)$/)
+      if (!match) return null
+
+      const who = match[1]
+      const classes = who === "" || who.includes("a") ? ["u", "g", "o"] : [...new Set(who)]
+      const allowed = who === "" ? ~umask : ~0
+
+      for (const [, operator, perms] of match[2].matchAll(/([-+=])([ugo]|[rwxXst]*)/g)) {
+        let bits = 0
+        if (/^[ugo]$/.test(perms)) {
+          const copied = (result >> CLASS_SHIFT[perms]) & 7
+          classes.forEach((target) => (bits |= copied << CLASS_SHIFT[target]))
+        } else {
+          for (const perm of perms) {
+            for (const target of classes) {
+              const shift = CLASS_SHIFT[target]
+              if (perm === "r") bits |= 4 << shift
+              else if (perm === "w") bits |= 2 << shift
+              else if (perm === "x") bits |= 1 << shift
+              else if (perm === "X" && (type === "directory" || result & 0o111)) bits |= 1 << shift
+              else if (perm === "s" && target !== "o") bits |= CLASS_SPECIAL[target]
+              else if (perm === "t" && target === "o") bits |= CLASS_SPECIAL[target]
+            }
+          }
+        }
+        bits &= allowed
+
+        if (operator === "+") {
+          result |= bits
+        } else if (operator === "-") {
+          result &= ~bits
+        } else {
+          const cleared = classes.reduce((mask, target) => mask | (7 << CLASS_SHIFT[target]) | CLASS_SPECIAL[target], 0)
+          result = (result & ~cleared) | bits
+        }
+      }
+    }
+    return result & 0o7777
+  }
+
+  /**
+   * Render permission bits as octal digits
+   * @param mode Permission bits
+   * @returns Four-digit octal string (e.g., "0644")
+   */
+  static toOctal(mode: number): string {
+    return (mode & 0o7777).toString(8).padStart(4, "0")
+  }
+
+  /**
+   * Render rwx bits in the symbolic form used by `umask -S`
+   * @param mode Permission bits
+   * @returns Symbolic string (e.g., "u=rwx,g=rx,o=rx")
+   */
+  static toSymbolic(mode: number): string {
+    return ["u", "g", "o"]
+      .map((target) => {
+        const bits = (mode >> CLASS_SHIFT[target]) & 7
+        return `${target}=${bits & 4 ? "r" : ""}${bits & 2 ? "w" : ""}${bits & 1 ? "x" : ""}`
+      })
+      .join(",")
+  }
+}
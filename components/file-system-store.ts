@@ -0,0 +1,78 @@
+/**
+ * @fileoverview IndexedDB persistence backend for the virtual file system
+ * @version 1.0.0
+ */
+
+import type { FileSystemSnapshot, FileSystemStorage } from "./file-system"
+
+/**
+ * Stores file system snapshots in IndexedDB so sandboxes survive a reload
+ */
+export class IndexedDBFileSystemStore implements FileSystemStorage {
+  private static readonly DB_NAME = "hyper-terminal"
+  private static readonly DB_VERSION = 1
+  private static readonly STORE_NAME = "filesystems"
+
+  private database: Promise<IDBDatabase> | null = null
+
+  /**
+   * Check whether IndexedDB is available (it is not during server rendering)
+   * @returns True if snapshots can be stored
+   */
+  static isSupported(): boolean {
+    return typeof indexedDB !== "undefined"
+  }
+
+  async load(key: string): Promise<FileSystemSnapshot | null> {
+    const snapshot = await this.request<FileSystemSnapshot | undefined>("readonly", (store) => store.get(key))
+    return snapshot && (snapshot.version === 1 || snapshot.version === 2) ? snapshot : null
+  }
+
+  async save(key: string, snapshot: FileSystemSnapshot): Promise<void> {
+    await this.request("readwrite", (store) => store.put(snapshot, key))
+  }
+
+  /**
+   * Delete a stored snapshot
+   * @param key Key the snapshot is stored under
+   */
+  async delete(key: string): Promise<void> {
+    await this.request("readwrite", (store) => store.delete(key))
+  }
+
+  /**
+   * Run a single request against the snapshot store
+   * @param mode Transaction mode
+   * @param action Creates the request from the object store
+   * @returns Request result
+   * @private
+   */
+  private async request<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest): Promise<T> {
+    const database = await this.open()
+    return new Promise<T>((resolve, reject) => {
+      const transaction = database.transaction(IndexedDBFileSystemStore.STORE_NAME, mode)
+      const request = action(transaction.objectStore(IndexedDBFileSystemStore.STORE_NAME))
+      request.onsuccess = () => resolve(request.result as T)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns Database connection
+   * @private
+   */
+  private open(): Promise<IDBDatabase> {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IndexedDBFileSystemStore.DB_NAME, IndexedDBFileSystemStore.DB_VERSION)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(IndexedDBFileSystemStore.STORE_NAME)
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.database
+  }
+}
@@ -3,6 +3,8 @@
  * @version 1.0.0
  */
 
+import { FileMode } from "./file-mode"
+
 /**
  * Represents a node in the file system (file or directory)
  */
@@ -15,8 +17,12 @@ export interface FileSystemNode {
   content?: string
   /** Child nodes (only for directories) */
   children?: { [key: string]: FileSystemNode }
-  /** Unix-style permissions string */
-  permissions: string
+  /** Permission bits including setuid, setgid and sticky (e.g., 0o644) */
+  mode: number
+  /** Owning user */
+  owner: string
+  /** Owning group */
+  group: string
   /** Size in bytes */
   size: number
   /** Last modified date */
@@ -35,20 +41,119 @@ export interface FileSystemResult<T = void> {
   error?: string
 }
 
+/**
+ * Identity that file system operations are checked against
+ */
+export interface FileSystemUser {
+  /** User name */
+  name: string
+  /** Group names, primary group first */
+  groups: string[]
+}
+
+/**
+ * File system node in a JSON-safe form (dates as ISO strings)
+ */
+export interface SerializedFileSystemNode
+  extends Omit<FileSystemNode, "modified" | "children" | "mode" | "owner" | "group"> {
+  modified: string
+  children?: { [key: string]: SerializedFileSystemNode }
+  mode?: number
+  owner?: string
+  group?: string
+  /** Permissions string stored by version 1 snapshots instead of mode, owner and group */
+  permissions?: string
+}
+
+/**
+ * Serialized file system tree
+ */
+export interface FileSystemSnapshot {
+  /** Snapshot format version (1 snapshots predate ownership and are upgraded on restore) */
+  version: 1 | 2
+  /** Serialized root directory */
+  root: SerializedFileSystemNode
+}
+
+/**
+ * Persistence backend for file system snapshots
+ */
+export interface FileSystemStorage {
+  /** Load a snapshot, resolving to null if none was saved */
+  load(key: string): Promise<FileSystemSnapshot | null>
+  /** Save a snapshot */
+  save(key: string, snapshot: FileSystemSnapshot): Promise<void>
+}
+
+/**
+ * A change to the tree, reported to onChange listeners
+ */
+export interface FileSystemChange {
+  /** Absolute paths of the nodes created, changed or removed; "/" when the whole tree was replaced */
+  paths: string[]
+  /** View the change was made through */
+  source: FileSystem
+}
+
+/**
+ * Tree, storage and listeners shared by every view of a workspace
+ */
+interface FileSystemVolume {
+  root: FileSystemNode
+  storage: { backend: FileSystemStorage; key: string } | null
+  saveTimer: ReturnType<typeof setTimeout> | null
+  listeners: ((change: FileSystemChange) => void)[]
+  /** Segments of each path changed while a saved tree is loading, null when no load is in progress */
+  pendingChanges: string[][] | null
+}
+
 /**
  * Virtual file system implementation
- * Provides a simulated Unix-like file system for the terminal
+ * Provides a simulated Unix-like file system for the terminal. Several views can share one tree, each with its
+ * own working directory, user and umask, the way processes share a disk.
  */
 export class FileSystem {
-  private root: FileSystemNode
+  /** Access mode bits, as in access(2) */
+  static readonly R_OK = 4
+  static readonly W_OK = 2
+  static readonly X_OK = 1
+
+  /** The superuser, used by `sudo` */
+  static readonly ROOT: FileSystemUser = { name: "root", groups: ["root"] }
+  /** The default sandbox user */
+  static readonly DEFAULT_USER: FileSystemUser = { name: "user", groups: ["user", "sudo"] }
+  /** Users known to the sandbox, with their groups */
+  static readonly USERS: FileSystemUser[] = [FileSystem.ROOT, FileSystem.DEFAULT_USER]
+
+  private static readonly SAVE_DELAY = 300
+
+  private readonly volume: FileSystemVolume
   private currentPath: string[]
+  private user: FileSystemUser = FileSystem.DEFAULT_USER
+  private umask = 0o022
 
   /**
    * Initialize the file system with default structure
+   * @param workspace File system whose tree to share instead; the new view starts in the same directory
    */
-  constructor() {
-    this.currentPath = []
-    this.root = this.createDefaultFileSystem()
+  constructor(workspace?: FileSystem) {
+    // Sessions start in the default user's home, since `/` is root's
+    this.currentPath = workspace ? [...workspace.currentPath] : ["home", FileSystem.DEFAULT_USER.name]
+    this.volume = workspace?.volume ?? {
+      root: this.createDefaultFileSystem(),
+      storage: null,
+      saveTimer: null,
+      listeners: [],
+      pendingChanges: null,
+    }
+  }
+
+  private get root(): FileSystemNode {
+    return this.volume.root
+  }
+
+  private set root(root: FileSystemNode) {
+    this.volume.root = root
   }
 
   /**
@@ -56,6 +161,7 @@ export class FileSystem {
    * @returns The current directory node
    */
   getCurrentDirectory(): FileSystemNode {
+    this.ensureWorkingDirectory()
     let current = this.root
     for (const segment of this.currentPath) {
       if (current.children && current.children[segment]) {
@@ -70,19 +176,77 @@ export class FileSystem {
    * @returns Current path string (e.g., "/home/user")
    */
   getCurrentPath(): string {
+    this.ensureWorkingDirectory()
     return this.currentPath.length === 0 ? "/" : "/" + this.currentPath.join("/")
   }
 
+  /**
+   * Resolve a path against the current directory
+   * @param path Absolute or relative path
+   * @returns Normalized absolute path (e.g., "/home/user/notes.txt")
+   */
+  getAbsolutePath(path: string): string {
+    return "/" + this.normalizePath(path).join("/")
+  }
+
+  /**
+   * Get the identity operations are checked against
+   * @returns Current user
+   */
+  getUser(): FileSystemUser {
+    return this.user
+  }
+
+  /**
+   * Switch the identity operations are checked against
+   * @param user New user
+   */
+  setUser(user: FileSystemUser): void {
+    this.user = user
+  }
+
+  /**
+   * Get the file mode creation mask
+   * @returns Mask bits (e.g., 0o022)
+   */
+  getUmask(): number {
+    return this.umask
+  }
+
+  /**
+   * Set the file mode creation mask
+   * @param umask Mask bits
+   */
+  setUmask(umask: number): void {
+    this.umask = umask & 0o777
+  }
+
+  /**
+   * Check whether the current user may access a path
+   * @param path Path to check
+   * @param access Bitwise OR of R_OK, W_OK and X_OK (0 only checks that the path can be reached)
+   * @returns Operation result with "No such file or directory", "Not a directory" or "Permission denied" on failure
+   */
+  access(path: string, access: number): FileSystemResult {
+    const located = this.locate(this.normalizePath(path))
+    if (!located.data) return { success: false, error: located.error }
+    return this.canAccess(located.data, access) ? { success: true } : { success: false, error: "Permission denied" }
+  }
+
   /**
    * List contents of a directory
    * @param path Optional path to list (defaults to current directory)
-   * @returns Array of file system nodes
+   * @returns Array of file system nodes, empty if the directory cannot be read
    */
   listDirectory(path?: string): FileSystemNode[] {
-    const targetDir = path ? this.resolvePath(path) : this.getCurrentDirectory()
+    const located = this.locate(this.normalizePath(path ?? "."))
+    const targetDir = located.data
     if (!targetDir || targetDir.type !== "directory" || !targetDir.children) {
       return []
     }
+    if (!this.canAccess(targetDir, FileSystem.R_OK)) {
+      return []
+    }
     return Object.values(targetDir.children)
   }
 
@@ -92,90 +256,673 @@ export class FileSystem {
    * @returns True if successful, false otherwise
    */
   changeDirectory(path: string): boolean {
-    if (path === "/") {
-      this.currentPath = []
+    const segments = this.normalizePath(path)
+    const targetDir = this.locate(segments).data
+    if (targetDir && targetDir.type === "directory" && this.canAccess(targetDir, FileSystem.X_OK)) {
+      this.currentPath = segments
       return true
     }
+    return false
+  }
 
-    if (path === "..") {
-      if (this.currentPath.length > 0) {
-        this.currentPath.pop()
-      }
-      return true
-    }
+  /**
+   * Look up a file system node without checking permissions
+   * @param path Path to the node
+   * @returns The node or null if not found
+   */
+  stat(path: string): FileSystemNode | null {
+    return this.resolvePath(path)
+  }
 
-    if (path === ".") {
-      return true
-    }
+  /**
+   * Walk a directory tree depth-first, parents before children, without checking permissions
+   * @param path Path to start from; entries are reported relative to it (e.g., "./docs/a.txt")
+   * @returns Visited entries including the start node, or an empty array if the path does not exist
+   */
+  walk(path: string): { path: string; node: FileSystemNode }[] {
+    const start = this.resolvePath(path)
+    if (!start) return []
 
-    const targetDir = this.resolvePath(path)
-    if (targetDir && targetDir.type === "directory") {
-      if (path.startsWith("/")) {
-        this.currentPath = path.split("/").filter(Boolean)
-      } else {
-        this.currentPath.push(...path.split("/").filter(Boolean))
+    const entries: { path: string; node: FileSystemNode }[] = []
+    const visit = (node: FileSystemNode, nodePath: string) => {
+      entries.push({ path: nodePath, node })
+      if (node.type === "directory" && node.children) {
+        const prefix = nodePath.endsWith("/") ? nodePath : `${nodePath}/`
+        Object.keys(node.children)
+          .sort()
+          .forEach((name) => visit(node.children![name], prefix + name))
       }
-      return true
     }
-    return false
+    visit(start, path)
+    return entries
   }
 
   /**
    * Read contents of a file
    * @param path Path to the file
-   * @returns File contents or null if not found
+   * @returns File contents or null if not found or not readable
    */
   readFile(path: string): string | null {
-    const file = this.resolvePath(path)
-    if (file && file.type === "file") {
+    const file = this.locate(this.normalizePath(path)).data
+    if (file && file.type === "file" && this.canAccess(file, FileSystem.R_OK)) {
       return file.content || ""
     }
     return null
   }
 
   /**
-   * Create a new directory
-   * @param name Name of the directory
-   * @returns True if created successfully, false if already exists
+   * Create a new directory (like `mkdir` without `-p`)
+   * @param path Path of the directory; its parent must exist
+   * @returns Operation result with "File exists", "No such file or directory", "Not a directory" or
+   *   "Permission denied" on failure
    */
-  createDirectory(name: string): boolean {
-    const currentDir = this.getCurrentDirectory()
-    if (currentDir.children && !currentDir.children[name]) {
-      currentDir.children[name] = {
-        name,
-        type: "directory",
-        permissions: "drwxr-xr-x",
-        size: 4096,
-        modified: new Date(),
-        children: {},
-      }
-      return true
+  createDirectory(path: string): FileSystemResult {
+    const segments = this.normalizePath(path)
+    const located = this.locate(segments)
+    if (located.data) {
+      return { success: false, error: "File exists" }
     }
-    return false
+    if (located.error !== "No such file or directory") {
+      return { success: false, error: located.error }
+    }
+
+    const parent = this.locate(segments.slice(0, -1))
+    if (!parent.data) {
+      return { success: false, error: parent.error }
+    }
+    if (parent.data.type !== "directory" || !parent.data.children) {
+      return { success: false, error: "Not a directory" }
+    }
+    if (!this.canAccess(parent.data, FileSystem.W_OK | FileSystem.X_OK)) {
+      return { success: false, error: "Permission denied" }
+    }
+
+    const name = segments[segments.length - 1]
+    parent.data.children[name] = this.createNode(name, "directory")
+    this.markModified(segments)
+    return { success: true }
   }
 
   /**
    * Create a new file
    * @param name Name of the file
    * @param content Initial content (default: empty)
-   * @returns True if created successfully, false if already exists
+   * @returns True if created successfully, false if it already exists or the current directory is not writable
    */
   createFile(name: string, content = ""): boolean {
     const currentDir = this.getCurrentDirectory()
-    if (currentDir.children && !currentDir.children[name]) {
-      currentDir.children[name] = {
-        name,
-        type: "file",
-        content,
-        permissions: "-rw-r--r--",
-        size: content.length,
-        modified: new Date(),
-      }
+    if (
+      currentDir.children &&
+      !currentDir.children[name] &&
+      this.canAccess(currentDir, FileSystem.W_OK | FileSystem.X_OK)
+    ) {
+      currentDir.children[name] = this.createNode(name, "file", content)
+      this.markModified([...this.currentPath, name])
       return true
     }
     return false
   }
 
+  /**
+   * Write content to a file, creating it if it does not exist
+   * @param path Path to the file
+   * @param content Content to write
+   * @param append Append to existing content instead of replacing it
+   * @returns Operation result
+   */
+  writeFile(path: string, content: string, append = false): FileSystemResult {
+    const segments = this.normalizePath(path)
+    const located = this.locate(segments)
+    const existing = located.data
+    if (existing) {
+      if (existing.type === "directory") {
+        return { success: false, error: "Is a directory" }
+      }
+      if (!this.canAccess(existing, FileSystem.W_OK)) {
+        return { success: false, error: "Permission denied" }
+      }
+      existing.content = append ? (existing.content || "") + content : content
+      existing.size = existing.content.length
+      existing.modified = new Date()
+      this.markModified(segments)
+      return { success: true }
+    }
+    if (located.error !== "No such file or directory") {
+      return { success: false, error: located.error }
+    }
+
+    const { parent, name } = this.resolveParent(path)
+    if (!parent || parent.type !== "directory" || !parent.children || !name) {
+      return { success: false, error: "No such file or directory" }
+    }
+    if (!this.canAccess(parent, FileSystem.W_OK | FileSystem.X_OK)) {
+      return { success: false, error: "Permission denied" }
+    }
+
+    parent.children[name] = this.createNode(name, "file", content)
+    this.markModified(segments)
+    return { success: true }
+  }
+
+  /**
+   * Create an empty file or update the modification time of an existing node
+   * @param path Path to the file
+   * @returns Operation result
+   */
+  touch(path: string): FileSystemResult {
+    const segments = this.normalizePath(path)
+    const located = this.locate(segments)
+    const existing = located.data
+    if (existing) {
+      // Setting timestamps needs write access or ownership
+      if (!this.canAccess(existing, FileSystem.W_OK) && !this.isOwner(existing)) {
+        return { success: false, error: "Permission denied" }
+      }
+      existing.modified = new Date()
+      this.markModified(segments)
+      return { success: true }
+    }
+    return this.writeFile(path, "")
+  }
+
+  /**
+   * Remove a file or directory
+   * The current directory and its ancestors cannot be removed.
+   * @param path Path to remove
+   * @param recursive Allow removing directories and their contents
+   * @returns Operation result
+   */
+  remove(path: string, recursive = false): FileSystemResult {
+    const segments = this.normalizePath(path)
+    const located = this.locate(segments)
+    const node = located.data
+    if (!node) {
+      return { success: false, error: located.error }
+    }
+    if (node.type === "directory" && !recursive) {
+      return { success: false, error: "Is a directory" }
+    }
+    if (this.isWithin(this.currentPath, segments)) {
+      return { success: false, error: "Device or resource busy" }
+    }
+
+    const parent = this.resolveSegments(segments.slice(0, -1))!
+    if (!this.canUnlink(parent, node) || !this.canEmptyTree(node)) {
+      return { success: false, error: "Permission denied" }
+    }
+
+    delete parent.children![segments[segments.length - 1]]
+    parent.modified = new Date()
+    this.markModified(segments)
+    return { success: true }
+  }
+
+  /**
+   * Copy a file or directory
+   * If the destination is an existing directory the source is copied into it.
+   * Copies are owned by the current user and keep the source mode, less the umask.
+   * @param source Path to copy from
+   * @param destination Path to copy to
+   * @param recursive Allow copying directories
+   * @returns Operation result
+   */
+  copy(source: string, destination: string, recursive = false): FileSystemResult {
+    const sourceSegments = this.normalizePath(source)
+    const located = this.locate(sourceSegments)
+    const node = located.data
+    if (!node) {
+      return { success: false, error: located.error }
+    }
+    if (node.type === "directory" && !recursive) {
+      return { success: false, error: "Is a directory" }
+    }
+    if (!this.canReadTree(node)) {
+      return { success: false, error: "Permission denied" }
+    }
+
+    const target = this.resolveTarget(sourceSegments, destination)
+    if (!target) {
+      return { success: false, error: "No such file or directory" }
+    }
+    if (node.type === "directory" && this.isWithin(target.segments, sourceSegments)) {
+      return { success: false, error: "Cannot copy a directory into itself" }
+    }
+    if (target.segments.join("/") === sourceSegments.join("/")) {
+      return { success: false, error: "Source and destination are the same file" }
+    }
+
+    const existing = target.parent.children![target.name]
+    if (existing && existing.type !== node.type) {
+      return { success: false, error: existing.type === "directory" ? "Is a directory" : "Not a directory" }
+    }
+    const writable = existing
+      ? this.canAccess(existing, existing.type === "directory" ? FileSystem.W_OK | FileSystem.X_OK : FileSystem.W_OK)
+      : this.canAccess(target.parent, FileSystem.W_OK | FileSystem.X_OK)
+    if (!writable) {
+      return { success: false, error: "Permission denied" }
+    }
+
+    if (existing && existing.type === "directory") {
+      this.mergeDirectory(existing, node)
+    } else {
+      target.parent.children![target.name] = this.cloneNode(node, target.name)
+    }
+    target.parent.modified = new Date()
+    this.markModified(target.segments)
+    return { success: true }
+  }
+
+  /**
+   * Move or rename a file or directory
+   * If the destination is an existing directory the source is moved into it.
+   * @param source Path to move from
+   * @param destination Path to move to
+   * @returns Operation result
+   */
+  move(source: string, destination: string): FileSystemResult {
+    const sourceSegments = this.normalizePath(source)
+    const located = this.locate(sourceSegments)
+    const node = located.data
+    if (!node || sourceSegments.length === 0) {
+      return { success: false, error: sourceSegments.length === 0 ? "Device or resource busy" : located.error }
+    }
+
+    const target = this.resolveTarget(sourceSegments, destination)
+    if (!target) {
+      return { success: false, error: "No such file or directory" }
+    }
+    if (target.segments.join("/") === sourceSegments.join("/")) {
+      return { success: true }
+    }
+    if (node.type === "directory" && this.isWithin(target.segments, sourceSegments)) {
+      return { success: false, error: "Cannot move a directory into itself" }
+    }
+
+    const existing = target.parent.children![target.name]
+    if (existing && existing.type !== node.type) {
+      return { success: false, error: existing.type === "directory" ? "Is a directory" : "Not a directory" }
+    }
+    if (existing && existing.type === "directory" && Object.keys(existing.children || {}).length > 0) {
+      return { success: false, error: "Directory not empty" }
+    }
+
+    const sourceParent = this.resolveSegments(sourceSegments.slice(0, -1))!
+    if (!this.canUnlink(sourceParent, node) || !this.canAccess(target.parent, FileSystem.W_OK | FileSystem.X_OK)) {
+      return { success: false, error: "Permission denied" }
+    }
+    if (existing && !this.canUnlink(target.parent, existing)) {
+      return { success: false, error: "Permission denied" }
+    }
+
+    delete sourceParent.children![sourceSegments[sourceSegments.length - 1]]
+    node.name = target.name
+    target.parent.children![target.name] = node
+    sourceParent.modified = new Date()
+    target.parent.modified = new Date()
+
+    // Keep the working directory valid when it lives inside the moved tree
+    if (this.isWithin(this.currentPath, sourceSegments)) {
+      this.currentPath = [...target.segments, ...this.currentPath.slice(sourceSegments.length)]
+    }
+    this.markModified(sourceSegments, target.segments)
+    return { success: true }
+  }
+
+  /**
+   * Create a directory and any missing parents (like `mkdir -p`)
+   * @param path Path of the directory
+   * @returns Operation result
+   */
+  makeDirectories(path: string): FileSystemResult {
+    const segments = this.normalizePath(path)
+    let current = this.root
+    for (const [index, segment] of segments.entries()) {
+      if (!this.canAccess(current, FileSystem.X_OK)) {
+        return { success: false, error: "Permission denied" }
+      }
+      const child = current.children![segment]
+      if (child && child.type !== "directory") {
+        return { success: false, error: "Not a directory" }
+      }
+      if (!child) {
+        if (!this.canAccess(current, FileSystem.W_OK)) {
+          return { success: false, error: "Permission denied" }
+        }
+        current.children![segment] = this.createNode(segment, "directory")
+        this.markModified(segments.slice(0, index + 1))
+      }
+      current = current.children![segment]
+    }
+    return { success: true }
+  }
+
+  /**
+   * Change the permission bits of a node
+   * Only the owner (or root) may do this.
+   * @param path Path to the node
+   * @param mode New permission bits
+   * @returns Operation result
+   */
+  chmod(path: string, mode: number): FileSystemResult {
+    const segments = this.normalizePath(path)
+    const located = this.locate(segments)
+    const node = located.data
+    if (!node) {
+      return { success: false, error: located.error }
+    }
+    if (!this.isOwner(node)) {
+      return { success: false, error: "Operation not permitted" }
+    }
+
+    node.mode = mode & 0o7777
+    this.markModified(segments)
+    return { success: true }
+  }
+
+  /**
+   * Change the owner and/or group of a node
+   * Only root may give a node away; the owner may change its group to one they belong to.
+   * @param path Path to the node
+   * @param owner New owning user, or null to keep it
+   * @param group New owning group, or null to keep it
+   * @returns Operation result
+   */
+  chown(path: string, owner: string | null, group: string | null): FileSystemResult {
+    if (owner !== null && !FileSystem.USERS.some((user) => user.name === owner)) {
+      return { success: false, error: `invalid user: '${owner}'` }
+    }
+    if (group !== null && !FileSystem.USERS.some((user) => user.groups.includes(group))) {
+      return { success: false, error: `invalid group: '${group}'` }
+    }
+
+    const segments = this.normalizePath(path)
+    const located = this.locate(segments)
+    const node = located.data
+    if (!node) {
+      return { success: false, error: located.error }
+    }
+
+    const isRoot = this.user.name === FileSystem.ROOT.name
+    const ownerChanges = owner !== null && owner !== node.owner
+    const groupAllowed =
+      group === null || group === node.group || (this.isOwner(node) && this.user.groups.includes(group))
+    if (!isRoot && (ownerChanges || !groupAllowed)) {
+      return { success: false, error: "Operation not permitted" }
+    }
+
+    if (owner !== null) node.owner = owner
+    if (group !== null) node.group = group
+    // Changing ownership clears setuid/setgid, as on Linux
+    if (node.type === "file" && (ownerChanges || group !== null)) node.mode &= ~0o6000
+    this.markModified(segments)
+    return { success: true }
+  }
+
+  /**
+   * Serialize the whole tree
+   * @returns Snapshot that can be stored as JSON
+   */
+  snapshot(): FileSystemSnapshot {
+    const serialize = (node: FileSystemNode): SerializedFileSystemNode => {
+      const { children, modified, ...rest } = node
+      const serialized: SerializedFileSystemNode = { ...rest, modified: modified.toISOString() }
+      if (children) {
+        serialized.children = {}
+        for (const [name, child] of Object.entries(children)) {
+          serialized.children[name] = serialize(child)
+        }
+      }
+      return serialized
+    }
+    return { version: 2, root: serialize(this.root) }
+  }
+
+  /**
+   * Replace the whole tree with a snapshot
+   * The working directory is kept if it still exists, otherwise it is reset to "/".
+   * @param snapshot Snapshot to restore
+   */
+  restore(snapshot: FileSystemSnapshot): void {
+    const deserialize = (serialized: SerializedFileSystemNode): FileSystemNode => {
+      const { children, modified, permissions, mode, owner, group, ...rest } = serialized
+      const node: FileSystemNode = {
+        ...rest,
+        mode: mode ?? FileMode.parse(permissions ?? ""),
+        owner: owner ?? FileSystem.DEFAULT_USER.name,
+        group: group ?? FileSystem.DEFAULT_USER.groups[0],
+        modified: new Date(modified),
+      }
+      if (children) {
+        node.children = {}
+        for (const [name, child] of Object.entries(children)) {
+          node.children[name] = deserialize(child)
+        }
+      }
+      return node
+    }
+
+    this.root = deserialize(snapshot.root)
+    if (this.resolveSegments(this.currentPath)?.type !== "directory") {
+      this.currentPath = []
+    }
+    this.markModified([])
+  }
+
+  /**
+   * Persist the tree to a storage backend, restoring any previously saved tree first
+   * Changes made while the saved tree loads are merged into it, so nothing written in the meantime is lost.
+   * Later changes are saved automatically.
+   * @param backend Storage backend
+   * @param key Key the tree is stored under
+   * @returns True if a saved tree was restored
+   */
+  async attachStorage(backend: FileSystemStorage, key: string): Promise<boolean> {
+    const volume = this.volume
+    volume.pendingChanges = []
+    const snapshot = await backend.load(key).catch((error) => {
+      volume.pendingChanges = null
+      throw error
+    })
+    const changed = volume.pendingChanges ?? []
+    volume.pendingChanges = null
+
+    // A tree replaced as a whole in the meantime (e.g. by fs-import --replace) wins over the saved one
+    const restored = snapshot !== null && !changed.some((segments) => segments.length === 0)
+    if (restored) {
+      const current = this.root
+      this.restore(snapshot)
+      changed.forEach((segments) => this.mergeNode(current, segments))
+    }
+    volume.storage = { backend, key }
+    if (changed.length > 0) {
+      this.markModified(...changed)
+    }
+    return restored
+  }
+
+  /**
+   * Whether another file system is a view of the same tree
+   * @param other File system to compare with
+   * @returns True if changes made through either are seen by both
+   */
+  sharesTreeWith(other: FileSystem): boolean {
+    return this.volume === other.volume
+  }
+
+  /**
+   * Call a listener whenever the tree changes, through this view or any other view of it
+   * Nothing is reported until a listener is added, so views that do not watch pay nothing.
+   * @param listener Callback, called synchronously after each change
+   * @returns Function that removes the listener
+   */
+  onChange(listener: (change: FileSystemChange) => void): () => void {
+    this.volume.listeners.push(listener)
+    return () => {
+      this.volume.listeners = this.volume.listeners.filter((other) => other !== listener)
+    }
+  }
+
+  /**
+   * Whether a change touched a path, directly or through one of its ancestors
+   * @param change Change reported to an onChange listener
+   * @param path Absolute path
+   * @param includeChildren Also count changes to the entries directly inside the path, as a listing of it shows
+   * @returns True if the node at the path, or what a listing of it shows, may differ
+   */
+  static changeAffects(change: FileSystemChange, path: string, includeChildren = false): boolean {
+    return change.paths.some((changed) => {
+      if (changed === path || changed === "/" || path.startsWith(`${changed}/`)) return true
+      return includeChildren && changed.slice(0, changed.lastIndexOf("/") || 1) === path
+    })
+  }
+
+  /**
+   * Report a change to listeners and schedule a save to the attached storage backend, coalescing bursts of changes
+   * @param changed Segments of each changed path
+   * @private
+   */
+  private markModified(...changed: string[][]): void {
+    const volume = this.volume
+    if (volume.listeners.length > 0) {
+      const change: FileSystemChange = { paths: changed.map((segments) => "/" + segments.join("/")), source: this }
+      volume.listeners.forEach((listener) => listener(change))
+    }
+
+    volume.pendingChanges?.push(...changed)
+    if (!volume.storage) return
+    if (volume.saveTimer) clearTimeout(volume.saveTimer)
+
+    volume.saveTimer = setTimeout(() => {
+      volume.saveTimer = null
+      if (!volume.storage) return
+      volume.storage.backend.save(volume.storage.key, this.snapshot()).catch((error) => {
+        console.error("[v0] Failed to persist file system:", error)
+      })
+    }, FileSystem.SAVE_DELAY)
+  }
+
+  /**
+   * Carry one path over from a replaced tree into the current one, as it stood there
+   * A node missing from the replaced tree is removed; one whose parent is missing from the current tree brings
+   * the parent along.
+   * @param previous Root of the replaced tree
+   * @param segments Segments of the changed path
+   * @private
+   */
+  private mergeNode(previous: FileSystemNode, segments: string[]): void {
+    let source: FileSystemNode | undefined = previous
+    let target: FileSystemNode = this.root
+    for (const [index, name] of segments.entries()) {
+      source = source?.children?.[name]
+      const existing: FileSystemNode | undefined = target.children?.[name]
+      if (index === segments.length - 1 || !existing || existing.type !== "directory") {
+        if (!target.children) return
+        if (source) {
+          target.children[name] = source
+        } else {
+          delete target.children[name]
+        }
+        return
+      }
+      target = existing
+    }
+  }
+
+  /**
+   * Move up to the nearest directory that still exists when another view removed or moved the working directory
+   * @private
+   */
+  private ensureWorkingDirectory(): void {
+    while (this.currentPath.length > 0 && this.resolveSegments(this.currentPath)?.type !== "directory") {
+      this.currentPath = this.currentPath.slice(0, -1)
+    }
+  }
+
+  /**
+   * Create a node owned by the current user, with default permissions less the umask
+   * @param name Node name
+   * @param type Node type
+   * @param content File content
+   * @returns New node
+   * @private
+   */
+  private createNode(name: string, type: "file" | "directory", content = ""): FileSystemNode {
+    const node: FileSystemNode = {
+      name,
+      type,
+      mode: (type === "directory" ? 0o777 : 0o666) & ~this.umask,
+      owner: this.user.name,
+      group: this.user.groups[0],
+      size: type === "directory" ? 4096 : content.length,
+      modified: new Date(),
+    }
+    if (type === "directory") {
+      node.children = {}
+    } else {
+      node.content = content
+    }
+    return node
+  }
+
+  /**
+   * Check a node's permission bits against the current user
+   * Root may read and write anything, and execute files that have any execute bit set.
+   * @param node Node to check
+   * @param access Bitwise OR of R_OK, W_OK and X_OK
+   * @returns True if every requested access is granted
+   * @private
+   */
+  private canAccess(node: FileSystemNode, access: number): boolean {
+    if (this.user.name === FileSystem.ROOT.name) {
+      return !(access & FileSystem.X_OK) || node.type === "directory" || (node.mode & 0o111) !== 0
+    }
+    const shift = node.owner === this.user.name ? 6 : this.user.groups.includes(node.group) ? 3 : 0
+    return ((node.mode >> shift) & access) === access
+  }
+
+  /**
+   * Check whether the current user owns a node (root owns everything)
+   * @private
+   */
+  private isOwner(node: FileSystemNode): boolean {
+    return this.user.name === FileSystem.ROOT.name || node.owner === this.user.name
+  }
+
+  /**
+   * Check whether an entry may be unlinked from its directory, honouring the sticky bit
+   * @param parent Directory holding the entry
+   * @param node Entry to unlink
+   * @returns True if the entry may be removed or renamed
+   * @private
+   */
+  private canUnlink(parent: FileSystemNode, node: FileSystemNode): boolean {
+    if (!this.canAccess(parent, FileSystem.W_OK | FileSystem.X_OK)) return false
+    return !(parent.mode & 0o1000) || this.isOwner(node) || this.isOwner(parent)
+  }
+
+  /**
+   * Check that every non-empty directory in a tree may be listed and emptied (for `rm -r`)
+   * @private
+   */
+  private canEmptyTree(node: FileSystemNode): boolean {
+    const children = Object.values(node.children || {})
+    if (children.length === 0) return true
+    if (!this.canAccess(node, FileSystem.R_OK | FileSystem.W_OK | FileSystem.X_OK)) return false
+    return children.every(
+      (child) => (child.type !== "directory" || this.canEmptyTree(child)) && this.canUnlink(node, child),
+    )
+  }
+
+  /**
+   * Check that every file in a tree may be read and every directory listed (for `cp -r`)
+   * @private
+   */
+  private canReadTree(node: FileSystemNode): boolean {
+    if (node.type === "file") return this.canAccess(node, FileSystem.R_OK)
+    if (!this.canAccess(node, FileSystem.R_OK | FileSystem.X_OK)) return false
+    return Object.values(node.children || {}).every((child) => this.canReadTree(child))
+  }
+
   /**
    * Resolve a path to a file system node
    * @param path Path to resolve
@@ -183,17 +930,38 @@ export class FileSystem {
    * @private
    */
   private resolvePath(path: string): FileSystemNode | null {
-    let current = path.startsWith("/") ? this.root : this.getCurrentDirectory()
-    const segments = path.split("/").filter(Boolean)
+    return this.resolveSegments(this.normalizePath(path))
+  }
 
-    for (const segment of segments) {
+  /**
+   * Turn a path into absolute segments, resolving "." and ".."
+   * @param path Absolute or relative path
+   * @returns Path segments from the root
+   * @private
+   */
+  private normalizePath(path: string): string[] {
+    this.ensureWorkingDirectory()
+    const segments = path.startsWith("/") ? [] : [...this.currentPath]
+    for (const segment of path.split("/")) {
+      if (segment === "" || segment === ".") continue
       if (segment === "..") {
-        // Go up one level - this is simplified
-        continue
-      }
-      if (segment === ".") {
-        continue
+        segments.pop()
+      } else {
+        segments.push(segment)
       }
+    }
+    return segments
+  }
+
+  /**
+   * Walk absolute segments down from the root
+   * @param segments Path segments from the root
+   * @returns File system node or null if not found
+   * @private
+   */
+  private resolveSegments(segments: string[]): FileSystemNode | null {
+    let current = this.root
+    for (const segment of segments) {
       if (current.children && current.children[segment]) {
         current = current.children[segment]
       } else {
@@ -203,6 +971,121 @@ export class FileSystem {
     return current
   }
 
+  /**
+   * Walk absolute segments down from the root, requiring search (execute) permission on every directory passed
+   * @param segments Path segments from the root
+   * @returns Operation result holding the node
+   * @private
+   */
+  private locate(segments: string[]): FileSystemResult<FileSystemNode> {
+    let current = this.root
+    for (const segment of segments) {
+      if (current.type !== "directory" || !current.children) {
+        return { success: false, error: "Not a directory" }
+      }
+      if (!this.canAccess(current, FileSystem.X_OK)) {
+        return { success: false, error: "Permission denied" }
+      }
+      if (!current.children[segment]) {
+        return { success: false, error: "No such file or directory" }
+      }
+      current = current.children[segment]
+    }
+    return { success: true, data: current }
+  }
+
+  /**
+   * Check whether a path lies inside (or is) another path
+   * @param segments Path to test
+   * @param ancestor Possible ancestor path
+   * @returns True if segments starts with ancestor
+   * @private
+   */
+  private isWithin(segments: string[], ancestor: string[]): boolean {
+    return ancestor.length <= segments.length && ancestor.every((segment, index) => segments[index] === segment)
+  }
+
+  /**
+   * Work out where a copy or move lands, following `cp`/`mv` rules for existing directories
+   * @param sourceSegments Absolute segments of the source
+   * @param destination Destination path as given by the user
+   * @returns Target parent directory, entry name and full segments, or null if the parent cannot be reached
+   * @private
+   */
+  private resolveTarget(
+    sourceSegments: string[],
+    destination: string,
+  ): { parent: FileSystemNode; name: string; segments: string[] } | null {
+    const destinationSegments = this.normalizePath(destination)
+    const destinationNode = this.locate(destinationSegments).data
+
+    if (destinationNode && destinationNode.type === "directory" && sourceSegments.length > 0) {
+      const name = sourceSegments[sourceSegments.length - 1]
+      return { parent: destinationNode, name, segments: [...destinationSegments, name] }
+    }
+
+    if (destinationSegments.length === 0) return null
+    const parent = this.locate(destinationSegments.slice(0, -1)).data
+    if (!parent || parent.type !== "directory" || !parent.children) return null
+    return { parent, name: destinationSegments[destinationSegments.length - 1], segments: destinationSegments }
+  }
+
+  /**
+   * Deep-copy a node under a new name, owned by the current user
+   * @param node Node to copy
+   * @param name Name of the copy
+   * @returns Copied node
+   * @private
+   */
+  private cloneNode(node: FileSystemNode, name: string): FileSystemNode {
+    const copy: FileSystemNode = {
+      ...node,
+      name,
+      mode: node.mode & 0o777 & ~this.umask,
+      owner: this.user.name,
+      group: this.user.groups[0],
+      modified: new Date(),
+    }
+    if (node.children) {
+      copy.children = {}
+      for (const [childName, child] of Object.entries(node.children)) {
+        copy.children[childName] = this.cloneNode(child, childName)
+      }
+    }
+    return copy
+  }
+
+  /**
+   * Copy the contents of a directory into an existing directory, replacing files of the same name
+   * @param target Existing directory
+   * @param source Directory whose children are copied
+   * @private
+   */
+  private mergeDirectory(target: FileSystemNode, source: FileSystemNode): void {
+    for (const [name, child] of Object.entries(source.children || {})) {
+      const existing = target.children![name]
+      if (existing && existing.type === "directory" && child.type === "directory") {
+        this.mergeDirectory(existing, child)
+      } else {
+        target.children![name] = this.cloneNode(child, name)
+      }
+    }
+    target.modified = new Date()
+  }
+
+  /**
+   * Resolve the parent directory of a path
+   * @param path Path whose parent to resolve
+   * @returns Parent directory node (or null if it cannot be reached) and the final path segment
+   * @private
+   */
+  private resolveParent(path: string): { parent: FileSystemNode | null; name: string } {
+    const trimmed = path.replace(/\/+$/, "")
+    const index = trimmed.lastIndexOf("/")
+    const parentPath = index === -1 ? "." : trimmed.slice(0, index) || "/"
+    return { parent: this.locate(this.normalizePath(parentPath)).data ?? null, name: trimmed.slice(index + 1) }
+  }
+
   /**
    * Create the default file system structure
    * @returns Root file system node
@@ -212,21 +1095,27 @@ export class FileSystem {
     return {
       name: "/",
       type: "directory",
-      permissions: "drwxr-xr-x",
+      mode: 0o755,
+      owner: "root",
+      group: "root",
       size: 4096,
       modified: new Date(),
       children: {
         home: {
           name: "home",
           type: "directory",
-          permissions: "drwxr-xr-x",
+          mode: 0o755,
+          owner: "root",
+          group: "root",
           size: 4096,
           modified: new Date(),
           children: {
             user: {
               name: "user",
               type: "directory",
-              permissions: "drwxr-xr-x",
+              mode: 0o755,
+              owner: "user",
+              group: "user",
               size: 4096,
               modified: new Date(),
               children: {
@@ -234,7 +1123,9 @@ export class FileSystem {
                   name: "welcome.txt",
                   type: "file",
                   content: "Welcome to Hyper Terminal!\nThis is a simulated file system.",
-                  permissions: "-rw-r--r--",
+                  mode: 0o644,
+                  owner: "user",
+                  group: "user",
                   size: 58,
                   modified: new Date(),
                 },
@@ -266,7 +1157,9 @@ function mkcd() {
 }
 
 echo "Bash configuration loaded"`,
-                  permissions: "-rw-r--r--",
+                  mode: 0o644,
+                  owner: "user",
+                  group: "user",
                   size: 500,
                   modified: new Date(),
                 },
@@ -304,21 +1197,27 @@ function mkcd() {
 }
 
 echo "Zsh configuration loaded"`,
-                  permissions: "-rw-r--r--",
+                  mode: 0o644,
+                  owner: "user",
+                  group: "user",
                   size: 600,
                   modified: new Date(),
                 },
                 ".config": {
                   name: ".config",
                   type: "directory",
-                  permissions: "drwxr-xr-x",
+                  mode: 0o755,
+                  owner: "user",
+                  group: "user",
                   size: 4096,
                   modified: new Date(),
                   children: {
                     fish: {
                       name: "fish",
                       type: "directory",
-                      permissions: "drwxr-xr-x",
+                      mode: 0o755,
+                      owner: "user",
+                      group: "user",
                       size: 4096,
                       modified: new Date(),
                       children: {
@@ -348,7 +1247,9 @@ end
 function fish_greeting
     echo "Fish shell configuration loaded"
 end`,
-                          permissions: "-rw-r--r--",
+                          mode: 0o644,
+                          owner: "user",
+                          group: "user",
                           size: 450,
                           modified: new Date(),
                         },
@@ -384,14 +1285,18 @@ function prompt {
 }
 
 Write-Host "PowerShell configuration loaded" -ForegroundColor Green`,
-                  permissions: "-rw-r--r--",
+                  mode: 0o644,
+                  owner: "user",
+                  group: "user",
                   size: 550,
                   modified: new Date(),
                 },
                 workflows: {
                   name: "workflows",
                   type: "directory",
-                  permissions: "drwxr-xr-x",
+                  mode: 0o755,
+                  owner: "user",
+                  group: "user",
                   size: 4096,
                   modified: new Date(),
                   children: {
@@ -405,7 +1310,9 @@ tags: ["git", "version-control", "status"]
 shells: ["bash", "zsh", "fish"]
 author: Git Community
 source_url: https://git-scm.com/docs/git-status`,
-                      permissions: "-rw-r--r--",
+                      mode: 0o644,
+                      owner: "user",
+                      group: "user",
                       size: 250,
                       modified: new Date(),
                     },
@@ -423,7 +1330,9 @@ arguments:
     default_value: "-f"
 author: Docker Community
 source_url: https://docs.docker.com/engine/reference/commandline/system_prune/`,
-                      permissions: "-rw-r--r--",
+                      mode: 0o644,
+                      owner: "user",
+                      group: "user",
                       size: 400,
                       modified: new Date(),
                     },
@@ -441,7 +1350,9 @@ arguments:
     default_value: "--audit-level moderate"
 author: NPM Team
 source_url: https://docs.npmjs.com/cli/v8/commands/npm-audit`,
-                      permissions: "-rw-r--r--",
+                      mode: 0o644,
+                      owner: "user",
+                      group: "user",
                       size: 350,
                       modified: new Date(),
                     },
@@ -450,7 +1361,9 @@ source_url: https://docs.npmjs.com/cli/v8/commands/npm-audit`,
                 themes: {
                   name: "themes",
                   type: "directory",
-                  permissions: "drwxr-xr-x",
+                  mode: 0o755,
+                  owner: "user",
+                  group: "user",
                   size: 4096,
                   modified: new Date(),
                   children: {
@@ -480,7 +1393,9 @@ terminal_colors:
     red: "#ff004d"
     white: "#5f574f"
     yellow: "#fff024"`,
-                      permissions: "-rw-r--r--",
+                      mode: 0o644,
+                      owner: "user",
+                      group: "user",
                       size: 450,
                       modified: new Date(),
                     },
@@ -510,7 +1425,9 @@ terminal_colors:
     red: "#ff004d"
     white: "#f8f8f2"
     yellow: "#f4bf75"`,
-                      permissions: "-rw-r--r--",
+                      mode: 0o644,
+                      owner: "user",
+                      group: "user",
                       size: 450,
                       modified: new Date(),
                     },
@@ -540,7 +1457,9 @@ terminal_colors:
     red: "#ff5555"
     white: "#f8f8f2"
     yellow: "#f1fa8c"`,
-                      permissions: "-rw-r--r--",
+                      mode: 0o644,
+                      owner: "user",
+                      group: "user",
                       size: 450,
                       modified: new Date(),
                     },
@@ -549,7 +1468,9 @@ terminal_colors:
                 documents: {
                   name: "documents",
                   type: "directory",
-                  permissions: "drwxr-xr-x",
+                  mode: 0o755,
+                  owner: "user",
+                  group: "user",
                   size: 4096,
                   modified: new Date(),
                   children: {},
@@ -561,14 +1482,18 @@ terminal_colors:
         usr: {
           name: "usr",
           type: "directory",
-          permissions: "drwxr-xr-x",
+          mode: 0o755,
+          owner: "root",
+          group: "root",
           size: 4096,
           modified: new Date(),
           children: {
             bin: {
               name: "bin",
               type: "directory",
-              permissions: "drwxr-xr-x",
+              mode: 0o755,
+              owner: "root",
+              group: "root",
               size: 4096,
               modified: new Date(),
               children: {},
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Texture of rasterized glyphs for the GPU terminal renderers
+ * Glyphs are drawn once, white on transparent, into cell-sized slots; renderers tint them with the
+ * text color by sampling the alpha channel.
+ * @version 1.0.0
+ */
+
+/**
+ * Size of one character cell in CSS pixels
+ * Widths and heights are whole device pixels, so slots map 1:1 onto the screen.
+ */
+export interface CellMetrics {
+  width: number
+  height: number
+  /** Distance from the top of the cell to the text baseline */
+  baseline: number
+}
+
+/**
+ * Font the terminal is drawn with
+ */
+export interface FontSpec {
+  family: string
+  /** Size in CSS pixels */
+  size: number
+}
+
+/**
+ * Variant of a glyph; decorations are baked into the glyph
+ */
+export interface GlyphStyle {
+  bold?: boolean
+  italic?: boolean
+  underline?: boolean
+  strikethrough?: boolean
+}
+
+/**
+ * Position of a glyph in the atlas, in atlas pixels
+ */
+export interface GlyphRect {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+/**
+ * Build the CSS font shorthand for a glyph variant
+ * @param font Font family and size
+ * @param style Glyph variant
+ * @param scale Factor applied to the size, such as the device pixel ratio
+ * @returns Value for CanvasRenderingContext2D.font
+ */
+export function cssFont(font: FontSpec, style: GlyphStyle, scale = 1): string {
+  return `${style.italic ? "italic " : ""}${style.bold ? "bold " : ""}${font.size * scale}px ${font.family}`
+}
+
+export class GlyphAtlas {
+  /** Width and height of the atlas texture */
+  static readonly SIZE = 2048
+  /** Rect of slot 0, which stays empty; cells without a glyph sample it */
+  static readonly BLANK: GlyphRect = { x: 0, y: 0, width: 0, height: 0 }
+
+  readonly canvas: HTMLCanvasElement
+  /** Increases whenever pixels change, so renderers know to upload the texture again */
+  version = 0
+
+  private readonly context: CanvasRenderingContext2D
+  private readonly glyphs = new Map<string, GlyphRect>()
+  private readonly slotWidth: number
+  private readonly slotHeight: number
+  private readonly columns: number
+  private readonly capacity: number
+  private nextSlot = 1
+
+  /**
+   * @param font Font glyphs are drawn with
+   * @param metrics Cell size in CSS pixels
+   * @param pixelRatio Device pixels per CSS pixel
+   */
+  constructor(
+    private readonly font: FontSpec,
+    private readonly metrics: CellMetrics,
+    private readonly pixelRatio: number,
+  ) {
+    this.canvas = document.createElement("canvas")
+    this.canvas.width = GlyphAtlas.SIZE
+    this.canvas.height = GlyphAtlas.SIZE
+    const context = this.canvas.getContext("2d", { willReadFrequently: false })
+    if (!context) throw new Error("Canvas 2D is not available for the glyph atlas")
+    this.context = context
+
+    this.slotWidth = Math.round(metrics.width * pixelRatio)
+    this.slotHeight = Math.round(metrics.height * pixelRatio)
+    this.columns = Math.floor(GlyphAtlas.SIZE / this.slotWidth)
+    this.capacity = this.columns * Math.floor(GlyphAtlas.SIZE / this.slotHeight)
+  }
+
+  /**
+   * Make room for a frame before looking up its glyphs
+   * Clearing the atlas invalidates rects handed out earlier, so it only happens here, between frames.
+   * @param glyphCount Upper bound of new glyphs the frame may need
+   */
+  prepare(glyphCount: number): void {
+    if (this.nextSlot + glyphCount <= this.capacity) return
+    this.glyphs.clear()
+    this.nextSlot = 1
+    this.context.clearRect(0, 0, GlyphAtlas.SIZE, GlyphAtlas.SIZE)
+    this.version++
+  }
+
+  /**
+   * Get the rect of a glyph, drawing it into a free slot the first time
+   * @param char Character of one cell
+   * @param style Glyph variant
+   * @returns Rect in atlas pixels
+   */
+  get(char: string, style: GlyphStyle): GlyphRect {
+    const key = `${style.bold ? "b" : ""}${style.italic ? "i" : ""}${style.underline ? "u" : ""}${style.strikethrough ? "s" : ""}:${char}`
+    const cached = this.glyphs.get(key)
+    if (cached) return cached
+    if (this.nextSlot >= this.capacity) return GlyphAtlas.BLANK
+
+    const slot = this.nextSlot++
+    const rect: GlyphRect = {
+      x: (slot % this.columns) * this.slotWidth,
+      y: Math.floor(slot / this.columns) * this.slotHeight,
+      width: this.slotWidth,
+      height: this.slotHeight,
+    }
+    this.draw(char, style, rect)
+    this.glyphs.set(key, rect)
+    this.version++
+    return rect
+  }
+
+  /**
+   * Rasterize a glyph, clipped to its slot so wide characters do not bleed into neighbours
+   * @private
+   */
+  private draw(char: string, style: GlyphStyle, rect: GlyphRect): void {
+    const context = this.context
+    const scale = this.pixelRatio
+    context.save()
+    context.beginPath()
+    context.rect(rect.x, rect.y, rect.width, rect.height)
+    context.clip()
+
+    context.fillStyle = "#ffffff"
+    context.font = cssFont(this.font, style, scale)
+    context.textBaseline = "alphabetic"
+    context.fillText(char, rect.x, rect.y + this.metrics.baseline * scale)
+
+    const thickness = Math.max(1, Math.round(this.font.size * 0.07 * scale))
+    if (style.underline) {
+      const y = Math.min(rect.y + (this.metrics.baseline + 2) * scale, rect.y + rect.height - thickness)
+      context.fillRect(rect.x, y, rect.width, thickness)
+    }
+    if (style.strikethrough) {
+      context.fillRect(rect.x, rect.y + (this.metrics.baseline - this.font.size * 0.3) * scale, rect.width, thickness)
+    }
+    context.restore()
+  }
+}
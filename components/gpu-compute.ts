@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Built-in compute kernels, checked against a CPU reference and timed on any GPU adapter
+ * @version 1.0.0
+ */
+
+import type { ComputeKernel, GPUAdapter, GPUComputeShader } from "./gpu-system"
+
+/** Horner steps of the polynomial kernel; each is a multiply and an add */
+const POLYNOMIAL_STEPS = 64
+
+/**
+ * Kernels available to gpu-test and gpu-benchmark
+ */
+export const COMPUTE_KERNELS: ComputeKernel[] = [
+  {
+    name: "copy",
+    wgsl: "fn compute(value: f32, index: u32) -> f32 { return value; }",
+    glsl: "float compute(float value, int index) { return value; }",
+    cpu: (value) => value,
+    flopsPerElement: 0,
+  },
+  {
+    name: "scale",
+    wgsl: "fn compute(value: f32, index: u32) -> f32 { return value * 2.0 + 1.0; }",
+    glsl: "float compute(float value, int index) { return value * 2.0 + 1.0; }",
+    cpu: (value) => value * 2 + 1,
+    flopsPerElement: 2,
+  },
+  {
+    name: "index",
+    wgsl: "fn compute(value: f32, index: u32) -> f32 { return value + f32(index); }",
+    glsl: "float compute(float value, int index) { return value + float(index); }",
+    cpu: (value, index) => value + index,
+    flopsPerElement: 1,
+  },
+  {
+    name: "polynomial",
+    wgsl: `fn compute(value: f32, index: u32) -> f32 {
+  let x = value * 0.5;
+  var result = 0.0;
+  for (var step = 0; step < ${POLYNOMIAL_STEPS}; step++) {
+    result = result * x + 0.5;
+  }
+  return result;
+}`,
+    glsl: `float compute(float value, int index) {
+  float x = value * 0.5;
+  float result = 0.0;
+  for (int step = 0; step < ${POLYNOMIAL_STEPS}; step++) {
+    result = result * x + 0.5;
+  }
+  return result;
+}`,
+    cpu: (value) => {
+      const x = Math.fround(value * 0.5)
+      let result = 0
+      for (let step = 0; step < POLYNOMIAL_STEPS; step++) {
+        result = Math.fround(Math.fround(result * x) + 0.5)
+      }
+      return result
+    },
+    flopsPerElement: 1 + POLYNOMIAL_STEPS * 2,
+  },
+]
+
+/** Allowed difference from the CPU reference; GPUs may fuse multiply-adds, which rounds differently */
+const RELATIVE_TOLERANCE = 1e-5
+const ABSOLUTE_TOLERANCE = 1e-6
+
+/**
+ * Raised when a kernel cannot be compiled or run on an adapter
+ */
+export class GPUComputeError extends Error {
+  constructor(
+    message: string,
+    public readonly kernel: string,
+  ) {
+    super(message)
+    this.name = "GPUComputeError"
+  }
+}
+
+/**
+ * Outcome of comparing an adapter's results with the CPU reference
+ */
+export interface VerificationResult {
+  kernel: string
+  elements: number
+  /** Elements outside the tolerance */
+  mismatches: number
+  /** Largest absolute difference from the reference */
+  maxError: number
+  firstMismatch?: { index: number; actual: number; expected: number }
+  /** Time the adapter took, including uploads and readback */
+  milliseconds: number
+}
+
+/**
+ * Measured throughput of a kernel
+ */
+export interface BenchmarkResult {
+  kernel: string
+  elements: number
+  runs: number
+  /** Total time of the timed runs, including uploads and readback */
+  milliseconds: number
+  /** Billions of floating-point operations per second */
+  gflops: number
+  /** Gigabytes per second read and written */
+  bandwidth: number
+}
+
+export class GPUCompute {
+  /**
+   * Find a built-in kernel
+   * @param name Kernel name
+   * @returns Kernel, or undefined if there is none with that name
+   */
+  static getKernel(name: string): ComputeKernel | undefined {
+    return COMPUTE_KERNELS.find((kernel) => kernel.name === name)
+  }
+
+  /**
+   * Run a kernel on random input and check every element against the CPU reference
+   * @param adapter Initialized adapter
+   * @param kernel Kernel to run
+   * @param elements Number of float32 elements
+   * @returns Comparison result
+   * @throws GPUComputeError if the kernel cannot be compiled or run
+   */
+  static async verify(adapter: GPUAdapter, kernel: ComputeKernel, elements: number): Promise<VerificationResult> {
+    const input = this.createInput(elements)
+    const start = performance.now()
+    const output = await this.run(adapter, kernel, input)
+    const milliseconds = performance.now() - start
+
+    const result: VerificationResult = { kernel: kernel.name, elements, mismatches: 0, maxError: 0, milliseconds }
+    for (let index = 0; index < elements; index++) {
+      const expected = Math.fround(kernel.cpu(input[index], index))
+      const actual = output[index]
+      const error = Math.abs(actual - expected)
+      result.maxError = Math.max(result.maxError, Number.isNaN(error) ? Infinity : error)
+      if (!(error <= ABSOLUTE_TOLERANCE + RELATIVE_TOLERANCE * Math.abs(expected))) {
+        result.mismatches++
+        result.firstMismatch ??= { index, actual, expected }
+      }
+    }
+    return result
+  }
+
+  /**
+   * Time repeated runs of a kernel
+   * @param adapter Initialized adapter
+   * @param kernel Kernel to run
+   * @param elements Number of float32 elements
+   * @param runs Timed runs, after one untimed warm-up run
+   * @param signal Aborting it stops between runs
+   * @returns Measured throughput
+   * @throws GPUComputeError if the kernel cannot be compiled or run
+   */
+  static async benchmark(
+    adapter: GPUAdapter,
+    kernel: ComputeKernel,
+    elements: number,
+    runs: number,
+    signal?: AbortSignal,
+  ): Promise<BenchmarkResult> {
+    const shader = await adapter.createComputeShader(kernel)
+    if (!shader) throw new GPUComputeError(`${adapter.name} could not compile the kernel`, kernel.name)
+    const input = this.createInput(elements)
+
+    await this.execute(adapter, shader, input)
+    const start = performance.now()
+    for (let run = 0; run < runs; run++) {
+      signal?.throwIfAborted()
+      await this.execute(adapter, shader, input)
+    }
+    const milliseconds = performance.now() - start
+    const seconds = Math.max(milliseconds, 0.001) / 1000
+
+    return {
+      kernel: kernel.name,
+      elements,
+      runs,
+      milliseconds,
+      gflops: (kernel.flopsPerElement * elements * runs) / seconds / 1e9,
+      bandwidth: (2 * input.byteLength * runs) / seconds / 1e9,
+    }
+  }
+
+  /**
+   * Compile and run a kernel once
+   * @private
+   */
+  private static async run(adapter: GPUAdapter, kernel: ComputeKernel, input: Float32Array): Promise<Float32Array> {
+    const shader = await adapter.createComputeShader(kernel)
+    if (!shader) throw new GPUComputeError(`${adapter.name} could not compile the kernel`, kernel.name)
+    return this.execute(adapter, shader, input)
+  }
+
+  /**
+   * Run a compiled kernel, failing if the adapter returns nothing
+   * @private
+   */
+  private static async execute(
+    adapter: GPUAdapter,
+    shader: GPUComputeShader,
+    input: Float32Array,
+  ): Promise<Float32Array> {
+    const output = await adapter.executeCompute(shader, input.buffer as ArrayBuffer)
+    if (!output || output.byteLength !== input.byteLength) {
+      throw new GPUComputeError(`${adapter.name} failed to run the kernel`, shader.kernel.name)
+    }
+    return new Float32Array(output)
+  }
+
+  /**
+   * Random input in [0, 1)
+   * @private
+   */
+  private static createInput(elements: number): Float32Array {
+    const input = new Float32Array(elements)
+    for (let index = 0; index < elements; index++) input[index] = Math.random()
+    return input
+  }
+}
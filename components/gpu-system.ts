@@ -1,15 +1,20 @@
 /**
  * GPU System for Hyper Terminal
- * Provides unified interface for WebGPU, Metal, Vulkan, and OpenGL/WebGL
+ * Provides unified interface for WebGPU, Metal, Vulkan, and OpenGL/WebGL, with a CPU fallback
  */
 
 export interface GPUAdapter {
   name: string
-  type: "webgpu" | "metal" | "vulkan" | "webgl"
+  type: "webgpu" | "metal" | "vulkan" | "webgl" | "cpu"
   isAvailable(): Promise<boolean>
   initialize(): Promise<boolean>
   getInfo(): GPUInfo
-  createComputeShader(source: string): Promise<GPUComputeShader | null>
+  createComputeShader(kernel: ComputeKernel): Promise<GPUComputeShader | null>
+  /**
+   * Run a compiled kernel over every element of the data
+   * @param data Float32 elements
+   * @returns Float32 results, one per element, or null if the kernel could not run
+   */
   executeCompute(shader: GPUComputeShader, data: ArrayBuffer): Promise<ArrayBuffer | null>
   cleanup(): void
 }
@@ -24,10 +29,76 @@ export interface GPUInfo {
 
 export interface GPUComputeShader {
   id: string
+  /** Complete program the adapter compiled */
   source: string
   compiled: boolean
+  kernel: ComputeKernel
 }
 
+/**
+ * An element-wise float32 computation, written once per backend
+ * Every version maps an element's value and index to a result and must agree with `cpu`.
+ */
+export interface ComputeKernel {
+  name: string
+  /** WGSL function `fn compute(value: f32, index: u32) -> f32` */
+  wgsl: string
+  /** GLSL ES 3.00 function `float compute(float value, int index)` */
+  glsl: string
+  /** Reference implementation; results are rounded to float32 */
+  cpu: (value: number, index: number) => number
+  /** Floating-point operations per element, for throughput figures */
+  flopsPerElement: number
+}
+
+/** Threads per WebGPU workgroup; the kernel wrapper declares the same size */
+const WORKGROUP_SIZE = 64
+/** Elements the CPU adapter processes before yielding to the event loop */
+const CPU_CHUNK_SIZE = 262144
+
+/**
+ * Wrap a kernel function in a WGSL compute entry point
+ * Large inputs are dispatched as a 2D grid, so the index combines both dimensions.
+ */
+function wrapWgsl(kernel: ComputeKernel): string {
+  return `@group(0) @binding(0) var<storage, read> input: array<f32>;
+@group(0) @binding(1) var<storage, read_write> output: array<f32>;
+
+${kernel.wgsl}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3<u32>, @builtin(num_workgroups) groups: vec3<u32>) {
+  let index = id.x + id.y * groups.x * ${WORKGROUP_SIZE}u;
+  if (index >= arrayLength(&input)) {
+    return;
+  }
+  output[index] = compute(input[index], index);
+}
+`
+}
+
+/**
+ * Wrap a kernel function in a GLSL vertex shader whose output is captured by transform feedback
+ */
+function wrapGlsl(kernel: ComputeKernel): string {
+  return `#version 300 es
+in float value;
+out float result;
+
+${kernel.glsl}
+
+void main() {
+  result = compute(value, gl_VertexID);
+}
+`
+}
+
+/** Transform feedback needs a fragment shader even though rasterization is discarded */
+const GLSL_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+void main() {}
+`
+
 /**
  * WebGPU Adapter - Modern web standard for GPU acceleration
  */
@@ -35,16 +106,19 @@ export class WebGPUAdapter implements GPUAdapter {
   name = "WebGPU"
   type = "webgpu" as const
   private device: GPUDevice | null = null
-  private adapter: GPUAdapter | null = null
+  private adapter: globalThis.GPUAdapter | null = null
+  private pipelines: Map<string, GPUComputePipeline> = new Map()
 
   async isAvailable(): Promise<boolean> {
-    return "gpu" in navigator && navigator.gpu !== undefined
+    return typeof navigator !== "undefined" && "gpu" in navigator && navigator.gpu !== undefined
   }
 
   async initialize(): Promise<boolean> {
     try {
       if (!(await this.isAvailable())) return false
 
+      // Pipelines belong to the previous device
+      this.pipelines.clear()
       this.adapter = await navigator.gpu.requestAdapter()
       if (!this.adapter) return false
 
@@ -76,21 +150,31 @@ export class WebGPUAdapter implements GPUAdapter {
         maxComputeWorkgroupSizeX: this.device.limits.maxComputeWorkgroupSizeX,
         maxComputeWorkgroupSizeY: this.device.limits.maxComputeWorkgroupSizeY,
         maxComputeWorkgroupSizeZ: this.device.limits.maxComputeWorkgroupSizeZ,
+        maxComputeWorkgroupsPerDimension: this.device.limits.maxComputeWorkgroupsPerDimension,
         maxStorageBufferBindingSize: this.device.limits.maxStorageBufferBindingSize,
       },
     }
   }
 
-  async createComputeShader(source: string): Promise<GPUComputeShader | null> {
+  async createComputeShader(kernel: ComputeKernel): Promise<GPUComputeShader | null> {
     if (!this.device) return null
 
+    // Pipelines are kept per kernel, so running a kernel again does not compile it again
+    const id = `webgpu-${kernel.name}`
+    const source = wrapWgsl(kernel)
+    if (this.pipelines.has(id)) return { id, source, compiled: true, kernel }
     try {
-      const shaderModule = this.device.createShaderModule({ code: source })
-      return {
-        id: `webgpu-${Date.now()}`,
-        source,
-        compiled: true,
+      this.device.pushErrorScope("validation")
+      const module = this.device.createShaderModule({ code: source })
+      const pipeline = this.device.createComputePipeline({ layout: "auto", compute: { module, entryPoint: "main" } })
+      const error = await this.device.popErrorScope()
+      if (error) {
+        console.error("[v0] WebGPU shader compilation failed:", error.message)
+        return null
       }
+
+      this.pipelines.set(id, pipeline)
+      return { id, source, compiled: true, kernel }
     } catch (error) {
       console.error("[v0] WebGPU shader compilation failed:", error)
       return null
@@ -98,39 +182,49 @@ export class WebGPUAdapter implements GPUAdapter {
   }
 
   async executeCompute(shader: GPUComputeShader, data: ArrayBuffer): Promise<ArrayBuffer | null> {
-    if (!this.device || !shader.compiled) return null
+    const pipeline = this.pipelines.get(shader.id)
+    if (!this.device || !pipeline || !shader.compiled) return null
+    if (data.byteLength === 0) return new ArrayBuffer(0)
 
+    const device = this.device
+    const buffers: GPUBuffer[] = []
     try {
-      // Create buffers and execute compute shader
-      const inputBuffer = this.device.createBuffer({
+      const inputBuffer = device.createBuffer({
         size: data.byteLength,
         usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
       })
-
-      const outputBuffer = this.device.createBuffer({
+      const outputBuffer = device.createBuffer({
         size: data.byteLength,
         usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
       })
-
-      this.device.queue.writeBuffer(inputBuffer, 0, data)
-
-      // Execute compute pass
-      const commandEncoder = this.device.createCommandEncoder()
-      const computePass = commandEncoder.beginComputePass()
-      // Add compute shader execution logic here
-      computePass.end()
-
-      this.device.queue.submit([commandEncoder.finish()])
-
-      // Read back results
-      const readBuffer = this.device.createBuffer({
+      const readBuffer = device.createBuffer({
         size: data.byteLength,
         usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
       })
+      buffers.push(inputBuffer, outputBuffer, readBuffer)
+      device.queue.writeBuffer(inputBuffer, 0, data)
+
+      const bindGroup = device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [
+          { binding: 0, resource: { buffer: inputBuffer } },
+          { binding: 1, resource: { buffer: outputBuffer } },
+        ],
+      })
 
-      const copyEncoder = this.device.createCommandEncoder()
-      copyEncoder.copyBufferToBuffer(outputBuffer, 0, readBuffer, 0, data.byteLength)
-      this.device.queue.submit([copyEncoder.finish()])
+      // Spread the workgroups over a second dimension once they exceed the per-dimension limit
+      const workgroups = Math.ceil(data.byteLength / Float32Array.BYTES_PER_ELEMENT / WORKGROUP_SIZE)
+      const columns = Math.min(workgroups, device.limits.maxComputeWorkgroupsPerDimension)
+      const rows = Math.ceil(workgroups / columns)
+
+      const commandEncoder = device.createCommandEncoder()
+      const computePass = commandEncoder.beginComputePass()
+      computePass.setPipeline(pipeline)
+      computePass.setBindGroup(0, bindGroup)
+      computePass.dispatchWorkgroups(columns, rows)
+      computePass.end()
+      commandEncoder.copyBufferToBuffer(outputBuffer, 0, readBuffer, 0, data.byteLength)
+      device.queue.submit([commandEncoder.finish()])
 
       await readBuffer.mapAsync(GPUMapMode.READ)
       const result = readBuffer.getMappedRange().slice(0)
@@ -140,10 +234,21 @@ export class WebGPUAdapter implements GPUAdapter {
     } catch (error) {
       console.error("[v0] WebGPU compute execution failed:", error)
       return null
+    } finally {
+      buffers.forEach((buffer) => buffer.destroy())
     }
   }
 
+  /**
+   * Get the device, for drawing on a canvas with it
+   * @returns Device, or null before initialization
+   */
+  getDevice(): GPUDevice | null {
+    return this.device
+  }
+
   cleanup(): void {
+    this.pipelines.clear()
     this.device?.destroy()
     this.device = null
     this.adapter = null
@@ -152,14 +257,18 @@ export class WebGPUAdapter implements GPUAdapter {
 
 /**
  * WebGL Adapter - Widely supported GPU API for browsers
+ * WebGL has no compute shaders, so kernels run in a vertex shader whose outputs are captured with
+ * transform feedback.
  */
 export class WebGLAdapter implements GPUAdapter {
   name = "WebGL"
   type = "webgl" as const
   private gl: WebGL2RenderingContext | null = null
   private canvas: HTMLCanvasElement | null = null
+  private programs: Map<string, WebGLProgram> = new Map()
 
   async isAvailable(): Promise<boolean> {
+    if (typeof document === "undefined") return false
     try {
       const canvas = document.createElement("canvas")
       const gl = canvas.getContext("webgl2")
@@ -170,7 +279,9 @@ export class WebGLAdapter implements GPUAdapter {
   }
 
   async initialize(): Promise<boolean> {
+    if (typeof document === "undefined") return false
     try {
+      this.programs.clear()
       this.canvas = document.createElement("canvas")
       this.gl = this.canvas.getContext("webgl2")
       return this.gl !== null
@@ -200,33 +311,42 @@ export class WebGLAdapter implements GPUAdapter {
       extensions: this.gl.getSupportedExtensions() || [],
       limits: {
         maxTextureSize: this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE),
-        maxViewportDims: this.gl.getParameter(this.gl.MAX_VIEWPORT_DIMS),
         maxVertexAttribs: this.gl.getParameter(this.gl.MAX_VERTEX_ATTRIBS),
+        maxTransformFeedbackSeparateComponents: this.gl.getParameter(
+          this.gl.MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS,
+        ),
       },
     }
   }
 
-  async createComputeShader(source: string): Promise<GPUComputeShader | null> {
-    if (!this.gl) return null
+  async createComputeShader(kernel: ComputeKernel): Promise<GPUComputeShader | null> {
+    const gl = this.gl
+    if (!gl) return null
 
+    const id = `webgl-${kernel.name}`
+    const source = wrapGlsl(kernel)
+    if (this.programs.has(id)) return { id, source, compiled: true, kernel }
     try {
-      // WebGL doesn't have compute shaders, but we can simulate with fragment shaders
-      const shader = this.gl.createShader(this.gl.FRAGMENT_SHADER)
-      if (!shader) return null
-
-      this.gl.shaderSource(shader, source)
-      this.gl.compileShader(shader)
-
-      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-        console.error("[v0] WebGL shader compilation error:", this.gl.getShaderInfoLog(shader))
+      const vertexShader = this.compileShader(gl.VERTEX_SHADER, source)
+      const fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, GLSL_FRAGMENT_SHADER)
+      const program = gl.createProgram()
+      if (!vertexShader || !fragmentShader || !program) return null
+
+      gl.attachShader(program, vertexShader)
+      gl.attachShader(program, fragmentShader)
+      gl.transformFeedbackVaryings(program, ["result"], gl.SEPARATE_ATTRIBS)
+      gl.linkProgram(program)
+      gl.deleteShader(vertexShader)
+      gl.deleteShader(fragmentShader)
+
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error("[v0] WebGL program link error:", gl.getProgramInfoLog(program))
+        gl.deleteProgram(program)
         return null
       }
 
-      return {
-        id: `webgl-${Date.now()}`,
-        source,
-        compiled: true,
-      }
+      this.programs.set(id, program)
+      return { id, source, compiled: true, kernel }
     } catch (error) {
       console.error("[v0] WebGL shader creation failed:", error)
       return null
@@ -234,15 +354,107 @@ export class WebGLAdapter implements GPUAdapter {
   }
 
   async executeCompute(shader: GPUComputeShader, data: ArrayBuffer): Promise<ArrayBuffer | null> {
-    // WebGL compute simulation would go here
-    console.log("[v0] WebGL compute simulation not fully implemented")
-    return data
+    const gl = this.gl
+    const program = this.programs.get(shader.id)
+    if (!gl || !program || !shader.compiled) return null
+    if (data.byteLength === 0) return new ArrayBuffer(0)
+
+    const count = data.byteLength / Float32Array.BYTES_PER_ELEMENT
+    const vertexArray = gl.createVertexArray()
+    const inputBuffer = gl.createBuffer()
+    const outputBuffer = gl.createBuffer()
+    const feedback = gl.createTransformFeedback()
+    try {
+      gl.useProgram(program)
+      gl.bindVertexArray(vertexArray)
+      gl.bindBuffer(gl.ARRAY_BUFFER, inputBuffer)
+      gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW)
+      const location = gl.getAttribLocation(program, "value")
+      gl.enableVertexAttribArray(location)
+      gl.vertexAttribPointer(location, 1, gl.FLOAT, false, 0, 0)
+
+      gl.bindBuffer(gl.TRANSFORM_FEEDBACK_BUFFER, outputBuffer)
+      gl.bufferData(gl.TRANSFORM_FEEDBACK_BUFFER, data.byteLength, gl.STREAM_READ)
+      gl.bindBuffer(gl.TRANSFORM_FEEDBACK_BUFFER, null)
+
+      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, feedback)
+      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, outputBuffer)
+      gl.enable(gl.RASTERIZER_DISCARD)
+      gl.beginTransformFeedback(gl.POINTS)
+      gl.drawArrays(gl.POINTS, 0, count)
+      gl.endTransformFeedback()
+      gl.disable(gl.RASTERIZER_DISCARD)
+      gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null)
+      gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null)
+
+      await this.waitForGpu(gl)
+
+      const result = new Float32Array(count)
+      gl.bindBuffer(gl.TRANSFORM_FEEDBACK_BUFFER, outputBuffer)
+      gl.getBufferSubData(gl.TRANSFORM_FEEDBACK_BUFFER, 0, result)
+      gl.bindBuffer(gl.TRANSFORM_FEEDBACK_BUFFER, null)
+
+      const error = gl.getError()
+      if (error !== gl.NO_ERROR) {
+        console.error("[v0] WebGL compute execution failed with error", error)
+        return null
+      }
+      return result.buffer
+    } catch (error) {
+      console.error("[v0] WebGL compute execution failed:", error)
+      return null
+    } finally {
+      gl.bindVertexArray(null)
+      gl.bindBuffer(gl.ARRAY_BUFFER, null)
+      gl.deleteTransformFeedback(feedback)
+      gl.deleteBuffer(inputBuffer)
+      gl.deleteBuffer(outputBuffer)
+      gl.deleteVertexArray(vertexArray)
+    }
   }
 
   cleanup(): void {
+    this.programs.forEach((program) => this.gl?.deleteProgram(program))
+    this.programs.clear()
     this.gl = null
     this.canvas = null
   }
+
+  /**
+   * Compile one shader stage, logging the compiler output on failure
+   * @private
+   */
+  private compileShader(type: number, source: string): WebGLShader | null {
+    const gl = this.gl
+    const shader = gl?.createShader(type)
+    if (!gl || !shader) return null
+
+    gl.shaderSource(shader, source)
+    gl.compileShader(shader)
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      console.error("[v0] WebGL shader compilation error:", gl.getShaderInfoLog(shader))
+      gl.deleteShader(shader)
+      return null
+    }
+    return shader
+  }
+
+  /**
+   * Wait for submitted commands without blocking the page, so reading the results does not stall
+   * @private
+   */
+  private async waitForGpu(gl: WebGL2RenderingContext): Promise<void> {
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0)
+    if (!sync) return
+    gl.flush()
+    try {
+      while (gl.clientWaitSync(sync, 0, 0) === gl.TIMEOUT_EXPIRED) {
+        await new Promise((resolve) => setTimeout(resolve, 1))
+      }
+    } finally {
+      gl.deleteSync(sync)
+    }
+  }
 }
 
 /**
@@ -258,6 +470,7 @@ export class MetalAdapter implements GPUAdapter {
   }
 
   async isAvailable(): Promise<boolean> {
+    if (typeof navigator === "undefined") return false
     // Metal is available on macOS/iOS through WebGPU
     const isMac = navigator.platform.toLowerCase().includes("mac")
     const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent)
@@ -276,14 +489,18 @@ export class MetalAdapter implements GPUAdapter {
     }
   }
 
-  async createComputeShader(source: string): Promise<GPUComputeShader | null> {
-    return await this.webgpuAdapter.createComputeShader(source)
+  async createComputeShader(kernel: ComputeKernel): Promise<GPUComputeShader | null> {
+    return await this.webgpuAdapter.createComputeShader(kernel)
   }
 
   async executeCompute(shader: GPUComputeShader, data: ArrayBuffer): Promise<ArrayBuffer | null> {
     return await this.webgpuAdapter.executeCompute(shader, data)
   }
 
+  getDevice(): GPUDevice | null {
+    return this.webgpuAdapter.getDevice()
+  }
+
   cleanup(): void {
     this.webgpuAdapter.cleanup()
   }
@@ -318,19 +535,79 @@ export class VulkanAdapter implements GPUAdapter {
     }
   }
 
-  async createComputeShader(source: string): Promise<GPUComputeShader | null> {
-    return await this.webgpuAdapter.createComputeShader(source)
+  async createComputeShader(kernel: ComputeKernel): Promise<GPUComputeShader | null> {
+    return await this.webgpuAdapter.createComputeShader(kernel)
   }
 
   async executeCompute(shader: GPUComputeShader, data: ArrayBuffer): Promise<ArrayBuffer | null> {
     return await this.webgpuAdapter.executeCompute(shader, data)
   }
 
+  getDevice(): GPUDevice | null {
+    return this.webgpuAdapter.getDevice()
+  }
+
   cleanup(): void {
     this.webgpuAdapter.cleanup()
   }
 }
 
+/**
+ * CPU Adapter - Runs kernels' reference implementations in JavaScript
+ * Always available, so compute commands work without a GPU and in headless environments.
+ */
+export class CPUAdapter implements GPUAdapter {
+  name = "CPU"
+  type = "cpu" as const
+  private initialized = false
+
+  async isAvailable(): Promise<boolean> {
+    return true
+  }
+
+  async initialize(): Promise<boolean> {
+    this.initialized = true
+    return true
+  }
+
+  getInfo(): GPUInfo {
+    const cores = typeof navigator !== "undefined" ? navigator.hardwareConcurrency : undefined
+    return {
+      vendor: "JavaScript",
+      renderer: this.initialized ? `CPU${cores ? ` (${cores} logical cores, 1 used)` : ""}` : "CPU (Not initialized)",
+      version: "1.0",
+      extensions: [],
+      limits: { chunkSize: CPU_CHUNK_SIZE },
+    }
+  }
+
+  async createComputeShader(kernel: ComputeKernel): Promise<GPUComputeShader | null> {
+    if (!this.initialized) return null
+    return { id: `cpu-${kernel.name}`, source: kernel.cpu.toString(), compiled: true, kernel }
+  }
+
+  async executeCompute(shader: GPUComputeShader, data: ArrayBuffer): Promise<ArrayBuffer | null> {
+    if (!this.initialized || !shader.compiled) return null
+
+    const input = new Float32Array(data)
+    const output = new Float32Array(input.length)
+    const compute = shader.kernel.cpu
+    for (let start = 0; start < input.length; start += CPU_CHUNK_SIZE) {
+      // Yield between chunks so large inputs do not freeze the page
+      if (start > 0) await new Promise((resolve) => setTimeout(resolve, 0))
+      const end = Math.min(start + CPU_CHUNK_SIZE, input.length)
+      for (let index = start; index < end; index++) {
+        output[index] = compute(input[index], index)
+      }
+    }
+    return output.buffer
+  }
+
+  cleanup(): void {
+    this.initialized = false
+  }
+}
+
 /**
  * GPU Manager - Manages multiple GPU adapters and provides unified interface
  */
@@ -347,6 +624,7 @@ export class GPUManager {
     this.adapters.set("webgl", new WebGLAdapter())
     this.adapters.set("metal", new MetalAdapter())
     this.adapters.set("vulkan", new VulkanAdapter())
+    this.adapters.set("cpu", new CPUAdapter())
   }
 
   async getAvailableAdapters(): Promise<GPUAdapter[]> {
@@ -364,12 +642,13 @@ export class GPUManager {
   async initializeBestAdapter(): Promise<GPUAdapter | null> {
     const available = await this.getAvailableAdapters()
 
-    // Priority order: WebGPU > Metal > Vulkan > WebGL
-    const priority = ["webgpu", "metal", "vulkan", "webgl"]
+    // Priority order: WebGPU > Metal > Vulkan > WebGL > CPU
+    const priority = ["webgpu", "metal", "vulkan", "webgl", "cpu"]
 
     for (const type of priority) {
       const adapter = available.find((a) => a.type === type)
       if (adapter && (await adapter.initialize())) {
+        if (this.activeAdapter && this.activeAdapter !== adapter) this.activeAdapter.cleanup()
         this.activeAdapter = adapter
         return adapter
       }
@@ -382,6 +661,26 @@ export class GPUManager {
     return this.activeAdapter
   }
 
+  /**
+   * Get the active adapter, initializing the best available one if there is none yet
+   * @returns Ready adapter; the CPU adapter when no GPU works
+   */
+  async ensureAdapter(): Promise<GPUAdapter | null> {
+    return this.activeAdapter ?? (await this.initializeBestAdapter())
+  }
+
+  /**
+   * Get the WebGPU device behind the active adapter
+   * @returns Device, or null if the active adapter does not run on WebGPU
+   */
+  getDevice(): GPUDevice | null {
+    const adapter = this.activeAdapter
+    if (adapter instanceof WebGPUAdapter || adapter instanceof MetalAdapter || adapter instanceof VulkanAdapter) {
+      return adapter.getDevice()
+    }
+    return null
+  }
+
   async switchAdapter(type: string): Promise<boolean> {
     const adapter = this.adapters.get(type)
     if (!adapter || !(await adapter.isAvailable())) {
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Job control for the virtual shell: background jobs, stopping and resuming
+ * @version 1.0.0
+ */
+
+/**
+ * Lifecycle of a job
+ */
+export type JobState = "running" | "stopped" | "done"
+
+/**
+ * Signals that `kill` understands, by name, with their Linux numbers
+ */
+export const SIGNALS: { [name: string]: number } = {
+  HUP: 1,
+  INT: 2,
+  KILL: 9,
+  TERM: 15,
+  CONT: 18,
+  STOP: 19,
+  TSTP: 20,
+}
+
+/** How a terminated job is reported, as bash does */
+const SIGNAL_DESCRIPTIONS: { [name: string]: string } = {
+  HUP: "Hangup",
+  INT: "Interrupt",
+  KILL: "Killed",
+  TERM: "Terminated",
+}
+
+/**
+ * Raised inside a job when it is terminated by a signal
+ */
+export class JobTerminatedError extends Error {
+  constructor(public readonly signal: string) {
+    super(SIGNAL_DESCRIPTIONS[signal] ?? signal)
+    this.name = "JobTerminatedError"
+  }
+}
+
+/**
+ * A command list running in the background or in the foreground of a tab
+ * Stopping is cooperative: the job pauses at the next command boundary (see checkpoint()).
+ */
+export class Job {
+  /** Job number shown as `[n]`; 0 until the job enters the job table */
+  id = 0
+  state: JobState = "running"
+  /** Exit status of the last command; final once the job is done */
+  status = 0
+  /** Name of the signal that terminated the job, if any */
+  termination: string | null = null
+  /** Whether the job runs in the background; its output is then marked with the job number */
+  background: boolean
+  /** Settles once the job is done */
+  done: Promise<void> = Promise.resolve()
+
+  private readonly controller = new AbortController()
+  private resumeListeners: (() => void)[] = []
+  private stopListeners: (() => void)[] = []
+
+  /**
+   * @param pid Process id reported by `jobs -l` and `$!`
+   * @param command Command text shown by `jobs`
+   * @param background Whether the job starts in the background
+   */
+  constructor(
+    readonly pid: number,
+    readonly command: string,
+    background: boolean,
+  ) {
+    this.background = background
+  }
+
+  /**
+   * Signal aborted when the job is terminated
+   * @returns Abort signal of the job
+   */
+  get signal(): AbortSignal {
+    return this.controller.signal
+  }
+
+  /**
+   * Pause the job at its next command boundary
+   */
+  stop(): void {
+    if (this.state !== "running") return
+    this.state = "stopped"
+    this.stopListeners.forEach((listener) => listener())
+  }
+
+  /**
+   * Let a stopped job continue
+   */
+  resume(): void {
+    if (this.state !== "stopped") return
+    this.state = "running"
+    const listeners = this.resumeListeners
+    this.resumeListeners = []
+    listeners.forEach((listener) => listener())
+  }
+
+  /**
+   * Terminate the job
+   * @param signal Signal name, such as "TERM" or "KILL"
+   */
+  terminate(signal: string): void {
+    if (this.state === "done") return
+    this.termination = signal
+    this.controller.abort(new JobTerminatedError(signal))
+    // A stopped job has to wake up to notice it was aborted
+    this.resume()
+  }
+
+  /**
+   * Wait until the job is allowed to run
+   * @returns Resolves immediately unless the job is stopped
+   */
+  async checkpoint(): Promise<void> {
+    while (this.state === "stopped") {
+      await new Promise<void>((resolve) => this.resumeListeners.push(resolve))
+    }
+  }
+
+  /**
+   * Call a listener the next time the job is stopped
+   * @param listener Callback
+   * @returns Function that removes the listener
+   */
+  onStop(listener: () => void): () => void {
+    this.stopListeners.push(listener)
+    return () => {
+      this.stopListeners = this.stopListeners.filter((other) => other !== listener)
+    }
+  }
+
+  /**
+   * Describe the job's state the way `jobs` does
+   * @returns "Running", "Stopped", "Done", "Exit 1", "Terminated", ...
+   */
+  describeState(): string {
+    if (this.state === "running") return "Running"
+    if (this.state === "stopped") return "Stopped"
+    if (this.termination) return SIGNAL_DESCRIPTIONS[this.termination] ?? this.termination
+    return this.status === 0 ? "Done" : `Exit ${this.status}`
+  }
+}
+
+/**
+ * Jobs of one shell, numbered like bash: `%1`, `%2`, ... with `%+` the current and `%-` the previous job
+ */
+export class JobTable {
+  private static readonly FIRST_PID = 1000
+
+  private jobs: Job[] = []
+  private nextPid = JobTable.FIRST_PID
+  /** Jobs in the order they were last started, stopped or resumed; the last one is current */
+  private recent: Job[] = []
+  private foregroundJob: Job | null = null
+  private lastBackgroundPid: number | null = null
+
+  /**
+   * Start running a job
+   * @param command Command text shown by `jobs`
+   * @param background Whether the job starts in the background
+   * @param run Runs the job's commands; resolves when they are finished
+   * @param onDone Called when the job is done, before it leaves the table
+   * @returns Started job
+   */
+  start(command: string, background: boolean, run: (job: Job) => Promise<void>, onDone?: (job: Job) => void): Job {
+    const job = new Job(this.nextPid++, command, background)
+    if (background) {
+      this.add(job)
+      this.lastBackgroundPid = job.pid
+    }
+
+    job.done = run(job)
+      .catch((error) => {
+        if (!(error instanceof JobTerminatedError)) {
+          console.error("[v0] Job failed:", error)
+          job.status = 1
+        }
+      })
+      .finally(() => {
+        job.state = "done"
+        if (job.termination) {
+          job.status = 128 + (SIGNALS[job.termination] ?? 0)
+        }
+        onDone?.(job)
+        this.remove(job)
+      })
+    return job
+  }
+
+  /**
+   * Get the jobs listed by `jobs`
+   * @returns Background and stopped jobs, by job number
+   */
+  list(): Job[] {
+    return [...this.jobs]
+  }
+
+  /**
+   * Resolve a job spec
+   * @param spec `%n`, `%%`, `%+`, `%-`, `%prefix`, `%?text`, or a process id
+   * @returns Matching job, or undefined if there is none or the spec is ambiguous
+   */
+  find(spec: string): Job | undefined {
+    if (/^[0-9]+$/.test(spec)) {
+      return this.jobs.find((job) => job.pid === Number.parseInt(spec, 10))
+    }
+    if (!spec.startsWith("%")) return undefined
+
+    const reference = spec.slice(1)
+    if (reference === "" || reference === "%" || reference === "+") return this.current()
+    if (reference === "-") return this.previous()
+    if (/^[0-9]+$/.test(reference)) {
+      return this.jobs.find((job) => job.id === Number.parseInt(reference, 10))
+    }
+
+    const matches = reference.startsWith("?")
+      ? this.jobs.filter((job) => job.command.includes(reference.slice(1)))
+      : this.jobs.filter((job) => job.command.startsWith(reference))
+    return matches.length === 1 ? matches[0] : undefined
+  }
+
+  /**
+   * Get the current job (`%+`)
+   * @returns Most recently started, stopped or resumed job
+   */
+  current(): Job | undefined {
+    return this.recent[this.recent.length - 1]
+  }
+
+  /**
+   * Get the previous job (`%-`)
+   * @returns Job that was current before the current one
+   */
+  previous(): Job | undefined {
+    return this.recent[this.recent.length - 2]
+  }
+
+  /**
+   * Process id of the most recent background job (`$!`)
+   * @returns Process id, or null if no job was started in the background
+   */
+  getLastBackgroundPid(): number | null {
+    return this.lastBackgroundPid
+  }
+
+  /**
+   * Run a job in the foreground until it finishes or is stopped
+   * @param job Job to wait for
+   * @param signal Aborting it interrupts the job (Ctrl+C)
+   * @returns Whether the job finished or was stopped
+   */
+  async foreground(job: Job, signal?: AbortSignal): Promise<"done" | "stopped"> {
+    job.background = false
+    this.foregroundJob = job
+    const interrupt = () => job.terminate("INT")
+    signal?.addEventListener("abort", interrupt, { once: true })
+    if (signal?.aborted) interrupt()
+
+    let removeStopListener = () => {}
+    try {
+      return await Promise.race([
+        job.done.then(() => "done" as const),
+        new Promise<"stopped">((resolve) => {
+          removeStopListener = job.onStop(() => resolve("stopped"))
+        }),
+      ])
+    } finally {
+      removeStopListener()
+      signal?.removeEventListener("abort", interrupt)
+      if (this.foregroundJob === job) this.foregroundJob = null
+    }
+  }
+
+  /**
+   * Stop the foreground job and move it to the background (Ctrl+Z)
+   * @returns True if a job was running in the foreground
+   */
+  stopForeground(): boolean {
+    const job = this.foregroundJob
+    if (!job || job.state !== "running") return false
+    this.suspend(job)
+    return true
+  }
+
+  /**
+   * Stop a job
+   * @param job Job to stop
+   */
+  suspend(job: Job): void {
+    job.background = true
+    this.add(job)
+    this.touch(job)
+    job.stop()
+  }
+
+  /**
+   * Let a stopped job continue in the background
+   * @param job Job to resume
+   */
+  continueInBackground(job: Job): void {
+    job.background = true
+    this.touch(job)
+    job.resume()
+  }
+
+  /**
+   * Format a job the way `jobs` lists it
+   * @param job Job to format
+   * @param showPid Whether to include the process id (`jobs -l`)
+   * @returns Line such as "[1]+  Running                 sleep 10 &"
+   */
+  format(job: Job, showPid = false): string {
+    const mark = job === this.current() ? "+" : job === this.previous() ? "-" : " "
+    const pid = showPid ? `${job.pid} ` : ""
+    const suffix = job.state === "running" ? " &" : ""
+    return `[${job.id}]${mark}  ${pid}${job.describeState().padEnd(24)}${job.command}${suffix}`
+  }
+
+  /**
+   * Give a job a number and list it
+   * @private
+   */
+  private add(job: Job): void {
+    if (this.jobs.includes(job)) return
+    job.id = this.jobs.reduce((max, other) => Math.max(max, other.id), 0) + 1
+    this.jobs.push(job)
+    this.touch(job)
+  }
+
+  /**
+   * Make a job the current one
+   * @private
+   */
+  private touch(job: Job): void {
+    this.recent = [...this.recent.filter((other) => other !== job), job]
+  }
+
+  /**
+   * Drop a finished job
+   * @private
+   */
+  private remove(job: Job): void {
+    this.jobs = this.jobs.filter((other) => other !== job)
+    this.recent = this.recent.filter((other) => other !== job)
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Split-pane layouts of terminal tabs
+ * Each tab is a tree of panes. Splitting a pane in its parent's direction adds a sibling next to it;
+ * splitting the other way nests a new split, the same rules the desktop app's term groups follow.
+ * @version 1.0.0
+ */
+
+import { v4 as uuidv4 } from "uuid"
+
+/**
+ * "horizontal" stacks panes top to bottom (the divider is horizontal), "vertical" places them side by side
+ */
+export type SplitDirection = "horizontal" | "vertical"
+
+/**
+ * A pane showing one terminal session
+ */
+export interface PaneLeaf {
+  type: "pane"
+  /** Id of the session (TerminalTab) shown in the pane */
+  id: string
+}
+
+/**
+ * Panes divided in one direction
+ */
+export interface PaneSplit {
+  type: "split"
+  id: string
+  direction: SplitDirection
+  children: PaneNode[]
+  /** Share of the space each child gets; adds up to 1 */
+  sizes: number[]
+}
+
+export type PaneNode = PaneLeaf | PaneSplit
+
+/**
+ * A tab in the tab bar
+ */
+export interface TabLayout {
+  id: string
+  root: PaneNode
+  /** Session id of the pane that last had focus */
+  activePane: string
+}
+
+/** Smallest share of a split a pane can be resized to */
+export const MIN_PANE_SIZE = 0.05
+
+export class PaneLayout {
+  /**
+   * Create a tab with a single pane
+   * @param paneId Session shown in the pane
+   * @returns New layout with a fresh id
+   */
+  static create(paneId: string): TabLayout {
+    return { id: uuidv4(), root: { type: "pane", id: paneId }, activePane: paneId }
+  }
+
+  /**
+   * List the sessions of a layout tree
+   * @param node Root of the tree
+   * @returns Session ids in reading order (left to right, top to bottom)
+   */
+  static getPaneIds(node: PaneNode): string[] {
+    return node.type === "pane" ? [node.id] : node.children.flatMap((child) => this.getPaneIds(child))
+  }
+
+  /**
+   * Whether a tree shows a session
+   * @param node Root of the tree
+   * @param paneId Session id
+   */
+  static contains(node: PaneNode, paneId: string): boolean {
+    return node.type === "pane" ? node.id === paneId : node.children.some((child) => this.contains(child, paneId))
+  }
+
+  /**
+   * Split a pane, placing a new pane after it
+   * @param node Root of the tree
+   * @param paneId Session of the pane to split
+   * @param direction Direction to split in
+   * @param newPaneId Session shown in the new pane
+   * @returns New tree; the input is not modified
+   */
+  static split(node: PaneNode, paneId: string, direction: SplitDirection, newPaneId: string): PaneNode {
+    const leaf: PaneLeaf = { type: "pane", id: newPaneId }
+    if (node.type === "pane") {
+      if (node.id !== paneId) return node
+      return { type: "split", id: uuidv4(), direction, children: [node, leaf], sizes: [0.5, 0.5] }
+    }
+
+    const index = node.children.findIndex((child) => child.type === "pane" && child.id === paneId)
+    if (index !== -1 && node.direction === direction) {
+      // The new pane takes an equal share, taken from its siblings in proportion to their size
+      const share = 1 / (node.children.length + 1)
+      const sizes = node.sizes.map((size) => size - share * size)
+      sizes.splice(index + 1, 0, share)
+      const children = [...node.children]
+      children.splice(index + 1, 0, leaf)
+      return { ...node, children, sizes }
+    }
+    return { ...node, children: node.children.map((child) => this.split(child, paneId, direction, newPaneId)) }
+  }
+
+  /**
+   * Remove a pane; its space goes to its siblings, and a split left with one child is replaced by it
+   * @param node Root of the tree
+   * @param paneId Session of the pane to remove
+   * @returns New tree, or null if the removed pane was the last one
+   */
+  static remove(node: PaneNode, paneId: string): PaneNode | null {
+    if (node.type === "pane") return node.id === paneId ? null : node
+
+    const index = node.children.findIndex((child) => this.contains(child, paneId))
+    if (index === -1) return node
+    const replacement = this.remove(node.children[index], paneId)
+    if (replacement) {
+      return { ...node, children: node.children.map((child, i) => (i === index ? replacement : child)) }
+    }
+
+    const children = node.children.filter((_, i) => i !== index)
+    if (children.length === 1) return children[0]
+    const increase = node.sizes[index] / children.length
+    const sizes = node.sizes.filter((_, i) => i !== index).map((size) => size + increase)
+    return { ...node, children, sizes }
+  }
+
+  /**
+   * Change the shares of a split's children
+   * @param node Root of the tree
+   * @param splitId Split to resize
+   * @param sizes New shares; they are scaled to add up to 1, keeping each near or above a minimum
+   * @returns New tree
+   */
+  static resize(node: PaneNode, splitId: string, sizes: number[]): PaneNode {
+    if (node.type === "pane") return node
+    if (node.id !== splitId) {
+      return { ...node, children: node.children.map((child) => this.resize(child, splitId, sizes)) }
+    }
+    if (sizes.length !== node.children.length) return node
+    const total = sizes.reduce((sum, size) => sum + size, 0)
+    const clamped = sizes.map((size) => Math.max(size / total, MIN_PANE_SIZE))
+    const clampedTotal = clamped.reduce((sum, size) => sum + size, 0)
+    return { ...node, sizes: clamped.map((size) => size / clampedTotal) }
+  }
+
+  /**
+   * Check that a value is a well-formed layout tree, e.g. one read back from storage
+   * @param value Value to check
+   * @returns True if it is a PaneNode
+   */
+  static isNode(value: unknown): value is PaneNode {
+    if (typeof value !== "object" || value === null) return false
+    const node = value as Omit<Partial<PaneSplit>, "type" | "id"> & { type?: unknown; id?: unknown }
+    if (typeof node.id !== "string") return false
+    if (node.type === "pane") return true
+    return (
+      node.type === "split" &&
+      (node.direction === "horizontal" || node.direction === "vertical") &&
+      Array.isArray(node.children) &&
+      node.children.length >= 2 &&
+      node.children.every((child) => this.isNode(child)) &&
+      Array.isArray(node.sizes) &&
+      node.sizes.length === node.children.length &&
+      node.sizes.every((size) => typeof size === "number" && size > 0)
+    )
+  }
+}
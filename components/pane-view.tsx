@@ -0,0 +1,99 @@
+"use client"
+
+/**
+ * Pane View Component
+ * Lays out a tab's tree of split panes, with dividers that can be dragged to resize them
+ */
+
+import type React from "react"
+import { Fragment, useRef } from "react"
+import { MIN_PANE_SIZE, type PaneNode, type PaneSplit } from "./pane-layout"
+
+/** Share of a split moved by one arrow key press on a divider */
+const KEYBOARD_STEP = 0.05
+
+interface PaneViewProps {
+  node: PaneNode
+  /** Draws the session shown in a pane */
+  renderPane: (paneId: string) => React.ReactNode
+  /** Receives the new sizes of a split when a divider is moved */
+  onResize: (splitId: string, sizes: number[]) => void
+}
+
+export function PaneView({ node, renderPane, onResize }: PaneViewProps) {
+  if (node.type === "pane") return <>{renderPane(node.id)}</>
+  return <SplitView split={node} renderPane={renderPane} onResize={onResize} />
+}
+
+function SplitView({
+  split,
+  renderPane,
+  onResize,
+}: Omit<PaneViewProps, "node"> & {
+  split: PaneSplit
+}) {
+  const containerRef = useRef<HTMLDivElement>(null)
+  /** Pointer position and sizes when a divider drag started */
+  const drag = useRef<{ position: number; sizes: number[] } | null>(null)
+  const sideBySide = split.direction === "vertical"
+
+  /**
+   * Move the divider before child `index` by a share of the split, keeping both neighbours above the minimum
+   */
+  const moveDivider = (sizes: number[], index: number, delta: number) => {
+    const clamped = Math.min(Math.max(delta, MIN_PANE_SIZE - sizes[index - 1]), sizes[index] - MIN_PANE_SIZE)
+    const next = [...sizes]
+    next[index - 1] += clamped
+    next[index] -= clamped
+    onResize(split.id, next)
+  }
+
+  const handlePointerDown = (e: React.PointerEvent<HTMLDivElement>) => {
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    drag.current = { position: sideBySide ? e.clientX : e.clientY, sizes: split.sizes }
+  }
+
+  const handlePointerMove = (e: React.PointerEvent<HTMLDivElement>, index: number) => {
+    const container = containerRef.current
+    if (!drag.current || !container) return
+    const length = sideBySide ? container.clientWidth : container.clientHeight
+    const position = sideBySide ? e.clientX : e.clientY
+    if (length > 0) moveDivider(drag.current.sizes, index, (position - drag.current.position) / length)
+  }
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLDivElement>, index: number) => {
+    const [back, forward] = sideBySide ? ["ArrowLeft", "ArrowRight"] : ["ArrowUp", "ArrowDown"]
+    if (e.key !== back && e.key !== forward) return
+    e.preventDefault()
+    moveDivider(split.sizes, index, e.key === forward ? KEYBOARD_STEP : -KEYBOARD_STEP)
+  }
+
+  return (
+    <div ref={containerRef} className={`flex h-full w-full min-h-0 min-w-0 ${sideBySide ? "flex-row" : "flex-col"}`}>
+      {split.children.map((child, index) => (
+        <Fragment key={child.id}>
+          {index > 0 && (
+            <div
+              role="separator"
+              aria-orientation={sideBySide ? "vertical" : "horizontal"}
+              aria-valuenow={Math.round(split.sizes[index - 1] * 100)}
+              tabIndex={0}
+              className={`shrink-0 bg-border hover:bg-primary/50 focus-visible:bg-primary/50 focus-visible:outline-none transition-colors ${
+                sideBySide ? "w-1 cursor-col-resize" : "h-1 cursor-row-resize"
+              }`}
+              onPointerDown={handlePointerDown}
+              onPointerMove={(e) => handlePointerMove(e, index)}
+              onPointerUp={() => (drag.current = null)}
+              onPointerCancel={() => (drag.current = null)}
+              onKeyDown={(e) => handleKeyDown(e, index)}
+            />
+          )}
+          <div className="min-h-0 min-w-0 overflow-hidden" style={{ flex: `${split.sizes[index]} 1 0` }}>
+            <PaneView node={child} renderPane={renderPane} onResize={onResize} />
+          </div>
+        </Fragment>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Text form of PowerShell pipeline objects, as Format-Table and Format-List print them
+ * @version 1.0.0
+ */
+
+/** Property values of one object */
+type Item = Record<string, string | number>
+
+export class PowerShellFormat {
+  /**
+   * Lay objects out as a table with a dashed header underline
+   * Columns are as wide as their widest value; numeric columns are right-aligned.
+   * @param items Objects to show
+   * @param columns Properties to show, one column each
+   * @returns Lines framed by blank lines, or none if there are no objects
+   */
+  static table(items: Item[], columns: string[]): string[] {
+    if (items.length === 0 || columns.length === 0) return []
+
+    const cells = items.map((item) => columns.map((column) => this.toText(item[column])))
+    const numeric = columns.map((column) => items.some((item) => typeof item[column] === "number"))
+    const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((row) => row[index].length)))
+    const row = (values: string[]) =>
+      values
+        .map((value, index) => (numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index])))
+        .join(" ")
+        .trimEnd()
+
+    return ["", row(columns), row(columns.map((column) => "-".repeat(column.length))), ...cells.map(row), ""]
+  }
+
+  /**
+   * List each object's properties as `Name : value` lines
+   * @param items Objects to show
+   * @param properties Properties to show
+   * @returns Lines, with a blank line before each object and after the last
+   */
+  static list(items: Item[], properties: string[]): string[] {
+    if (items.length === 0) return []
+
+    const width = Math.max(...properties.map((property) => property.length))
+    return [
+      ...items.flatMap((item) => [
+        "",
+        ...properties.map((property) => `${property.padEnd(width)} : ${this.toText(item[property])}`.trimEnd()),
+      ]),
+      "",
+    ]
+  }
+
+  /**
+   * Format a date the way PowerShell shows LastWriteTime in the en-US culture, e.g. "10/19/2026  9:41 AM"
+   * @param date Date to format
+   * @returns Date and time columns
+   */
+  static dateTime(date: Date): string {
+    const hours = date.getHours() % 12 || 12
+    const minutes = date.getMinutes().toString().padStart(2, "0")
+    const day = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`
+    return `${day.padStart(10)} ${`${hours}:${minutes}`.padStart(5)} ${date.getHours() < 12 ? "AM" : "PM"}`
+  }
+
+  /**
+   * @private
+   */
+  private static toText(value: string | number | undefined): string {
+    return value === undefined ? "" : String(value)
+  }
+}
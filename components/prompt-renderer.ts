@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Prompt rendering for each shell dialect
+ * Expands bash PS1 escapes and zsh prompt sequences; fish's fish_prompt and PowerShell's prompt are shell functions
+ * that CommandProcessor runs. Colors come out as ANSI escape sequences, for VT100Processor to draw.
+ * @version 1.0.0
+ */
+
+/**
+ * What a prompt can show
+ */
+export interface PromptContext {
+  user: string
+  /** Full host name; `\h` and `%m` show it up to the first dot */
+  hostname: string
+  /** Absolute path of the working directory */
+  cwd: string
+  home: string
+  /** Exit status of the last command */
+  exitStatus: number
+  /** Number of jobs in the job table */
+  jobCount: number
+  /** Number the next history entry gets */
+  historyNumber: number
+  now: Date
+}
+
+/** Basic color names, in SGR order */
+const COLOR_NAMES = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"]
+const BASH_VERSION = "5.2.21"
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+export class PromptRenderer {
+  /**
+   * Expand a bash prompt string (PS1)
+   * `\[` and `\]` only mark non-printing text for readline, so they are dropped.
+   * @param template Prompt string with backslash escapes
+   * @param context What the prompt shows
+   * @returns Prompt text, possibly with ANSI escape sequences
+   */
+  static renderBash(template: string, context: PromptContext): string {
+    const pad = (value: number) => value.toString().padStart(2, "0")
+    const { now } = context
+    const hours12 = pad(now.getHours() % 12 || 12)
+    const expansions: { [key: string]: () => string } = {
+      a: () => "\x07",
+      d: () => `${DAYS[now.getDay()]} ${MONTHS[now.getMonth()]} ${pad(now.getDate())}`,
+      e: () => "\x1b",
+      h: () => context.hostname.split(".")[0],
+      H: () => context.hostname,
+      j: () => String(context.jobCount),
+      n: () => "\n",
+      r: () => "\r",
+      s: () => "bash",
+      t: () => `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`,
+      T: () => `${hours12}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`,
+      "@": () => `${hours12}:${pad(now.getMinutes())} ${now.getHours() < 12 ? "AM" : "PM"}`,
+      A: () => `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+      u: () => context.user,
+      v: () => BASH_VERSION.split(".").slice(0, 2).join("."),
+      V: () => BASH_VERSION,
+      w: () => this.abbreviateHome(context.cwd, context.home),
+      W: () => this.basename(context.cwd, context.home),
+      "!": () => String(context.historyNumber),
+      "#": () => String(context.historyNumber),
+      $: () => (context.user === "root" ? "#" : "$"),
+      "\\": () => "\\",
+      "[": () => "",
+      "]": () => "",
+    }
+
+    return template.replace(/\\([0-7]{3}|.)/g, (match, escape: string) => {
+      if (/^[0-7]{3}$/.test(escape)) return String.fromCharCode(parseInt(escape, 8))
+      return expansions[escape]?.() ?? match
+    })
+  }
+
+  /**
+   * Expand a zsh prompt string (PROMPT or PS1)
+   * Supports the common `%` sequences, `%F{color}`/`%K{color}` colors, `%{...%}` literal escapes and
+   * `%(?.ok.failed)`-style conditionals on `?`, `#` and `j`.
+   * @param template Prompt string with `%` sequences
+   * @param context What the prompt shows
+   * @returns Prompt text, possibly with ANSI escape sequences
+   */
+  static renderZsh(template: string, context: PromptContext): string {
+    return this.expandZsh(template, 0, null, context).text
+  }
+
+  /**
+   * SGR sequence for a color given by name, palette index or hex value
+   * @param color Color such as "red", "brblue", "208", "#ff8800" or "ff8800"
+   * @param background Set the background instead of the foreground
+   * @returns Escape sequence, or "" for an unknown color
+   */
+  static colorSequence(color: string, background = false): string {
+    const offset = background ? 10 : 0
+    const name = color.toLowerCase()
+    const basic = COLOR_NAMES.indexOf(name.replace(/^br(ight)?/, ""))
+    if (name === "default" || name === "normal") return `\x1b[${39 + offset}m`
+    if (basic !== -1) return `\x1b[${(name.startsWith("br") ? 90 : 30) + basic + offset}m`
+
+    if (/^\d{1,3}$/.test(name) && Number(name) < 256) {
+      const index = Number(name)
+      if (index < 8) return `\x1b[${30 + index + offset}m`
+      if (index < 16) return `\x1b[${82 + index + offset}m`
+      return `\x1b[${38 + offset};5;${index}m`
+    }
+
+    const hex = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/.exec(name)?.[1]
+    if (!hex) return ""
+    const full = hex.length === 3 ? [...hex].map((digit) => digit + digit).join("") : hex
+    const [r, g, b] = [0, 2, 4].map((start) => parseInt(full.slice(start, start + 2), 16))
+    return `\x1b[${38 + offset};2;${r};${g};${b}m`
+  }
+
+  /**
+   * Replace a leading home directory with "~"
+   * @param path Absolute path
+   * @param home Home directory
+   * @returns Path as prompts show it, e.g. "~/projects"
+   */
+  static abbreviateHome(path: string, home: string): string {
+    if (path === home) return "~"
+    return home !== "/" && path.startsWith(`${home}/`) ? `~${path.slice(home.length)}` : path
+  }
+
+  /**
+   * Last component of a path, "~" for the home directory
+   * @private
+   */
+  private static basename(path: string, home: string): string {
+    if (path === home) return "~"
+    return path === "/" ? "/" : path.slice(path.lastIndexOf("/") + 1)
+  }
+
+  /**
+   * Expand zsh prompt sequences from an index until a stop character at the same nesting level
+   * @returns Expanded text and the index of the stop character (or the end)
+   * @private
+   */
+  private static expandZsh(
+    template: string,
+    start: number,
+    stop: string | null,
+    context: PromptContext,
+  ): { text: string; end: number } {
+    const pad = (value: number) => value.toString().padStart(2, "0")
+    const { now } = context
+    const root = context.user === "root"
+    let text = ""
+    let index = start
+
+    while (index < template.length && template[index] !== stop) {
+      const char = template[index++]
+      if (char !== "%") {
+        text += char
+        continue
+      }
+
+      const count = /^-?\d+/.exec(template.slice(index))?.[0]
+      if (count) index += count.length
+      const code = template[index++]
+      const argument = () => {
+        if (template[index] !== "{") return null
+        const close = template.indexOf("}", index)
+        if (close === -1) return null
+        const value = template.slice(index + 1, close)
+        index = close + 1
+        return value
+      }
+      const trailing = (path: string) => {
+        const n = count ? Number(count) : 0
+        if (n <= 0) return path
+        const parts = path.split("/").filter(Boolean)
+        return parts.length <= n ? path : parts.slice(-n).join("/")
+      }
+
+      switch (code) {
+        case "%":
+        case ")":
+          text += code
+          break
+        case "n":
+          text += context.user
+          break
+        case "m":
+          text += context.hostname
+            .split(".")
+            .slice(0, count ? Number(count) : 1)
+            .join(".")
+          break
+        case "M":
+          text += context.hostname
+          break
+        case "~":
+          text += trailing(this.abbreviateHome(context.cwd, context.home))
+          break
+        case "d":
+        case "/":
+          text += trailing(context.cwd)
+          break
+        case "c":
+        case ".":
+          text +=
+            this.abbreviateHome(context.cwd, context.home)
+              .split("/")
+              .slice(-(Number(count) || 1))
+              .join("/") || "/"
+          break
+        case "C":
+          text +=
+            context.cwd
+              .split("/")
+              .slice(-(Number(count) || 1))
+              .join("/") || "/"
+          break
+        case "#":
+          text += root ? "#" : "%"
+          break
+        case "?":
+          text += context.exitStatus
+          break
+        case "j":
+          text += context.jobCount
+          break
+        case "h":
+        case "!":
+          text += context.historyNumber
+          break
+        case "L":
+          text += "1"
+          break
+        case "T":
+          text += `${now.getHours()}:${pad(now.getMinutes())}`
+          break
+        case "*":
+          text += `${now.getHours()}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`
+          break
+        case "t":
+        case "@":
+          text += `${now.getHours() % 12 || 12}:${pad(now.getMinutes())}${now.getHours() < 12 ? "AM" : "PM"}`
+          break
+        case "D":
+          argument()
+          text += `${pad(now.getFullYear() % 100)}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+          break
+        case "W":
+          text += `${pad(now.getMonth() + 1)}/${pad(now.getDate())}/${pad(now.getFullYear() % 100)}`
+          break
+        case "F":
+          text += this.colorSequence(argument() ?? count ?? "default")
+          break
+        case "f":
+          text += "\x1b[39m"
+          break
+        case "K":
+          text += this.colorSequence(argument() ?? count ?? "default", true)
+          break
+        case "k":
+          text += "\x1b[49m"
+          break
+        case "B":
+          text += "\x1b[1m"
+          break
+        case "b":
+          text += "\x1b[22m"
+          break
+        case "U":
+          text += "\x1b[4m"
+          break
+        case "u":
+          text += "\x1b[24m"
+          break
+        case "S":
+          text += "\x1b[7m"
+          break
+        case "s":
+          text += "\x1b[27m"
+          break
+        case "E":
+          text += "\x1b[K"
+          break
+        case "{": {
+          const close = template.indexOf("%}", index)
+          const end = close === -1 ? template.length : close
+          text += template.slice(index, end)
+          index = end + 2
+          break
+        }
+        case "(": {
+          const conditional = this.expandZshConditional(template, index, context)
+          text += conditional.text
+          index = conditional.end
+          break
+        }
+        default:
+          // Unknown sequences are left as they are, as zsh does
+          text += `%${count ?? ""}${code ?? ""}`
+      }
+    }
+    return { text, end: index }
+  }
+
+  /**
+   * Expand `%(x.true-text.false-text)` starting after the "("
+   * @returns Expanded branch and the index after the closing ")"
+   * @private
+   */
+  private static expandZshConditional(
+    template: string,
+    start: number,
+    context: PromptContext,
+  ): { text: string; end: number } {
+    let index = start
+    const number = /^\d+/.exec(template.slice(index))?.[0]
+    if (number) index += number.length
+    const test = template[index++]
+    const separator = template[index++]
+    const n = Number(number ?? 0)
+    const conditions: { [key: string]: boolean } = {
+      "?": context.exitStatus === n,
+      "#": context.user === "root",
+      j: context.jobCount >= n,
+      L: n <= 1,
+    }
+
+    const whenTrue = this.expandZsh(template, index, separator, context)
+    const whenFalse = this.expandZsh(template, whenTrue.end + 1, ")", context)
+    return { text: conditions[test] ? whenTrue.text : whenFalse.text, end: whenFalse.end + 1 }
+  }
+}
@@ -0,0 +1,656 @@
+/**
+ * @fileoverview Cell grid screen model for the VT100 emulator
+ * @version 1.0.0
+ */
+
+import type { CellColor } from "./color-palette"
+
+/**
+ * Underline shapes selected by `SGR 4:n`
+ */
+export type UnderlineStyle = "none" | "single" | "double" | "curly" | "dotted" | "dashed"
+
+/**
+ * Target of an OSC 8 hyperlink
+ */
+export interface Hyperlink {
+  uri: string
+  /** Cells with the same id and URI belong to one link, even when it is split across rows */
+  id?: string
+}
+
+/**
+ * Rendition of a cell, set by SGR (and OSC 8 for the hyperlink)
+ */
+export interface CellStyle {
+  bold: boolean
+  dim: boolean
+  italic: boolean
+  underline: UnderlineStyle
+  blink: boolean
+  inverse: boolean
+  hidden: boolean
+  strikethrough: boolean
+  foregroundColor: CellColor
+  backgroundColor: CellColor
+  /** Color of the underline (`SGR 58`); null draws it in the text color */
+  underlineColor: CellColor
+  hyperlink: Hyperlink | null
+}
+
+/**
+ * One character position of the screen
+ */
+export interface Cell {
+  char: string
+  style: CellStyle
+}
+
+/**
+ * One line of the screen or scrollback
+ */
+export interface ScreenRow {
+  /** Written cells; positions past the end are blank */
+  cells: Cell[]
+  /** Whether the row continues on the next one because text wrapped */
+  wrapped: boolean
+  /** Caller-defined label of what last wrote to the row (see ScreenBuffer.setTag) */
+  tag?: string
+}
+
+/**
+ * Cursor position and the state DECSC saves with it
+ */
+interface SavedCursor {
+  x: number
+  y: number
+  style: CellStyle
+  originMode: boolean
+  autoWrap: boolean
+}
+
+/**
+ * Main or alternate screen
+ */
+interface Buffer {
+  rows: ScreenRow[]
+  /** Rows scrolled off the top; only the main screen keeps them */
+  scrollback: ScreenRow[]
+  x: number
+  y: number
+  saved: SavedCursor | null
+}
+
+/**
+ * Default rendition (SGR 0)
+ */
+export const DEFAULT_STYLE: Readonly<CellStyle> = Object.freeze({
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: "none",
+  blink: false,
+  inverse: false,
+  hidden: false,
+  strikethrough: false,
+  foregroundColor: null,
+  backgroundColor: null,
+  underlineColor: null,
+  hyperlink: null,
+})
+
+const TAB_WIDTH = 8
+
+/**
+ * Grid of cells with a cursor, scroll region, scrollback and an alternate screen
+ * Coordinates are 0-based; the top-left cell is (0, 0).
+ */
+export class ScreenBuffer {
+  private main: Buffer
+  private alternate: Buffer | null = null
+  private tag: string | undefined
+  private scrollTop = 0
+  private scrollBottom: number
+  private tabStops = new Set<number>()
+  /** Set after writing the last column; the next character wraps first (DEC "pending wrap") */
+  private pendingWrap = false
+
+  /** Current rendition for new characters */
+  style: CellStyle = { ...DEFAULT_STYLE }
+  /** DECOM: cursor addressing is relative to the scroll region */
+  originMode = false
+  /** DECAWM: wrap to the next line after the last column */
+  autoWrap = true
+  /** IRM: printing shifts the rest of the line right */
+  insertMode = false
+  /** DECTCEM */
+  cursorVisible = true
+
+  /**
+   * @param cols Screen width in cells
+   * @param rows Screen height in cells
+   * @param scrollbackLimit Maximum number of rows kept after scrolling off the top
+   */
+  constructor(
+    readonly cols: number,
+    readonly rows: number,
+    private readonly scrollbackLimit = 1000,
+  ) {
+    this.main = this.createBuffer()
+    this.scrollBottom = rows - 1
+    this.resetTabStops()
+  }
+
+  /**
+   * Whether the alternate screen is shown
+   * @returns True while full-screen programs own the display
+   */
+  isAlternate(): boolean {
+    return this.alternate !== null
+  }
+
+  /**
+   * Cursor column
+   * @returns 0-based column
+   */
+  get cursorX(): number {
+    return this.buffer.x
+  }
+
+  /**
+   * Cursor row within the screen
+   * @returns 0-based row
+   */
+  get cursorY(): number {
+    return this.buffer.y
+  }
+
+  /**
+   * Label rows written from now on, e.g. with the kind of output they came from
+   * @param tag Label, or undefined to stop labelling
+   */
+  setTag(tag: string | undefined): void {
+    this.tag = tag
+  }
+
+  /**
+   * Write a printable character at the cursor and advance it
+   * @param char Character (one code point)
+   */
+  print(char: string): void {
+    const buffer = this.buffer
+    if (this.pendingWrap) {
+      this.pendingWrap = false
+      if (this.autoWrap) {
+        buffer.rows[buffer.y].wrapped = true
+        buffer.x = 0
+        this.index()
+      }
+    }
+
+    const row = buffer.rows[buffer.y]
+    this.fill(row, buffer.x)
+    const cell = { char, style: this.style }
+    if (this.insertMode) {
+      row.cells.splice(buffer.x, 0, cell)
+      row.cells.length = Math.min(row.cells.length, this.cols)
+    } else {
+      row.cells[buffer.x] = cell
+    }
+    if (this.tag !== undefined) row.tag = this.tag
+
+    if (buffer.x === this.cols - 1) {
+      this.pendingWrap = true
+    } else {
+      buffer.x++
+    }
+  }
+
+  /**
+   * Move to the first column (CR)
+   */
+  carriageReturn(): void {
+    this.buffer.x = 0
+    this.pendingWrap = false
+  }
+
+  /**
+   * Move down a line, scrolling at the bottom of the scroll region (IND / LF)
+   */
+  index(): void {
+    const buffer = this.buffer
+    this.pendingWrap = false
+    if (buffer.y === this.scrollBottom) {
+      this.scrollUp(1)
+    } else if (buffer.y < this.rows - 1) {
+      buffer.y++
+    }
+  }
+
+  /**
+   * Move up a line, scrolling at the top of the scroll region (RI)
+   */
+  reverseIndex(): void {
+    const buffer = this.buffer
+    this.pendingWrap = false
+    if (buffer.y === this.scrollTop) {
+      this.scrollDown(1)
+    } else if (buffer.y > 0) {
+      buffer.y--
+    }
+  }
+
+  /**
+   * Move one column left, stopping at the first column (BS)
+   */
+  backspace(): void {
+    this.pendingWrap = false
+    this.buffer.x = Math.max(0, this.buffer.x - 1)
+  }
+
+  /**
+   * Move to the next tab stop, or back several (HT / CHT / CBT)
+   * @param count Number of tab stops; negative moves backwards
+   */
+  tab(count = 1): void {
+    const buffer = this.buffer
+    this.pendingWrap = false
+    for (let i = 0; i < Math.abs(count); i++) {
+      do {
+        buffer.x += count > 0 ? 1 : -1
+      } while (buffer.x > 0 && buffer.x < this.cols - 1 && !this.tabStops.has(buffer.x))
+      buffer.x = Math.max(0, Math.min(buffer.x, this.cols - 1))
+    }
+  }
+
+  /**
+   * Set a tab stop at the cursor column (HTS)
+   */
+  setTabStop(): void {
+    this.tabStops.add(this.buffer.x)
+  }
+
+  /**
+   * Clear tab stops (TBC)
+   * @param all Clear every stop instead of only the one at the cursor
+   */
+  clearTabStops(all: boolean): void {
+    if (all) {
+      this.tabStops.clear()
+    } else {
+      this.tabStops.delete(this.buffer.x)
+    }
+  }
+
+  /**
+   * Move the cursor to a position (CUP)
+   * In origin mode, rows count from the top of the scroll region and the cursor stays inside it.
+   * @param x Column
+   * @param y Row
+   */
+  moveTo(x: number, y: number): void {
+    const buffer = this.buffer
+    const top = this.originMode ? this.scrollTop : 0
+    const bottom = this.originMode ? this.scrollBottom : this.rows - 1
+    buffer.x = Math.max(0, Math.min(x, this.cols - 1))
+    buffer.y = Math.max(top, Math.min(y + top, bottom))
+    this.pendingWrap = false
+  }
+
+  /**
+   * Move the cursor relative to its position, stopping at the scroll region margins it is inside (CUU/CUD/CUF/CUB)
+   * @param dx Columns to move right (negative for left)
+   * @param dy Rows to move down (negative for up)
+   */
+  moveBy(dx: number, dy: number): void {
+    const buffer = this.buffer
+    const inRegion = buffer.y >= this.scrollTop && buffer.y <= this.scrollBottom
+    const top = inRegion ? this.scrollTop : 0
+    const bottom = inRegion ? this.scrollBottom : this.rows - 1
+    buffer.x = Math.max(0, Math.min(buffer.x + dx, this.cols - 1))
+    buffer.y = Math.max(top, Math.min(buffer.y + dy, bottom))
+    this.pendingWrap = false
+  }
+
+  /**
+   * Move to a column on the current row (CHA)
+   * @param x Column
+   */
+  moveToColumn(x: number): void {
+    this.buffer.x = Math.max(0, Math.min(x, this.cols - 1))
+    this.pendingWrap = false
+  }
+
+  /**
+   * Move to a row, keeping the column (VPA)
+   * @param y Row
+   */
+  moveToRow(y: number): void {
+    this.moveTo(this.buffer.x, y)
+  }
+
+  /**
+   * Erase part of the screen (ED)
+   * @param mode 0: cursor to end, 1: start to cursor, 2: whole screen, 3: whole screen and scrollback
+   */
+  eraseInDisplay(mode: number): void {
+    const buffer = this.buffer
+    if (mode === 0) {
+      this.eraseInLine(0)
+      for (let y = buffer.y + 1; y < this.rows; y++) buffer.rows[y] = this.blankRow()
+    } else if (mode === 1) {
+      this.eraseInLine(1)
+      for (let y = 0; y < buffer.y; y++) buffer.rows[y] = this.blankRow()
+    } else if (mode === 2 || mode === 3) {
+      buffer.rows = buffer.rows.map(() => this.blankRow())
+      if (mode === 3) buffer.scrollback = []
+    }
+  }
+
+  /**
+   * Erase part of the cursor row (EL)
+   * @param mode 0: cursor to end, 1: start to cursor, 2: whole line
+   */
+  eraseInLine(mode: number): void {
+    const buffer = this.buffer
+    const row = buffer.rows[buffer.y]
+    const [start, end] = mode === 0 ? [buffer.x, this.cols] : mode === 1 ? [0, buffer.x + 1] : [0, this.cols]
+    this.erase(row, start, end)
+    if (mode !== 1) row.wrapped = false
+    this.pendingWrap = false
+  }
+
+  /**
+   * Erase characters from the cursor without moving anything (ECH)
+   * @param count Number of cells
+   */
+  eraseChars(count: number): void {
+    const buffer = this.buffer
+    this.erase(buffer.rows[buffer.y], buffer.x, Math.min(buffer.x + count, this.cols))
+    this.pendingWrap = false
+  }
+
+  /**
+   * Insert blank cells at the cursor, shifting the rest of the line right (ICH)
+   * @param count Number of cells
+   */
+  insertChars(count: number): void {
+    const buffer = this.buffer
+    const row = buffer.rows[buffer.y]
+    this.fill(row, buffer.x)
+    row.cells.splice(buffer.x, 0, ...Array.from({ length: count }, () => this.blankCell()))
+    row.cells.length = Math.min(row.cells.length, this.cols)
+    this.pendingWrap = false
+  }
+
+  /**
+   * Delete cells at the cursor, shifting the rest of the line left (DCH)
+   * @param count Number of cells
+   */
+  deleteChars(count: number): void {
+    const buffer = this.buffer
+    const row = buffer.rows[buffer.y]
+    row.cells.splice(buffer.x, count)
+    this.pendingWrap = false
+  }
+
+  /**
+   * Insert blank lines at the cursor row, inside the scroll region (IL)
+   * @param count Number of lines
+   */
+  insertLines(count: number): void {
+    const buffer = this.buffer
+    if (buffer.y < this.scrollTop || buffer.y > this.scrollBottom) return
+    this.shiftRows(buffer.y, this.scrollBottom, -count)
+    buffer.x = 0
+    this.pendingWrap = false
+  }
+
+  /**
+   * Delete lines at the cursor row, inside the scroll region (DL)
+   * @param count Number of lines
+   */
+  deleteLines(count: number): void {
+    const buffer = this.buffer
+    if (buffer.y < this.scrollTop || buffer.y > this.scrollBottom) return
+    this.shiftRows(buffer.y, this.scrollBottom, count)
+    buffer.x = 0
+    this.pendingWrap = false
+  }
+
+  /**
+   * Scroll the scroll region up; rows leaving the top of a full-height region go to the scrollback (SU)
+   * @param count Number of lines
+   */
+  scrollUp(count: number): void {
+    const buffer = this.buffer
+    if (this.scrollTop === 0 && !this.alternate) {
+      const n = Math.min(count, this.scrollBottom + 1)
+      buffer.scrollback.push(...buffer.rows.slice(0, n))
+      if (buffer.scrollback.length > this.scrollbackLimit) {
+        buffer.scrollback.splice(0, buffer.scrollback.length - this.scrollbackLimit)
+      }
+    }
+    this.shiftRows(this.scrollTop, this.scrollBottom, count)
+  }
+
+  /**
+   * Scroll the scroll region down (SD)
+   * @param count Number of lines
+   */
+  scrollDown(count: number): void {
+    this.shiftRows(this.scrollTop, this.scrollBottom, -count)
+  }
+
+  /**
+   * Limit scrolling to a range of rows and home the cursor (DECSTBM)
+   * @param top First row of the region
+   * @param bottom Last row of the region; an invalid range resets the region to the whole screen
+   */
+  setScrollRegion(top: number, bottom: number): void {
+    if (top < bottom && top >= 0 && bottom < this.rows) {
+      this.scrollTop = top
+      this.scrollBottom = bottom
+    } else {
+      this.scrollTop = 0
+      this.scrollBottom = this.rows - 1
+    }
+    this.moveTo(0, 0)
+  }
+
+  /**
+   * Save the cursor position and rendition (DECSC)
+   */
+  saveCursor(): void {
+    const buffer = this.buffer
+    buffer.saved = {
+      x: buffer.x,
+      y: buffer.y,
+      style: this.style,
+      originMode: this.originMode,
+      autoWrap: this.autoWrap,
+    }
+  }
+
+  /**
+   * Restore what saveCursor() saved, or home the cursor if nothing was saved (DECRC)
+   */
+  restoreCursor(): void {
+    const buffer = this.buffer
+    const saved = buffer.saved
+    if (!saved) {
+      this.style = { ...DEFAULT_STYLE }
+      this.originMode = false
+      this.moveTo(0, 0)
+      return
+    }
+    buffer.x = Math.min(saved.x, this.cols - 1)
+    buffer.y = Math.min(saved.y, this.rows - 1)
+    this.style = saved.style
+    this.originMode = saved.originMode
+    this.autoWrap = saved.autoWrap
+    this.pendingWrap = false
+  }
+
+  /**
+   * Switch between the main and the alternate screen (xterm modes 47, 1047 and 1049)
+   * @param enable Show the alternate screen
+   * @param saveCursor Save the cursor on entry and restore it on exit (mode 1049)
+   */
+  setAlternateScreen(enable: boolean, saveCursor = false): void {
+    if (enable === this.isAlternate()) return
+    if (enable) {
+      if (saveCursor) this.saveCursor()
+      this.alternate = this.createBuffer()
+      this.alternate.x = this.main.x
+      this.alternate.y = this.main.y
+    } else {
+      this.alternate = null
+      if (saveCursor) this.restoreCursor()
+    }
+    this.pendingWrap = false
+  }
+
+  /**
+   * Fill the screen with "E" (DECALN)
+   */
+  fillWithE(): void {
+    this.buffer.rows = Array.from({ length: this.rows }, () => ({
+      cells: Array.from({ length: this.cols }, () => ({ char: "E", style: { ...DEFAULT_STYLE } })),
+      wrapped: false,
+    }))
+    this.scrollTop = 0
+    this.scrollBottom = this.rows - 1
+    this.moveTo(0, 0)
+  }
+
+  /**
+   * Return to the initial state, keeping the scrollback (RIS)
+   */
+  reset(): void {
+    const scrollback = this.main.scrollback
+    this.main = this.createBuffer()
+    this.main.scrollback = scrollback
+    this.alternate = null
+    this.style = { ...DEFAULT_STYLE }
+    this.scrollTop = 0
+    this.scrollBottom = this.rows - 1
+    this.originMode = false
+    this.autoWrap = true
+    this.insertMode = false
+    this.cursorVisible = true
+    this.pendingWrap = false
+    this.resetTabStops()
+  }
+
+  /**
+   * Get the rows to display
+   * On the main screen this is the scrollback followed by the screen, without the blank rows below the cursor;
+   * on the alternate screen it is the whole screen.
+   * @returns Rows, top to bottom
+   */
+  getRows(): ScreenRow[] {
+    if (this.alternate) {
+      return this.alternate.rows
+    }
+
+    const rows = this.main.rows
+    let end = rows.length
+    while (end > this.main.y && rows[end - 1].cells.length === 0) end--
+    return [...this.main.scrollback, ...rows.slice(0, end)]
+  }
+
+  /**
+   * Buffer currently displayed
+   * @private
+   */
+  private get buffer(): Buffer {
+    return this.alternate ?? this.main
+  }
+
+  /**
+   * Create an empty screen
+   * @private
+   */
+  private createBuffer(): Buffer {
+    return {
+      rows: Array.from({ length: this.rows }, () => this.blankRow()),
+      scrollback: [],
+      x: 0,
+      y: 0,
+      saved: null,
+    }
+  }
+
+  /**
+   * Create an empty row
+   * @private
+   */
+  private blankRow(): ScreenRow {
+    return { cells: [], wrapped: false }
+  }
+
+  /**
+   * Blank cell in the current background color, as erasing produces
+   * @private
+   */
+  private blankCell(): Cell {
+    return {
+      char: " ",
+      style:
+        this.style.backgroundColor === null
+          ? DEFAULT_STYLE
+          : { ...DEFAULT_STYLE, backgroundColor: this.style.backgroundColor },
+    }
+  }
+
+  /**
+   * Pad a row with blank cells up to a column
+   * @private
+   */
+  private fill(row: ScreenRow, x: number): void {
+    while (row.cells.length < x) row.cells.push({ char: " ", style: DEFAULT_STYLE })
+  }
+
+  /**
+   * Blank the cells of a row in [start, end)
+   * @private
+   */
+  private erase(row: ScreenRow, start: number, end: number): void {
+    const blank = this.blankCell()
+    if (blank.style === DEFAULT_STYLE && end >= row.cells.length) {
+      // Trailing default blanks are the same as no cells
+      row.cells.length = Math.min(row.cells.length, start)
+    }
+    for (let x = start; x < Math.min(end, row.cells.length); x++) {
+      row.cells[x] = blank
+    }
+    if (blank.style !== DEFAULT_STYLE) {
+      this.fill(row, start)
+      for (let x = row.cells.length; x < end; x++) row.cells[x] = blank
+    }
+  }
+
+  /**
+   * Move rows in [top, bottom] up by count (down if negative), filling the gap with blank rows
+   * @private
+   */
+  private shiftRows(top: number, bottom: number, count: number): void {
+    const rows = this.buffer.rows
+    const height = bottom - top + 1
+    const n = Math.min(Math.abs(count), height)
+    const region = rows.slice(top, bottom + 1)
+    const blanks = Array.from({ length: n }, () => this.blankRow())
+    const shifted = count > 0 ? [...region.slice(n), ...blanks] : [...blanks, ...region.slice(0, height - n)]
+    rows.splice(top, height, ...shifted)
+  }
+
+  /**
+   * Put tab stops every eight columns
+   * @private
+   */
+  private resetTabStops(): void {
+    this.tabStops = new Set()
+    for (let x = TAB_WIDTH; x < this.cols; x += TAB_WIDTH) this.tabStops.add(x)
+  }
+}
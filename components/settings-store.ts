@@ -0,0 +1,113 @@
+/**
+ * @fileoverview localStorage persistence for terminal settings that outlive a reload
+ * @version 1.0.0
+ */
+
+import type { RendererMode } from "./canvas-renderer"
+import { PaneLayout, type TabLayout } from "./pane-layout"
+import type { Base16Theme } from "./workflow-system"
+import { WorkflowSchema } from "./workflow-schema"
+
+/**
+ * Tabs and their panes as last arranged
+ */
+export interface SavedLayout {
+  /** Tabs in tab bar order */
+  tabs: TabLayout[]
+  /** Id of the selected tab */
+  activeTab: string
+  /** Session titles by session id */
+  titles: Record<string, string>
+  /** Sessions with a file system of their own rather than a view of the workspace */
+  isolated?: string[]
+}
+
+export interface StoredSettings {
+  layout?: SavedLayout
+  /** Themes the user loaded or made, by name */
+  themes?: Record<string, Base16Theme>
+  /** Name of the selected theme, or "default" for the system colors */
+  theme?: string
+  /** How the screen is drawn */
+  renderer?: RendererMode
+}
+
+/**
+ * Stores settings in localStorage as one JSON object
+ */
+export class LocalStorageSettingsStore {
+  private static readonly KEY = "hyper-terminal-settings"
+
+  /**
+   * Check whether localStorage is available (it is not during server rendering)
+   * @returns True if settings can be stored
+   */
+  static isSupported(): boolean {
+    return typeof localStorage !== "undefined"
+  }
+
+  /**
+   * Read the stored settings, dropping any part that is malformed
+   * @returns Stored settings; empty if none were saved
+   */
+  load(): StoredSettings {
+    const stored = localStorage.getItem(LocalStorageSettingsStore.KEY)
+    if (stored === null) return {}
+
+    try {
+      const value: unknown = JSON.parse(stored)
+      if (typeof value !== "object" || value === null) return {}
+      const { layout, themes, theme, renderer } = value as StoredSettings
+      const settings: StoredSettings = {}
+      if (this.isLayout(layout)) settings.layout = layout
+      if (typeof themes === "object" && themes !== null) {
+        settings.themes = Object.fromEntries(
+          Object.entries(themes).filter(([, entry]) => WorkflowSchema.isTheme(entry)),
+        )
+      }
+      if (typeof theme === "string") settings.theme = theme
+      if (this.isRenderer(renderer)) settings.renderer = renderer
+      return settings
+    } catch {
+      return {}
+    }
+  }
+
+  /**
+   * Update part of the stored settings, keeping the rest
+   * @param settings Settings to replace
+   */
+  save(settings: StoredSettings): void {
+    localStorage.setItem(LocalStorageSettingsStore.KEY, JSON.stringify({ ...this.load(), ...settings }))
+  }
+
+  /**
+   * @private
+   */
+  private isRenderer(value: unknown): value is RendererMode {
+    return value === "dom" || value === "gpu" || value === "canvas2d"
+  }
+
+  /**
+   * @private
+   */
+  private isLayout(value: unknown): value is SavedLayout {
+    if (typeof value !== "object" || value === null) return false
+    const layout = value as Partial<SavedLayout>
+    return (
+      Array.isArray(layout.tabs) &&
+      layout.tabs.every(
+        (tab) =>
+          typeof tab?.id === "string" &&
+          typeof tab.activePane === "string" &&
+          PaneLayout.isNode(tab.root) &&
+          PaneLayout.contains(tab.root, tab.activePane),
+      ) &&
+      typeof layout.activeTab === "string" &&
+      typeof layout.titles === "object" &&
+      layout.titles !== null &&
+      (layout.isolated === undefined ||
+        (Array.isArray(layout.isolated) && layout.isolated.every((id) => typeof id === "string")))
+    )
+  }
+}
@@ -0,0 +1,982 @@
+/**
+ * @fileoverview Shell grammar tokenizer and parser for the virtual terminal
+ * @version 1.0.0
+ */
+
+/**
+ * Syntax a command line is read with: bash and zsh are "posix"
+ */
+export type ShellDialect = "posix" | "fish" | "powershell"
+
+/**
+ * Piece of a shell word; quoted parts are exempt from field splitting
+ */
+export type WordPart =
+  | { type: "literal"; value: string; quoted: boolean }
+  | {
+      type: "parameter"
+      name: string
+      quoted: boolean
+      /** fish list index (`$argv[1]`), counted from 1; negative indexes count from the end */
+      index?: number
+    }
+  | {
+      type: "command"
+      /** Command line whose output replaces the part: `$(cmd)`, or `(cmd)` in fish and PowerShell */
+      source: string
+      quoted: boolean
+      /** Output is split into one field per line (fish, PowerShell) rather than at whitespace */
+      lines: boolean
+    }
+
+/**
+ * Part of a word replaced by a command's output
+ */
+export type CommandPart = Extract<WordPart, { type: "command" }>
+
+/**
+ * A single shell word made of literal and parameter parts
+ */
+export interface Word {
+  parts: WordPart[]
+}
+
+/**
+ * Control operators recognised by the tokenizer
+ */
+export type Operator = "&&" | "||" | ";" | "&" | "|" | "<" | ">" | ">>" | ">&" | "<&" | "(" | ")" | "\n"
+
+/**
+ * Redirection operators
+ */
+export type RedirectOperator = "<" | ">" | ">>" | ">&" | "<&"
+
+/**
+ * Token produced by the tokenizer; `io-number` is the descriptor prefix of a redirection (`2>`) and `function` a
+ * whole function definition, whose body is read as source like the command line of `$(...)`
+ */
+export type Token =
+  | { type: "word"; word: Word }
+  | { type: "operator"; value: Operator }
+  | { type: "io-number"; value: number }
+  | { type: "function"; name: string; body: string }
+
+/**
+ * Variable assignment preceding a command (`NAME=value`)
+ */
+export interface Assignment {
+  name: string
+  value: Word
+}
+
+/**
+ * Redirection of a file descriptor (`> file`, `2>&1`, `< file`)
+ */
+export interface Redirect {
+  /** Descriptor being redirected */
+  fd: number
+  operator: RedirectOperator
+  /** File name, or descriptor number for `>&` / `<&` */
+  target: Word
+}
+
+/**
+ * Simple command: optional assignments followed by the command words
+ */
+export interface SimpleCommandNode {
+  type: "simple"
+  assignments: Assignment[]
+  words: Word[]
+  /** Redirections in source order */
+  redirects: Redirect[]
+}
+
+/**
+ * Function definition: `name() { ... }`, `function name ... end` in fish, `function Name($a) { ... }` in PowerShell
+ */
+export interface FunctionDefinitionNode {
+  type: "function"
+  name: string
+  /** Body source, one statement per line; PowerShell parameters come first as a `param(...)` line */
+  body: string
+}
+
+/**
+ * `if list; then list; [elif list; then list;]... [else list;] fi` (posix dialect)
+ */
+export interface IfNode {
+  type: "if"
+  /** Conditions in order with the list each one guards; the first whose condition exits with 0 runs */
+  clauses: { condition: CommandListNode; body: CommandListNode }[]
+  /** `else` list, run when no condition succeeds */
+  otherwise: CommandListNode | null
+}
+
+/**
+ * Command of a pipeline
+ */
+export type CommandNode = SimpleCommandNode | FunctionDefinitionNode | IfNode
+
+/**
+ * Commands connected by `|`, each reading the previous one's stdout
+ */
+export interface PipelineNode {
+  type: "pipeline"
+  commands: CommandNode[]
+}
+
+/**
+ * Pipelines joined by `&&` / `||`, evaluated left to right
+ */
+export interface AndOrNode {
+  type: "and-or"
+  head: PipelineNode
+  rest: { operator: "&&" | "||"; pipeline: PipelineNode }[]
+  /** Terminated by `&`: runs as a background job */
+  background: boolean
+}
+
+/**
+ * Sequence of and-or lists separated by `;`, `&` or newlines
+ */
+export interface CommandListNode {
+  type: "list"
+  items: AndOrNode[]
+}
+
+/**
+ * Parser options
+ */
+export interface ParseOptions {
+  /** Aliases expanded in command position */
+  aliases?: { [key: string]: string }
+  /** Syntax to read; defaults to "posix" */
+  dialect?: ShellDialect
+}
+
+/**
+ * A function definition read from the start of a script
+ */
+export interface FunctionDefinition {
+  name: string
+  /** Body source, one statement per line */
+  body: string
+  /** Index just past the definition in the script it was read from */
+  end: number
+}
+
+/**
+ * Raised when input does not match the shell grammar
+ */
+export class ShellSyntaxError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "ShellSyntaxError"
+  }
+}
+
+const OPERATORS: Operator[] = ["&&", "||", ">>", ">&", "<&", ";", "&", "|", "<", ">", "(", ")", "\n"]
+const REDIRECT_OPERATORS: RedirectOperator[] = ["<", ">", ">>", ">&", "<&"]
+const SPECIAL_PARAMETERS = "?$#@*!0123456789"
+const NAME_START = /[A-Za-z_]/
+const NAME_CHAR = /[A-Za-z0-9_]/
+const ASSIGNMENT = /^([A-Za-z_][A-Za-z0-9_]*)=/
+/** Operators after which a new command starts */
+const COMMAND_SEPARATORS: Operator[] = ["&&", "||", ";", "&", "|", "\n"]
+/** fish keywords that open a block closed by `end` */
+const FISH_BLOCKS = ["function", "if", "for", "while", "switch", "begin"]
+/** What a backtick followed by a character stands for in PowerShell; other characters stand for themselves */
+const POWERSHELL_ESCAPES: { [key: string]: string } = { n: "\n", t: "\t", r: "\r", e: "\x1b", a: "\x07", "0": "\0" }
+
+/**
+ * Tokenizer, parser and word expander for bash-like command lines
+ */
+export class ShellParser {
+  /**
+   * Split input into words and operators, honouring quotes, escapes and comments
+   * In PowerShell the escape character is a backtick, so backslashes in paths are literal.
+   * @param input Raw command line
+   * @param dialect Syntax to read
+   * @returns Token list
+   * @throws ShellSyntaxError on unterminated quotes
+   */
+  static tokenize(input: string, dialect: ShellDialect = "posix"): Token[] {
+    const tokens: Token[] = []
+    // Declared with a cast: the closures below assign it, which narrowing does not track
+    let parts = null as WordPart[] | null
+    let i = 0
+
+    const pushLiteral = (value: string, quoted: boolean) => {
+      if (!parts) parts = []
+      const last = parts[parts.length - 1]
+      if (last && last.type === "literal" && last.quoted === quoted) {
+        last.value += value
+      } else {
+        parts.push({ type: "literal", value, quoted })
+      }
+    }
+
+    const finishWord = () => {
+      if (parts) {
+        tokens.push({ type: "word", word: { parts } })
+        parts = null
+      }
+    }
+
+    const escapeChar = dialect === "powershell" ? "`" : "\\"
+    const unescape = (char: string) => (dialect === "powershell" ? POWERSHELL_ESCAPES[char] ?? char : char)
+
+    // Reads the command line inside parentheses starting at i, leaving i after the closing one
+    const readCommand = (): string => {
+      const start = i + 1
+      let depth = 0
+      let quote: string | null = null
+      for (; i < input.length; i++) {
+        const char = input[i]
+        if (quote) {
+          if (char === quote) quote = null
+        } else if (char === "'" || char === '"') {
+          quote = char
+        } else if (char === escapeChar) {
+          i++
+        } else if (char === "(") {
+          depth++
+        } else if (char === ")" && --depth === 0) {
+          i++
+          return input.slice(start, i - 1)
+        }
+      }
+      throw new ShellSyntaxError("unexpected EOF while looking for matching `)'")
+    }
+
+    const pushCommand = (quoted: boolean) => {
+      if (!parts) parts = []
+      parts.push({ type: "command", source: readCommand(), quoted, lines: dialect !== "posix" })
+    }
+
+    // Reads a parameter reference after `$`, returning null when `$` is literal
+    const readParameter = (): string | null => {
+      const next = input[i + 1]
+      if (next === "{") {
+        const end = input.indexOf("}", i + 2)
+        if (end === -1) {
+          throw new ShellSyntaxError("unexpected EOF while looking for matching `}'")
+        }
+        let name = input.slice(i + 2, end)
+        if (dialect === "powershell") name = name.replace(/^env:/i, "")
+        if (!/^([A-Za-z_][A-Za-z0-9_]*|[?$#@*!]|[0-9]+)$/.test(name)) {
+          throw new ShellSyntaxError(`\${${name}}: bad substitution`)
+        }
+        i = end + 1
+        return name
+      }
+      // PowerShell reads environment variables as $env:NAME; shell and environment variables are one here
+      const environment = dialect === "powershell" ? /^env:([A-Za-z_][A-Za-z0-9_]*)/i.exec(input.slice(i + 1)) : null
+      if (environment) {
+        i += environment[0].length + 1
+        return environment[1]
+      }
+      if (next !== undefined && SPECIAL_PARAMETERS.includes(next)) {
+        i += 2
+        return next
+      }
+      if (next !== undefined && NAME_START.test(next)) {
+        let end = i + 1
+        while (end < input.length && NAME_CHAR.test(input[end])) end++
+        const name = input.slice(i + 1, end)
+        i = end
+        return name
+      }
+      return null
+    }
+
+    // Reads a parameter or `$(...)` after `$`, returning false when `$` is literal
+    const pushExpansion = (quoted: boolean): boolean => {
+      if (input[i + 1] === "(") {
+        i++
+        pushCommand(quoted)
+        return true
+      }
+      const name = readParameter()
+      if (name === null) return false
+
+      if (!parts) parts = []
+      const index = dialect === "fish" ? /^\[(-?[0-9]+)\]/.exec(input.slice(i)) : null
+      if (index) i += index[0].length
+      parts.push({ type: "parameter", name, quoted, ...(index && { index: Number(index[1]) }) })
+      return true
+    }
+
+    while (i < input.length) {
+      const char = input[i]
+
+      if (char === " " || char === "\t") {
+        finishWord()
+        i++
+        continue
+      }
+
+      // A function definition in command position is read whole, its body as source
+      const last = tokens[tokens.length - 1]
+      if (!parts && (!last || (last.type === "operator" && COMMAND_SEPARATORS.includes(last.value)))) {
+        const definition = this.readFunction(input.slice(i), dialect)
+        if (definition) {
+          tokens.push({ type: "function", name: definition.name, body: definition.body })
+          i += definition.end
+          continue
+        }
+      }
+
+      if (char === "#" && !parts) {
+        while (i < input.length && input[i] !== "\n") i++
+        continue
+      }
+
+      if (char === "(" && dialect !== "posix") {
+        pushCommand(false)
+        continue
+      }
+
+      const operator = OPERATORS.find((op) => input.startsWith(op, i))
+      if (operator) {
+        // Digits directly before a redirection name the descriptor, as in `2>&1`
+        const digits =
+          parts && parts.length === 1 && parts[0].type === "literal" && !parts[0].quoted ? parts[0].value : ""
+        if ((char === "<" || char === ">") && /^[0-9]+$/.test(digits)) {
+          tokens.push({ type: "io-number", value: Number.parseInt(digits) })
+          parts = null
+        }
+        finishWord()
+        tokens.push({ type: "operator", value: operator })
+        i += operator.length
+        continue
+      }
+
+      if (char === escapeChar) {
+        if (input[i + 1] === "\n") {
+          i += 2
+        } else if (i + 1 < input.length) {
+          pushLiteral(unescape(input[i + 1]), true)
+          i += 2
+        } else {
+          i++
+        }
+        continue
+      }
+
+      if (char === "'") {
+        const end = input.indexOf("'", i + 1)
+        if (end === -1) {
+          throw new ShellSyntaxError("unexpected EOF while looking for matching `''")
+        }
+        pushLiteral(input.slice(i + 1, end), true)
+        i = end + 1
+        continue
+      }
+
+      if (char === '"') {
+        i++
+        // An empty pair of quotes still produces a word
+        pushLiteral("", true)
+        while (i < input.length && input[i] !== '"') {
+          if (dialect === "powershell" && input[i] === "`" && i + 1 < input.length) {
+            pushLiteral(unescape(input[i + 1]), true)
+            i += 2
+          } else if (
+            dialect !== "powershell" &&
+            input[i] === "\\" &&
+            i + 1 < input.length &&
+            '$`"\\\n'.includes(input[i + 1])
+          ) {
+            if (input[i + 1] !== "\n") pushLiteral(input[i + 1], true)
+            i += 2
+          } else if (input[i] === "$") {
+            if (!pushExpansion(true)) {
+              pushLiteral("$", true)
+              i++
+            }
+          } else {
+            pushLiteral(input[i], true)
+            i++
+          }
+        }
+        if (i >= input.length) {
+          throw new ShellSyntaxError("unexpected EOF while looking for matching `\"'")
+        }
+        i++
+        continue
+      }
+
+      if (char === "$") {
+        if (!pushExpansion(false)) {
+          pushLiteral("$", false)
+          i++
+        }
+        continue
+      }
+
+      pushLiteral(char, false)
+      i++
+    }
+
+    finishWord()
+    return tokens
+  }
+
+  /**
+   * Parse a command line into a command list
+   * @param input Raw command line
+   * @param options Parser options such as aliases
+   * @returns Parsed command list
+   * @throws ShellSyntaxError if the input is not valid shell syntax
+   */
+  static parse(input: string, options: ParseOptions = {}): CommandListNode {
+    const dialect = options.dialect ?? "posix"
+    const tokens = this.tokenize(input, dialect)
+    const aliases = options.aliases || {}
+    let position = 0
+
+    const peek = (): Token | undefined => tokens[position]
+    const isOperator = (token: Token | undefined, ...values: Operator[]) =>
+      token?.type === "operator" && values.includes(token.value)
+    const isRedirect = (token: Token | undefined) =>
+      token?.type === "io-number" || isOperator(token, ...REDIRECT_OPERATORS)
+    const unexpected = (token: Token | undefined): ShellSyntaxError => {
+      if (!token) return new ShellSyntaxError("syntax error: unexpected end of file")
+      const text =
+        token.type === "word"
+          ? this.wordToString(token.word)
+          : token.type === "function"
+            ? token.name
+            : token.type === "io-number"
+              ? String(token.value)
+              : token.value === "\n"
+                ? "newline"
+                : token.value
+      return new ShellSyntaxError(`syntax error near unexpected token \`${text}'`)
+    }
+
+    // Replace an alias in command position with its tokens, once per alias name
+    const expandAliases = () => {
+      const seen = new Set<string>()
+      for (;;) {
+        const token = peek()
+        if (token?.type !== "word") return
+        const name = this.plainLiteral(token.word)
+        if (name === null || seen.has(name) || aliases[name] === undefined) return
+        seen.add(name)
+        tokens.splice(position, 1, ...this.tokenize(aliases[name], dialect))
+      }
+    }
+
+    const parseRedirect = (): Redirect => {
+      let fd: number | null = null
+      const first = peek()
+      if (first?.type === "io-number") {
+        fd = first.value
+        position++
+      }
+
+      const operator = (peek() as { type: "operator"; value: RedirectOperator }).value
+      position++
+
+      const target = peek()
+      if (target?.type !== "word") throw unexpected(target)
+      position++
+
+      return { fd: fd ?? (operator === "<" || operator === "<&" ? 0 : 1), operator, target: target.word }
+    }
+
+    // PowerShell assigns with `$name = value`, which arrives as one word or three
+    const parsePowerShellAssignment = (): Assignment | null => {
+      const token = peek()
+      if (token?.type !== "word") return null
+      const [variable, ...rest] = token.word.parts
+      if (variable?.type !== "parameter" || variable.quoted) return null
+
+      const [first, ...others] = rest
+      if (first?.type === "literal" && !first.quoted && first.value.startsWith("=")) {
+        position++
+        const value = first.value.slice(1)
+        return { name: variable.name, value: { parts: [...(value ? [{ ...first, value }] : []), ...others] } }
+      }
+      const equals = tokens[position + 1]
+      if (rest.length > 0 || equals?.type !== "word" || this.plainLiteral(equals.word) !== "=") return null
+      const value = tokens[position + 2]
+      if (value?.type !== "word") throw unexpected(value)
+      position += 3
+      return { name: variable.name, value: value.word }
+    }
+
+    const parseSimpleCommand = (): SimpleCommandNode => {
+      expandAliases()
+      const command: SimpleCommandNode = { type: "simple", assignments: [], words: [], redirects: [] }
+
+      const assignment = dialect === "powershell" ? parsePowerShellAssignment() : null
+      if (assignment) {
+        command.assignments.push(assignment)
+        // Assigning the output of a command (`$x = Get-Location`) is not supported
+        if (peek()?.type === "word") throw unexpected(peek())
+      }
+
+      for (;;) {
+        const token = peek()
+        if (isRedirect(token)) {
+          command.redirects.push(parseRedirect())
+          continue
+        }
+        if (token?.type !== "word") break
+
+        const assignment = command.words.length === 0 ? this.toAssignment(token.word) : null
+        if (assignment) {
+          command.assignments.push(assignment)
+        } else {
+          command.words.push(token.word)
+        }
+        position++
+      }
+
+      if (command.assignments.length === 0 && command.words.length === 0 && command.redirects.length === 0) {
+        throw unexpected(peek())
+      }
+      // A PowerShell statement that starts with a string is an expression, e.g. `"PS " + (Get-Location) + "> "`
+      if (dialect === "powershell" && command.words[0]?.parts[0]?.quoted) {
+        command.words = this.concatenateStrings(command.words)
+      }
+
+      if (peek() && !isOperator(peek(), "|", "&&", "||", ";", "&", "\n")) {
+        throw unexpected(peek())
+      }
+
+      return command
+    }
+
+    // Reserved words only count in command position, unquoted, and only in the posix dialect
+    const isReserved = (token: Token | undefined, ...words: string[]) =>
+      dialect === "posix" && token?.type === "word" && words.includes(this.plainLiteral(token.word) ?? "")
+    const expectReserved = (word: string) => {
+      if (!isReserved(peek(), word)) throw unexpected(peek())
+      position++
+    }
+    const parseCompoundList = (...terminators: string[]): CommandListNode => {
+      const list = parseList(terminators)
+      if (list.items.length === 0) throw unexpected(peek())
+      return list
+    }
+
+    const parseIf = (): IfNode => {
+      const node: IfNode = { type: "if", clauses: [], otherwise: null }
+      do {
+        position++
+        const condition = parseCompoundList("then")
+        expectReserved("then")
+        node.clauses.push({ condition, body: parseCompoundList("elif", "else", "fi") })
+      } while (isReserved(peek(), "elif"))
+      if (isReserved(peek(), "else")) {
+        position++
+        node.otherwise = parseCompoundList("fi")
+      }
+      expectReserved("fi")
+      return node
+    }
+
+    const parseCommand = (): CommandNode => {
+      const token = peek()
+      if (isReserved(token, "then", "elif", "else", "fi")) throw unexpected(token)
+      if (isReserved(token, "if")) {
+        const node = parseIf()
+        if (peek() && !isOperator(peek(), "|", "&&", "||", ";", "&", "\n")) {
+          throw unexpected(peek())
+        }
+        return node
+      }
+      if (token?.type !== "function") return parseSimpleCommand()
+
+      position++
+      if (peek() && !isOperator(peek(), "|", "&&", "||", ";", "&", "\n")) {
+        throw unexpected(peek())
+      }
+      return { type: "function", name: token.name, body: token.body }
+    }
+
+    const parsePipeline = (): PipelineNode => {
+      const node: PipelineNode = { type: "pipeline", commands: [parseCommand()] }
+      while (isOperator(peek(), "|")) {
+        position++
+        while (isOperator(peek(), "\n")) position++
+        node.commands.push(parseCommand())
+      }
+      return node
+    }
+
+    const parseAndOrRest = (node: AndOrNode): AndOrNode => {
+      while (isOperator(peek(), "&&", "||")) {
+        const operator = (peek() as { type: "operator"; value: "&&" | "||" }).value
+        position++
+        while (isOperator(peek(), "\n")) position++
+        node.rest.push({ operator, pipeline: parsePipeline() })
+      }
+      return node
+    }
+
+    const parseAndOr = (): AndOrNode =>
+      parseAndOrRest({ type: "and-or", head: parsePipeline(), rest: [], background: false })
+
+    // fish joins commands with `and` and `or` at the start of the next statement
+    const fishJoiner = (): "&&" | "||" | null => {
+      const token = peek()
+      if (dialect !== "fish" || token?.type !== "word") return null
+      const word = this.plainLiteral(token.word)
+      return word === "and" ? "&&" : word === "or" ? "||" : null
+    }
+
+    // Statements up to the end of input, or up to one of the reserved words that close a compound command
+    const parseList = (terminators: string[]): CommandListNode => {
+      const list: CommandListNode = { type: "list", items: [] }
+      while (isOperator(peek(), "\n")) position++
+
+      while (position < tokens.length && !isReserved(peek(), ...terminators)) {
+        const previous = list.items[list.items.length - 1]
+        const joiner = fishJoiner()
+        let item: AndOrNode
+        if (joiner && previous && !previous.background) {
+          position++
+          previous.rest.push({ operator: joiner, pipeline: parsePipeline() })
+          item = parseAndOrRest(previous)
+        } else {
+          item = parseAndOr()
+          list.items.push(item)
+        }
+        if (isOperator(peek(), "&")) {
+          item.background = true
+          position++
+          while (isOperator(peek(), "\n")) position++
+        } else if (isOperator(peek(), ";", "\n")) {
+          position++
+          while (isOperator(peek(), "\n")) position++
+        } else if (peek()) {
+          throw unexpected(peek())
+        }
+      }
+      return list
+    }
+
+    const list = parseList([])
+    if (position < tokens.length) throw unexpected(peek())
+    return list
+  }
+
+  /**
+   * Read a function definition at the start of a script
+   * posix: `name() { ... }` or `function name { ... }`; fish: `function name ... end`;
+   * PowerShell: `function Name($a, $b) { ... }`, whose parameters become a `param(...)` line of the body.
+   * @param source Script text
+   * @param dialect Syntax to read
+   * @returns Definition with its body dedented, or null if the script does not start with one
+   * @throws ShellSyntaxError if the body is not closed
+   */
+  static readFunction(source: string, dialect: ShellDialect = "posix"): FunctionDefinition | null {
+    if (dialect === "fish") return this.readFishFunction(source)
+
+    const header =
+      dialect === "powershell"
+        ? /^\s*function\s+([\w.:-]+)\s*(?:\(([^)]*)\))?\s*\{/i.exec(source)
+        : /^\s*(?:function\s+([\w.:-]+)\s*(?:\(\s*\))?|([\w.:-]+)\s*\(\s*\))\s*\{/.exec(source)
+    if (!header) return null
+
+    let depth = 1
+    let quote: string | null = null
+    for (let index = header[0].length; index < source.length; index++) {
+      const char = source[index]
+      if (quote) {
+        if (char === quote) quote = null
+        else if (char === "\\" && quote === '"' && dialect !== "powershell") index++
+      } else if (char === "'" || char === '"') {
+        quote = char
+      } else if (char === "#" && /\s/.test(source[index - 1])) {
+        // Comments may contain quotes and braces
+        while (index < source.length && source[index] !== "\n") index++
+      } else if (char === "{") {
+        depth++
+      } else if (char === "}" && --depth === 0) {
+        const statements = source
+          .slice(header[0].length, index)
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line !== "")
+        const parameters = dialect === "powershell" ? header[2]?.trim() : undefined
+        if (parameters) statements.unshift(`param(${parameters})`)
+        return { name: header[1] ?? header[2], body: statements.join("\n"), end: index + 1 }
+      }
+    }
+    throw new ShellSyntaxError("syntax error: unexpected end of file")
+  }
+
+  /**
+   * Expand a word into fields, substituting parameters and splitting unquoted expansions
+   * @param word Word to expand
+   * @param lookup Resolves a parameter name to its value
+   * @param positional Positional parameters, which `"$@"` expands to as separate fields
+   * @param substitute Output of the command of a command substitution, without trailing newlines
+   * @returns Expanded fields (empty if the word expands to nothing)
+   */
+  static expandWord(
+    word: Word,
+    lookup: (name: string) => string | undefined,
+    positional: string[] = [],
+    substitute: (part: CommandPart) => string = () => "",
+  ): string[] {
+    // Like bash, a lone "$@" without positional parameters expands to no field at all
+    if (
+      positional.length === 0 &&
+      word.parts.some((part) => part.type === "parameter" && part.name === "@" && part.quoted) &&
+      word.parts.every((part) =>
+        part.type === "literal" ? part.value === "" : part.type === "parameter" && part.name === "@",
+      )
+    ) {
+      return []
+    }
+
+    const fields: string[] = []
+    let current: string | null = null
+
+    for (const [index, part] of word.parts.entries()) {
+      if (part.type === "literal") {
+        let value = part.value
+        if (index === 0 && !part.quoted && (value === "~" || value.startsWith("~/"))) {
+          value = (lookup("HOME") ?? "~") + value.slice(1)
+        }
+        if (value || part.quoted) current = (current ?? "") + value
+        continue
+      }
+
+      if (part.type === "parameter" && part.name === "@" && part.quoted) {
+        // The first parameter joins the text before "$@" and the last the text after it
+        positional.forEach((parameter, parameterIndex) => {
+          if (parameterIndex > 0) {
+            fields.push(current ?? "")
+            current = null
+          }
+          current = (current ?? "") + parameter
+        })
+        continue
+      }
+
+      const value = part.type === "command" ? substitute(part) : this.parameterValue(part, lookup)
+      if (part.quoted) {
+        current = (current ?? "") + value
+        continue
+      }
+
+      const separator = part.type === "command" && part.lines ? /\n/ : /[ \t\n]+/
+      for (const [pieceIndex, piece] of value.split(separator).entries()) {
+        if (pieceIndex > 0 && current !== null) {
+          fields.push(current)
+          current = null
+        }
+        if (piece) current = (current ?? "") + piece
+      }
+    }
+
+    if (current !== null) fields.push(current)
+    return fields
+  }
+
+  /**
+   * Expand a word into a single string without field splitting (used for assignments)
+   * @param word Word to expand
+   * @param lookup Resolves a parameter name to its value
+   * @param substitute Output of the command of a command substitution, without trailing newlines
+   * @returns Expanded string
+   */
+  static expandWordToString(
+    word: Word,
+    lookup: (name: string) => string | undefined,
+    substitute: (part: CommandPart) => string = () => "",
+  ): string {
+    return word.parts
+      .map((part, index) => {
+        if (part.type === "command") return substitute(part)
+        if (part.type === "parameter") return this.parameterValue(part, lookup)
+        if (index === 0 && !part.quoted && (part.value === "~" || part.value.startsWith("~/"))) {
+          return (lookup("HOME") ?? "~") + part.value.slice(1)
+        }
+        return part.value
+      })
+      .join("")
+  }
+
+  /**
+   * Render a word back to source form (for messages)
+   * @param word Word to render
+   * @returns Source text approximation
+   */
+  static wordToString(word: Word): string {
+    return word.parts
+      .map((part) => {
+        if (part.type === "command") return part.lines ? `(${part.source})` : `$(${part.source})`
+        if (part.type === "parameter")
+          return part.index === undefined ? `$${part.name}` : `$${part.name}[${part.index}]`
+        return part.value
+      })
+      .join("")
+  }
+
+  /**
+   * List the command substitutions of a command, in the order they run
+   * @param command Simple command
+   * @returns Command parts of its assignments, words and redirection targets
+   */
+  static getCommandParts(command: SimpleCommandNode): CommandPart[] {
+    const words = [
+      ...command.assignments.map((assignment) => assignment.value),
+      ...command.words,
+      ...command.redirects.map((redirect) => redirect.target),
+    ]
+    return words.flatMap((word) => word.parts.filter((part): part is CommandPart => part.type === "command"))
+  }
+
+  /**
+   * Render an and-or list back to source text, e.g. for listing jobs
+   * @param node And-or list
+   * @returns Command text without a trailing `&`
+   */
+  static andOrToString(node: AndOrNode): string {
+    const pipelines = [node.head, ...node.rest.map((entry) => entry.pipeline)].map((pipeline) =>
+      pipeline.commands
+        .map((command) =>
+          command.type === "function"
+            ? `${command.name}() { ${command.body.split("\n").join("; ")} }`
+            : command.type === "if"
+              ? this.ifToString(command)
+              : [
+                  ...command.assignments.map(({ name, value }) => `${name}=${this.wordToString(value)}`),
+                  ...command.words.map((word) => this.wordToString(word)),
+                  ...command.redirects.map((redirect) => {
+                    const fd = redirect.fd === (redirect.operator.startsWith("<") ? 0 : 1) ? "" : String(redirect.fd)
+                    const target = this.wordToString(redirect.target)
+                    return redirect.operator.endsWith("&")
+                      ? `${fd}${redirect.operator}${target}`
+                      : `${fd}${redirect.operator} ${target}`
+                  }),
+                ].join(" "),
+        )
+        .join(" | "),
+    )
+    return pipelines.reduce((text, pipeline, index) => `${text} ${node.rest[index - 1].operator} ${pipeline}`)
+  }
+
+  /**
+   * Render an `if` command back to source text
+   * @private
+   */
+  private static ifToString(node: IfNode): string {
+    const list = (list: CommandListNode) =>
+      list.items.map((item) => `${this.andOrToString(item)}${item.background ? " &" : ";"}`).join(" ")
+    const clauses = node.clauses.map(
+      ({ condition, body }, index) => `${index === 0 ? "if" : "elif"} ${list(condition)} then ${list(body)}`,
+    )
+    return [...clauses, ...(node.otherwise ? [`else ${list(node.otherwise)}`] : []), "fi"].join(" ")
+  }
+
+  /**
+   * Read a fish `function name [options] ... end` definition, counting nested blocks
+   * @private
+   */
+  private static readFishFunction(source: string): FunctionDefinition | null {
+    const header = /^\s*function\s+([^\s;]+)[^\n;]*/.exec(source)
+    if (!header) return null
+
+    const statements: string[] = []
+    let statement = ""
+    let quote: string | null = null
+    let depth = 1
+    for (let index = header[0].length; index <= source.length; index++) {
+      const char = source[index]
+      if (quote) {
+        if (char === quote) quote = null
+      } else if (char === "'" || char === '"') {
+        quote = char
+      } else if (char === "#" && statement.trim() === "") {
+        while (index + 1 < source.length && source[index + 1] !== "\n") index++
+        continue
+      } else if (index === source.length || char === "\n" || char === ";") {
+        const trimmed = statement.trim()
+        const keyword = trimmed.split(/\s+/)[0]
+        statement = ""
+        if (FISH_BLOCKS.includes(keyword)) depth++
+        if (keyword === "end" && --depth === 0) {
+          return { name: header[1], body: statements.join("\n"), end: index }
+        }
+        if (trimmed !== "") statements.push(trimmed)
+        continue
+      }
+      statement += char ?? ""
+    }
+    throw new ShellSyntaxError("missing end for function definition")
+  }
+
+  /**
+   * Value of a parameter part; fish list variables hold their items separated by spaces
+   * @private
+   */
+  private static parameterValue(
+    part: Extract<WordPart, { type: "parameter" }>,
+    lookup: (name: string) => string | undefined,
+  ): string {
+    const value = lookup(part.name) ?? ""
+    if (part.index === undefined) return value
+    const items = value.split(" ").filter((item) => item !== "")
+    return items[part.index > 0 ? part.index - 1 : items.length + part.index] ?? ""
+  }
+
+  /**
+   * Get the value of a word consisting of a single unquoted literal
+   * @param word Word to inspect
+   * @returns Literal text or null if the word is quoted or contains expansions
+   * @private
+   */
+  private static plainLiteral(word: Word): string | null {
+    if (word.parts.length !== 1) return null
+    const part = word.parts[0]
+    return part.type === "literal" && !part.quoted ? part.value : null
+  }
+
+  /**
+   * Join the operands of PowerShell's `+` string operator into single words
+   * @param words Words of an expression statement
+   * @returns Words with each `a + b` chain joined
+   * @throws ShellSyntaxError if `+` has no right operand
+   */
+  private static concatenateStrings(words: Word[]): Word[] {
+    const joined: Word[] = []
+    for (let index = 0; index < words.length; index++) {
+      if (joined.length === 0 || this.plainLiteral(words[index]) !== "+") {
+        joined.push({ parts: [...words[index].parts] })
+        continue
+      }
+      const operand = words[++index]
+      if (!operand) throw new ShellSyntaxError("You must provide a value expression following the '+' operator.")
+      joined[joined.length - 1].parts.push(...operand.parts)
+    }
+    return joined
+  }
+
+  /**
+   * Interpret a word as a `NAME=value` assignment
+   * @param word Word to inspect
+   * @returns Assignment or null if the word is not an assignment
+   * @private
+   */
+  private static toAssignment(word: Word): Assignment | null {
+    const first = word.parts[0]
+    if (!first || first.type !== "literal" || first.quoted) return null
+
+    const match = first.value.match(ASSIGNMENT)
+    if (!match) return null
+
+    const rest = first.value.slice(match[0].length)
+    const valueParts: WordPart[] = rest ? [{ type: "literal", value: rest, quoted: false }] : []
+    return { name: match[1], value: { parts: [...valueParts, ...word.parts.slice(1)] } }
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Standard stream model for built-in commands of the virtual shell
+ * @version 1.0.0
+ */
+
+import type { TerminalLine } from "@/types/terminal"
+
+/**
+ * Objects a PowerShell cmdlet passes down a pipeline, alongside their text form
+ */
+export interface PipelineObjects {
+  /** Property values of each object, in display order */
+  items: Record<string, string | number>[]
+  /** Properties a table shows when none are asked for */
+  columns: string[]
+  /** Property that stands for an object where text is expected, e.g. as a command argument */
+  key: string
+}
+
+/**
+ * Destination a command writes lines to
+ */
+export interface OutputStream {
+  /**
+   * Write a single line
+   * @param content Line content without trailing newline
+   * @param newline False to leave the line open, so the next write continues it (`echo -n`); the terminal still
+   *   starts a new line for every write
+   */
+  write(content: string, newline?: boolean): void
+}
+
+/**
+ * Readable side of a command's standard input
+ */
+export class InputStream {
+  /**
+   * @param lines Piped or redirected input, or null when attached to the terminal
+   * @param objects Objects the previous command of a PowerShell pipeline wrote
+   * @param newline False if the input does not end with a newline (`echo -n x |`)
+   */
+  constructor(
+    private readonly lines: string[] | null = null,
+    private readonly objects: PipelineObjects | null = null,
+    private readonly newline = true,
+  ) {}
+
+  /**
+   * Whether the stream is attached to the terminal (nothing to read)
+   * @returns True if no input was piped or redirected
+   */
+  isTerminal(): boolean {
+    return this.lines === null
+  }
+
+  /**
+   * Read all available input lines
+   * @returns Input lines (empty when attached to the terminal)
+   */
+  readLines(): string[] {
+    return this.lines ?? []
+  }
+
+  /**
+   * Read all available input as text
+   * @returns Input content, ending with a newline unless the writer left the last line open
+   */
+  read(): string {
+    return joinLines(this.readLines(), this.newline)
+  }
+
+  /**
+   * Read the objects piped in, for cmdlets that work on properties rather than text
+   * @returns Objects, or null if the input is only text
+   */
+  readObjects(): PipelineObjects | null {
+    return this.objects
+  }
+}
+
+/**
+ * Stream that renders lines into the terminal tab
+ */
+export class TerminalStream implements OutputStream {
+  /**
+   * @param sink Receives each line as soon as it is written
+   * @param type Line type to render with ("output" for stdout, "error" for stderr)
+   */
+  constructor(
+    private readonly sink: (line: TerminalLine) => void,
+    private readonly type: TerminalLine["type"],
+  ) {}
+
+  write(content: string): void {
+    this.sink({
+      id: `${this.type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type: this.type,
+      content,
+      timestamp: new Date(),
+    })
+  }
+}
+
+/**
+ * Stream that buffers lines in memory (pipes and file redirections)
+ */
+export class BufferStream implements OutputStream {
+  private readonly lines: string[] = []
+  private objects: PipelineObjects | null = null
+  /** The last line was written without a newline */
+  private open = false
+
+  write(content: string, newline = true): void {
+    if (this.open) {
+      this.lines[this.lines.length - 1] += content
+    } else {
+      this.lines.push(content)
+    }
+    this.open = !newline
+  }
+
+  /**
+   * Keep objects for the next command of a pipeline; their text form is written separately
+   * @param objects Objects to add
+   */
+  writeObjects(objects: PipelineObjects): void {
+    this.objects = this.objects ? { ...this.objects, items: [...this.objects.items, ...objects.items] } : objects
+  }
+
+  /**
+   * Get the buffered objects
+   * @returns Objects written so far, or null if none were
+   */
+  getObjects(): PipelineObjects | null {
+    return this.objects
+  }
+
+  /**
+   * Get the buffered lines
+   * @returns Lines written so far
+   */
+  getLines(): string[] {
+    return this.lines
+  }
+
+  /**
+   * Whether the buffered output ends with a newline
+   * @returns False if the last line was written open (`echo -n`)
+   */
+  endsWithNewline(): boolean {
+    return !this.open
+  }
+
+  /**
+   * Get the buffered output as text
+   * @returns Lines joined by newlines, without the final one if the last line is open
+   */
+  getContent(): string {
+    return joinLines(this.lines, !this.open)
+  }
+}
+
+/**
+ * Standard streams handed to a command
+ */
+export interface CommandIO {
+  stdin: InputStream
+  stdout: OutputStream
+  stderr: OutputStream
+}
+
+/**
+ * Split file content into lines, ignoring the final newline
+ * @param content File content
+ * @returns Lines of the file
+ */
+export function splitLines(content: string): string[] {
+  if (content === "") return []
+  const lines = content.split("\n")
+  if (lines[lines.length - 1] === "") lines.pop()
+  return lines
+}
+
+/**
+ * Join lines into file content terminated by a newline
+ * @param lines Lines to join
+ * @param newline False to leave the last line unterminated
+ * @returns File content
+ */
+export function joinLines(lines: string[], newline = true): string {
+  return lines.length === 0 ? "" : lines.join("\n") + (newline ? "\n" : "")
+}
@@ -3,6 +3,12 @@
  * @version 1.0.0
  */
 
+import { CommandHistory, type HistoryStorage } from "./command-history"
+import { JobTable } from "./job-control"
+import type { SessionRecording } from "./asciicast"
+import { PromptRenderer, type PromptContext } from "./prompt-renderer"
+import type { ShellDialect } from "./shell-parser"
+
 /**
  * Available shell types
  */
@@ -20,7 +26,7 @@ export interface ShellConfig {
   configFile: string
   /** Command aliases */
   aliases: { [key: string]: string }
-  /** Shell functions */
+  /** Shell functions: function bodies by name */
   functions: { [key: string]: string }
   /** Environment variables */
   variables: { [key: string]: string }
@@ -31,8 +37,18 @@ export interface ShellConfig {
  * Supports bash, zsh, fish, and PowerShell with their respective configurations
  */
 export class ShellSystem {
+  /** History size used when HISTSIZE is unset, as in bash */
+  private static readonly DEFAULT_HISTSIZE = 500
+
   private currentShell: ShellType = "bash"
   private shells: { [key in ShellType]: ShellConfig }
+  private lastExitStatus = 0
+  private histories: { [key in ShellType]?: CommandHistory } = {}
+  private historyStorage: HistoryStorage | null = null
+  private jobs = new JobTable()
+  private recording: SessionRecording | null = null
+  /** What the current shell's prompt function printed when it last ran */
+  private functionPrompt: string | null = null
 
   /**
    * Initialize shell system with default configurations
@@ -56,9 +72,18 @@ export class ShellSystem {
   setShell(shell: ShellType): void {
     if (this.shells[shell]) {
       this.currentShell = shell
+      this.functionPrompt = null
     }
   }
 
+  /**
+   * Get the syntax command lines of the current shell are read with
+   * @returns Parser dialect; bash and zsh share the POSIX one
+   */
+  getDialect(): ShellDialect {
+    return this.currentShell === "fish" || this.currentShell === "powershell" ? this.currentShell : "posix"
+  }
+
   /**
    * Get configuration for the current shell
    * @returns Current shell configuration
@@ -69,88 +94,85 @@ export class ShellSystem {
 
   /**
    * Generate shell prompt for current directory
+   * bash and zsh expand PS1 (zsh prefers PROMPT); fish and PowerShell show what their fish_prompt and prompt
+   * functions printed when CommandProcessor last ran them. Colors come out as ANSI escape sequences.
    * @param currentPath Current directory path
-   * @returns Formatted prompt string
+   * @param username User the prompt shows
+   * @returns Formatted prompt string, including its trailing space
    */
-  getPrompt(currentPath: string): string {
+  getPrompt(currentPath: string, username = "user"): string {
     const config = this.getShellConfig()
-    const username = "user"
-    const hostname = "hyper-terminal"
+    const context: PromptContext = {
+      user: username,
+      hostname: this.getHostname(),
+      cwd: currentPath,
+      home: this.getVariable("HOME") ?? "/",
+      exitStatus: this.lastExitStatus,
+      jobCount: this.jobs.list().length,
+      historyNumber: this.getHistory().getEntries().length + 1,
+      now: new Date(),
+    }
 
     switch (this.currentShell) {
       case "bash":
-        return `${username}@${hostname}:${currentPath}${config.prompt}`
+        return PromptRenderer.renderBash(config.variables.PS1 ?? "\\s-\\v\\$ ", context)
       case "zsh":
-        return `${username}@${hostname}:${currentPath}${config.prompt}`
+        return PromptRenderer.renderZsh(config.variables.PROMPT ?? config.variables.PS1 ?? "%m%# ", context)
       case "fish":
-        return `${username}@${hostname} ${currentPath}${config.prompt}`
+        return this.functionPrompt ?? `${PromptRenderer.abbreviateHome(currentPath, context.home)}> `
       case "powershell":
-        return `${config.prompt} ${currentPath}>`
+        return this.functionPrompt ?? `PS ${currentPath}> `
       default:
-        return `${currentPath} ${config.prompt}`
+        return `${currentPath} ${config.prompt} `
     }
   }
 
   /**
-   * Load and parse shell configuration file
-   * @param fileContent Content of the configuration file
+   * Get the function that draws the prompt of the current shell
+   * @returns "fish_prompt" in fish, "prompt" in PowerShell, or null in shells whose prompt is a string
    */
-  loadConfigFile(fileContent: string): void {
-    const config = this.shells[this.currentShell]
-    const lines = fileContent.split("\n")
-
-    for (const line of lines) {
-      const trimmed = line.trim()
-      if (trimmed.startsWith("#") || trimmed === "") continue
-
-      // Parse aliases
-      if (trimmed.startsWith("alias ")) {
-        const aliasMatch = trimmed.match(/alias\s+([^=]+)=(.+)/)
-        if (aliasMatch) {
-          const [, name, value] = aliasMatch
-          config.aliases[name.trim()] = value.trim().replace(/['"]/g, "")
-        }
-      }
-
-      // Parse environment variables
-      if (trimmed.includes("=") && !trimmed.startsWith("alias")) {
-        const [name, ...valueParts] = trimmed.split("=")
-        if (name && valueParts.length > 0) {
-          const value = valueParts.join("=").replace(/['"]/g, "")
-          if (name.startsWith("export ")) {
-            config.variables[name.replace("export ", "").trim()] = value
-          } else {
-            config.variables[name.trim()] = value
-          }
-        }
-      }
+  getPromptFunction(): string | null {
+    return this.currentShell === "fish" ? "fish_prompt" : this.currentShell === "powershell" ? "prompt" : null
+  }
 
-      // Parse functions (simplified)
-      if (trimmed.includes("function ") || trimmed.includes("()")) {
-        const funcMatch = trimmed.match(/(?:function\s+)?([^(]+)$$$$/)
-        if (funcMatch) {
-          config.functions[funcMatch[1].trim()] = trimmed
-        }
-      }
-    }
+  /**
+   * Keep what the prompt function printed, for getPrompt to show until it runs again
+   * @param prompt Output of the prompt function, without its trailing newline
+   */
+  setFunctionPrompt(prompt: string): void {
+    this.functionPrompt = prompt
   }
 
   /**
-   * Expand command alias if it exists
-   * @param command Command to expand
-   * @returns Expanded command or original if no alias found
+   * Get the host name prompts show
+   * @returns HOSTNAME, or the terminal's name if it is unset
    */
-  expandAlias(command: string): string {
-    const config = this.getShellConfig()
-    const parts = command.split(" ")
-    const baseCommand = parts[0]
+  getHostname(): string {
+    return this.getVariable("HOSTNAME") || "hyper-terminal"
+  }
 
-    if (config.aliases[baseCommand]) {
-      parts[0] = config.aliases[baseCommand]
-      return parts.join(" ")
-    }
+  /**
+   * Define a function of the current shell, replacing any function of the same name
+   * @param name Function name
+   * @param body Body source, one statement per line
+   */
+  defineFunction(name: string, body: string): void {
+    this.getShellConfig().functions[name] = body
+  }
 
-    return command
+  /**
+   * Get the body of a function of the current shell
+   * PowerShell function names are case-insensitive, like its commands.
+   * @param name Function name
+   * @returns Function body, or undefined if no such function is defined
+   */
+  getFunction(name: string): string | undefined {
+    const functions = this.getShellConfig().functions
+    const key =
+      this.currentShell === "powershell"
+        ? Object.keys(functions).find((key) => key.toLowerCase() === name.toLowerCase())
+        : name
+    return key !== undefined && Object.prototype.hasOwnProperty.call(functions, key) ? functions[key] : undefined
   }
 
   /**
@@ -171,6 +193,116 @@ export class ShellSystem {
     this.shells[this.currentShell].variables[name] = value
   }
 
+  /**
+   * Remove environment variable
+   * @param name Variable name
+   */
+  unsetVariable(name: string): void {
+    delete this.shells[this.currentShell].variables[name]
+  }
+
+  /**
+   * Define an alias of the current shell, replacing any alias of the same name
+   * @param name Alias name
+   * @param value Text the alias expands to
+   */
+  setAlias(name: string, value: string): void {
+    this.shells[this.currentShell].aliases[name] = value
+  }
+
+  /**
+   * Remove an alias of the current shell
+   * @param name Alias name
+   * @returns Whether the alias was defined
+   */
+  unsetAlias(name: string): boolean {
+    const aliases = this.shells[this.currentShell].aliases
+    if (!Object.prototype.hasOwnProperty.call(aliases, name)) return false
+    delete aliases[name]
+    return true
+  }
+
+  /**
+   * Get the exit status of the last executed command (`$?`)
+   * @returns Exit status
+   */
+  getLastExitStatus(): number {
+    return this.lastExitStatus
+  }
+
+  /**
+   * Record the exit status of the last executed command
+   * @param status Exit status
+   */
+  setLastExitStatus(status: number): void {
+    this.lastExitStatus = status
+  }
+
+  /**
+   * Get the command history of the current shell
+   * @returns History shared by all commands run in this shell
+   */
+  getHistory(): CommandHistory {
+    let history = this.histories[this.currentShell]
+    if (!history) {
+      history = new CommandHistory()
+      if (this.historyStorage) {
+        history.attachStorage(this.historyStorage, this.currentShell)
+      }
+      this.histories[this.currentShell] = history
+    }
+    return history
+  }
+
+  /**
+   * Add a command line to the current shell's history, honouring HISTSIZE and HISTCONTROL
+   * Without HISTCONTROL, consecutive duplicates are still skipped (fish and PowerShell behave this way).
+   * @param command Command line after history expansion
+   */
+  recordHistory(command: string): void {
+    const size = Number.parseInt(this.getVariable("HISTSIZE") ?? "", 10)
+    const control = this.getVariable("HISTCONTROL")
+    this.getHistory().add(command, {
+      size: Number.isNaN(size) ? ShellSystem.DEFAULT_HISTSIZE : size,
+      control: control === undefined ? ["ignoredups"] : control.split(":"),
+    })
+  }
+
+  /**
+   * Get the jobs started in this shell
+   * @returns Job table shared by all shells of the tab
+   */
+  getJobs(): JobTable {
+    return this.jobs
+  }
+
+  /**
+   * Get the recording started with `record start`
+   * @returns Recording in progress, or null
+   */
+  getRecording(): SessionRecording | null {
+    return this.recording
+  }
+
+  /**
+   * Start or stop recording the session
+   * @param recording New recording, or null to stop recording
+   */
+  setRecording(recording: SessionRecording | null): void {
+    this.recording = recording
+  }
+
+  /**
+   * Persist every shell's history to a storage backend, keyed by shell type
+   * @param backend Storage backend
+   */
+  attachHistoryStorage(backend: HistoryStorage): void {
+    this.historyStorage = backend
+    for (const [shell, history] of Object.entries(this.histories)) {
+      history.attachStorage(backend, shell)
+    }
+  }
+
   /**
    * Get default configuration content for current shell
    * @returns Default configuration file content
@@ -312,6 +444,8 @@ Write-Host "PowerShell configuration loaded" -ForegroundColor Green`
           PATH: "/usr/local/bin:/usr/bin:/bin",
           HOME: "/home/user",
           SHELL: "/bin/bash",
+          HISTSIZE: "1000",
+          HISTCONTROL: "ignoreboth",
         },
       },
       zsh: {
@@ -325,6 +459,8 @@ Write-Host "PowerShell configuration loaded" -ForegroundColor Green`
           PATH: "/usr/local/bin:/usr/bin:/bin",
           HOME: "/home/user",
           SHELL: "/bin/zsh",
+          HISTSIZE: "1000",
+          HISTCONTROL: "ignoredups",
         },
       },
       fish: {
@@ -332,7 +468,9 @@ Write-Host "PowerShell configuration loaded" -ForegroundColor Green`
         prompt: ">",
         configFile: "~/.config/fish/config.fish",
         aliases: {},
-        functions: {},
+        functions: {
+          fish_prompt: "echo -n (whoami)'@'(prompt_hostname) (set_color green)(prompt_pwd)(set_color normal)'> '",
+        },
         variables: {
           PATH: "/usr/local/bin /usr/bin /bin",
           HOME: "/home/user",
@@ -344,10 +482,13 @@ Write-Host "PowerShell configuration loaded" -ForegroundColor Green`
         prompt: "PS>",
         configFile: "$PROFILE",
         aliases: {},
-        functions: {},
+        functions: {
+          prompt: '"PS $(Get-Location)> "',
+        },
         variables: {
           PSModulePath: "C:\\Program Files\\PowerShell\\Modules",
-          HOME: "C:\\Users\\user",
+          // A directory of the tree, so `cd ~` and `Set-Location $HOME` work as in the other shells
+          HOME: "/home/user",
           SHELL: "pwsh",
         },
       },
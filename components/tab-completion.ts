@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Context-aware Tab completion for the terminal input line
+ * @version 1.0.0
+ */
+
+import type { TerminalTab } from "@/types/terminal"
+import { CommandProcessor } from "./command-processor"
+
+/**
+ * Outcome of a completion request
+ */
+export interface CompletionResult {
+  /** Input line with the current word completed as far as it is unambiguous */
+  line: string
+  /** Cursor position after the inserted text */
+  cursor: number
+  /** Matches to list when more than one exists (empty otherwise) */
+  candidates: string[]
+}
+
+/**
+ * A possible completion of the current word
+ */
+interface Candidate {
+  /** Unquoted text that replaces the word */
+  value: string
+  /** Text shown in the completion list */
+  display: string
+  /** Whether a unique match is finished (adds a space and closes quotes) */
+  complete: boolean
+}
+
+/**
+ * Fixed argument lists for commands with subcommands
+ */
+const SUBCOMMANDS: Record<string, string[]> = {
+  shell: ["bash", "zsh", "fish", "powershell"],
+  gpu: ["list", "switch", "init", "status"],
+  workflows: ["search"],
+  record: ["start", "stop", "status"],
+}
+
+/**
+ * Commands whose operands are directories only
+ */
+const DIRECTORY_COMMANDS = new Set(["cd"])
+
+/**
+ * Completes command names, paths, shells, workflows and themes at the cursor
+ */
+export class TabCompletion {
+  /**
+   * Complete the word before the cursor
+   * @param line Current input line
+   * @param cursor Cursor position within the line
+   * @param currentTab Tab whose file system and shell are used for lookups
+   * @returns Updated line and cursor, plus the candidates if the word is ambiguous
+   */
+  static complete(line: string, cursor: number, currentTab: TerminalTab): CompletionResult {
+    const before = line.slice(0, cursor)
+    const after = line.slice(cursor)
+    const context = this.analyze(before)
+    const partial = this.unquote(before.slice(context.wordStart))
+
+    const matches = this.getCandidates(context, partial, currentTab).filter((candidate) =>
+      candidate.value.toLowerCase().startsWith(partial.toLowerCase()),
+    )
+    // Exact-case matches win over case-insensitive ones (workflow names are case-insensitive)
+    const exact = matches.filter((candidate) => candidate.value.startsWith(partial))
+    const candidates = exact.length > 0 ? exact : matches
+    if (candidates.length === 0) {
+      return { line, cursor, candidates: [] }
+    }
+
+    let replacement: string
+    if (candidates.length === 1) {
+      const [candidate] = candidates
+      replacement = this.quote(candidate.value, context.quote, candidate.complete) + (candidate.complete ? " " : "")
+    } else {
+      const prefix = this.commonPrefix(candidates.map((candidate) => candidate.value))
+      // Case-insensitive matches can share less than what was typed; keep the word as it is then
+      replacement =
+        prefix.length < partial.length ? before.slice(context.wordStart) : this.quote(prefix, context.quote, false)
+    }
+
+    const head = before.slice(0, context.wordStart) + replacement
+    return {
+      line: head + after,
+      cursor: head.length,
+      candidates: candidates.length > 1 ? candidates.map((candidate) => candidate.display).sort() : [],
+    }
+  }
+
+  /**
+   * Work out where the current word starts and what position it occupies in its command
+   * @param before Input up to the cursor
+   * @returns Word start offset, open quote, preceding command words and whether a redirection target is expected
+   * @private
+   */
+  private static analyze(before: string): {
+    wordStart: number
+    quote: '"' | "'" | null
+    words: string[]
+    redirect: boolean
+  } {
+    let wordStart = 0
+    let quote: '"' | "'" | null = null
+    let words: string[] = []
+    let redirect = false
+
+    const finishWord = (end: number) => {
+      if (end > wordStart) {
+        const word = this.unquote(before.slice(wordStart, end))
+        // The word after a redirection operator is its target, not a command word
+        if (redirect) redirect = false
+        else words.push(word)
+      }
+    }
+
+    for (let index = 0; index < before.length; index++) {
+      const char = before[index]
+      if (quote) {
+        if (char === quote) quote = null
+        else if (char === "\\" && quote === '"') index++
+        continue
+      }
+
+      if (char === "\\") {
+        index++
+      } else if (char === "'" || char === '"') {
+        quote = char
+      } else if (/\s/.test(char)) {
+        finishWord(index)
+        wordStart = index + 1
+      } else if (";|&()".includes(char)) {
+        finishWord(index)
+        words = []
+        redirect = false
+        wordStart = index + 1
+      } else if (char === "<" || char === ">") {
+        // An io-number such as the 2 in 2> belongs to the operator
+        if (!/^[0-9]+$/.test(before.slice(wordStart, index))) finishWord(index)
+        redirect = true
+        wordStart = index + 1
+      }
+    }
+
+    // Leading assignments and sudo do not change which word is the command
+    while (words.length > 0 && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0]) || words[0] === "sudo")) {
+      words.shift()
+    }
+    return { wordStart, quote, words, redirect }
+  }
+
+  /**
+   * List everything that could appear at the current word
+   * @private
+   */
+  private static getCandidates(
+    context: { words: string[]; redirect: boolean },
+    partial: string,
+    currentTab: TerminalTab,
+  ): Candidate[] {
+    if (context.redirect) {
+      return this.getPathCandidates(partial, currentTab, false)
+    }
+
+    if (context.words.length === 0) {
+      if (partial.includes("/")) {
+        return this.getPathCandidates(partial, currentTab, false)
+      }
+      const aliases = Object.keys(currentTab.shellSystem.getShellConfig().aliases)
+      const commands = CommandProcessor.getCommandNames(currentTab.shellSystem.getCurrentShell())
+      return [...new Set([...commands, ...aliases])].map((name) => ({
+        value: name,
+        display: name,
+        complete: true,
+      }))
+    }
+
+    const [command] = context.words
+    const position = context.words.length
+    const fixed = (values: string[]) => values.map((value) => ({ value, display: value, complete: true }))
+    const workflowSystem = CommandProcessor.getWorkflowSystem()
+
+    if (position === 1 && SUBCOMMANDS[command]) {
+      return fixed(SUBCOMMANDS[command])
+    }
+    if (command === "workflow" && position === 1) {
+      return fixed(workflowSystem.listWorkflows().map((workflow) => workflow.name))
+    }
+    if ((command === "theme" || command === "load-theme") && position === 1) {
+      return fixed(workflowSystem.listThemes())
+    }
+    return this.getPathCandidates(partial, currentTab, DIRECTORY_COMMANDS.has(command))
+  }
+
+  /**
+   * List directory entries matching a partial path
+   * @param partial Partial path as typed (may start with "~/")
+   * @param currentTab Tab whose file system is searched
+   * @param directoriesOnly Skip files
+   * @returns Entries of the directory named by the partial path
+   * @private
+   */
+  private static getPathCandidates(partial: string, currentTab: TerminalTab, directoriesOnly: boolean): Candidate[] {
+    const directoryPart = partial.slice(0, partial.lastIndexOf("/") + 1)
+    const base = partial.slice(directoryPart.length)
+    const home = currentTab.shellSystem.getVariable("HOME") || "/home/user"
+    const lookup = directoryPart.startsWith("~/") ? home + directoryPart.slice(1) : directoryPart
+
+    return currentTab.fileSystem
+      .listDirectory(lookup || ".")
+      .filter((node) => !directoriesOnly || node.type === "directory")
+      .filter((node) => base.startsWith(".") || !node.name.startsWith("."))
+      .map((node) => {
+        const suffix = node.type === "directory" ? "/" : ""
+        return { value: directoryPart + node.name + suffix, display: node.name + suffix, complete: !suffix }
+      })
+  }
+
+  /**
+   * Strip quotes and backslash escapes from a (possibly unterminated) word
+   * @private
+   */
+  private static unquote(word: string): string {
+    let result = ""
+    let quote: string | null = null
+    for (let index = 0; index < word.length; index++) {
+      const char = word[index]
+      if (quote) {
+        if (char === quote) quote = null
+        else if (char === "\\" && quote === '"' && index + 1 < word.length) result += word[++index]
+        else result += char
+      } else if (char === "'" || char === '"') {
+        quote = char
+      } else if (char === "\\" && index + 1 < word.length) {
+        result += word[++index]
+      } else {
+        result += char
+      }
+    }
+    return result
+  }
+
+  /**
+   * Quote text for insertion, continuing an open quote or escaping special characters
+   * @param text Unquoted text
+   * @param quote Quote the word was opened with, if any
+   * @param close Close the quote (the word is finished)
+   * @private
+   */
+  private static quote(text: string, quote: '"' | "'" | null, close: boolean): string {
+    if (quote) {
+      return quote + text + (close ? quote : "")
+    }
+    return text.replace(/[^\w./~+\-=:,@%]/g, "\\$&")
+  }
+
+  /**
+   * Longest prefix shared by all values
+   * @private
+   */
+  private static commonPrefix(values: string[]): string {
+    return values.reduce((prefix, value) => {
+      let length = 0
+      while (length < prefix.length && length < value.length && prefix[length] === value[length]) length++
+      return prefix.slice(0, length)
+    })
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview ustar archive reader/writer for exporting and importing the virtual file system
+ * @version 1.0.0
+ */
+
+import { downloadFile } from "./download"
+import { FileSystem } from "./file-system"
+
+/**
+ * A file or directory stored in a tar archive
+ */
+export interface TarEntry {
+  /** Path relative to the archive root, without leading slash */
+  path: string
+  /** Entry type */
+  type: "file" | "directory"
+  /** File data (empty for directories) */
+  content: Uint8Array
+  /** Permission bits (e.g., 0o644) */
+  mode: number
+  /** Owner user name */
+  owner: string
+  /** Owner group name */
+  group: string
+  /** Last modified date */
+  modified: Date
+}
+
+/**
+ * Raised when an archive cannot be read or written
+ */
+export class TarFormatError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = "TarFormatError"
+  }
+}
+
+const BLOCK_SIZE = 512
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+/**
+ * POSIX ustar encoding and decoding, plus conversion to and from the virtual file system
+ */
+export class TarArchive {
+  /**
+   * Build a ustar archive
+   * @param entries Entries to store, parents before children
+   * @returns Archive bytes, terminated by two zero blocks
+   * @throws TarFormatError if a path cannot be represented in a ustar header
+   */
+  static create(entries: TarEntry[]): Uint8Array {
+    const blocks: Uint8Array[] = []
+
+    for (const entry of entries) {
+      const size = entry.type === "file" ? entry.content.length : 0
+      blocks.push(this.createHeader(entry, size))
+      if (size > 0) {
+        const data = new Uint8Array(Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE)
+        data.set(entry.content)
+        blocks.push(data)
+      }
+    }
+    blocks.push(new Uint8Array(BLOCK_SIZE * 2))
+
+    const archive = new Uint8Array(blocks.reduce((total, block) => total + block.length, 0))
+    let offset = 0
+    for (const block of blocks) {
+      archive.set(block, offset)
+      offset += block.length
+    }
+    return archive
+  }
+
+  /**
+   * Read a ustar archive; links, devices and other special entries are skipped
+   * @param data Archive bytes
+   * @returns Files and directories in archive order
+   * @throws TarFormatError if the archive is malformed
+   */
+  static parse(data: Uint8Array): TarEntry[] {
+    const entries: TarEntry[] = []
+    let offset = 0
+    let longPath: string | null = null
+
+    while (offset + BLOCK_SIZE <= data.length) {
+      const header = data.subarray(offset, offset + BLOCK_SIZE)
+      if (header.every((byte) => byte === 0)) break
+
+      if (this.checksum(header) !== this.readOctal(header, 148, 8)) {
+        throw new TarFormatError(`invalid header checksum at offset ${offset}`)
+      }
+      if (this.readString(header, 257, 5) !== "ustar") {
+        throw new TarFormatError("not a ustar archive")
+      }
+
+      const size = this.readOctal(header, 124, 12)
+      const typeflag = String.fromCharCode(header[156] || 48)
+      const body = data.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size)
+      if (body.length < size) {
+        throw new TarFormatError("unexpected end of archive")
+      }
+      offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+
+      const prefix = this.readString(header, 345, 155)
+      const name = this.readString(header, 0, 100)
+      const path = this.normalizePath(longPath ?? (prefix ? `${prefix}/${name}` : name))
+      longPath = null
+
+      if (typeflag === "x") {
+        // pax extended header: only the path record matters here
+        const match = decoder.decode(body).match(/(?:^|\n)\d+ path=([^\n]*)\n/)
+        longPath = match ? match[1] : null
+        continue
+      }
+      if (typeflag === "L") {
+        longPath = decoder.decode(body).replace(/\0+$/, "")
+        continue
+      }
+      if (!path || !["0", "7", "5"].includes(typeflag)) continue
+
+      entries.push({
+        path,
+        type: typeflag === "5" ? "directory" : "file",
+        content: typeflag === "5" ? new Uint8Array(0) : body.slice(),
+        mode: this.readOctal(header, 100, 8) & 0o7777,
+        owner: this.readString(header, 265, 32),
+        group: this.readString(header, 297, 32),
+        modified: new Date(this.readOctal(header, 136, 12) * 1000),
+      })
+    }
+
+    return entries
+  }
+
+  /**
+   * Collect a file system tree as archive entries, as the file system's user may read it
+   * Like tar, files the user cannot read are left out, and directories it cannot list are stored empty.
+   * @param fileSystem File system to read
+   * @param path Directory to archive (entries are stored relative to the root)
+   * @param onSkip Called with the path of each file or directory whose contents are left out, and the reason
+   * @returns Entries, parents before children
+   */
+  static fromFileSystem(
+    fileSystem: FileSystem,
+    path = "/",
+    onSkip: (path: string, error: string) => void = () => {},
+  ): TarEntry[] {
+    const unlisted: string[] = []
+    return fileSystem
+      .walk(path)
+      .filter(({ path: nodePath, node }) => {
+        if (unlisted.some((directory) => nodePath.startsWith(`${directory}/`))) return false
+        const needed = node.type === "directory" ? FileSystem.R_OK | FileSystem.X_OK : FileSystem.R_OK
+        const { success, error = "Permission denied" } = fileSystem.access(nodePath, needed)
+        if (success) return true
+        onSkip(nodePath, error)
+        if (node.type === "file") return false
+        unlisted.push(nodePath.replace(/\/$/, ""))
+        return true
+      })
+      .map(({ path: nodePath, node }) => ({
+        path: this.normalizePath(nodePath),
+        type: node.type,
+        content: node.type === "file" ? encoder.encode(node.content || "") : new Uint8Array(0),
+        mode: node.mode,
+        owner: node.owner,
+        group: node.group,
+        modified: node.modified,
+      }))
+      .filter((entry) => entry.path !== "")
+  }
+
+  /**
+   * Write archive entries into a file system (like `tar -x -C /`); file data is decoded as UTF-8
+   * Ownership and modes are only restored when extracting as root, as tar does; other users get files of their own,
+   * with modes from the umask.
+   * @param fileSystem File system to write
+   * @param entries Entries to extract
+   * @returns Number of entries extracted
+   */
+  static extract(fileSystem: FileSystem, entries: TarEntry[]): number {
+    let extracted = 0
+    const directoryModes: { path: string; mode: number }[] = []
+
+    for (const entry of entries) {
+      const absolutePath = `/${entry.path}`
+      const parent = absolutePath.slice(0, absolutePath.lastIndexOf("/")) || "/"
+      const result =
+        entry.type === "directory"
+          ? fileSystem.makeDirectories(absolutePath)
+          : fileSystem.makeDirectories(parent).success
+            ? fileSystem.writeFile(absolutePath, decoder.decode(entry.content))
+            : { success: false }
+      if (!result.success) continue
+
+      if (fileSystem.getUser().name === FileSystem.ROOT.name) {
+        const knownOwner = FileSystem.USERS.some((user) => user.name === entry.owner)
+        const knownGroup = FileSystem.USERS.some((user) => user.groups.includes(entry.group))
+        fileSystem.chown(absolutePath, knownOwner ? entry.owner : null, knownGroup ? entry.group : null)
+        // Directory modes are applied last so read-only directories can still be filled
+        if (entry.type === "directory") {
+          directoryModes.push({ path: absolutePath, mode: entry.mode })
+        } else {
+          fileSystem.chmod(absolutePath, entry.mode)
+        }
+      }
+      const node = fileSystem.stat(absolutePath)
+      if (node) {
+        node.modified = entry.modified
+      }
+      extracted++
+    }
+
+    directoryModes.reverse().forEach(({ path, mode }) => fileSystem.chmod(path, mode))
+
+    return extracted
+  }
+
+  /**
+   * Offer archive bytes to the user as a download
+   * @param filename Suggested file name
+   * @param data Archive bytes
+   */
+  static download(filename: string, data: Uint8Array): void {
+    downloadFile(filename, data, "application/x-tar")
+  }
+
+  /**
+   * Ask the user to choose an archive from disk
+   * @returns File name and bytes, or null if the dialog was cancelled
+   */
+  static pick(): Promise<{ name: string; data: Uint8Array } | null> {
+    return new Promise((resolve) => {
+      const input = document.createElement("input")
+      input.type = "file"
+      input.accept = ".tar,application/x-tar"
+      input.addEventListener("cancel", () => resolve(null))
+      input.addEventListener("change", async () => {
+        const file = input.files?.[0]
+        resolve(file ? { name: file.name, data: new Uint8Array(await file.arrayBuffer()) } : null)
+      })
+      input.click()
+    })
+  }
+
+  /**
+   * Build the 512-byte header for an entry
+   * @private
+   */
+  private static createHeader(entry: TarEntry, size: number): Uint8Array {
+    const header = new Uint8Array(BLOCK_SIZE)
+    const path = entry.type === "directory" ? `${entry.path}/` : entry.path
+    const [prefix, name] = this.splitPath(path)
+
+    this.writeString(header, 0, 100, name)
+    this.writeOctal(header, 100, 8, entry.mode & 0o7777)
+    this.writeOctal(header, 108, 8, 0)
+    this.writeOctal(header, 116, 8, 0)
+    this.writeOctal(header, 124, 12, size)
+    this.writeOctal(header, 136, 12, Math.floor(entry.modified.getTime() / 1000))
+    header[156] = (entry.type === "directory" ? "5" : "0").charCodeAt(0)
+    this.writeString(header, 257, 6, "ustar\0")
+    this.writeString(header, 263, 2, "00")
+    this.writeString(header, 265, 32, entry.owner)
+    this.writeString(header, 297, 32, entry.group)
+    this.writeString(header, 345, 155, prefix)
+
+    // The checksum field is summed as if it held spaces, then stored as six octal digits, NUL, space
+    const checksum = this.checksum(header)
+    this.writeString(header, 148, 8, `${checksum.toString(8).padStart(6, "0")}\0 `)
+    return header
+  }
+
+  /**
+   * Split a path into the ustar prefix (155 bytes) and name (100 bytes) fields
+   * @private
+   */
+  private static splitPath(path: string): [string, string] {
+    if (encoder.encode(path).length <= 100) return ["", path]
+
+    for (let index = path.indexOf("/"); index !== -1; index = path.indexOf("/", index + 1)) {
+      const prefix = path.slice(0, index)
+      const name = path.slice(index + 1)
+      if (encoder.encode(prefix).length <= 155 && encoder.encode(name).length <= 100 && name) {
+        return [prefix, name]
+      }
+    }
+    throw new TarFormatError(`path too long for ustar: ${path}`)
+  }
+
+  /**
+   * Sum the header bytes, counting the checksum field as spaces
+   * @private
+   */
+  private static checksum(header: Uint8Array): number {
+    let sum = 0
+    for (let index = 0; index < BLOCK_SIZE; index++) {
+      sum += index >= 148 && index < 156 ? 32 : header[index]
+    }
+    return sum
+  }
+
+  /** @private */
+  private static writeString(header: Uint8Array, offset: number, length: number, value: string): void {
+    header.set(encoder.encode(value).subarray(0, length), offset)
+  }
+
+  /** @private */
+  private static writeOctal(header: Uint8Array, offset: number, length: number, value: number): void {
+    this.writeString(header, offset, length, `${value.toString(8).padStart(length - 1, "0")}\0`)
+  }
+
+  /** @private */
+  private static readString(header: Uint8Array, offset: number, length: number): string {
+    const field = header.subarray(offset, offset + length)
+    const end = field.indexOf(0)
+    return decoder.decode(end === -1 ? field : field.subarray(0, end))
+  }
+
+  /** @private */
+  private static readOctal(header: Uint8Array, offset: number, length: number): number {
+    const value = this.readString(header, offset, length).trim()
+    return value ? Number.parseInt(value, 8) : 0
+  }
+
+  /**
+   * Strip leading "./" and "/" and trailing slashes from an archive path
+   * @private
+   */
+  private static normalizePath(path: string): string {
+    return path
+      .split("/")
+      .filter((segment) => segment !== "" && segment !== "." && segment !== "..")
+      .join("/")
+  }
+}
@@ -0,0 +1,245 @@
+"use client"
+
+/**
+ * Terminal Canvas Component
+ * Draws a tab's screen rows onto a canvas, showing only the rows that fit and scrolling through the rest
+ */
+
+import type React from "react"
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react"
+import { useTheme } from "next-themes"
+import type { RenderedRow } from "./vt100-processor"
+import type { CellMetrics, FontSpec } from "./glyph-atlas"
+import { createTerminalRenderer, type FrameColors, type RendererMode, type TerminalRenderer } from "./canvas-renderer"
+import { CommandProcessor } from "./command-processor"
+import { TerminalLinks } from "./terminal-links"
+import type { ScreenSize } from "@/hooks/use-terminal-screens"
+
+interface TerminalCanvasProps {
+  /** Scrollback and screen rows, from useTerminalScreens */
+  rows: RenderedRow[]
+  mode: Exclude<RendererMode, "dom">
+  fontSize: number
+  /** Color scheme class; the default colors are read from the styles it applies */
+  colorScheme: string
+  /** Receives the number of cells that fit, to size the VT100 screen */
+  onResize: (size: ScreenSize) => void
+  className?: string
+}
+
+/** Page-theme classes whose computed colors give the default text colors of each row type */
+const COLOR_PROBES: Record<keyof FrameColors, string> = {
+  foreground: "text-foreground",
+  command: "text-primary",
+  error: "text-destructive",
+  background: "bg-background",
+}
+
+/** Minimum screen size, matching the DOM renderer */
+const MIN_COLS = 20
+const MIN_ROWS = 5
+
+/**
+ * Measure the cell of a monospace font, rounded to whole device pixels so glyphs stay sharp
+ * @private
+ */
+function measureCell(font: FontSpec, pixelRatio: number): CellMetrics {
+  const context = document.createElement("canvas").getContext("2d")
+  context!.font = `${font.size}px ${font.family}`
+  const sample = context!.measureText("W".repeat(10))
+  const ascent = sample.fontBoundingBoxAscent || font.size * 0.8
+  const descent = sample.fontBoundingBoxDescent || font.size * 0.2
+  const width = Math.ceil((sample.width / 10) * pixelRatio) / pixelRatio
+  const height = Math.ceil(Math.max(ascent + descent, font.size * 1.25) * pixelRatio) / pixelRatio
+  return { width, height, baseline: Math.round((height - ascent - descent) / 2 + ascent) }
+}
+
+export function TerminalCanvas({ rows, mode, fontSize, colorScheme, onResize, className = "" }: TerminalCanvasProps) {
+  const hostRef = useRef<HTMLDivElement>(null)
+  const probeRef = useRef<HTMLDivElement>(null)
+  const [renderer, setRenderer] = useState<TerminalRenderer | null>(null)
+  /** Bumped when a GPU renderer is lost, to create a new one */
+  const [generation, setGeneration] = useState(0)
+  const [viewport, setViewport] = useState({ width: 0, height: 0, pixelRatio: 1 })
+  const [font, setFont] = useState<FontSpec | null>(null)
+  const [colors, setColors] = useState<FrameColors | null>(null)
+  /** Rows scrolled up from the bottom; 0 follows new output */
+  const [scrollBack, setScrollBack] = useState(0)
+  const [hoveredLink, setHoveredLink] = useState<string | null>(null)
+  const wheelRemainder = useRef(0)
+  const previousRowCount = useRef(rows.length)
+  const { resolvedTheme } = useTheme()
+
+  useEffect(() => {
+    let cancelled = false
+    let created: TerminalRenderer | null = null
+    createTerminalRenderer(mode, CommandProcessor.getGPUManager(), () => setGeneration((value) => value + 1)).then(
+      (next) => {
+        if (cancelled) return next.dispose()
+        created = next
+        next.canvas.className = "absolute inset-0 h-full w-full"
+        next.canvas.setAttribute("aria-hidden", "true")
+        hostRef.current?.prepend(next.canvas)
+        setRenderer(next)
+      },
+    )
+    return () => {
+      cancelled = true
+      created?.dispose()
+      setRenderer(null)
+    }
+  }, [mode, generation])
+
+  // Font and colors come from the styles the terminal inherits, so they follow the page theme
+  useLayoutEffect(() => {
+    const host = hostRef.current
+    const probe = probeRef.current
+    if (!host || !probe) return
+    setFont({ family: getComputedStyle(host).fontFamily, size: fontSize })
+
+    const next = {} as FrameColors
+    for (const [key, probeClass] of Object.entries(COLOR_PROBES) as [keyof FrameColors, string][]) {
+      probe.className = `hidden ${probeClass}`
+      const style = getComputedStyle(probe)
+      next[key] = key === "background" ? style.backgroundColor : style.color
+    }
+    probe.className = "hidden"
+    if (colorScheme !== "default") next.foreground = getComputedStyle(host).color
+    setColors(next)
+  }, [fontSize, colorScheme, resolvedTheme])
+
+  const metrics = useMemo(() => (font ? measureCell(font, viewport.pixelRatio) : null), [font, viewport.pixelRatio])
+  const screenRows = metrics ? Math.max(Math.floor(viewport.height / metrics.height), MIN_ROWS) : MIN_ROWS
+  const maxScrollBack = Math.max(rows.length - screenRows, 0)
+  const offset = Math.min(scrollBack, maxScrollBack)
+  const firstRow = Math.max(rows.length - screenRows - offset, 0)
+
+  useEffect(() => {
+    const host = hostRef.current
+    if (!host || typeof ResizeObserver === "undefined") return
+    const measure = () => {
+      setViewport({ width: host.clientWidth, height: host.clientHeight, pixelRatio: window.devicePixelRatio || 1 })
+    }
+    const observer = new ResizeObserver(measure)
+    observer.observe(host)
+    measure()
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    if (!metrics || viewport.width === 0) return
+    onResize({
+      cols: Math.max(Math.floor(viewport.width / metrics.width), MIN_COLS),
+      rows: Math.max(Math.floor(viewport.height / metrics.height), MIN_ROWS),
+    })
+  }, [metrics, viewport, onResize])
+
+  // Output arriving while scrolled up moves the view with it, so the rows being read stay in place
+  useEffect(() => {
+    const added = rows.length - previousRowCount.current
+    previousRowCount.current = rows.length
+    if (added > 0) setScrollBack((value) => (value > 0 ? value + added : 0))
+  }, [rows.length])
+
+  useEffect(() => {
+    renderer?.resize(viewport.width, viewport.height, viewport.pixelRatio)
+  }, [renderer, viewport])
+
+  useEffect(() => {
+    if (!renderer || !font || !colors || !metrics || viewport.width === 0) return
+    const frame = requestAnimationFrame(() => {
+      renderer.render({ rows: rows.slice(firstRow, firstRow + screenRows), font, metrics, colors })
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [renderer, rows, firstRow, screenRows, font, colors, viewport, metrics])
+
+  const scrollTo = useCallback(
+    (value: number) => setScrollBack(Math.round(Math.min(Math.max(value, 0), maxScrollBack))),
+    [maxScrollBack],
+  )
+
+  const handleWheel = (event: React.WheelEvent) => {
+    if (!metrics) return
+    const lines = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? event.deltaY : event.deltaY / metrics.height
+    wheelRemainder.current += lines
+    const whole = Math.trunc(wheelRemainder.current)
+    if (whole === 0) return
+    wheelRemainder.current -= whole
+    scrollTo(offset - whole)
+  }
+
+  /**
+   * Find the link under the pointer
+   */
+  const getLinkAt = (event: React.MouseEvent): string | null => {
+    if (!metrics || !hostRef.current) return null
+    const bounds = hostRef.current.getBoundingClientRect()
+    const row = rows[firstRow + Math.floor((event.clientY - bounds.top) / metrics.height)]
+    const col = Math.floor((event.clientX - bounds.left) / metrics.width)
+    if (!row) return null
+
+    let start = 0
+    for (const segment of row.segments) {
+      const end = start + Array.from(segment.text).length
+      if (col >= start && col < end) {
+        return segment.link && TerminalLinks.isOpenable(segment.link.uri) ? segment.link.uri : null
+      }
+      start = end
+    }
+    return null
+  }
+
+  const handleClick = (event: React.MouseEvent) => {
+    const uri = getLinkAt(event)
+    if (!uri) return
+    event.stopPropagation()
+    TerminalLinks.open(uri)
+  }
+
+  const handleScrollbarPointer = (event: React.PointerEvent<HTMLDivElement>) => {
+    if (event.type === "pointerdown") event.currentTarget.setPointerCapture(event.pointerId)
+    else if (!event.currentTarget.hasPointerCapture(event.pointerId)) return
+    event.stopPropagation()
+    const bounds = event.currentTarget.getBoundingClientRect()
+    const position = Math.min(Math.max((event.clientY - bounds.top) / bounds.height, 0), 1)
+    scrollTo((1 - position) * maxScrollBack)
+  }
+
+  const thumbHeight = rows.length > 0 ? Math.min(screenRows / rows.length, 1) : 1
+  const thumbTop = maxScrollBack > 0 ? ((maxScrollBack - offset) / maxScrollBack) * (1 - thumbHeight) : 0
+
+  return (
+    <div
+      ref={hostRef}
+      className={`relative overflow-hidden ${className}`}
+      style={{ cursor: hoveredLink ? "pointer" : undefined }}
+      title={hoveredLink ?? undefined}
+      data-renderer={renderer?.name}
+      onWheel={handleWheel}
+      onClick={handleClick}
+      onMouseMove={(event) => setHoveredLink(getLinkAt(event))}
+      onMouseLeave={() => setHoveredLink(null)}
+    >
+      <div ref={probeRef} className="hidden" aria-hidden="true" />
+      {/* Screen readers get the visible text, which the canvas does not expose */}
+      <div className="sr-only" role="log">
+        {rows.slice(firstRow, firstRow + screenRows).map((row, index) => (
+          <div key={index}>{row.segments.map((segment) => segment.text).join("")}</div>
+        ))}
+      </div>
+      {maxScrollBack > 0 && (
+        <div
+          className="absolute right-0 top-0 h-full w-2.5 touch-none p-px"
+          onPointerDown={handleScrollbarPointer}
+          onPointerMove={handleScrollbarPointer}
+          onClick={(event) => event.stopPropagation()}
+        >
+          <div
+            className="absolute right-px w-2 rounded-full bg-border"
+            style={{ top: `${thumbTop * 100}%`, height: `${thumbHeight * 100}%` }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
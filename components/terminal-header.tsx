@@ -1,12 +1,27 @@
 "use client"
 
+import type React from "react"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
-import { Maximize2, Minimize2, X, Settings, Plus, TerminalIcon } from "lucide-react"
+import {
+  Maximize2,
+  Minimize2,
+  X,
+  Settings,
+  Plus,
+  TerminalIcon,
+  SplitSquareHorizontal,
+  SplitSquareVertical,
+  XSquare,
+} from "lucide-react"
+import type { SplitDirection } from "./pane-layout"
 
 interface TerminalHeaderProps {
   currentShellName: string
-  onAddTab: () => void
+  /** Opens a tab; isolated tabs (Shift+click) get a file system of their own */
+  onAddTab: (isolated: boolean) => void
+  onSplitPane: (direction: SplitDirection) => void
+  onClosePane: () => void
   onOpenSettings: () => void
   isMaximized: boolean
   onToggleMaximize: () => void
@@ -16,6 +31,8 @@ interface TerminalHeaderProps {
 export function TerminalHeader({
   currentShellName,
   onAddTab,
+  onSplitPane,
+  onClosePane,
   onOpenSettings,
   isMaximized,
   onToggleMaximize,
@@ -44,12 +61,39 @@ export function TerminalHeader({
         <Button
           variant="ghost"
           size="sm"
-          onClick={onAddTab}
+          onClick={(e: React.MouseEvent) => onAddTab(e.shiftKey)}
           className="hover:bg-primary/10 transition-colors"
-          title="New Tab"
+          title="New Tab (Shift+click for a separate file system)"
         >
           <Plus className="w-4 h-4" />
         </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onSplitPane("vertical")}
+          className="hover:bg-primary/10 transition-colors"
+          title="Split Right"
+        >
+          <SplitSquareHorizontal className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onSplitPane("horizontal")}
+          className="hover:bg-primary/10 transition-colors"
+          title="Split Down"
+        >
+          <SplitSquareVertical className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClosePane}
+          className="hover:bg-primary/10 transition-colors"
+          title="Close Pane"
+        >
+          <XSquare className="w-4 h-4" />
+        </Button>
         <Button
           variant="ghost"
           size="sm"
@@ -1,21 +1,21 @@
 /**
  * Terminal Line Component with VT100 Support
- * Renders terminal lines with proper ANSI escape sequence formatting
+ * Renders one row of the VT100 screen grid with its ANSI formatting; TerminalText renders the styled runs alone,
+ * e.g. for the prompt
  */
 
 import type React from "react"
-import { VT100Processor, type ProcessedText } from "./vt100-processor"
+import type { ProcessedText } from "./vt100-processor"
+import { TerminalLinks } from "./terminal-links"
 
 interface TerminalLineProps {
-  content: string
+  /** Styled runs of the row, from VT100Processor.getRows() */
+  segments: ProcessedText[]
   type: "command" | "output" | "error"
   colorScheme: string
 }
 
-export function TerminalLine({ content, type, colorScheme }: TerminalLineProps) {
-  const processor = new VT100Processor()
-  const segments = processor.processText(content)
-
+export function TerminalLine({ segments, type, colorScheme }: TerminalLineProps) {
   const getTypeClasses = () => {
     switch (type) {
       case "command":
@@ -27,10 +27,23 @@ export function TerminalLine({ content, type, colorScheme }: TerminalLineProps)
     }
   }
 
+  return (
+    <div className={`flex whitespace-pre-wrap animate-in slide-in-from-left-1 duration-100 ${getTypeClasses()}`}>
+      <TerminalText segments={segments} />
+    </div>
+  )
+}
+
+/**
+ * Styled runs of text, with their hyperlinks
+ */
+export function TerminalText({ segments }: { segments: ProcessedText[] }) {
   const getSegmentStyles = (segment: ProcessedText): React.CSSProperties => {
     const styles: React.CSSProperties = {}
 
     if (segment.styles.bold) styles.fontWeight = "bold"
+    if (segment.styles.dim) styles.opacity = 0.6
+    if (segment.styles.hidden) styles.visibility = "hidden"
     if (segment.styles.italic) styles.fontStyle = "italic"
     if (segment.styles.color) styles.color = segment.styles.color
     if (segment.styles.backgroundColor) styles.backgroundColor = segment.styles.backgroundColor
@@ -39,6 +52,10 @@ export function TerminalLine({ content, type, colorScheme }: TerminalLineProps)
     if (segment.styles.underline) textDecoration += "underline "
     if (segment.styles.strikethrough) textDecoration += "line-through "
     if (textDecoration) styles.textDecoration = textDecoration.trim()
+    if (segment.styles.underlineStyle) {
+      styles.textDecorationStyle = segment.styles.underlineStyle === "curly" ? "wavy" : segment.styles.underlineStyle
+    }
+    if (segment.styles.underlineColor) styles.textDecorationColor = segment.styles.underlineColor
 
     if (segment.styles.inverse) {
       const temp = styles.color || "inherit"
@@ -53,20 +70,47 @@ export function TerminalLine({ content, type, colorScheme }: TerminalLineProps)
     let classes = ""
     if (segment.styles.bold) classes += "font-bold "
     if (segment.styles.italic) classes += "italic "
+    if (segment.styles.blink) classes += "animate-pulse "
     return classes.trim()
   }
 
-  return (
-    <div className={`flex animate-in slide-in-from-left-1 duration-100 ${getTypeClasses()}`}>
-      {segments.map((segment, index) => (
-        <span
-          key={index}
-          className={`transition-colors ${getSegmentClasses(segment)}`}
-          style={getSegmentStyles(segment)}
-        >
+  const handleLinkClick = (event: React.MouseEvent<HTMLAnchorElement>, uri: string) => {
+    // Links to other applications (mailto:, ssh:, file:, ...) are confirmed first
+    if (TerminalLinks.isWebLink(uri)) return
+    event.preventDefault()
+    TerminalLinks.open(uri)
+  }
+
+  const renderSegment = (segment: ProcessedText, index: number) => {
+    const className = `transition-colors ${getSegmentClasses(segment)}`
+
+    if (!segment.link || !TerminalLinks.isOpenable(segment.link.uri)) {
+      return (
+        <span key={index} className={className} style={getSegmentStyles(segment)} title={segment.link?.uri}>
           {segment.text}
         </span>
-      ))}
-    </div>
-  )
+      )
+    }
+
+    // Only web links get an href: other schemes must not open by middle-click, "open in new tab" or the
+    // keyboard without the confirmation in handleLinkClick
+    const uri = segment.link.uri
+    const isWebLink = TerminalLinks.isWebLink(uri)
+    return (
+      <a
+        key={index}
+        href={isWebLink ? uri : "#"}
+        target={isWebLink ? "_blank" : undefined}
+        rel="noopener noreferrer"
+        title={uri}
+        className={`${className} underline decoration-dotted hover:decoration-solid`}
+        style={getSegmentStyles(segment)}
+        onClick={(event) => handleLinkClick(event, uri)}
+      >
+        {segment.text}
+      </a>
+    )
+  }
+
+  return <>{segments.map(renderSegment)}</>
 }
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Opening OSC 8 hyperlinks from terminal output, shared by the DOM and canvas renderers
+ * @version 1.0.0
+ */
+
+/** Schemes opened without asking */
+const WEB_SCHEMES = ["http:", "https:"]
+/** Schemes that run code in the page and are never opened */
+const BLOCKED_SCHEMES = ["javascript:", "data:", "vbscript:", "blob:"]
+
+export class TerminalLinks {
+  /**
+   * Get the scheme of a link target
+   * @param uri Link target
+   * @returns Lowercase scheme with its colon, or null if the URI has none
+   */
+  static getScheme(uri: string): string | null {
+    const match = /^([a-z][a-z0-9+.-]*):/i.exec(uri.trim())
+    return match ? `${match[1].toLowerCase()}:` : null
+  }
+
+  /**
+   * Whether a link may be opened at all
+   * @param uri Link target
+   * @returns False for relative URIs and schemes that run code in the page
+   */
+  static isOpenable(uri: string): boolean {
+    const scheme = this.getScheme(uri)
+    return scheme !== null && !BLOCKED_SCHEMES.includes(scheme)
+  }
+
+  /**
+   * Whether a link opens without confirmation
+   * @param uri Link target
+   * @returns True for http and https links
+   */
+  static isWebLink(uri: string): boolean {
+    const scheme = this.getScheme(uri)
+    return scheme !== null && WEB_SCHEMES.includes(scheme)
+  }
+
+  /**
+   * Confirm a link to another application (mailto:, ssh:, file:, ...) with the user
+   * @param uri Link target
+   * @returns Whether the user agreed to open it
+   */
+  static confirm(uri: string): boolean {
+    return window.confirm(`Open this ${this.getScheme(uri)} link?\n\n${uri}`)
+  }
+
+  /**
+   * Open a link in a new window, asking first unless it is a web link
+   * @param uri Link target
+   */
+  static open(uri: string): void {
+    if (!this.isOpenable(uri)) return
+    if (this.isWebLink(uri) || this.confirm(uri)) {
+      window.open(uri, "_blank", "noopener,noreferrer")
+    }
+  }
+}
@@ -8,62 +8,34 @@ import { Switch } from "@/components/ui/switch"
 import { Badge } from "@/components/ui/badge"
 import { Separator } from "@/components/ui/separator"
 import { useTheme } from "next-themes"
-import { X, Palette, Type, Eye, RotateCcw, Monitor } from "lucide-react"
+import { useState } from "react"
+import { X, Palette, Type, Eye, RotateCcw, Monitor, Cpu, Pencil, Plus, Trash2 } from "lucide-react"
+import type { RendererMode } from "./canvas-renderer"
+import { CommandProcessor } from "./command-processor"
+import { ThemeEditor } from "./theme-editor"
+import type { Base16Theme } from "./workflow-system"
 
 interface TerminalSettingsProps {
   isOpen: boolean
   onClose: () => void
   fontSize: number
   onFontSizeChange: (size: number) => void
+  /** Name of the selected theme, or "default" for the system colors */
   colorScheme: string
   onColorSchemeChange: (scheme: string) => void
+  /** Add or replace a user theme and select it; returns false if the name cannot be used */
+  onSaveTheme: (name: string, theme: Base16Theme) => boolean
+  onDeleteTheme: (name: string) => void
   opacity: number
   onOpacityChange: (opacity: number) => void
+  renderer: RendererMode
+  onRendererChange: (renderer: RendererMode) => void
 }
 
-const colorSchemes = [
-  {
-    value: "default",
-    label: "Default",
-    description: "System theme colors",
-    colors: { bg: "bg-background", text: "text-foreground", preview: "bg-slate-500" },
-  },
-  {
-    value: "matrix",
-    label: "Matrix",
-    description: "Classic green on black",
-    colors: { bg: "bg-black", text: "text-green-400", preview: "bg-green-500" },
-  },
-  {
-    value: "ocean",
-    label: "Ocean",
-    description: "Deep blue waters",
-    colors: { bg: "bg-blue-950", text: "text-cyan-300", preview: "bg-cyan-500" },
-  },
-  {
-    value: "sunset",
-    label: "Sunset",
-    description: "Warm orange glow",
-    colors: { bg: "bg-orange-950", text: "text-orange-200", preview: "bg-orange-500" },
-  },
-  {
-    value: "purple",
-    label: "Purple Haze",
-    description: "Royal purple theme",
-    colors: { bg: "bg-purple-950", text: "text-purple-200", preview: "bg-purple-500" },
-  },
-  {
-    value: "graphql",
-    label: "GraphQL",
-    description: "Pink developer theme",
-    colors: { bg: "bg-pink-950", text: "text-pink-300", preview: "bg-pink-500" },
-  },
-  {
-    value: "yaml",
-    label: "YAML",
-    description: "Indigo configuration",
-    colors: { bg: "bg-indigo-950", text: "text-indigo-200", preview: "bg-indigo-500" },
-  },
+const renderers: { value: RendererMode; label: string; description: string }[] = [
+  { value: "dom", label: "DOM", description: "HTML text, selectable and accessible" },
+  { value: "gpu", label: "GPU", description: "Canvas drawn by the active GPU adapter" },
+  { value: "canvas2d", label: "Canvas 2D", description: "Canvas drawn without the GPU" },
 ]
 
 export function TerminalSettings({
@@ -73,14 +45,71 @@ export function TerminalSettings({
   onFontSizeChange,
   colorScheme,
   onColorSchemeChange,
+  onSaveTheme,
+  onDeleteTheme,
   opacity,
   onOpacityChange,
+  renderer,
+  onRendererChange,
 }: TerminalSettingsProps) {
   const { theme, setTheme } = useTheme()
+  /** Theme open in the editor */
+  const [editing, setEditing] = useState<{ name: string; theme: Base16Theme } | null>(null)
 
   if (!isOpen) return null
 
-  const currentScheme = colorSchemes.find((s) => s.value === colorScheme) || colorSchemes[0]
+  const workflowSystem = CommandProcessor.getWorkflowSystem()
+  const themeNames = ["default", ...workflowSystem.listThemes()]
+  const currentTheme = colorScheme === "default" ? undefined : workflowSystem.getTheme(colorScheme)
+  const isCustomTheme = currentTheme !== undefined && !workflowSystem.isBuiltInTheme(colorScheme)
+
+  /**
+   * Background, foreground and accent swatches of a theme; the default colors follow the system theme
+   */
+  const renderSwatches = (name: string) => {
+    const swatch = workflowSystem.getTheme(name)
+    const colors = swatch ? [swatch.background, swatch.foreground, swatch.accent] : []
+    return (
+      <div className="flex">
+        {colors.length === 0 ? (
+          <div className="w-4 h-4 rounded-full bg-slate-500 border-2 border-background shadow-sm" />
+        ) : (
+          colors.map((color, index) => (
+            <div
+              key={index}
+              className="w-4 h-4 -ml-1 first:ml-0 rounded-full border-2 border-background shadow-sm"
+              style={{ backgroundColor: color }}
+            />
+          ))
+        )}
+      </div>
+    )
+  }
+
+  /**
+   * Label and kind of a theme in the dropdown
+   */
+  const renderThemeOption = (name: string) => (
+    <div className="flex items-center gap-3">
+      {renderSwatches(name)}
+      <div className="text-left">
+        <div className="font-medium">{name === "default" ? "Default" : name}</div>
+        <div className="text-xs text-muted-foreground">
+          {name === "default" ? "System theme colors" : workflowSystem.isBuiltInTheme(name) ? "Built-in" : "Custom"}
+        </div>
+      </div>
+    </div>
+  )
+
+  /**
+   * Open the editor on a copy of the selected theme; built-in themes get a new name, since they cannot be replaced
+   */
+  const openEditor = (create: boolean) => {
+    const base = currentTheme ?? workflowSystem.getTheme("asam")!
+    const name = !create && isCustomTheme ? colorScheme : `${colorScheme === "default" ? "custom" : colorScheme}-copy`
+    setEditing({ name, theme: base })
+  }
+  const currentRenderer = renderers.find((r) => r.value === renderer) || renderers[0]
 
   return (
     <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-in fade-in-0 duration-200">
@@ -119,39 +148,47 @@ export function TerminalSettings({
               <Palette className="w-4 h-4 text-primary" />
               <Label className="font-medium">Color Scheme</Label>
               <Badge variant="secondary" className="text-xs">
-                {currentScheme.label}
+                {colorScheme === "default" ? "Default" : colorScheme}
               </Badge>
             </div>
             <Select value={colorScheme} onValueChange={onColorSchemeChange}>
               <SelectTrigger className="h-auto p-3">
-                <SelectValue placeholder="Select color scheme">
-                  <div className="flex items-center gap-3">
-                    <div
-                      className={`w-4 h-4 rounded-full ${currentScheme.colors.preview} border-2 border-background shadow-sm`}
-                    />
-                    <div className="text-left">
-                      <div className="font-medium">{currentScheme.label}</div>
-                      <div className="text-xs text-muted-foreground">{currentScheme.description}</div>
-                    </div>
-                  </div>
-                </SelectValue>
+                <SelectValue placeholder="Select color scheme">{renderThemeOption(colorScheme)}</SelectValue>
               </SelectTrigger>
               <SelectContent>
-                {colorSchemes.map((scheme) => (
-                  <SelectItem key={scheme.value} value={scheme.value} className="p-3">
-                    <div className="flex items-center gap-3">
-                      <div
-                        className={`w-4 h-4 rounded-full ${scheme.colors.preview} border-2 border-background shadow-sm`}
-                      />
-                      <div>
-                        <div className="font-medium">{scheme.label}</div>
-                        <div className="text-xs text-muted-foreground">{scheme.description}</div>
-                      </div>
-                    </div>
+                {themeNames.map((name) => (
+                  <SelectItem key={name} value={name} className="p-3">
+                    {renderThemeOption(name)}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" className="flex-1" onClick={() => openEditor(true)}>
+                <Plus className="w-4 h-4 mr-2" />
+                New Theme
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1"
+                disabled={!currentTheme}
+                onClick={() => openEditor(false)}
+              >
+                <Pencil className="w-4 h-4 mr-2" />
+                {isCustomTheme ? "Edit" : "Customize"}
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={!isCustomTheme}
+                onClick={() => onDeleteTheme(colorScheme)}
+                className="hover:bg-destructive/10"
+                aria-label="Delete theme"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
           </div>
 
           <Separator />
@@ -215,6 +252,38 @@ export function TerminalSettings({
 
           <Separator />
 
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <Cpu className="w-4 h-4 text-primary" />
+              <Label className="font-medium">Renderer</Label>
+              <Badge variant="secondary" className="text-xs">
+                {currentRenderer.label}
+              </Badge>
+            </div>
+            <Select value={renderer} onValueChange={(value) => onRendererChange(value as RendererMode)}>
+              <SelectTrigger className="h-auto p-3">
+                <SelectValue placeholder="Select renderer">
+                  <div className="text-left">
+                    <div className="font-medium">{currentRenderer.label}</div>
+                    <div className="text-xs text-muted-foreground">{currentRenderer.description}</div>
+                  </div>
+                </SelectValue>
+              </SelectTrigger>
+              <SelectContent>
+                {renderers.map((option) => (
+                  <SelectItem key={option.value} value={option.value} className="p-3">
+                    <div>
+                      <div className="font-medium">{option.label}</div>
+                      <div className="text-xs text-muted-foreground">{option.description}</div>
+                    </div>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Separator />
+
           <Button
             variant="outline"
             className="w-full bg-transparent hover:bg-muted/50 transition-colors"
@@ -222,6 +291,7 @@ export function TerminalSettings({
               onFontSizeChange(14)
               onColorSchemeChange("default")
               onOpacityChange(1)
+              onRendererChange("dom")
               setTheme("dark")
             }}
           >
@@ -230,6 +300,17 @@ export function TerminalSettings({
           </Button>
         </CardContent>
       </Card>
+
+      {editing && (
+        <ThemeEditor
+          key={editing.name}
+          name={editing.name}
+          theme={editing.theme}
+          fontSize={fontSize}
+          onSave={onSaveTheme}
+          onClose={() => setEditing(null)}
+        />
+      )}
     </div>
   )
 }
@@ -4,45 +4,149 @@ import type React from "react"
 import { useState, useRef, useEffect } from "react"
 import { Card } from "@/components/ui/card"
 import { Input } from "@/components/ui/input"
+import { Button } from "@/components/ui/button"
 import { ScrollArea } from "@/components/ui/scroll-area"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { TerminalSettings } from "./terminal-settings"
 import { TerminalHeader } from "./terminal-header"
 import { useTerminal } from "@/hooks/use-terminal"
-import { CommandProcessor } from "./command-processor"
+import { useTerminalScreens } from "@/hooks/use-terminal-screens"
+import { CommandProcessor, type InputPrompt } from "./command-processor"
 import { ValidationUtils } from "@/utils/validation"
-import type { ColorScheme } from "@/types/terminal"
-import { TerminalLine } from "./terminal-line"
+import type { TerminalLine as TerminalLineData, TerminalTab } from "@/types/terminal"
+import { TerminalLine, TerminalText } from "./terminal-line"
+import { TerminalCanvas } from "./terminal-canvas"
+import { PaneView } from "./pane-view"
+import { PaneLayout } from "./pane-layout"
+import { TextEditor } from "./text-editor"
+import { TabCompletion } from "./tab-completion"
+import type { FileSystem } from "./file-system"
+
+/** State of an active Ctrl+R reverse incremental search */
+interface HistorySearch {
+  query: string
+  /** Index of the matching history entry, or -1 before anything matched */
+  index: number
+  /** Whether the query no longer matches (the last match stays shown) */
+  failed: boolean
+  /** Input line to restore if the search is cancelled */
+  original: string
+}
+
+/** Text a program asked to copy to the clipboard (OSC 52), waiting for the user to allow it */
+interface ClipboardRequest {
+  tabId: string
+  text: string
+}
+
+/** Answers being collected for a command that asked for input */
+interface PendingPrompt {
+  tabId: string
+  prompts: InputPrompt[]
+  answers: string[]
+  onComplete: (answers: string[] | null) => void
+}
 
 export function Terminal() {
   const {
     tabs,
+    layouts,
     activeTab,
     setActiveTab,
     settings,
+    renderer,
+    setRenderer,
     getCurrentTab,
     addNewTab,
-    updateTabLines,
+    splitPane,
+    closePane,
+    moveTab,
+    resizeSplit,
+    appendTabLines,
     updateTabHistory,
     clearTab,
+    renameTab,
     updateSettings,
+    selectTheme,
+    saveTheme,
+    deleteTheme,
   } = useTerminal()
 
   const [currentCommand, setCurrentCommand] = useState("")
   const [showSettings, setShowSettings] = useState(false)
+  const [completions, setCompletions] = useState<string[]>([])
+  const [editorTarget, setEditorTarget] = useState<{ fileSystem: FileSystem; path: string } | null>(null)
+  const [historyPosition, setHistoryPosition] = useState(-1)
+  const [historySearch, setHistorySearch] = useState<HistorySearch | null>(null)
+  const [pendingPrompt, setPendingPrompt] = useState<PendingPrompt | null>(null)
+  /** Controllers of the commands still running, by tab id; aborting one is Ctrl+C */
+  const [runningCommands, setRunningCommands] = useState<Record<string, AbortController>>({})
   const inputRef = useRef<HTMLInputElement>(null)
-  const scrollRef = useRef<HTMLDivElement>(null)
+  /** Panes of the selected tab */
+  const panesRef = useRef<HTMLDivElement>(null)
+  /** Tab being dragged to a new place in the tab bar */
+  const [draggedTab, setDraggedTab] = useState<string | null>(null)
+  /** Theme the terminal is drawn with, selected in the settings or by the theme and load-theme commands */
+  const workflowSystem = CommandProcessor.getWorkflowSystem()
+  const ansiTheme = settings.colorScheme === "default" ? null : workflowSystem.getTheme(settings.colorScheme) ?? null
+  const [clipboardRequest, setClipboardRequest] = useState<ClipboardRequest | null>(null)
+  /** Set once the user chose "Always allow"; lasts until the page is reloaded */
+  const clipboardAllowed = useRef(false)
+  const { getScreenSize, screenRef, getScreenRows, renderText, pruneScreens, resizeScreen } = useTerminalScreens(
+    settings.fontSize,
+    ansiTheme,
+    {
+      onTitleChange: renameTab,
+      onClipboardWrite: (tabId, text) => {
+        if (clipboardAllowed.current) {
+          writeClipboard(text)
+        } else {
+          setClipboardRequest({ tabId, text })
+        }
+      },
+    },
+    renderer === "dom",
+  )
+  const activePrompt = pendingPrompt?.tabId === activeTab ? pendingPrompt : null
+  const runningCommand = runningCommands[activeTab]
+
+  const writeClipboard = (text: string) => {
+    navigator.clipboard?.writeText(text).catch((error) => {
+      console.error("[v0] Failed to write to clipboard:", error)
+    })
+  }
+
+  const answerClipboardRequest = (answer: "allow" | "always" | "deny") => {
+    if (!clipboardRequest) return
+    if (answer === "always") clipboardAllowed.current = true
+    if (answer !== "deny") writeClipboard(clipboardRequest.text)
+    setClipboardRequest(null)
+    inputRef.current?.focus()
+  }
 
   const handleTerminalClick = () => {
     inputRef.current?.focus()
   }
 
   useEffect(() => {
-    if (scrollRef.current) {
-      scrollRef.current.scrollTop = scrollRef.current.scrollHeight
-    }
+    panesRef.current?.querySelectorAll<HTMLElement>("[data-radix-scroll-area-viewport]").forEach((viewport) => {
+      viewport.scrollTop = viewport.scrollHeight
+    })
   }, [tabs, activeTab])
 
+  useEffect(() => {
+    pruneScreens(tabs.map((tab) => tab.id))
+  }, [tabs, pruneScreens])
+
+  // Like a shell after SIGWINCH, keep COLUMNS and LINES in step with the screen
+  useEffect(() => {
+    tabs.forEach((tab) => {
+      const size = getScreenSize(tab.id)
+      tab.shellSystem.setVariable("COLUMNS", String(size.cols))
+      tab.shellSystem.setVariable("LINES", String(size.rows))
+    })
+  }, [tabs, getScreenSize])
+
   const processCommand = (command: string) => {
     const currentTab = getCurrentTab()
     const cmd = command.trim()
@@ -55,72 +159,211 @@ export function Terminal() {
     }
 
     if (cmd === "clear") {
+      currentTab.shellSystem.recordHistory(command.trimEnd())
+      updateTabHistory(activeTab)
       clearTab(activeTab)
       return
     }
 
-    try {
-      const newLines = CommandProcessor.processCommand(command, currentTab, () => setShowSettings(true))
-      updateTabLines(activeTab, [...currentTab.lines, ...newLines])
-      updateTabHistory(activeTab, cmd)
-    } catch (error) {
-      console.error("[v0] Error processing command:", error)
+    const tabId = activeTab
+    const controller = new AbortController()
+    setRunningCommands((prev) => ({ ...prev, [tabId]: controller }))
+
+    CommandProcessor.processCommand(
+      command,
+      currentTab,
+      {
+        onSettingsOpen: () => setShowSettings(true),
+        onEditorOpen: (path) => setEditorTarget({ fileSystem: currentTab.fileSystem, path }),
+        onAsyncOutput: (lines) => appendTabLines(tabId, lines),
+        onPrompt: (prompts, onComplete) => setPendingPrompt({ tabId, prompts, answers: [], onComplete }),
+        onThemeChange: () => selectTheme(workflowSystem.getActiveThemeName() ?? "default"),
+        getScreenSize: () => getScreenSize(tabId),
+      },
+      { signal: controller.signal, onOutput: (lines) => appendTabLines(tabId, lines) },
+    )
+      .catch((error) => console.error("[v0] Error processing command:", error))
+      .finally(() => {
+        setRunningCommands((prev) => {
+          const next = { ...prev }
+          delete next[tabId]
+          return next
+        })
+      })
+    // The command line is recorded before the first await
+    updateTabHistory(tabId)
+  }
+
+  const getSearchMatch = (search: HistorySearch) => {
+    return search.index === -1 ? null : getCurrentTab().shellSystem.getHistory().getEntries()[search.index]
+  }
+
+  /**
+   * Search backwards from an entry for the newest line containing the query
+   * A failed search keeps the previous match, like readline does.
+   */
+  const searchHistory = (search: HistorySearch, query: string, before: number): HistorySearch => {
+    const index = query ? getCurrentTab().shellSystem.getHistory().search(query, before) : -1
+    if (index === -1) {
+      return { ...search, query, failed: query !== "" }
+    }
+    return { ...search, query, index, failed: false }
+  }
+
+  /**
+   * Leave search mode, putting the match (or the original line) on the input line
+   */
+  const acceptHistorySearch = (search: HistorySearch) => {
+    setCurrentCommand(getSearchMatch(search) ?? search.original)
+    setHistorySearch(null)
+    setHistoryPosition(-1)
+  }
+
+  /**
+   * Record the answer to the current prompt, finishing the command after the last one
+   * An empty answer takes the default; without a default the question is asked again.
+   */
+  const answerPrompt = (prompt: PendingPrompt, value: string | null) => {
+    const field = prompt.prompts[prompt.answers.length]
+    const answer = value === null ? null : value || field.defaultValue || ""
+    if (answer === "") return
+
+    appendTabLines(prompt.tabId, [
+      {
+        id: `prompt-${Date.now()}-${prompt.answers.length}`,
+        type: "output",
+        content: `${field.label}: ${answer ?? "^C"}`,
+        timestamp: new Date(),
+      },
+    ])
+    setCurrentCommand("")
+
+    if (answer === null) {
+      setPendingPrompt(null)
+      prompt.onComplete(null)
+    } else if (prompt.answers.length + 1 < prompt.prompts.length) {
+      setPendingPrompt({ ...prompt, answers: [...prompt.answers, answer] })
+    } else {
+      setPendingPrompt(null)
+      prompt.onComplete([...prompt.answers, answer])
     }
   }
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault()
-    if (currentCommand.trim()) {
-      processCommand(currentCommand)
+    if (activePrompt) {
+      answerPrompt(activePrompt, currentCommand)
+      return
+    }
+    if (runningCommand) return
+    const command = historySearch ? getSearchMatch(historySearch) ?? historySearch.original : currentCommand
+    setHistorySearch(null)
+    setHistoryPosition(-1)
+    if (command.trim()) {
+      processCommand(command)
       setCurrentCommand("")
+      setCompletions([])
+    }
+  }
+
+  const handleSearchKeyDown = (e: React.KeyboardEvent, search: HistorySearch) => {
+    if (e.key === "r" && e.ctrlKey) {
+      e.preventDefault()
+      const entries = getCurrentTab().shellSystem.getHistory().getEntries()
+      setHistorySearch(searchHistory(search, search.query, search.index === -1 ? entries.length : search.index))
+    } else if (e.key === "Escape" || (e.key === "g" && e.ctrlKey)) {
+      e.preventDefault()
+      setCurrentCommand(search.original)
+      setHistorySearch(null)
+    } else if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "Tab"].includes(e.key)) {
+      e.preventDefault()
+      acceptHistorySearch(search)
     }
   }
 
   const handleKeyDown = (e: React.KeyboardEvent) => {
     const currentTab = getCurrentTab()
+    if (e.key !== "Tab") {
+      setCompletions([])
+    }
+
+    if (activePrompt) {
+      if (e.key === "Escape" || (e.key === "c" && e.ctrlKey)) {
+        e.preventDefault()
+        answerPrompt(activePrompt, null)
+      } else if (e.key === "Tab") {
+        e.preventDefault()
+      }
+      return
+    }
+    if (runningCommand) {
+      if (e.key === "c" && e.ctrlKey) {
+        e.preventDefault()
+        runningCommand.abort()
+      } else if (e.key === "z" && e.ctrlKey) {
+        e.preventDefault()
+        currentTab.shellSystem.getJobs().stopForeground()
+      }
+      return
+    }
+    if (historySearch) {
+      handleSearchKeyDown(e, historySearch)
+      return
+    }
 
+    const history = currentTab.shellSystem.getHistory().getEntries()
     if (e.key === "l" && (e.ctrlKey || e.metaKey)) {
       e.preventDefault()
       clearTab(activeTab)
+    } else if (e.key === "r" && e.ctrlKey) {
+      e.preventDefault()
+      setHistorySearch({ query: "", index: -1, failed: false, original: currentCommand })
     } else if (e.key === "ArrowUp") {
       e.preventDefault()
-      const newIndex = Math.min(currentTab.historyIndex + 1, currentTab.commandHistory.length - 1)
-      if (newIndex >= 0 && currentTab.commandHistory.length > 0) {
-        const historyCommand = currentTab.commandHistory[currentTab.commandHistory.length - 1 - newIndex]
-        setCurrentCommand(historyCommand || "")
+      const newPosition = Math.min(historyPosition + 1, history.length - 1)
+      if (newPosition >= 0) {
+        setHistoryPosition(newPosition)
+        setCurrentCommand(history[history.length - 1 - newPosition])
       }
     } else if (e.key === "ArrowDown") {
       e.preventDefault()
-      const newIndex = Math.max(currentTab.historyIndex - 1, -1)
-      if (newIndex === -1) {
-        setCurrentCommand("")
-      } else if (currentTab.commandHistory.length > 0) {
-        const historyCommand = currentTab.commandHistory[currentTab.commandHistory.length - 1 - newIndex]
-        setCurrentCommand(historyCommand || "")
-      }
+      const newPosition = Math.max(historyPosition - 1, -1)
+      setHistoryPosition(newPosition)
+      setCurrentCommand(newPosition === -1 ? "" : history[history.length - 1 - newPosition])
     } else if (e.key === "Tab") {
       e.preventDefault()
-      // Basic tab completion could be implemented here
+      const cursor = inputRef.current?.selectionStart ?? currentCommand.length
+      const result = TabCompletion.complete(currentCommand, cursor, currentTab)
+      setCurrentCommand(result.line)
+      setCompletions(result.candidates)
+      requestAnimationFrame(() => inputRef.current?.setSelectionRange(result.cursor, result.cursor))
     }
   }
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const sanitizedValue = ValidationUtils.sanitizeInput(e.target.value)
+    setCompletions([])
+    if (historySearch) {
+      // Typing refines the search, starting from the current match
+      const entries = getCurrentTab().shellSystem.getHistory().getEntries()
+      const before = historySearch.index === -1 ? entries.length : historySearch.index + 1
+      setHistorySearch(searchHistory(historySearch, sanitizedValue, before))
+      return
+    }
     setCurrentCommand(sanitizedValue)
   }
 
-  const getColorSchemeClasses = () => {
-    const schemes: Record<ColorScheme, string> = {
-      default: "bg-background text-foreground",
-      matrix: "bg-black text-green-400",
-      ocean: "bg-blue-950 text-cyan-300",
-      sunset: "bg-orange-950 text-orange-200",
-      purple: "bg-purple-950 text-purple-200",
-      graphql: "bg-pink-950 text-pink-300",
-      yaml: "bg-indigo-950 text-indigo-200",
-    }
-    return schemes[settings.colorScheme as ColorScheme] || schemes.default
-  }
+  /**
+   * Colors of a pane: the theme's background, foreground and CSS variables, or the system colors
+   */
+  const getThemeStyle = (): React.CSSProperties =>
+    ansiTheme
+      ? {
+          ...workflowSystem.getThemeVariables(ansiTheme),
+          backgroundColor: ansiTheme.background,
+          color: ansiTheme.foreground,
+        }
+      : {}
 
   const handleSettingsUpdate = (newSettings: Partial<typeof settings>) => {
     const validation = ValidationUtils.validateSettings(newSettings)
@@ -131,84 +374,241 @@ export function Terminal() {
     }
   }
 
+  /**
+   * Clipboard request, input line and completions of a tab, shown below its output
+   */
+  const renderInputArea = (tab: TerminalTab) => (
+    <>
+      {clipboardRequest?.tabId === tab.id && (
+        <div
+          role="alertdialog"
+          aria-label="Clipboard access"
+          className="flex flex-wrap items-center gap-2 rounded border border-border bg-muted/50 px-2 py-1 text-muted-foreground animate-in fade-in-0 duration-150"
+        >
+          <span className="flex-1">
+            A program wants to copy {clipboardRequest.text.length} character
+            {clipboardRequest.text.length === 1 ? "" : "s"} to the clipboard.
+          </span>
+          <Button size="sm" variant="ghost" onClick={() => answerClipboardRequest("allow")}>
+            Allow
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => answerClipboardRequest("always")}>
+            Always allow
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => answerClipboardRequest("deny")}>
+            Deny
+          </Button>
+        </div>
+      )}
+
+      {tab.id === activeTab && (
+        <form onSubmit={handleSubmit} className="flex items-center animate-in fade-in-0 duration-200">
+          {promptField ? (
+            <span className="text-primary mr-2 font-medium whitespace-pre">
+              {promptField.label}
+              {promptField.description && (
+                <span className="text-muted-foreground font-normal"> ({promptField.description})</span>
+              )}
+              {promptField.defaultValue !== undefined && (
+                <span className="text-muted-foreground font-normal"> [{promptField.defaultValue}]</span>
+              )}
+              :
+            </span>
+          ) : historySearch ? (
+            <span className="text-muted-foreground whitespace-pre">
+              {historySearch.failed ? "(failed reverse-i-search)`" : "(reverse-i-search)`"}
+            </span>
+          ) : runningCommand ? null : (
+            <span className="text-primary font-medium whitespace-pre">
+              <TerminalText
+                segments={renderText(
+                  tab.id,
+                  tab.shellSystem.getPrompt(tab.fileSystem.getCurrentPath(), tab.fileSystem.getUser().name),
+                )}
+              />
+            </span>
+          )}
+          <Input
+            ref={inputRef}
+            value={historySearch ? historySearch.query : currentCommand}
+            onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
+            className={`${
+              historySearch ? "flex-none" : "flex-1"
+            } bg-transparent border-none p-0 font-mono focus-visible:ring-0 focus-visible:ring-offset-0 transition-all`}
+            style={{
+              fontSize: `${settings.fontSize}px`,
+              color: settings.colorScheme === "default" ? undefined : "inherit",
+              width: historySearch ? `${historySearch.query.length + 1}ch` : undefined,
+            }}
+            placeholder={
+              historySearch || promptField
+                ? undefined
+                : runningCommand
+                  ? "Running... (Ctrl+C to cancel, Ctrl+Z to stop)"
+                  : "Type a command..."
+            }
+            aria-label={historySearch ? "Search command history" : undefined}
+            autoFocus
+            autoComplete="off"
+            spellCheck={false}
+          />
+          {historySearch && (
+            <span className="flex-1 truncate whitespace-pre">
+              <span className="text-muted-foreground">&apos;: </span>
+              {searchMatch ?? ""}
+            </span>
+          )}
+        </form>
+      )}
+
+      {tab.id === activeTab && completions.length > 0 && (
+        <div className="flex flex-wrap gap-x-6 gap-y-1 text-muted-foreground animate-in fade-in-0 duration-150">
+          {completions.map((candidate) => (
+            <span key={candidate}>{candidate}</span>
+          ))}
+        </div>
+      )}
+    </>
+  )
+
+  /**
+   * Output and, in the focused pane, the input line of the session shown in a pane
+   * @param paneId Session to draw
+   * @param split Whether the tab has other panes, in which case the focused one is outlined
+   */
+  const renderPane = (paneId: string, split: boolean) => {
+    const tab = tabs.find((t) => t.id === paneId)
+    if (!tab) return null
+
+    return (
+      <div
+        className={`h-full font-mono cursor-text transition-all duration-200 ${
+          ansiTheme ? "" : "bg-background text-foreground"
+        } ${split && tab.id === activeTab ? "ring-1 ring-inset ring-primary/40" : ""}`}
+        onClick={() => (tab.id === activeTab ? handleTerminalClick() : setActiveTab(tab.id))}
+        style={{ ...getThemeStyle(), fontSize: `${settings.fontSize}px` }}
+      >
+        {renderer === "dom" ? (
+          <ScrollArea className="h-full">
+            <div ref={screenRef(tab.id)} className="p-4 space-y-1">
+              {getScreenRows(tab).map((row, index) => (
+                <TerminalLine
+                  key={index}
+                  segments={row.segments}
+                  type={(row.tag as TerminalLineData["type"] | undefined) ?? "output"}
+                  colorScheme={settings.colorScheme}
+                />
+              ))}
+
+              {renderInputArea(tab)}
+            </div>
+          </ScrollArea>
+        ) : (
+          <div className="flex h-full flex-col gap-1 p-4">
+            <TerminalCanvas
+              rows={getScreenRows(tab)}
+              mode={renderer}
+              fontSize={settings.fontSize}
+              colorScheme={settings.colorScheme}
+              onResize={(size) => resizeScreen(tab.id, size)}
+              className="min-h-0 flex-1"
+            />
+            {renderInputArea(tab)}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  /**
+   * Select a tab, focusing the pane that last had focus in it
+   */
+  const handleTabChange = (layoutId: string) => {
+    const layout = layouts.find((l) => l.id === layoutId)
+    if (layout) setActiveTab(layout.activePane)
+  }
+
   const currentTab = getCurrentTab()
+  const activeLayout = layouts.find((layout) => PaneLayout.contains(layout.root, activeTab)) ?? layouts[0]
+  const promptField = activePrompt?.prompts[activePrompt.answers.length]
+  const searchMatch = historySearch ? getSearchMatch(historySearch) : null
 
   return (
     <>
       <div className="flex items-center justify-center min-h-screen p-4">
         <Card
-          className={`border-border transition-all duration-300 shadow-2xl ${
+          className={`relative border-border transition-all duration-300 shadow-2xl ${
             settings.isMaximized ? "w-full h-full" : "w-full max-w-4xl h-[600px]"
           }`}
           style={{ opacity: settings.opacity }}
         >
           <TerminalHeader
             currentShellName={currentTab.shellSystem.getShellConfig().name}
-            onAddTab={addNewTab}
+            onAddTab={(isolated) => addNewTab({ isolated })}
+            onSplitPane={splitPane}
+            onClosePane={() => closePane()}
             onOpenSettings={() => setShowSettings(true)}
             isMaximized={settings.isMaximized}
             onToggleMaximize={() => handleSettingsUpdate({ isMaximized: !settings.isMaximized })}
           />
 
-          <Tabs value={activeTab} onValueChange={setActiveTab} className="flex-1 flex flex-col">
+          <Tabs value={activeLayout.id} onValueChange={handleTabChange} className="flex-1 flex flex-col">
             <TabsList className="grid w-full grid-cols-auto bg-muted/10 border-b">
-              {tabs.map((tab) => (
+              {layouts.map((layout) => (
                 <TabsTrigger
-                  key={tab.id}
-                  value={tab.id}
-                  className="text-xs font-mono data-[state=active]:bg-primary/10 data-[state=active]:text-primary transition-all"
+                  key={layout.id}
+                  value={layout.id}
+                  draggable
+                  onDragStart={(e: React.DragEvent) => {
+                    e.dataTransfer.effectAllowed = "move"
+                    e.dataTransfer.setData("text/plain", layout.id)
+                    setDraggedTab(layout.id)
+                  }}
+                  onDragOver={(e: React.DragEvent) => {
+                    // Only tabs accept the drop, so nothing else can be dragged onto the tab bar
+                    if (draggedTab) e.preventDefault()
+                  }}
+                  onDrop={(e: React.DragEvent) => {
+                    e.preventDefault()
+                    if (draggedTab) moveTab(draggedTab, layout.id)
+                    setDraggedTab(null)
+                  }}
+                  onDragEnd={() => setDraggedTab(null)}
+                  className={`text-xs font-mono data-[state=active]:bg-primary/10 data-[state=active]:text-primary transition-all ${
+                    draggedTab === layout.id ? "opacity-50" : ""
+                  }`}
                 >
-                  {tab.title}
+                  {tabs.find((tab) => tab.id === layout.activePane)?.title}
                 </TabsTrigger>
               ))}
             </TabsList>
 
-            {tabs.map((tab) => (
-              <TabsContent key={tab.id} value={tab.id} className="flex-1 mt-0">
-                <div
-                  className={`flex-1 font-mono cursor-text transition-all duration-200 ${getColorSchemeClasses()}`}
-                  onClick={handleTerminalClick}
-                  style={{ fontSize: `${settings.fontSize}px` }}
-                >
-                  <ScrollArea className="h-full">
-                    <div ref={scrollRef} className="p-4 space-y-1">
-                      {tab.lines.map((line) => (
-                        <TerminalLine
-                          key={line.id}
-                          content={line.content}
-                          type={line.type}
-                          colorScheme={settings.colorScheme}
-                        />
-                      ))}
-
-                      {tab.id === activeTab && (
-                        <form onSubmit={handleSubmit} className="flex items-center animate-in fade-in-0 duration-200">
-                          <span className="text-primary mr-2 font-medium">
-                            {tab.shellSystem.getPrompt(tab.fileSystem.getCurrentPath())}
-                          </span>
-                          <Input
-                            ref={inputRef}
-                            value={currentCommand}
-                            onChange={handleInputChange}
-                            onKeyDown={handleKeyDown}
-                            className="flex-1 bg-transparent border-none p-0 font-mono focus-visible:ring-0 focus-visible:ring-offset-0 transition-all"
-                            style={{
-                              fontSize: `${settings.fontSize}px`,
-                              color: settings.colorScheme === "default" ? undefined : "inherit",
-                            }}
-                            placeholder="Type a command..."
-                            autoFocus
-                            autoComplete="off"
-                            spellCheck={false}
-                          />
-                        </form>
-                      )}
-                    </div>
-                  </ScrollArea>
+            {layouts.map((layout) => (
+              <TabsContent key={layout.id} value={layout.id} className="flex-1 mt-0">
+                <div ref={panesRef} className="h-full">
+                  <PaneView
+                    node={layout.root}
+                    renderPane={(paneId) => renderPane(paneId, layout.root.type === "split")}
+                    onResize={resizeSplit}
+                  />
                 </div>
               </TabsContent>
             ))}
           </Tabs>
+
+          {editorTarget && (
+            <TextEditor
+              key={editorTarget.path}
+              fileSystem={editorTarget.fileSystem}
+              path={editorTarget.path}
+              fontSize={settings.fontSize}
+              onClose={() => {
+                setEditorTarget(null)
+                setTimeout(() => inputRef.current?.focus(), 0)
+              }}
+            />
+          )}
         </Card>
       </div>
 
@@ -218,9 +618,13 @@ export function Terminal() {
         fontSize={settings.fontSize}
         onFontSizeChange={(fontSize) => handleSettingsUpdate({ fontSize })}
         colorScheme={settings.colorScheme}
-        onColorSchemeChange={(colorScheme) => handleSettingsUpdate({ colorScheme })}
+        onColorSchemeChange={selectTheme}
+        onSaveTheme={saveTheme}
+        onDeleteTheme={deleteTheme}
         opacity={settings.opacity}
         onOpacityChange={(opacity) => handleSettingsUpdate({ opacity })}
+        renderer={renderer}
+        onRendererChange={setRenderer}
       />
     </>
   )
@@ -0,0 +1,295 @@
+"use client"
+
+/**
+ * Text Editor Component
+ * nano-style full-pane editor for files in the virtual file system
+ */
+
+import type React from "react"
+import { useEffect, useMemo, useRef, useState } from "react"
+import { FileSystem } from "./file-system"
+import { splitLines } from "./shell-streams"
+
+interface TextEditorProps {
+  fileSystem: FileSystem
+  /** Absolute path of the file being edited */
+  path: string
+  fontSize: number
+  onClose: () => void
+}
+
+type EditorPrompt = "none" | "search" | "confirm-exit"
+
+const HELP_ITEMS: [string, string][] = [
+  ["^S", "Write Out"],
+  ["^W", "Where Is"],
+  ["^R", "Reload"],
+  ["^X", "Exit"],
+  ["Esc", "Cancel"],
+]
+
+export function TextEditor({ fileSystem, path, fontSize, onClose }: TextEditorProps) {
+  const initialContent = useMemo(() => {
+    const node = fileSystem.stat(path)
+    return node?.type === "file" ? node.content || "" : ""
+  }, [fileSystem, path])
+  const isNewFile = useMemo(() => fileSystem.stat(path) === null, [fileSystem, path])
+
+  const [content, setContent] = useState(initialContent)
+  const [savedContent, setSavedContent] = useState(initialContent)
+  const [status, setStatus] = useState(
+    isNewFile ? "[ New File ]" : `[ Read ${splitLines(initialContent).length} lines ]`,
+  )
+  const [prompt, setPrompt] = useState<EditorPrompt>("none")
+  const [searchTerm, setSearchTerm] = useState("")
+  const [cursor, setCursor] = useState({ line: 1, column: 1 })
+  /** Set when another tab changed the file while this buffer had unsaved edits */
+  const [changedOnDisk, setChangedOnDisk] = useState(false)
+
+  const textareaRef = useRef<HTMLTextAreaElement>(null)
+  const gutterRef = useRef<HTMLDivElement>(null)
+  const searchRef = useRef<HTMLInputElement>(null)
+
+  const modified = content !== savedContent
+  const lineCount = content.split("\n").length
+
+  useEffect(() => {
+    textareaRef.current?.focus()
+  }, [])
+
+  useEffect(() => {
+    if (prompt === "search") searchRef.current?.focus()
+  }, [prompt])
+
+  // Edits from other tabs sharing the file system replace an unmodified buffer; a modified one is kept
+  useEffect(() => {
+    return fileSystem.onChange((change) => {
+      if (change.source === fileSystem || !FileSystem.changeAffects(change, path)) return
+      const node = fileSystem.stat(path)
+      if (node?.type !== "file") {
+        setStatus("[ File was removed in another tab ]")
+      } else if (modified) {
+        setChangedOnDisk(true)
+        setStatus("[ File changed in another tab; ^R discards your edits and reloads it ]")
+      } else {
+        setContent(node.content || "")
+        setSavedContent(node.content || "")
+        setStatus(`[ Reloaded ${splitLines(node.content || "").length} lines changed in another tab ]`)
+      }
+    })
+  }, [fileSystem, path, modified])
+
+  const updateCursor = () => {
+    const textarea = textareaRef.current
+    if (!textarea) return
+    const before = textarea.value.slice(0, textarea.selectionStart).split("\n")
+    setCursor({ line: before.length, column: before[before.length - 1].length + 1 })
+  }
+
+  const save = (): boolean => {
+    const result = fileSystem.writeFile(path, content)
+    if (!result.success) {
+      setStatus(`[ Error writing ${path}: ${result.error} ]`)
+      return false
+    }
+    setSavedContent(content)
+    setChangedOnDisk(false)
+    setStatus(`[ Wrote ${splitLines(content).length} lines ]`)
+    return true
+  }
+
+  const reload = () => {
+    const node = fileSystem.stat(path)
+    if (node?.type !== "file") {
+      setStatus(`[ ${path} does not exist ]`)
+      return
+    }
+    setContent(node.content || "")
+    setSavedContent(node.content || "")
+    setChangedOnDisk(false)
+    setStatus(`[ Read ${splitLines(node.content || "").length} lines ]`)
+  }
+
+  const requestExit = () => {
+    if (modified) {
+      setPrompt("confirm-exit")
+      setStatus("Save modified buffer?")
+    } else {
+      onClose()
+    }
+  }
+
+  const findNext = () => {
+    const textarea = textareaRef.current
+    setPrompt("none")
+    if (!textarea || !searchTerm) {
+      textarea?.focus()
+      return
+    }
+
+    const haystack = content.toLowerCase()
+    const needle = searchTerm.toLowerCase()
+    let index = haystack.indexOf(needle, textarea.selectionEnd)
+    let wrapped = false
+    if (index === -1) {
+      index = haystack.indexOf(needle)
+      wrapped = index !== -1
+    }
+
+    textarea.focus()
+    if (index === -1) {
+      setStatus(`[ "${searchTerm}" not found ]`)
+      return
+    }
+
+    textarea.setSelectionRange(index, index + searchTerm.length)
+    // Scroll the match into view by its line offset
+    const line = content.slice(0, index).split("\n").length - 1
+    const lineHeight = textarea.scrollHeight / lineCount
+    textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 2)
+    setStatus(wrapped ? "[ Search Wrapped ]" : "")
+    updateCursor()
+  }
+
+  const handleEditorKeyDown = (e: React.KeyboardEvent) => {
+    if (prompt === "confirm-exit") {
+      e.preventDefault()
+      const key = e.key.toLowerCase()
+      if (key === "y") {
+        if (save()) onClose()
+        else setPrompt("none")
+      } else if (key === "n") {
+        onClose()
+      } else if (key === "escape" || (key === "c" && e.ctrlKey)) {
+        setPrompt("none")
+        setStatus("")
+      }
+      return
+    }
+
+    if (e.key === "Escape") {
+      e.preventDefault()
+      requestExit()
+      return
+    }
+    if (!e.ctrlKey && !e.metaKey) return
+
+    switch (e.key.toLowerCase()) {
+      case "s":
+      case "o":
+        e.preventDefault()
+        save()
+        break
+      case "x":
+        e.preventDefault()
+        requestExit()
+        break
+      case "w":
+      case "f":
+        e.preventDefault()
+        setPrompt("search")
+        break
+      case "r":
+        e.preventDefault()
+        reload()
+        break
+    }
+  }
+
+  const handleSearchKeyDown = (e: React.KeyboardEvent) => {
+    // Keep the editor-level shortcuts from seeing keys meant for the prompt
+    e.stopPropagation()
+    if (e.key === "Enter") {
+      e.preventDefault()
+      findNext()
+    } else if (e.key === "Escape" || (e.key === "c" && e.ctrlKey)) {
+      e.preventDefault()
+      setPrompt("none")
+      setStatus("[ Cancelled ]")
+      textareaRef.current?.focus()
+    }
+  }
+
+  const handleScroll = () => {
+    if (gutterRef.current && textareaRef.current) {
+      gutterRef.current.scrollTop = textareaRef.current.scrollTop
+    }
+  }
+
+  const lineHeight = `${Math.round(fontSize * 1.5)}px`
+
+  return (
+    <div
+      className="absolute inset-0 z-40 flex flex-col bg-background text-foreground font-mono animate-in fade-in-0 duration-200"
+      style={{ fontSize: `${fontSize}px` }}
+      onKeyDown={handleEditorKeyDown}
+    >
+      <div className="flex items-center justify-between px-3 py-1 bg-primary text-primary-foreground text-xs">
+        <span>edit</span>
+        <span className="truncate">{path}</span>
+        <span>{changedOnDisk ? "Modified, changed on disk" : modified ? "Modified" : ""}</span>
+      </div>
+
+      <div className="flex flex-1 min-h-0">
+        <div
+          ref={gutterRef}
+          className="overflow-hidden select-none text-right text-muted-foreground bg-muted/20 px-2 py-2 border-r"
+          style={{ lineHeight }}
+          aria-hidden
+        >
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index}>{index + 1}</div>
+          ))}
+        </div>
+        <textarea
+          ref={textareaRef}
+          value={content}
+          onChange={(e) => {
+            setContent(e.target.value)
+            updateCursor()
+          }}
+          onSelect={updateCursor}
+          onScroll={handleScroll}
+          className="flex-1 resize-none bg-transparent p-2 outline-none whitespace-pre overflow-auto"
+          style={{ lineHeight }}
+          wrap="off"
+          spellCheck={false}
+          autoComplete="off"
+          aria-label={`Editing ${path}`}
+        />
+      </div>
+
+      <div className="flex items-center justify-between px-3 py-1 text-xs border-t">
+        {prompt === "search" ? (
+          <label className="flex flex-1 items-center gap-2">
+            <span>Search:</span>
+            <input
+              ref={searchRef}
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              className="flex-1 bg-transparent outline-none"
+              spellCheck={false}
+            />
+          </label>
+        ) : prompt === "confirm-exit" ? (
+          <span className="font-medium">Save modified buffer? (Y) Yes (N) No (Esc) Cancel</span>
+        ) : (
+          <span>{status}</span>
+        )}
+        <span className="text-muted-foreground ml-4 whitespace-nowrap">
+          Ln {cursor.line}, Col {cursor.column}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-x-6 px-3 py-1 text-xs bg-muted/10 border-t">
+        {HELP_ITEMS.map(([key, label]) => (
+          <span key={key}>
+            <span className="bg-foreground text-background px-1 mr-1">{key}</span>
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
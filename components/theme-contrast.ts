@@ -0,0 +1,73 @@
+/**
+ * @fileoverview WCAG contrast checks of a theme's colors against its background
+ * @version 1.0.0
+ */
+
+import type { Base16Theme } from "./workflow-system"
+
+/** A color that is hard to read on the theme's background */
+export interface ContrastWarning {
+  /** Theme key of the color, e.g. "foreground" or "terminal_colors.normal.blue" */
+  key: string
+  /** Contrast ratio against the background, 1-21 */
+  ratio: number
+  /** Ratio the color should reach */
+  minimum: number
+}
+
+/** WCAG AA ratio for body text */
+const TEXT_CONTRAST = 4.5
+/** WCAG AA ratio for large text and UI parts; ANSI colors are mostly used for highlights */
+const ACCENT_CONTRAST = 3
+
+export class ThemeContrast {
+  /**
+   * Contrast ratio of two colors, as WCAG 2 defines it
+   * @param first "#rgb", "#rrggbb" or "#rrggbbaa" color (alpha is ignored)
+   * @param second Color in the same form
+   * @returns Ratio from 1 (same luminance) to 21 (black on white)
+   */
+  static ratio(first: string, second: string): number {
+    const [lighter, darker] = [this.luminance(first), this.luminance(second)].sort((a, b) => b - a)
+    return (lighter + 0.05) / (darker + 0.05)
+  }
+
+  /**
+   * Find the colors of a theme that are hard to read on its background
+   * The black and white ANSI colors are skipped: one of them always matches a dark or light background.
+   * @param theme Theme to check
+   * @returns Warnings, foreground first
+   */
+  static check(theme: Base16Theme): ContrastWarning[] {
+    const colors: [string, string, number][] = [
+      ["foreground", theme.foreground, TEXT_CONTRAST],
+      ["accent", theme.accent, ACCENT_CONTRAST],
+    ]
+    for (const variant of ["normal", "bright"] as const) {
+      for (const [name, color] of Object.entries(theme.terminal_colors[variant])) {
+        if (name !== "black" && name !== "white") {
+          colors.push([`terminal_colors.${variant}.${name}`, color, ACCENT_CONTRAST])
+        }
+      }
+    }
+
+    return colors
+      .map(([key, color, minimum]) => ({ key, ratio: this.ratio(color, theme.background), minimum }))
+      .filter((warning) => warning.ratio < warning.minimum)
+  }
+
+  /**
+   * Relative luminance of a hex color, as WCAG 2 defines it
+   * @param color "#rgb", "#rrggbb" or "#rrggbbaa" color (alpha is ignored)
+   * @returns Luminance from 0 (black) to 1 (white)
+   */
+  static luminance(color: string): number {
+    let hex = color.replace(/^#/, "")
+    if (hex.length === 3) hex = [...hex].map((digit) => digit + digit).join("")
+    const [red, green, blue] = [0, 2, 4].map((offset) => {
+      const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255
+      return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4
+    })
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue
+  }
+}
@@ -0,0 +1,328 @@
+"use client"
+
+/**
+ * Theme Editor Component
+ * Edits a Base16 theme with a live preview, contrast warnings, and YAML/JSON import and export
+ */
+
+import type React from "react"
+import { useMemo, useRef, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { X, Palette, Save, Download, Upload, AlertTriangle } from "lucide-react"
+import { CommandProcessor } from "./command-processor"
+import { downloadFile } from "./download"
+import { ThemeContrast } from "./theme-contrast"
+import { YamlError } from "../lib/utils/yaml-parser"
+import type { Base16Theme, ThemeFormat } from "./workflow-system"
+
+interface ThemeEditorProps {
+  /** Name the theme is saved under; may be changed in the editor */
+  name: string
+  /** Theme to start from; it is copied, not changed */
+  theme: Base16Theme
+  fontSize: number
+  /**
+   * Save the theme
+   * @returns False if the name cannot be used
+   */
+  onSave: (name: string, theme: Base16Theme) => boolean
+  onClose: () => void
+}
+
+type ColorName = keyof Base16Theme["terminal_colors"]["normal"]
+
+const COLOR_NAMES: ColorName[] = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"]
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/
+
+/**
+ * Value for a color picker, which only accepts "#rrggbb"
+ * @private
+ */
+function pickerValue(color: string): string {
+  if (!HEX_COLOR.test(color)) return "#000000"
+  const hex = color.slice(1)
+  return hex.length === 3 ? `#${[...hex].map((digit) => digit + digit).join("")}` : `#${hex.slice(0, 6)}`
+}
+
+/**
+ * Read a theme key such as "terminal_colors.normal.blue"
+ * @private
+ */
+function getColor(theme: Base16Theme, key: string): string {
+  const [first, variant, name] = key.split(".")
+  if (first !== "terminal_colors") return theme[first as "accent" | "background" | "foreground"]
+  return theme.terminal_colors[variant as "normal" | "bright"][name as ColorName]
+}
+
+/**
+ * Copy a theme with one color replaced
+ * @private
+ */
+function setColor(theme: Base16Theme, key: string, color: string): Base16Theme {
+  const [first, variant, name] = key.split(".")
+  if (first !== "terminal_colors") return { ...theme, [first]: color }
+  const palette = variant as "normal" | "bright"
+  return {
+    ...theme,
+    terminal_colors: {
+      ...theme.terminal_colors,
+      [palette]: { ...theme.terminal_colors[palette], [name]: color },
+    },
+  }
+}
+
+export function ThemeEditor({ name: initialName, theme: initialTheme, fontSize, onSave, onClose }: ThemeEditorProps) {
+  const workflowSystem = CommandProcessor.getWorkflowSystem()
+  const [name, setName] = useState(initialName)
+  const [theme, setTheme] = useState(initialTheme)
+  const [status, setStatus] = useState<{ message: string; error: boolean } | null>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+
+  const invalidKeys = useMemo(
+    () =>
+      ["accent", "background", "foreground"]
+        .concat(
+          (["normal", "bright"] as const).flatMap((variant) =>
+            COLOR_NAMES.map((colorName) => `terminal_colors.${variant}.${colorName}`),
+          ),
+        )
+        .filter((key) => !HEX_COLOR.test(getColor(theme, key))),
+    [theme],
+  )
+  // Contrast can only be measured once every color parses
+  const warnings = useMemo(() => (invalidKeys.length === 0 ? ThemeContrast.check(theme) : []), [theme, invalidKeys])
+  const trimmedName = name.trim()
+
+  const handleSave = () => {
+    if (workflowSystem.isBuiltInTheme(trimmedName)) {
+      setStatus({ message: `"${trimmedName}" is a built-in theme; save under another name`, error: true })
+      return
+    }
+    if (onSave(trimmedName, theme)) {
+      setStatus({ message: `Saved theme "${trimmedName}"`, error: false })
+    } else {
+      setStatus({ message: `Could not save theme "${trimmedName}"`, error: true })
+    }
+  }
+
+  const handleExport = (format: ThemeFormat) => {
+    const content = workflowSystem.formatTheme(theme, format)
+    const filename = `${trimmedName || "theme"}.${format === "json" ? "json" : "yml"}`
+    downloadFile(filename, content, format === "json" ? "application/json" : "application/yaml")
+  }
+
+  const handleImport = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    file
+      .text()
+      .then((content) => {
+        // JSON is valid YAML, so both formats go through the theme schema
+        setTheme(workflowSystem.parseYamlTheme(content))
+        setName(file.name.replace(/\.(ya?ml|json)$/i, ""))
+        setStatus({ message: `Imported ${file.name}`, error: false })
+      })
+      .catch((error) => {
+        if (!(error instanceof YamlError)) console.error("[v0] Failed to import theme:", error)
+        const message = error instanceof YamlError ? `${error.line}:${error.column}: ${error.message}` : String(error)
+        setStatus({ message: `${file.name}: ${message}`, error: true })
+      })
+  }
+
+  /**
+   * Color picker and hex field for one theme key
+   */
+  const renderColorField = (key: string, label: string) => {
+    const color = getColor(theme, key)
+    const invalid = invalidKeys.includes(key)
+    const warning = warnings.find((entry) => entry.key === key)
+    return (
+      <div key={key} className="flex items-center gap-2">
+        <input
+          type="color"
+          aria-label={`${label} color`}
+          value={pickerValue(color)}
+          onChange={(e) => setTheme((prev) => setColor(prev, key, e.target.value))}
+          className="h-7 w-7 shrink-0 cursor-pointer rounded border border-border bg-transparent p-0"
+        />
+        <Label className="w-16 shrink-0 text-xs">{label}</Label>
+        <Input
+          value={color}
+          onChange={(e) => setTheme((prev) => setColor(prev, key, e.target.value.trim()))}
+          aria-invalid={invalid}
+          spellCheck={false}
+          className={`h-7 font-mono text-xs ${invalid ? "border-destructive" : ""}`}
+        />
+        {warning && (
+          <AlertTriangle
+            className="h-4 w-4 shrink-0 text-yellow-500"
+            aria-label={`Low contrast: ${warning.ratio.toFixed(1)}:1`}
+          />
+        )}
+      </div>
+    )
+  }
+
+  /** Color of the preview, or undefined while its hex field does not parse */
+  const previewColor = (variant: "normal" | "bright", colorName: ColorName) =>
+    invalidKeys.includes(`terminal_colors.${variant}.${colorName}`)
+      ? undefined
+      : theme.terminal_colors[variant][colorName]
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-in fade-in-0 duration-200">
+      <Card className="w-full max-w-3xl mx-4 animate-in slide-in-from-bottom-4 duration-300">
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
+          <div className="flex items-center gap-2">
+            <Palette className="w-5 h-5 text-primary" />
+            <CardTitle className="text-xl font-semibold">Theme Editor</CardTitle>
+          </div>
+          <Button variant="ghost" size="sm" onClick={onClose} className="hover:bg-destructive/10">
+            <X className="w-4 h-4" />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-end gap-3">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor="theme-name">Name</Label>
+              <Input id="theme-name" value={name} onChange={(e) => setName(e.target.value)} spellCheck={false} />
+            </div>
+            <div className="w-36 space-y-1">
+              <Label>Details</Label>
+              <Select value={theme.details} onValueChange={(details: string) => setTheme((prev) => ({ ...prev, details }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="darker">Darker</SelectItem>
+                  <SelectItem value="lighter">Lighter</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <ScrollArea className="h-80 pr-3">
+              <div className="space-y-2">
+                {renderColorField("background", "Background")}
+                {renderColorField("foreground", "Foreground")}
+                {renderColorField("accent", "Accent")}
+                {(["normal", "bright"] as const).map((variant) => (
+                  <div key={variant} className="space-y-2 pt-2">
+                    <p className="text-xs font-medium uppercase text-muted-foreground">{variant}</p>
+                    {COLOR_NAMES.map((colorName) =>
+                      renderColorField(`terminal_colors.${variant}.${colorName}`, colorName),
+                    )}
+                  </div>
+                ))}
+              </div>
+            </ScrollArea>
+
+            <div className="space-y-3">
+              <div
+                className="rounded-lg border p-3 font-mono leading-relaxed"
+                style={{
+                  fontSize: `${fontSize}px`,
+                  backgroundColor: invalidKeys.includes("background") ? undefined : theme.background,
+                  color: invalidKeys.includes("foreground") ? undefined : theme.foreground,
+                }}
+              >
+                <div>
+                  <span style={{ color: previewColor("normal", "green") }}>user@hyper-terminal</span>:
+                  <span style={{ color: previewColor("normal", "blue") }}>~</span>$ ls
+                </div>
+                <div>
+                  <span style={{ color: previewColor("bright", "blue") }}>documents</span>{" "}
+                  <span style={{ color: previewColor("bright", "green") }}>build.sh</span>{" "}
+                  <span style={{ color: previewColor("normal", "cyan") }}>latest</span> notes.txt
+                </div>
+                <div>
+                  <span style={{ color: previewColor("normal", "red") }}>error:</span> file not found
+                </div>
+                <div>
+                  <span style={{ color: previewColor("normal", "yellow") }}>warning:</span> low disk space
+                </div>
+                <div>
+                  <span style={{ color: previewColor("normal", "magenta") }}>const</span> answer ={" "}
+                  <span style={{ color: previewColor("bright", "magenta") }}>42</span>
+                </div>
+                <div>
+                  ${" "}
+                  <span style={{ backgroundColor: invalidKeys.includes("accent") ? undefined : theme.accent }}> </span>
+                </div>
+                {(["normal", "bright"] as const).map((variant) => (
+                  <div key={variant} className="mt-1 flex">
+                    {COLOR_NAMES.map((colorName) => (
+                      <span
+                        key={colorName}
+                        title={`${variant} ${colorName}`}
+                        className="h-4 flex-1"
+                        style={{ backgroundColor: previewColor(variant, colorName) }}
+                      />
+                    ))}
+                  </div>
+                ))}
+              </div>
+
+              {invalidKeys.length > 0 ? (
+                <p className="text-sm text-destructive">Not a hex color: {invalidKeys.join(", ")}</p>
+              ) : warnings.length > 0 ? (
+                <div className="space-y-1 rounded-lg border border-yellow-500/40 bg-yellow-500/10 p-2 text-xs">
+                  <p className="flex items-center gap-1 font-medium">
+                    <AlertTriangle className="h-3 w-3" /> Hard to read on the background
+                  </p>
+                  {warnings.map((warning) => (
+                    <p key={warning.key} className="font-mono">
+                      {warning.key}: {warning.ratio.toFixed(1)}:1 (needs {warning.minimum}:1)
+                    </p>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-muted-foreground">All colors are readable on the background</p>
+              )}
+
+              {status && (
+                <p className={`text-sm ${status.error ? "text-destructive" : "text-muted-foreground"}`}>
+                  {status.message}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap justify-end gap-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".yml,.yaml,.json"
+              className="hidden"
+              onChange={handleImport}
+            />
+            <Button variant="outline" size="sm" onClick={() => fileInputRef.current?.click()}>
+              <Upload className="w-4 h-4 mr-2" />
+              Import
+            </Button>
+            <Button variant="outline" size="sm" disabled={invalidKeys.length > 0} onClick={() => handleExport("yaml")}>
+              <Download className="w-4 h-4 mr-2" />
+              YAML
+            </Button>
+            <Button variant="outline" size="sm" disabled={invalidKeys.length > 0} onClick={() => handleExport("json")}>
+              <Download className="w-4 h-4 mr-2" />
+              JSON
+            </Button>
+            <Button size="sm" disabled={invalidKeys.length > 0 || trimmedName === ""} onClick={handleSave}>
+              <Save className="w-4 h-4 mr-2" />
+              Save
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
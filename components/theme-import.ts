@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Color schemes of other terminals, converted into Base16 themes
+ * The iTerm2, Windows Terminal, Alacritty and Hyper readers are shared with `hyper theme`
+ * (lib/utils/color-schemes); this adds Base16 themes.
+ * @version 1.0.0
+ */
+
+import {
+  ansiNames,
+  detectSchemeFormat,
+  parseColor,
+  parseColorSchemes,
+  schemeFormats,
+  selectColorScheme,
+  type ColorScheme,
+  type SchemeFormat,
+} from "../lib/utils/color-schemes"
+import type { Base16Theme } from "./workflow-system"
+import { WorkflowSchema } from "./workflow-schema"
+import { YamlParser } from "../lib/utils/yaml-parser"
+import { ThemeContrast } from "./theme-contrast"
+
+/** Formats a color scheme can be read from: those of `hyper theme`, and Base16 */
+export type ThemeFormat = "base16" | SchemeFormat
+
+/** Options of ThemeImport.read */
+export interface SchemeReadOptions {
+  /** Format of the file; detected from the file name and contents if omitted */
+  format?: ThemeFormat
+  /** File name, used to detect the format */
+  filename?: string
+  /** Scheme to pick from a file holding several (Windows Terminal settings) */
+  name?: string
+}
+
+export class ThemeImport {
+  /** Formats, in the order they are listed in help text */
+  static readonly FORMATS: readonly ThemeFormat[] = ["base16", ...schemeFormats]
+
+  /**
+   * Check whether a string names a supported format
+   * @param value Format name, e.g. from a --format option
+   * @returns True for supported formats
+   */
+  static isFormat(value: string): value is ThemeFormat {
+    return (this.FORMATS as readonly string[]).includes(value)
+  }
+
+  /**
+   * Read the color scheme in a file
+   * @param content File contents
+   * @param options Format, file name and scheme name
+   * @returns Scheme
+   * @throws SchemeImportError if the file is not a scheme of the format, or YamlError for malformed YAML
+   *   and Base16 schema errors
+   */
+  static read(content: string, options: SchemeReadOptions = {}): ColorScheme {
+    const format = options.format ?? this.detectFormat(content, options.filename)
+    return selectColorScheme(this.parse(content, format), options.name)
+  }
+
+  /**
+   * Guess a file's format from its extension, then from its contents
+   * Files that match no other format are taken as Base16, so malformed themes get Base16's errors.
+   * @param content File contents
+   * @param filename File name, if known
+   * @returns Format
+   */
+  static detectFormat(content: string, filename = ""): ThemeFormat {
+    return detectSchemeFormat(content, filename) ?? "base16"
+  }
+
+  /**
+   * Read every color scheme in a file
+   * @param content File contents
+   * @param format Format of the file
+   * @returns Schemes; only Windows Terminal settings hold more than one
+   * @throws SchemeImportError if the file is not a scheme of the format, or YamlError for malformed YAML
+   */
+  static parse(content: string, format: ThemeFormat): ColorScheme[] {
+    if (format === "base16") {
+      return [this.fromBase16(WorkflowSchema.validateTheme(YamlParser.parseDocument(content)))]
+    }
+    return parseColorSchemes(content, format)
+  }
+
+  /**
+   * Convert a scheme into a Base16 theme for the web terminal
+   * The cursor color becomes the accent, and `details` follows the background's brightness.
+   * @param scheme Scheme to convert
+   * @returns Theme
+   */
+  static toBase16(scheme: ColorScheme): Base16Theme {
+    const palette = (offset: number) =>
+      Object.fromEntries(
+        ansiNames.map((name, index) => [name, scheme.ansi[offset + index]]),
+      ) as Base16Theme["terminal_colors"]["normal"]
+    return {
+      accent: scheme.cursor ?? scheme.ansi[4],
+      background: scheme.background,
+      details: ThemeContrast.luminance(scheme.background) < 0.5 ? "darker" : "lighter",
+      foreground: scheme.foreground,
+      terminal_colors: { bright: palette(8), normal: palette(0) },
+    }
+  }
+
+  /**
+   * @private
+   */
+  private static fromBase16(theme: Base16Theme): ColorScheme {
+    const { normal, bright } = theme.terminal_colors
+    return {
+      foreground: parseColor(theme.foreground, "foreground"),
+      background: parseColor(theme.background, "background"),
+      cursor: parseColor(theme.accent, "accent"),
+      ansi: [...ansiNames.map((name) => normal[name]), ...ansiNames.map((name) => bright[name])].map((color) =>
+        parseColor(color, "terminal_colors"),
+      ),
+    }
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Escape sequence parser for VT100/xterm output
+ * Follows Paul Williams' DEC ANSI parser state diagram (https://vt100.net/emu/dec_ansi_parser),
+ * with xterm's `:` sub-parameters and BEL-terminated OSC strings.
+ * @version 1.0.0
+ */
+
+/**
+ * Receives the actions the parser dispatches
+ */
+export interface VTParserHandler {
+  /** Display a printable character (a full code point) */
+  print(char: string): void
+  /** Run a C0 control function such as CR, LF or BS */
+  execute(code: number): void
+  /** Run an escape sequence such as `ESC 7` or `ESC ( B` */
+  escDispatch(final: string, intermediates: string): void
+  /**
+   * Run a control sequence such as `CSI 2 J`
+   * @param final Final character
+   * @param params Parameters; each holds its `:`-separated sub-parameters, and omitted values are 0
+   * @param prefix Private marker (`?`, `>`, `=` or `<`), or "" if there is none
+   * @param intermediates Intermediate characters between the parameters and the final character
+   */
+  csiDispatch(final: string, params: number[][], prefix: string, intermediates: string): void
+  /** Handle an operating system command such as `OSC 0 ; title BEL`; data excludes the terminator */
+  oscDispatch(data: string): void
+}
+
+type State =
+  | "ground"
+  | "escape"
+  | "escape-intermediate"
+  | "csi-entry"
+  | "csi-param"
+  | "csi-intermediate"
+  | "csi-ignore"
+  | "dcs-entry"
+  | "dcs-param"
+  | "dcs-intermediate"
+  | "dcs-passthrough"
+  | "dcs-ignore"
+  | "osc-string"
+  | "sos-pm-apc-string"
+
+const ESC = 0x1b
+const BEL = 0x07
+const CAN = 0x18
+const SUB = 0x1a
+const DEL = 0x7f
+
+/** Limits that keep malformed input from growing buffers without bound */
+const MAX_PARAMS = 32
+const MAX_PARAM_VALUE = 65535
+/** Large enough for OSC 52 clipboard data, which is base64 encoded */
+const MAX_OSC_LENGTH = 65536
+
+/**
+ * Incremental parser; sequences may be split across calls to parse()
+ */
+export class VTParser {
+  private state: State = "ground"
+  private params: number[][] = []
+  private prefix = ""
+  private intermediates = ""
+  private osc = ""
+
+  /**
+   * @param handler Receives the parsed actions
+   */
+  constructor(private readonly handler: VTParserHandler) {}
+
+  /**
+   * Feed data to the parser
+   * @param data Text that may contain escape sequences
+   */
+  parse(data: string): void {
+    for (const char of data) {
+      this.advance(char, char.codePointAt(0) ?? 0)
+    }
+  }
+
+  /**
+   * Return to the ground state, dropping any partial sequence
+   */
+  reset(): void {
+    this.state = "ground"
+    this.clear()
+  }
+
+  /**
+   * Process one code point
+   * @private
+   */
+  private advance(char: string, code: number): void {
+    // Transitions from "anywhere"
+    if (code === CAN || code === SUB) {
+      this.leave()
+      this.handler.execute(code)
+      this.state = "ground"
+      return
+    }
+    if (code === ESC) {
+      this.leave()
+      this.clear()
+      this.state = "escape"
+      return
+    }
+
+    const isC0 = code < 0x20
+    switch (this.state) {
+      case "ground":
+        if (isC0) this.handler.execute(code)
+        else if (code !== DEL) this.handler.print(char)
+        return
+
+      case "escape":
+        if (isC0) this.handler.execute(code)
+        else if (code >= 0x20 && code <= 0x2f) this.collect(char, "escape-intermediate")
+        else if (char === "[") this.state = "csi-entry"
+        else if (char === "]") this.enterOsc()
+        else if (char === "P") this.state = "dcs-entry"
+        else if (char === "X" || char === "^" || char === "_") this.state = "sos-pm-apc-string"
+        else if (code >= 0x30 && code <= 0x7e) this.escDispatch(char)
+        else if (code > DEL) this.state = "ground"
+        return
+
+      case "escape-intermediate":
+        if (isC0) this.handler.execute(code)
+        else if (code >= 0x20 && code <= 0x2f) this.collect(char)
+        else if (code >= 0x30 && code <= 0x7e) this.escDispatch(char)
+        else if (code > DEL) this.state = "ground"
+        return
+
+      case "csi-entry":
+      case "csi-param":
+      case "csi-intermediate":
+        if (isC0) this.handler.execute(code)
+        else if (code >= 0x40 && code <= 0x7e) this.csiDispatch(char)
+        else if (code >= 0x20 && code <= 0x2f) this.collect(char, "csi-intermediate")
+        else if (this.state === "csi-intermediate" && code >= 0x30 && code <= 0x3f) this.state = "csi-ignore"
+        else if (code >= 0x3c && code <= 0x3f) {
+          // A private marker is only allowed before the first parameter
+          if (this.state === "csi-entry") {
+            this.prefix = char
+            this.state = "csi-param"
+          } else {
+            this.state = "csi-ignore"
+          }
+        } else if (code >= 0x30 && code <= 0x3b) this.param(char, "csi-param")
+        else if (code > DEL) this.state = "csi-ignore"
+        return
+
+      case "csi-ignore":
+        if (isC0) this.handler.execute(code)
+        else if (code >= 0x40 && code <= 0x7e) this.state = "ground"
+        return
+
+      case "dcs-entry":
+      case "dcs-param":
+      case "dcs-intermediate":
+        // Device control strings are parsed for their structure only; none are supported
+        if (code >= 0x40 && code <= 0x7e) this.state = "dcs-passthrough"
+        else if (code >= 0x20 && code <= 0x2f) this.state = "dcs-intermediate"
+        else if (this.state === "dcs-intermediate" && code >= 0x30 && code <= 0x3f) this.state = "dcs-ignore"
+        else if (code === 0x3a || (code >= 0x3c && code <= 0x3f && this.state !== "dcs-entry")) {
+          this.state = "dcs-ignore"
+        } else if (code >= 0x30 && code <= 0x3f) this.state = "dcs-param"
+        return
+
+      case "dcs-passthrough":
+      case "dcs-ignore":
+      case "sos-pm-apc-string":
+        return
+
+      case "osc-string":
+        if (code === BEL) {
+          this.leave()
+          this.state = "ground"
+        } else if (!isC0 && this.osc.length < MAX_OSC_LENGTH) {
+          this.osc += char
+        }
+        return
+    }
+  }
+
+  /**
+   * Run the exit action of the current state
+   * @private
+   */
+  private leave(): void {
+    if (this.state === "osc-string") {
+      const data = this.osc
+      this.osc = ""
+      this.handler.oscDispatch(data)
+    }
+  }
+
+  /**
+   * Forget parameters and intermediates of the previous sequence
+   * @private
+   */
+  private clear(): void {
+    this.params = []
+    this.prefix = ""
+    this.intermediates = ""
+  }
+
+  /**
+   * Record an intermediate character
+   * @private
+   */
+  private collect(char: string, next?: State): void {
+    this.intermediates += char
+    if (next) this.state = next
+  }
+
+  /**
+   * Add a digit or separator to the parameters
+   * @private
+   */
+  private param(char: string, next: State): void {
+    this.state = next
+    if (this.params.length === 0) this.params.push([0])
+    const current = this.params[this.params.length - 1]
+
+    if (char === ";") {
+      if (this.params.length < MAX_PARAMS) this.params.push([0])
+    } else if (char === ":") {
+      if (current.length < MAX_PARAMS) current.push(0)
+    } else {
+      const index = current.length - 1
+      current[index] = Math.min(current[index] * 10 + (char.charCodeAt(0) - 0x30), MAX_PARAM_VALUE)
+    }
+  }
+
+  /**
+   * Enter the OSC string state
+   * @private
+   */
+  private enterOsc(): void {
+    this.osc = ""
+    this.state = "osc-string"
+  }
+
+  /**
+   * Dispatch an escape sequence
+   * @private
+   */
+  private escDispatch(final: string): void {
+    this.state = "ground"
+    this.handler.escDispatch(final, this.intermediates)
+  }
+
+  /**
+   * Dispatch a control sequence
+   * @private
+   */
+  private csiDispatch(final: string): void {
+    this.state = "ground"
+    this.handler.csiDispatch(final, this.params, this.prefix, this.intermediates)
+  }
+}
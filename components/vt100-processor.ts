@@ -3,6 +3,17 @@
  * Handles terminal control sequences for text styling, cursor movement, and screen control
  */
 
+import { VTParser, type VTParserHandler } from "./vt-parser"
+import {
+  DEFAULT_STYLE,
+  ScreenBuffer,
+  type CellStyle,
+  type Hyperlink,
+  type ScreenRow,
+  type UnderlineStyle,
+} from "./screen-buffer"
+import { ColorPalette, type CellColor } from "./color-palette"
+
 export interface VT100State {
   cursorX: number
   cursorY: number
@@ -17,134 +28,405 @@ export interface VT100State {
 
 export interface ProcessedText {
   text: string
+  /** Target of the OSC 8 hyperlink the text belongs to */
+  link?: Hyperlink
   styles: {
     bold?: boolean
+    dim?: boolean
     italic?: boolean
     underline?: boolean
+    /** Shape of the underline when it is not a single line */
+    underlineStyle?: Exclude<UnderlineStyle, "none" | "single">
+    underlineColor?: string
+    blink?: boolean
     strikethrough?: boolean
+    hidden?: boolean
     color?: string
     backgroundColor?: string
     inverse?: boolean
   }
 }
 
-export class VT100Processor {
-  private state: VT100State = {
-    cursorX: 0,
-    cursorY: 0,
-    bold: false,
-    italic: false,
-    underline: false,
-    strikethrough: false,
-    foregroundColor: null,
-    backgroundColor: null,
-    inverse: false,
+/**
+ * A screen row split into runs of equally styled text
+ */
+export interface RenderedRow {
+  segments: ProcessedText[]
+  /** Tag the row was written with (see VT100Processor.write) */
+  tag?: string
+}
+
+/**
+ * Side effects requested by OSC sequences, which the screen itself cannot carry out
+ */
+export interface VT100Events {
+  /** OSC 0 / OSC 2: set the window title */
+  onTitleChange?: (title: string) => void
+  /** OSC 52: copy text to the clipboard; the receiver decides whether that is allowed */
+  onClipboardWrite?: (text: string) => void
+}
+
+/**
+ * Screen size used when none is given
+ */
+export const DEFAULT_COLS = 80
+export const DEFAULT_ROWS = 24
+
+/** Underline shapes by `SGR 4:n` sub-parameter */
+const UNDERLINE_STYLES: UnderlineStyle[] = ["none", "single", "double", "curly", "dotted", "dashed"]
+
+export class VT100Processor implements VTParserHandler {
+  private readonly parser = new VTParser(this)
+  private screen: ScreenBuffer
+  /** Last printed character, repeated by REP */
+  private lastChar: string | null = null
+
+  /** Resolves palette indexes; basic colors follow the active theme */
+  private palette = ColorPalette.DEFAULT
+  private events: VT100Events | null = null
+
+  /**
+   * @param cols Screen width in cells
+   * @param rows Screen height in cells
+   * @param scrollbackLimit Rows kept after scrolling off the top
+   */
+  constructor(cols = DEFAULT_COLS, rows = DEFAULT_ROWS, scrollbackLimit = 1000) {
+    this.screen = new ScreenBuffer(cols, rows, scrollbackLimit)
+  }
+
+  /**
+   * Feed output to the emulator
+   * @param data Text that may contain control characters and escape sequences
+   * @param tag Label stored on the rows this output writes to, such as the line type
+   */
+  write(data: string, tag?: string): void {
+    this.screen.setTag(tag)
+    this.parser.parse(data)
+  }
+
+  /**
+   * Get the screen contents for display
+   * @returns Scrollback and screen rows (see ScreenBuffer.getRows), split into styled runs
+   */
+  getRows(): RenderedRow[] {
+    return this.screen.getRows().map((row) => ({ segments: this.renderRow(row), tag: row.tag }))
+  }
+
+  /**
+   * Set the palette colors are drawn with
+   * Cells keep palette indexes, so switching themes recolors output already on the screen.
+   * @param palette Palette, such as ColorPalette.fromTheme(theme)
+   */
+  setPalette(palette: ColorPalette): void {
+    this.palette = palette
+  }
+
+  /**
+   * Set the receiver of OSC side effects
+   * @param events Callbacks, or null to ignore titles and clipboard writes (e.g. while replaying old output)
+   */
+  setEvents(events: VT100Events | null): void {
+    this.events = events
+  }
+
+  /**
+   * Get the cursor position and current rendition
+   * @returns Current state
+   */
+  getState(): VT100State {
+    const style = this.screen.style
+    return {
+      cursorX: this.screen.cursorX,
+      cursorY: this.screen.cursorY,
+      bold: style.bold,
+      italic: style.italic,
+      underline: style.underline !== "none",
+      strikethrough: style.strikethrough,
+      foregroundColor: this.palette.resolve(style.foregroundColor) ?? null,
+      backgroundColor: this.palette.resolve(style.backgroundColor) ?? null,
+      inverse: style.inverse,
+    }
   }
 
-  private readonly colorMap: Record<number, string> = {
-    30: "#000000", // Black
-    31: "#ff0000", // Red
-    32: "#00ff00", // Green
-    33: "#ffff00", // Yellow
-    34: "#0000ff", // Blue
-    35: "#ff00ff", // Magenta
-    36: "#00ffff", // Cyan
-    37: "#ffffff", // White
-    90: "#808080", // Bright Black (Gray)
-    91: "#ff8080", // Bright Red
-    92: "#80ff80", // Bright Green
-    93: "#ffff80", // Bright Yellow
-    94: "#8080ff", // Bright Blue
-    95: "#ff80ff", // Bright Magenta
-    96: "#80ffff", // Bright Cyan
-    97: "#ffffff", // Bright White
+  /**
+   * Get the underlying cell grid
+   * @returns Screen buffer
+   */
+  getScreen(): ScreenBuffer {
+    return this.screen
   }
 
   /**
    * Process text containing ANSI escape sequences
+   * Rows the text produces are joined with "\n" segments, so `\r` redraws and erases are applied.
    */
   processText(input: string): ProcessedText[] {
+    this.write(input)
     const segments: ProcessedText[] = []
-    let currentText = ""
-    let i = 0
-
-    while (i < input.length) {
-      if (input[i] === "\x1b" && input[i + 1] === "[") {
-        // Save current text segment if any
-        if (currentText) {
-          segments.push({
-            text: currentText,
-            styles: this.getCurrentStyles(),
-          })
-          currentText = ""
-        }
+    this.getRows().forEach((row, index) => {
+      if (index > 0) segments.push({ text: "\n", styles: {} })
+      segments.push(...row.segments)
+    })
+    return segments
+  }
 
-        // Find end of escape sequence
-        let j = i + 2
-        while (j < input.length && !/[a-zA-Z]/.test(input[j])) {
-          j++
-        }
+  print(char: string): void {
+    this.screen.print(char)
+    this.lastChar = char
+  }
 
-        if (j < input.length) {
-          const sequence = input.slice(i + 2, j + 1)
-          this.processEscapeSequence(sequence)
-          i = j + 1
-        } else {
-          i++
-        }
-      } else {
-        currentText += input[i]
-        i++
-      }
+  execute(code: number): void {
+    switch (code) {
+      case 0x08: // BS
+        this.screen.backspace()
+        break
+      case 0x09: // HT
+        this.screen.tab()
+        break
+      case 0x0a: // LF
+      case 0x0b: // VT
+      case 0x0c: // FF
+        this.screen.index()
+        break
+      case 0x0d: // CR
+        this.screen.carriageReturn()
+        break
     }
+  }
 
-    // Add final text segment
-    if (currentText) {
-      segments.push({
-        text: currentText,
-        styles: this.getCurrentStyles(),
-      })
+  escDispatch(final: string, intermediates: string): void {
+    if (intermediates === "#" && final === "8") {
+      this.screen.fillWithE() // DECALN
+      return
     }
+    // Character set designations (ESC ( B and friends) only select ASCII here
+    if (intermediates) return
 
-    return segments
+    switch (final) {
+      case "7": // DECSC
+        this.screen.saveCursor()
+        break
+      case "8": // DECRC
+        this.screen.restoreCursor()
+        break
+      case "D": // IND
+        this.screen.index()
+        break
+      case "E": // NEL
+        this.screen.carriageReturn()
+        this.screen.index()
+        break
+      case "H": // HTS
+        this.screen.setTabStop()
+        break
+      case "M": // RI
+        this.screen.reverseIndex()
+        break
+      case "c": // RIS
+        this.screen.reset()
+        this.parser.reset()
+        break
+    }
   }
 
-  /**
-   * Process individual escape sequence
-   */
-  private processEscapeSequence(sequence: string): void {
-    const command = sequence.slice(-1)
-    const params = sequence
-      .slice(0, -1)
-      .split(";")
-      .map((p) => Number.parseInt(p) || 0)
+  csiDispatch(final: string, params: number[][], prefix: string, intermediates: string): void {
+    // Omitted and zero parameters mean the default, which is 1 for counts and positions
+    const count = (index = 0) => params[index]?.[0] || 1
+    const screen = this.screen
+    if (intermediates) return
 
-    switch (command) {
-      case "m": // SGR (Select Graphic Rendition)
+    if (prefix === "?") {
+      if (final === "h" || final === "l") {
+        params.forEach(([mode]) => this.setPrivateMode(mode, final === "h"))
+      } else if (final === "J") {
+        screen.eraseInDisplay(params[0]?.[0] ?? 0) // DECSED
+      } else if (final === "K") {
+        screen.eraseInLine(params[0]?.[0] ?? 0) // DECSEL
+      }
+      return
+    }
+    if (prefix) return
+
+    switch (final) {
+      case "@": // ICH
+        screen.insertChars(count())
+        break
+      case "A": // CUU
+        screen.moveBy(0, -count())
+        break
+      case "B": // CUD
+      case "e": // VPR
+        screen.moveBy(0, count())
+        break
+      case "C": // CUF
+      case "a": // HPR
+        screen.moveBy(count(), 0)
+        break
+      case "D": // CUB
+        screen.moveBy(-count(), 0)
+        break
+      case "E": // CNL
+        screen.moveBy(0, count())
+        screen.carriageReturn()
+        break
+      case "F": // CPL
+        screen.moveBy(0, -count())
+        screen.carriageReturn()
+        break
+      case "G": // CHA
+      case "`": // HPA
+        screen.moveToColumn(count() - 1)
+        break
+      case "H": // CUP
+      case "f": // HVP
+        screen.moveTo(count(1) - 1, count(0) - 1)
+        break
+      case "I": // CHT
+        screen.tab(count())
+        break
+      case "Z": // CBT
+        screen.tab(-count())
+        break
+      case "J": // ED
+        screen.eraseInDisplay(params[0]?.[0] ?? 0)
+        break
+      case "K": // EL
+        screen.eraseInLine(params[0]?.[0] ?? 0)
+        break
+      case "L": // IL
+        screen.insertLines(count())
+        break
+      case "M": // DL
+        screen.deleteLines(count())
+        break
+      case "P": // DCH
+        screen.deleteChars(count())
+        break
+      case "S": // SU
+        screen.scrollUp(count())
+        break
+      case "T": // SD
+        screen.scrollDown(count())
+        break
+      case "X": // ECH
+        screen.eraseChars(count())
+        break
+      case "b": // REP
+        if (this.lastChar !== null) {
+          for (let i = 0; i < count(); i++) screen.print(this.lastChar)
+        }
+        break
+      case "d": // VPA
+        screen.moveToRow(count() - 1)
+        break
+      case "g": // TBC
+        screen.clearTabStops(params[0]?.[0] === 3)
+        break
+      case "h": // SM
+      case "l": // RM
+        // IRM is the only ANSI mode with a visible effect here
+        if (params.some(([mode]) => mode === 4)) screen.insertMode = final === "h"
+        break
+      case "m": // SGR
         this.processSGR(params)
         break
-      case "H": // CUP (Cursor Position)
-      case "f": // HVP (Horizontal and Vertical Position)
-        this.state.cursorY = (params[0] || 1) - 1
-        this.state.cursorX = (params[1] || 1) - 1
+      case "r": // DECSTBM
+        screen.setScrollRegion(count(0) - 1, (params[1]?.[0] || screen.rows) - 1)
+        break
+      case "s": // SCOSC
+        screen.saveCursor()
+        break
+      case "u": // SCORC
+        screen.restoreCursor()
+        break
+    }
+  }
+
+  oscDispatch(data: string): void {
+    const separator = data.indexOf(";")
+    if (separator === -1) return
+    const command = data.slice(0, separator)
+    const payload = data.slice(separator + 1)
+
+    switch (command) {
+      case "0": // Icon name and window title
+      case "2": // Window title
+        this.events?.onTitleChange?.(payload)
         break
-      case "A": // CUU (Cursor Up)
-        this.state.cursorY = Math.max(0, this.state.cursorY - (params[0] || 1))
+      case "8": // Hyperlink
+        this.setHyperlink(payload)
+        break
+      case "52": // Clipboard
+        this.writeClipboard(payload)
+        break
+    }
+  }
+
+  /**
+   * Start or end a hyperlink (`OSC 8 ; params ; uri`, where an empty uri ends the link)
+   * @private
+   */
+  private setHyperlink(payload: string): void {
+    const separator = payload.indexOf(";")
+    if (separator === -1) return
+    const uri = payload.slice(separator + 1)
+    const id = payload
+      .slice(0, separator)
+      .split(":")
+      .find((param) => param.startsWith("id="))
+      ?.slice(3)
+
+    this.screen.style = { ...this.screen.style, hyperlink: uri ? { uri, ...(id && { id }) } : null }
+  }
+
+  /**
+   * Handle `OSC 52 ; selection ; base64 data`
+   * Every selection is treated as the system clipboard. Queries (`?` as the data) are ignored so
+   * programs cannot read the clipboard.
+   * @private
+   */
+  private writeClipboard(payload: string): void {
+    const data = payload.slice(payload.indexOf(";") + 1)
+    if (!payload.includes(";") || data === "" || data === "?") return
+
+    let text: string
+    try {
+      const bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0))
+      text = new TextDecoder("utf-8", { fatal: true }).decode(bytes)
+    } catch {
+      console.warn("[v0] Ignoring OSC 52 clipboard write with invalid data")
+      return
+    }
+    this.events?.onClipboardWrite?.(text)
+  }
+
+  /**
+   * Set or reset a DEC private mode (DECSET / DECRST)
+   */
+  private setPrivateMode(mode: number, enable: boolean): void {
+    const screen = this.screen
+    switch (mode) {
+      case 6: // DECOM
+        screen.originMode = enable
+        screen.moveTo(0, 0)
         break
-      case "B": // CUD (Cursor Down)
-        this.state.cursorY += params[0] || 1
+      case 7: // DECAWM
+        screen.autoWrap = enable
         break
-      case "C": // CUF (Cursor Forward)
-        this.state.cursorX += params[0] || 1
+      case 25: // DECTCEM
+        screen.cursorVisible = enable
         break
-      case "D": // CUB (Cursor Back)
-        this.state.cursorX = Math.max(0, this.state.cursorX - (params[0] || 1))
+      case 47: // Alternate screen
+      case 1047:
+        if (!enable && screen.isAlternate()) screen.eraseInDisplay(2)
+        screen.setAlternateScreen(enable)
         break
-      case "J": // ED (Erase in Display)
-        // Handle screen clearing
+      case 1048: // Save/restore cursor
+        if (enable) screen.saveCursor()
+        else screen.restoreCursor()
         break
-      case "K": // EL (Erase in Line)
-        // Handle line clearing
+      case 1049: // Alternate screen with saved cursor
+        screen.setAlternateScreen(enable, true)
         break
     }
   }
@@ -152,97 +434,194 @@ export class VT100Processor {
   /**
    * Process SGR (Select Graphic Rendition) parameters
    */
-  private processSGR(params: number[]): void {
-    if (params.length === 0) params = [0]
+  private processSGR(groups: number[][]): void {
+    const params = groups.length === 0 ? [0] : groups.map((group) => group[0])
+    // Cells share style objects, so every change creates a new one
+    const style: CellStyle = { ...this.screen.style }
 
-    for (const param of params) {
+    for (let i = 0; i < params.length; i++) {
+      const param = params[i]
       switch (param) {
-        case 0: // Reset
-          this.resetState()
+        case 0: // Reset; an open hyperlink continues
+          Object.assign(style, DEFAULT_STYLE, { hyperlink: style.hyperlink })
           break
         case 1: // Bold
-          this.state.bold = true
+          style.bold = true
+          break
+        case 2: // Faint
+          style.dim = true
           break
         case 3: // Italic
-          this.state.italic = true
+          style.italic = true
           break
-        case 4: // Underline
-          this.state.underline = true
+        case 4: // Underline, with its shape as a sub-parameter (4:0 to 4:5)
+          style.underline = groups[i].length > 1 ? UNDERLINE_STYLES[groups[i][1]] ?? style.underline : "single"
+          break
+        case 5: // Slow blink
+        case 6: // Rapid blink
+          style.blink = true
           break
         case 7: // Inverse
-          this.state.inverse = true
+          style.inverse = true
+          break
+        case 8: // Hidden
+          style.hidden = true
           break
         case 9: // Strikethrough
-          this.state.strikethrough = true
+          style.strikethrough = true
+          break
+        case 21: // Double underline
+          style.underline = "double"
           break
         case 22: // Normal intensity (not bold)
-          this.state.bold = false
+          style.bold = false
+          style.dim = false
           break
         case 23: // Not italic
-          this.state.italic = false
+          style.italic = false
           break
         case 24: // Not underlined
-          this.state.underline = false
+          style.underline = "none"
+          break
+        case 25: // Not blinking
+          style.blink = false
           break
         case 27: // Not inverse
-          this.state.inverse = false
+          style.inverse = false
+          break
+        case 28: // Not hidden
+          style.hidden = false
           break
         case 29: // Not strikethrough
-          this.state.strikethrough = false
+          style.strikethrough = false
+          break
+        case 38: // Extended foreground color
+        case 48: // Extended background color
+        case 58: // Underline color
+          i += this.applyExtendedColor(style, groups, i)
           break
         case 39: // Default foreground color
-          this.state.foregroundColor = null
+          style.foregroundColor = null
           break
         case 49: // Default background color
-          this.state.backgroundColor = null
+          style.backgroundColor = null
+          break
+        case 59: // Default underline color
+          style.underlineColor = null
           break
         default:
           if (param >= 30 && param <= 37) {
             // Standard foreground colors
-            this.state.foregroundColor = this.colorMap[param]
+            style.foregroundColor = param - 30
           } else if (param >= 40 && param <= 47) {
             // Standard background colors
-            this.state.backgroundColor = this.colorMap[param - 10]
+            style.backgroundColor = param - 40
           } else if (param >= 90 && param <= 97) {
             // Bright foreground colors
-            this.state.foregroundColor = this.colorMap[param]
+            style.foregroundColor = param - 90 + 8
           } else if (param >= 100 && param <= 107) {
             // Bright background colors
-            this.state.backgroundColor = this.colorMap[param - 10]
+            style.backgroundColor = param - 100 + 8
           }
           break
       }
     }
+
+    this.screen.style = style
   }
 
   /**
-   * Get current text styles
+   * Set the color selected by SGR 38, 48 or 58
+   * Accepts both `38;5;n` / `38;2;r;g;b` and the sub-parameter forms `38:5:n` / `38:2::r:g:b` (with or
+   * without the color space id). Malformed colors leave the style unchanged.
+   * @returns Number of following parameters the color used
    */
-  private getCurrentStyles(): ProcessedText["styles"] {
-    const styles: ProcessedText["styles"] = {}
+  private applyExtendedColor(style: CellStyle, groups: number[][], index: number): number {
+    const { color, length } = this.parseExtendedColor(groups, index)
+    if (color !== undefined) {
+      const param = groups[index][0]
+      if (param === 38) style.foregroundColor = color
+      else if (param === 48) style.backgroundColor = color
+      else style.underlineColor = color
+    }
+    return length
+  }
 
-    if (this.state.bold) styles.bold = true
-    if (this.state.italic) styles.italic = true
-    if (this.state.underline) styles.underline = true
-    if (this.state.strikethrough) styles.strikethrough = true
-    if (this.state.inverse) styles.inverse = true
-    if (this.state.foregroundColor) styles.color = this.state.foregroundColor
-    if (this.state.backgroundColor) styles.backgroundColor = this.state.backgroundColor
+  /**
+   * Read the color of SGR 38, 48 or 58
+   * @returns The color, or undefined if it is malformed, and the number of following parameters it used
+   */
+  private parseExtendedColor(groups: number[][], index: number): { color: CellColor | undefined; length: number } {
+    const group = groups[index]
+    let mode: number | undefined
+    let values: number[]
+    let length = 0
 
-    return styles
+    if (group.length > 1) {
+      mode = group[1]
+      // 38:2:r:g:b omits the color space id that 38:2:id:r:g:b carries
+      values = mode === 2 && group.length >= 6 ? group.slice(3) : group.slice(2)
+    } else {
+      mode = groups[index + 1]?.[0]
+      length = mode === 5 ? 2 : mode === 2 ? 4 : 1
+      values = groups.slice(index + 2, index + 1 + length).map((next) => next[0])
+    }
+
+    if (mode === 5 && values.length >= 1 && values[0] <= 255) {
+      return { color: values[0], length }
+    }
+    if (mode === 2 && values.length >= 3 && values.slice(0, 3).every((value) => value <= 255)) {
+      return { color: ColorPalette.rgb(values[0], values[1], values[2]), length }
+    }
+    return { color: undefined, length: Math.min(length, groups.length - index - 1) }
   }
 
   /**
-   * Reset all formatting state
+   * Split a row into runs of equally styled text, dropping trailing blanks
    */
-  private resetState(): void {
-    this.state.bold = false
-    this.state.italic = false
-    this.state.underline = false
-    this.state.strikethrough = false
-    this.state.inverse = false
-    this.state.foregroundColor = null
-    this.state.backgroundColor = null
+  private renderRow(row: ScreenRow): ProcessedText[] {
+    let end = row.cells.length
+    while (end > 0 && row.cells[end - 1].char === " " && row.cells[end - 1].style === DEFAULT_STYLE) end--
+
+    const segments: ProcessedText[] = []
+    let previous: CellStyle | null = null
+    for (const cell of row.cells.slice(0, end)) {
+      if (cell.style === previous) {
+        segments[segments.length - 1].text += cell.char
+      } else {
+        const link = cell.style.hyperlink
+        segments.push({ text: cell.char, styles: this.getStyles(cell.style), ...(link && { link }) })
+        previous = cell.style
+      }
+    }
+    return segments
+  }
+
+  /**
+   * Convert a cell rendition to segment styles
+   */
+  private getStyles(style: CellStyle): ProcessedText["styles"] {
+    const styles: ProcessedText["styles"] = {}
+
+    if (style.bold) styles.bold = true
+    if (style.dim) styles.dim = true
+    if (style.italic) styles.italic = true
+    if (style.underline !== "none") {
+      styles.underline = true
+      if (style.underline !== "single") styles.underlineStyle = style.underline
+      const underlineColor = this.palette.resolve(style.underlineColor)
+      if (underlineColor) styles.underlineColor = underlineColor
+    }
+    if (style.blink) styles.blink = true
+    if (style.strikethrough) styles.strikethrough = true
+    if (style.hidden) styles.hidden = true
+    if (style.inverse) styles.inverse = true
+    const color = this.palette.resolve(style.foregroundColor)
+    const backgroundColor = this.palette.resolve(style.backgroundColor)
+    if (color) styles.color = color
+    if (backgroundColor) styles.backgroundColor = backgroundColor
+
+    return styles
   }
 
   /**
@@ -262,6 +641,13 @@ export class VT100Processor {
       "\x1b[1;31mBold Red text\x1b[0m",
       "\x1b[42mGreen background\x1b[0m",
       "\x1b[7mInverse text\x1b[0m",
+      "\x1b[38;5;208m256-color orange\x1b[0m",
+      "\x1b[38;2;255;105;180mTruecolor pink\x1b[0m",
+      "\x1b[4:3;58:5:196mCurly red underline\x1b[0m",
+      "\x1b]8;;https://vt100.net\x1b\\Hyperlink\x1b]8;;\x1b\\",
+      "\x1b]2;Window title\x07",
+      "\x1b[2K\rRedrawn line",
+      "\x1b[1A\x1b[2KCursor up and erase",
     ]
   }
 }
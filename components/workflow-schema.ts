@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Schema validation of parsed workflow and theme documents
+ * @version 1.0.0
+ */
+
+import type { Base16Theme, Workflow, WorkflowArgument } from "./workflow-system"
+import { YamlError, type YamlNode } from "../lib/utils/yaml-parser"
+
+const SHELLS = ["bash", "zsh", "fish", "powershell"] as const
+const COLOR_NAMES = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"] as const
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/
+
+type Mapping = Extract<YamlNode, { kind: "mapping" }>
+
+/**
+ * Checks YAML documents against the Workflow and Base16Theme interfaces
+ * Keys the interfaces do not know are ignored, so files written for other tools still load.
+ */
+export class WorkflowSchema {
+  /**
+   * Validate a Warp-format workflow document
+   * @param root Parsed document
+   * @returns Workflow; the `arguments` key becomes `args`
+   * @throws YamlError naming the offending key and its position
+   */
+  static validateWorkflow(root: YamlNode): Workflow {
+    const document = this.expectMapping(root, "workflow")
+    const workflow: Workflow = {
+      name: this.requireString(document, "name"),
+      command: this.requireString(document, "command"),
+    }
+
+    for (const key of ["description", "source_url", "author", "author_url"] as const) {
+      const value = this.optionalString(document, key)
+      if (value !== undefined) workflow[key] = value
+    }
+
+    const tags = this.get(document, "tags")
+    if (tags && !this.isNull(tags)) {
+      workflow.tags = this.expectSequence(tags, "tags").map((tag, index) => this.expectString(tag, `tags[${index}]`))
+    }
+
+    const shells = this.get(document, "shells")
+    if (shells && !this.isNull(shells)) {
+      const values = this.expectSequence(shells, "shells").map((shell, index) => {
+        const name = this.expectString(shell, `shells[${index}]`)
+        if (!(SHELLS as readonly string[]).includes(name)) {
+          throw this.error(shell, `shells[${index}]: unsupported shell "${name}" (expected ${SHELLS.join(", ")})`)
+        }
+        return name as (typeof SHELLS)[number]
+      })
+      // Warp uses an empty list for "any shell"
+      if (values.length > 0) workflow.shells = values
+    }
+
+    const args = this.get(document, "arguments")
+    if (args && !this.isNull(args)) {
+      const values = this.expectSequence(args, "arguments").map((node, index) =>
+        this.validateArgument(node, `arguments[${index}]`),
+      )
+      if (values.length > 0) workflow.args = values
+    }
+
+    return workflow
+  }
+
+  /**
+   * Validate a Base16 theme document
+   * @param root Parsed document
+   * @returns Theme
+   * @throws YamlError naming the offending key and its position
+   */
+  static validateTheme(root: YamlNode): Base16Theme {
+    const document = this.expectMapping(root, "theme")
+    const details = this.requireString(document, "details")
+    if (details !== "darker" && details !== "lighter") {
+      throw this.error(this.get(document, "details")!, `details: expected "darker" or "lighter", got "${details}"`)
+    }
+
+    const terminalColors = this.expectMapping(this.require(document, "terminal_colors"), "terminal_colors")
+    const palette = (variant: "normal" | "bright") => {
+      const path = `terminal_colors.${variant}`
+      const colors = this.expectMapping(this.require(terminalColors, variant, path), path)
+      return Object.fromEntries(
+        COLOR_NAMES.map((name) => [name, this.requireColor(colors, name, `${path}.${name}`)]),
+      ) as Base16Theme["terminal_colors"]["normal"]
+    }
+
+    return {
+      accent: this.requireColor(document, "accent"),
+      background: this.requireColor(document, "background"),
+      details,
+      foreground: this.requireColor(document, "foreground"),
+      terminal_colors: { bright: palette("bright"), normal: palette("normal") },
+    }
+  }
+
+  /**
+   * Check a plain value, such as a theme stored as JSON, against the Base16Theme interface
+   * Nothing is converted: colors and `details` must already be strings.
+   * @param value Value to check
+   * @returns True if the value is a theme
+   */
+  static isTheme(value: unknown): value is Base16Theme {
+    const isColor = (color: unknown) => typeof color === "string" && HEX_COLOR.test(color)
+    const isPalette = (palette: unknown) =>
+      this.isRecord(palette) && COLOR_NAMES.every((name) => isColor(palette[name]))
+    return (
+      this.isRecord(value) &&
+      (value.details === "darker" || value.details === "lighter") &&
+      isColor(value.accent) &&
+      isColor(value.background) &&
+      isColor(value.foreground) &&
+      this.isRecord(value.terminal_colors) &&
+      isPalette(value.terminal_colors.normal) &&
+      isPalette(value.terminal_colors.bright)
+    )
+  }
+
+  /**
+   * Validate one entry of a workflow's `arguments` list
+   * @private
+   */
+  private static validateArgument(node: YamlNode, path: string): WorkflowArgument {
+    const mapping = this.expectMapping(node, path)
+    const argument: WorkflowArgument = { name: this.requireString(mapping, "name", `${path}.name`) }
+    const description = this.optionalString(mapping, "description", `${path}.description`)
+    const defaultValue = this.optionalString(mapping, "default_value", `${path}.default_value`)
+    if (description !== undefined) argument.description = description
+    if (defaultValue !== undefined) argument.default_value = defaultValue
+    return argument
+  }
+
+  /**
+   * Look up the value of a mapping key
+   * @private
+   */
+  private static get(mapping: Mapping, key: string): YamlNode | undefined {
+    return mapping.entries.find((entry) => entry.key.value === key)?.value
+  }
+
+  /**
+   * Look up a key that must be present and not null
+   * @private
+   */
+  private static require(mapping: Mapping, key: string, path = key): YamlNode {
+    const value = this.get(mapping, key)
+    if (!value) {
+      throw this.error(mapping, `${path}: required key is missing`)
+    }
+    if (this.isNull(value)) {
+      throw this.error(value, `${path}: expected a value, got null`)
+    }
+    return value
+  }
+
+  /**
+   * Read a required, non-empty string
+   * @private
+   */
+  private static requireString(mapping: Mapping, key: string, path = key): string {
+    const value = this.expectString(this.require(mapping, key, path), path)
+    if (value.trim() === "") {
+      throw this.error(this.get(mapping, key)!, `${path}: must not be empty`)
+    }
+    return value
+  }
+
+  /**
+   * Read an optional string; null (`~`) counts as absent
+   * @private
+   */
+  private static optionalString(mapping: Mapping, key: string, path = key): string | undefined {
+    const value = this.get(mapping, key)
+    return value && !this.isNull(value) ? this.expectString(value, path) : undefined
+  }
+
+  /**
+   * Read a required hex color
+   * @private
+   */
+  private static requireColor(mapping: Mapping, key: string, path = key): string {
+    const value = this.get(mapping, key)
+    if (value && this.isNull(value)) {
+      // `accent: #fff024` is a comment, not a color
+      throw this.error(value, `${path}: expected a hex color, got null (quote colors: "#" starts a comment)`)
+    }
+    const node = this.require(mapping, key, path)
+    const color = this.expectString(node, path)
+    if (!HEX_COLOR.test(color)) {
+      throw this.error(node, `${path}: expected a hex color such as "#1d2b53", got "${color}"`)
+    }
+    return color
+  }
+
+  /**
+   * Accept any scalar as a string, since unquoted numbers and booleans are common in hand-written files
+   * @private
+   */
+  private static expectString(node: YamlNode, path: string): string {
+    if (node.kind !== "scalar" || node.value === null) {
+      throw this.error(node, `${path}: expected a string, got ${this.describe(node)}`)
+    }
+    return typeof node.value === "string" ? node.value : node.text
+  }
+
+  /**
+   * Require a node to be a list
+   * @private
+   */
+  private static expectSequence(node: YamlNode, path: string): YamlNode[] {
+    if (node.kind !== "sequence") {
+      throw this.error(node, `${path}: expected a list, got ${this.describe(node)}`)
+    }
+    return node.items
+  }
+
+  /**
+   * Require a node to be a mapping
+   * @private
+   */
+  private static expectMapping(node: YamlNode, path: string): Mapping {
+    if (node.kind !== "mapping") {
+      throw this.error(node, `${path}: expected a mapping, got ${this.describe(node)}`)
+    }
+    return node
+  }
+
+  /**
+   * Whether a node is a null scalar (`~`, `null` or empty)
+   * @private
+   */
+  private static isNull(node: YamlNode): boolean {
+    return node.kind === "scalar" && node.value === null
+  }
+
+  /**
+   * Name a node's type for error messages
+   * @private
+   */
+  private static describe(node: YamlNode): string {
+    if (node.kind === "sequence") return "a list"
+    if (node.kind === "mapping") return "a mapping"
+    return node.value === null
+      ? "null"
+      : typeof node.value === "string"
+        ? "a string"
+        : `${typeof node.value} ${node.text}`
+  }
+
+  /**
+   * Whether a plain value is an object other than an array
+   * @private
+   */
+  private static isRecord(value: unknown): value is Record<string, unknown> {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+  }
+
+  /**
+   * Build an error at a node's position
+   * @private
+   */
+  private static error(node: YamlNode, message: string): YamlError {
+    return new YamlError(message, node.line, node.column)
+  }
+}
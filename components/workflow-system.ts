@@ -1,3 +1,6 @@
+import { YamlParser } from "../lib/utils/yaml-parser"
+import { WorkflowSchema } from "./workflow-schema"
+
 export interface WorkflowArgument {
   name: string
   description?: string
@@ -45,9 +48,40 @@ export interface Base16Theme {
   }
 }
 
+/** Formats a theme can be exported in */
+export type ThemeFormat = "yaml" | "json"
+
+/** ANSI colors shared by the built-in schemes made from a background, foreground and accent */
+const SCHEME_TERMINAL_COLORS: Base16Theme["terminal_colors"] = {
+  bright: {
+    black: "#6b7280",
+    blue: "#93c5fd",
+    cyan: "#67e8f9",
+    green: "#86efac",
+    magenta: "#f0abfc",
+    red: "#fca5a5",
+    white: "#ffffff",
+    yellow: "#fde047",
+  },
+  normal: {
+    black: "#111827",
+    blue: "#60a5fa",
+    cyan: "#22d3ee",
+    green: "#4ade80",
+    magenta: "#e879f9",
+    red: "#f87171",
+    white: "#e5e7eb",
+    yellow: "#facc15",
+  },
+}
+
 export class WorkflowSystem {
   private workflows: Map<string, Workflow> = new Map()
   private themes: Map<string, Base16Theme> = new Map()
+  /** Themes that ship with the terminal; they cannot be removed */
+  private builtInThemes: Set<string> = new Set()
+  /** Name of the theme ANSI colors are drawn with, or null for the default colors */
+  private activeTheme: string | null = null
 
   constructor() {
     this.loadDefaultWorkflows()
@@ -145,153 +179,72 @@ export class WorkflowSystem {
     }
 
     this.themes.set("asam", asamTheme)
-  }
-
-  parseYamlWorkflow(yamlContent: string): Workflow | null {
-    try {
-      // Simple YAML parser for workflow format
-      const lines = yamlContent.split("\n")
-      const workflow: Partial<Workflow> = {}
-      const workflowArgs: WorkflowArgument[] = []
-
-      let currentSection = ""
-      let currentArgument: Partial<WorkflowArgument> = {}
-
-      for (const line of lines) {
-        const trimmed = line.trim()
-        if (!trimmed || trimmed.startsWith("#")) continue
-
-        if (trimmed === "arguments:") {
-          currentSection = "arguments"
-          continue
-        }
-
-        if (trimmed.startsWith("- name:")) {
-          if (currentArgument.name) {
-            workflowArgs.push(currentArgument as WorkflowArgument)
-          }
-          currentArgument = { name: trimmed.split("name:")[1].trim() }
-          continue
-        }
-
-        if (currentSection === "arguments" && trimmed.includes(":")) {
-          const [key, value] = trimmed.split(":").map((s) => s.trim())
-          if (key === "description") {
-            currentArgument.description = value.replace(/['"]/g, "")
-          } else if (key === "default_value") {
-            currentArgument.default_value = value.replace(/['"]/g, "")
-          }
-          continue
-        }
-
-        if (trimmed.includes(":") && currentSection !== "arguments") {
-          const [key, value] = trimmed.split(":").map((s) => s.trim())
-          const cleanValue = value.replace(/['"]/g, "")
-
-          switch (key) {
-            case "name":
-              workflow.name = cleanValue
-              break
-            case "command":
-              workflow.command = cleanValue
-              break
-            case "description":
-              workflow.description = cleanValue
-              break
-            case "tags":
-              workflow.tags = cleanValue
-                .replace(/[[\]]/g, "")
-                .split(",")
-                .map((s) => s.trim().replace(/['"]/g, ""))
-              break
-            case "shells":
-              workflow.shells = cleanValue
-                .replace(/[[\]]/g, "")
-                .split(",")
-                .map((s) => s.trim().replace(/['"]/g, "")) as any
-              break
-          }
-        }
-      }
-
-      if (currentArgument.name) {
-        workflowArgs.push(currentArgument as WorkflowArgument)
-      }
-
-      if (workflowArgs.length > 0) {
-        workflow.args = workflowArgs
-      }
 
-      return workflow.name && workflow.command ? (workflow as Workflow) : null
-    } catch (error) {
-      console.error("[v0] Error parsing YAML workflow:", error)
-      return null
+    const schemes: [string, string, string, string][] = [
+      ["matrix", "#000000", "#4ade80", "#22c55e"],
+      ["ocean", "#172554", "#67e8f9", "#06b6d4"],
+      ["sunset", "#431407", "#fed7aa", "#f97316"],
+      ["purple", "#3b0764", "#e9d5ff", "#a855f7"],
+      ["graphql", "#500724", "#f9a8d4", "#ec4899"],
+      ["yaml", "#1e1b4b", "#c7d2fe", "#6366f1"],
+    ]
+    for (const [name, background, foreground, accent] of schemes) {
+      this.themes.set(name, {
+        accent,
+        background,
+        details: "darker",
+        foreground,
+        terminal_colors: SCHEME_TERMINAL_COLORS,
+      })
     }
+
+    this.themes.forEach((_, name) => this.builtInThemes.add(name))
   }
 
-  parseYamlTheme(yamlContent: string): Base16Theme | null {
-    try {
-      // Simple YAML parser for theme format
-      const lines = yamlContent.split("\n")
-      const theme: Partial<Base16Theme> = {
-        terminal_colors: { bright: {} as any, normal: {} as any },
-      }
+  /**
+   * Parse a Warp-format workflow file
+   * @param yamlContent YAML text
+   * @returns Validated workflow
+   * @throws YamlError with the line and column of the syntax or schema problem
+   */
+  parseYamlWorkflow(yamlContent: string): Workflow {
+    return WorkflowSchema.validateWorkflow(YamlParser.parseDocument(yamlContent))
+  }
 
-      let currentSection = ""
-      let currentColorType = ""
-
-      for (const line of lines) {
-        const trimmed = line.trim()
-        if (!trimmed || trimmed.startsWith("#")) continue
-
-        if (trimmed === "terminal_colors:") {
-          currentSection = "terminal_colors"
-          continue
-        }
-
-        if (trimmed === "bright:" && currentSection === "terminal_colors") {
-          currentColorType = "bright"
-          continue
-        }
-
-        if (trimmed === "normal:" && currentSection === "terminal_colors") {
-          currentColorType = "normal"
-          continue
-        }
-
-        if (trimmed.includes(":")) {
-          const [key, value] = trimmed.split(":").map((s) => s.trim())
-          const cleanValue = value.replace(/['"]/g, "")
-
-          if (currentSection === "terminal_colors" && currentColorType) {
-            if (!theme.terminal_colors) {
-              theme.terminal_colors = { bright: {} as any, normal: {} as any }
-            }
-            ;(theme.terminal_colors as any)[currentColorType][key] = cleanValue
-          } else {
-            switch (key) {
-              case "accent":
-                theme.accent = cleanValue
-                break
-              case "background":
-                theme.background = cleanValue
-                break
-              case "details":
-                theme.details = cleanValue
-                break
-              case "foreground":
-                theme.foreground = cleanValue
-                break
-            }
-          }
-        }
-      }
+  /**
+   * Parse a Base16 theme file
+   * @param yamlContent YAML text
+   * @returns Validated theme
+   * @throws YamlError with the line and column of the syntax or schema problem
+   */
+  parseYamlTheme(yamlContent: string): Base16Theme {
+    return WorkflowSchema.validateTheme(YamlParser.parseDocument(yamlContent))
+  }
 
-      return theme.accent && theme.background && theme.foreground ? (theme as Base16Theme) : null
-    } catch (error) {
-      console.error("[v0] Error parsing YAML theme:", error)
-      return null
-    }
+  /**
+   * Write a theme in a format parseYamlTheme reads back (JSON is a subset of YAML)
+   * @param theme Theme to export
+   * @param format Output format
+   * @returns File contents
+   */
+  formatTheme(theme: Base16Theme, format: ThemeFormat): string {
+    if (format === "json") return `${JSON.stringify(theme, null, 2)}\n`
+
+    // Colors are quoted, since "#" would start a comment
+    const palette = (variant: "normal" | "bright") =>
+      Object.entries(theme.terminal_colors[variant]).map(([name, color]) => `    ${name}: "${color}"`)
+    return [
+      `accent: "${theme.accent}"`,
+      `background: "${theme.background}"`,
+      `details: ${theme.details}`,
+      `foreground: "${theme.foreground}"`,
+      "terminal_colors:",
+      "  bright:",
+      ...palette("bright"),
+      "  normal:",
+      ...palette("normal"),
+      "",
+    ].join("\n")
   }
 
   addWorkflow(workflow: Workflow): void {
@@ -318,6 +271,58 @@ export class WorkflowSystem {
     return Array.from(this.themes.keys())
   }
 
+  /**
+   * Check whether a theme ships with the terminal rather than being loaded or made by the user
+   * @param name Theme name
+   * @returns True for built-in themes
+   */
+  isBuiltInTheme(name: string): boolean {
+    return this.builtInThemes.has(name.toLowerCase())
+  }
+
+  /**
+   * Get the themes loaded or made by the user
+   * @returns Themes by name
+   */
+  getCustomThemes(): Record<string, Base16Theme> {
+    return Object.fromEntries(Array.from(this.themes).filter(([name]) => !this.builtInThemes.has(name)))
+  }
+
+  /**
+   * Remove a user theme; the default colors are used again if it was active
+   * @param name Theme name
+   * @returns False if there is no such theme or it is built in
+   */
+  removeTheme(name: string): boolean {
+    const key = name.toLowerCase()
+    if (this.builtInThemes.has(key) || !this.themes.delete(key)) return false
+    if (this.activeTheme === key) this.activeTheme = null
+    return true
+  }
+
+  /**
+   * Select the theme ANSI colors are drawn with
+   * @param name Name of a loaded theme, or null for the default colors
+   * @returns The selected theme, or undefined if no theme has that name
+   */
+  setActiveTheme(name: string | null): Base16Theme | null | undefined {
+    if (name === null) {
+      this.activeTheme = null
+      return null
+    }
+    const theme = this.getTheme(name)
+    if (theme) this.activeTheme = name.toLowerCase()
+    return theme
+  }
+
+  /**
+   * Get the name of the active theme
+   * @returns Theme name, or null if the default colors are used
+   */
+  getActiveThemeName(): string | null {
+    return this.activeTheme
+  }
+
   searchWorkflows(query: string): Workflow[] {
     const lowerQuery = query.toLowerCase()
     return this.listWorkflows().filter(
@@ -328,6 +333,12 @@ export class WorkflowSystem {
     )
   }
 
+  /**
+   * Substitute argument values into a workflow's command
+   * @param workflow Workflow to expand
+   * @param args Values by argument name; empty or missing values fall back to the default
+   * @returns Command line ready to run
+   */
   executeWorkflow(workflow: Workflow, args: Record<string, string> = {}): string {
     let command = workflow.command
 
@@ -335,35 +346,38 @@ export class WorkflowSystem {
     if (workflow.args) {
       for (const arg of workflow.args) {
         const value = args[arg.name] || arg.default_value || arg.name
-        const placeholder = `{{${arg.name}}}`
-        command = command.replace(new RegExp(placeholder.replace(/[{}]/g, "\\$&"), "g"), value)
+        command = command.split(`{{${arg.name}}}`).join(value)
       }
     }
 
     return command
   }
 
+  /**
+   * CSS custom properties of a theme, for use in a style attribute
+   * @param theme Theme to read
+   * @returns Values by property name, e.g. `--terminal-bg`
+   */
+  getThemeVariables(theme: Base16Theme): Record<string, string> {
+    const variables: Record<string, string> = {
+      "--terminal-bg": theme.background,
+      "--terminal-fg": theme.foreground,
+      "--terminal-accent": theme.accent,
+    }
+    for (const [variant, prefix] of [
+      ["normal", "--terminal-"],
+      ["bright", "--terminal-bright-"],
+    ] as const) {
+      for (const [name, color] of Object.entries(theme.terminal_colors[variant])) {
+        variables[`${prefix}${name}`] = color
+      }
+    }
+    return variables
+  }
+
   getThemeCSS(theme: Base16Theme): string {
-    return `
-      --terminal-bg: ${theme.background};
-      --terminal-fg: ${theme.foreground};
-      --terminal-accent: ${theme.accent};
-      --terminal-black: ${theme.terminal_colors.normal.black};
-      --terminal-red: ${theme.terminal_colors.normal.red};
-      --terminal-green: ${theme.terminal_colors.normal.green};
-      --terminal-yellow: ${theme.terminal_colors.normal.yellow};
-      --terminal-blue: ${theme.terminal_colors.normal.blue};
-      --terminal-magenta: ${theme.terminal_colors.normal.magenta};
-      --terminal-cyan: ${theme.terminal_colors.normal.cyan};
-      --terminal-white: ${theme.terminal_colors.normal.white};
-      --terminal-bright-black: ${theme.terminal_colors.bright.black};
-      --terminal-bright-red: ${theme.terminal_colors.bright.red};
-      --terminal-bright-green: ${theme.terminal_colors.bright.green};
-      --terminal-bright-yellow: ${theme.terminal_colors.bright.yellow};
-      --terminal-bright-blue: ${theme.terminal_colors.bright.blue};
-      --terminal-bright-magenta: ${theme.terminal_colors.bright.magenta};
-      --terminal-bright-cyan: ${theme.terminal_colors.bright.cyan};
-      --terminal-bright-white: ${theme.terminal_colors.bright.white};
-    `
+    return Object.entries(this.getThemeVariables(theme))
+      .map(([property, value]) => `${property}: ${value};`)
+      .join("\n")
   }
 }
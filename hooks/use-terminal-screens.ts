@@ -0,0 +1,239 @@
+"use client"
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react"
+import type { TerminalTab, TerminalLine } from "@/types/terminal"
+import {
+  VT100Processor,
+  DEFAULT_COLS,
+  DEFAULT_ROWS,
+  type ProcessedText,
+  type RenderedRow,
+  type VT100Events,
+} from "@/components/vt100-processor"
+import { ColorPalette } from "@/components/color-palette"
+import type { Base16Theme } from "@/components/workflow-system"
+
+/** Rows kept above the screen; matches the number of lines a tab keeps */
+const SCROLLBACK_LIMIT = 1000
+/** Vertical gap between rendered rows (Tailwind space-y-1) */
+const ROW_GAP = 4
+const DEFAULT_SIZE: ScreenSize = { cols: DEFAULT_COLS, rows: DEFAULT_ROWS }
+
+export interface ScreenSize {
+  cols: number
+  rows: number
+}
+
+/**
+ * Receives the side effects of OSC sequences in a tab's output
+ */
+export interface TerminalScreenEvents {
+  onTitleChange?: (tabId: string, title: string) => void
+  onClipboardWrite?: (tabId: string, text: string) => void
+}
+
+/** Screen of one tab and how much of its output has been written to it */
+interface TabScreen {
+  processor: VT100Processor
+  size: ScreenSize
+  /** Last line written to the screen; lines are immutable, so it identifies the position in tab.lines */
+  lastLine: TerminalLine | null
+  /** Palette the rendered rows were resolved with */
+  palette: ColorPalette
+  rendered: RenderedRow[]
+}
+
+/**
+ * Keep a VT100 screen per tab, fed with the tab's lines as they arrive
+ * Each tab is sized on its own, since split panes give tabs different amounts of space.
+ * @param fontSize Font size in pixels, which changes the size of a character cell
+ * @param theme Theme whose terminal colors ANSI output is drawn with, or null for the default colors
+ * @param events Receives titles and clipboard writes; output that is only drawn again never repeats them
+ * @param measureContainer Whether to size screens from the elements given to screenRef; canvas renderers call
+ * resizeScreen instead
+ */
+export function useTerminalScreens(
+  fontSize: number,
+  theme: Base16Theme | null,
+  events: TerminalScreenEvents = {},
+  measureContainer = true,
+) {
+  const screens = useRef(new Map<string, TabScreen>())
+  const eventsRef = useRef(events)
+  eventsRef.current = events
+  /** Side effects found while rendering, run once the render is committed */
+  const pendingEffects = useRef<(() => void)[]>([])
+  const palette = useMemo(() => ColorPalette.fromTheme(theme), [theme])
+  const [sizes, setSizes] = useState<Record<string, ScreenSize>>({})
+  /** Elements the rows of each tab are rendered into, inside a ScrollArea viewport */
+  const containers = useRef(new Map<string, HTMLElement>())
+  const containerRefs = useRef(new Map<string, (element: HTMLElement | null) => void>())
+  const [containerVersion, setContainerVersion] = useState(0)
+
+  /**
+   * Set the screen size of a tab directly, for renderers that measure their own surface
+   * @param tabId Tab to resize
+   * @param next Columns and rows that fit
+   */
+  const resizeScreen = useCallback((tabId: string, next: ScreenSize) => {
+    setSizes((previous) => {
+      const current = previous[tabId]
+      return current?.cols === next.cols && current.rows === next.rows ? previous : { ...previous, [tabId]: next }
+    })
+  }, [])
+
+  /**
+   * Get a ref callback for the element a tab's rows are rendered into; the same callback is returned for a tab
+   * @param tabId Tab whose screen the element sizes
+   */
+  const screenRef = useCallback((tabId: string) => {
+    let ref = containerRefs.current.get(tabId)
+    if (!ref) {
+      ref = (element) => {
+        if (element) {
+          containers.current.set(tabId, element)
+        } else {
+          containers.current.delete(tabId)
+        }
+        setContainerVersion((version) => version + 1)
+      }
+      containerRefs.current.set(tabId, ref)
+    }
+    return ref
+  }, [])
+
+  useEffect(() => {
+    if (!measureContainer || typeof ResizeObserver === "undefined") return
+
+    const cleanups = [...containers.current].map(([tabId, container]) => {
+      const viewport = container.closest<HTMLElement>("[data-radix-scroll-area-viewport]")
+      if (!viewport) return () => {}
+
+      // A hidden run of characters gives the size of one cell in the current font
+      const probe = document.createElement("span")
+      probe.textContent = "W".repeat(10)
+      probe.setAttribute("aria-hidden", "true")
+      Object.assign(probe.style, { position: "absolute", visibility: "hidden", whiteSpace: "pre" })
+      container.appendChild(probe)
+
+      const measure = () => {
+        const cell = probe.getBoundingClientRect()
+        const style = getComputedStyle(container)
+        const width = viewport.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight)
+        const height = viewport.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom)
+        if (cell.width === 0 || cell.height === 0) return
+
+        const cols = Math.max(Math.floor(width / (cell.width / 10)), 20)
+        const rows = Math.max(Math.floor((height + ROW_GAP) / (cell.height + ROW_GAP)), 5)
+        resizeScreen(tabId, { cols, rows })
+      }
+
+      const observer = new ResizeObserver(measure)
+      observer.observe(viewport)
+      measure()
+      return () => {
+        observer.disconnect()
+        probe.remove()
+      }
+    })
+    return () => cleanups.forEach((cleanup) => cleanup())
+  }, [containerVersion, fontSize, measureContainer, resizeScreen])
+
+  /**
+   * Get the screen size of a tab
+   * @param tabId Tab to look up
+   * @returns Columns and rows, or the default size before the tab was measured
+   */
+  const getScreenSize = useCallback((tabId: string) => sizes[tabId] ?? DEFAULT_SIZE, [sizes])
+
+  /**
+   * Get the rendered rows of a tab, writing any lines added since the last call
+   * @param tab Tab to render
+   * @returns Scrollback and screen rows
+   */
+  const getScreenRows = useCallback(
+    (tab: TerminalTab): RenderedRow[] => {
+      const size = getScreenSize(tab.id)
+      let screen = screens.current.get(tab.id)
+      let start = screen?.lastLine ? tab.lines.lastIndexOf(screen.lastLine) + 1 : 0
+      // Lines before this index were already written to an earlier screen
+      let replayed = 0
+
+      // Cleared tabs and resized screens are drawn again from the lines the tab kept
+      if (!screen || (screen.lastLine && start === 0) || screen.size !== size) {
+        replayed = screen ? start : 0
+        screen = {
+          processor: new VT100Processor(size.cols, size.rows, SCROLLBACK_LIMIT),
+          size,
+          lastLine: null,
+          palette,
+          rendered: [],
+        }
+        screens.current.set(tab.id, screen)
+        start = 0
+      }
+
+      if (start < tab.lines.length || screen.lastLine === null || screen.palette !== palette) {
+        screen.processor.setPalette(palette)
+        screen.palette = palette
+        const processor = screen.processor
+        const tabEvents: VT100Events = {
+          onTitleChange: (title) => pendingEffects.current.push(() => eventsRef.current.onTitleChange?.(tab.id, title)),
+          onClipboardWrite: (text) =>
+            pendingEffects.current.push(() => eventsRef.current.onClipboardWrite?.(tab.id, text)),
+        }
+        tab.lines.slice(start).forEach((line, index) => {
+          processor.setEvents(start + index < replayed ? null : tabEvents)
+          // Commands are echoed in the default style and outside any link the previous output left open
+          const reset = line.type === "command" ? "\x1b[0m\x1b]8;;\x1b\\" : ""
+          processor.write(`${reset}${line.content.replace(/\r?\n/g, "\r\n")}\r\n`, line.type)
+        })
+        processor.setEvents(null)
+        screen.lastLine = tab.lines[tab.lines.length - 1] ?? null
+        screen.rendered = screen.processor.getRows()
+      }
+      return screen.rendered
+    },
+    [getScreenSize, palette],
+  )
+
+  /**
+   * Draw text that is not part of a tab's output, such as its prompt, with the theme's colors
+   * @param tabId Tab whose width the text wraps at
+   * @param text Text with ANSI escape sequences; "\n" starts a new row
+   * @returns Styled runs, rows joined with "\n" segments
+   */
+  const renderText = useCallback(
+    (tabId: string, text: string): ProcessedText[] => {
+      const processor = new VT100Processor(getScreenSize(tabId).cols, DEFAULT_ROWS, 0)
+      processor.setPalette(palette)
+      return processor.processText(text.replace(/\r?\n/g, "\r\n"))
+    },
+    [getScreenSize, palette],
+  )
+
+  useEffect(() => {
+    const effects = pendingEffects.current
+    pendingEffects.current = []
+    effects.forEach((effect) => effect())
+  })
+
+  /**
+   * Forget the screens of closed tabs
+   * @param tabIds Ids of the open tabs
+   */
+  const pruneScreens = useCallback((tabIds: string[]) => {
+    for (const id of screens.current.keys()) {
+      if (!tabIds.includes(id)) screens.current.delete(id)
+    }
+    for (const id of containerRefs.current.keys()) {
+      if (!tabIds.includes(id)) containerRefs.current.delete(id)
+    }
+    setSizes((previous) => {
+      const kept = Object.entries(previous).filter(([id]) => tabIds.includes(id))
+      return kept.length === Object.keys(previous).length ? previous : Object.fromEntries(kept)
+    })
+  }, [])
+
+  return { screenSizes: sizes, getScreenSize, screenRef, getScreenRows, renderText, pruneScreens, resizeScreen }
+}
@@ -1,71 +1,364 @@
 "use client"
 
-import { useState, useCallback, useMemo, useRef } from "react"
+import { useState, useCallback, useEffect, useMemo, useRef } from "react"
 import type { TerminalTab, TerminalLine, TerminalSettings } from "@/types/terminal"
 import { FileSystem } from "@/components/file-system"
+import { IndexedDBFileSystemStore } from "@/components/file-system-store"
 import { ShellSystem } from "@/components/shell-system"
+import { LocalStorageHistoryStore } from "@/components/command-history-store"
+import type { RendererMode } from "@/components/canvas-renderer"
+import { PaneLayout, type SplitDirection, type TabLayout } from "@/components/pane-layout"
+import { LocalStorageSettingsStore } from "@/components/settings-store"
+import { CommandProcessor } from "@/components/command-processor"
+import type { Base16Theme } from "@/components/workflow-system"
+import { v4 as uuidv4 } from "uuid"
 
-export function useTerminal() {
-  const [tabs, setTabs] = useState<TerminalTab[]>(() => [
-    {
-      id: "1",
-      title: "Terminal 1",
-      lines: [
-        {
-          id: "1",
-          type: "output",
-          content: "Welcome to Hyper Terminal v1.0.0",
-          timestamp: new Date(),
-        },
-        {
-          id: "2",
-          type: "output",
-          content: 'Type "help" for available commands',
-          timestamp: new Date(),
-        },
-      ],
-      fileSystem: new FileSystem(),
-      commandHistory: [],
-      historyIndex: -1,
-      shellSystem: new ShellSystem(),
-    },
-  ])
+const MAX_TAB_LINES = 1000
+const MAX_TAB_TITLE_LENGTH = 64
+const fileSystemStore = new IndexedDBFileSystemStore()
+const historyStore = new LocalStorageHistoryStore()
+const settingsStore = new LocalStorageSettingsStore()
+const WELCOME = "Welcome to Hyper Terminal v1.0.0"
+/** Key the file system shared by all tabs is stored under */
+const WORKSPACE_KEY = "workspace"
+
+interface UseTerminalOptions {
+  /** Save the workspace file system, and those of isolated tabs, to IndexedDB and restore them on load */
+  persistFileSystem?: boolean
+  /** Save each shell's command history to localStorage, shared by all tabs */
+  persistHistory?: boolean
+  /** Save the tabs and their panes to localStorage and restore them on load */
+  persistLayout?: boolean
+  /** Save the user's themes and the selected theme to localStorage and restore them on load */
+  persistThemes?: boolean
+  /** Save the renderer choice to localStorage and restore it on load */
+  persistRenderer?: boolean
+}
 
-  const [activeTab, setActiveTab] = useState("1")
+interface NewTabOptions {
+  /** Give the tab a file system of its own instead of a view of the workspace */
+  isolated?: boolean
+}
+
+/**
+ * Create the session shown in a pane
+ * @param workspace File system to share, or null for an isolated one
+ * @private
+ */
+function createSession(id: string, title: string, welcome: string[], workspace: FileSystem | null): TerminalTab {
+  return {
+    id,
+    title,
+    lines: welcome.map((content, index) => ({
+      id: `welcome-${index + 1}`,
+      type: "output",
+      content,
+      timestamp: new Date(),
+    })),
+    fileSystem: workspace ? new FileSystem(workspace) : new FileSystem(),
+    commandHistory: [],
+    historyIndex: -1,
+    shellSystem: new ShellSystem(),
+  }
+}
+
+/**
+ * Restore the saved tabs, or start with a single one
+ * @private
+ */
+function createInitialState(persistLayout: boolean) {
+  const workspace = new FileSystem()
+  const saved = persistLayout && LocalStorageSettingsStore.isSupported() ? settingsStore.load().layout : undefined
+  if (saved && saved.tabs.length > 0) {
+    const isolated = new Set(saved.isolated)
+    const tabs = saved.tabs.flatMap((layout) =>
+      PaneLayout.getPaneIds(layout.root).map((id) =>
+        createSession(id, saved.titles[id] || "Terminal", [WELCOME], isolated.has(id) ? null : workspace),
+      ),
+    )
+    const active = saved.tabs.find((layout) => layout.id === saved.activeTab) || saved.tabs[0]
+    return { workspace, isolated, tabs, layouts: saved.tabs, activeTab: active.activePane }
+  }
+
+  const id = uuidv4()
+  return {
+    workspace,
+    isolated: new Set<string>(),
+    tabs: [createSession(id, "Terminal 1", [WELCOME, 'Type "help" for available commands'], workspace)],
+    layouts: [PaneLayout.create(id)],
+    activeTab: id,
+  }
+}
+
+/**
+ * Load the saved themes into the workflow system and select the saved one
+ * @returns Name of the selected theme, or "default"
+ * @private
+ */
+function restoreThemes(persistThemes: boolean): string {
+  if (!persistThemes || !LocalStorageSettingsStore.isSupported()) return "default"
+  const { themes = {}, theme } = settingsStore.load()
+  const workflowSystem = CommandProcessor.getWorkflowSystem()
+  for (const [name, value] of Object.entries(themes)) {
+    if (!workflowSystem.isBuiltInTheme(name)) workflowSystem.addTheme(name, value)
+  }
+  return theme && workflowSystem.setActiveTheme(theme === "default" ? null : theme) !== undefined ? theme : "default"
+}
+
+/**
+ * Next free "Terminal n" title
+ * @private
+ */
+function nextTitle(tabs: TerminalTab[]): string {
+  const numbers = tabs.map((tab) => Number(/^Terminal (\d+)$/.exec(tab.title)?.[1] ?? 0))
+  return `Terminal ${Math.max(0, ...numbers) + 1}`
+}
+
+export function useTerminal({
+  persistFileSystem = true,
+  persistHistory = true,
+  persistLayout = true,
+  persistThemes = true,
+  persistRenderer = true,
+}: UseTerminalOptions = {}) {
+  const [initialState] = useState(() => createInitialState(persistLayout))
+  const [initialTheme] = useState(() => restoreThemes(persistThemes))
+  /** File system every tab sees, except isolated ones; each tab has its own view of it, with its own cwd */
+  const workspace = initialState.workspace
+  /** Sessions with a file system of their own */
+  const isolatedTabs = useRef(initialState.isolated)
+  /** Sessions, one per pane in any tab */
+  const [tabs, setTabs] = useState<TerminalTab[]>(initialState.tabs)
+  /** Tabs in tab bar order, each a tree of panes */
+  const [layouts, setLayouts] = useState<TabLayout[]>(initialState.layouts)
+  /** Session of the focused pane */
+  const [activeTab, setActiveTabState] = useState(initialState.activeTab)
   const [settings, setSettings] = useState<TerminalSettings>({
     fontSize: 14,
-    colorScheme: "default",
+    colorScheme: initialTheme,
     opacity: 1,
     isMaximized: false,
   })
+  /** How the screen is drawn; DOM by default, since canvas output cannot be selected as text */
+  const [renderer, setRendererState] = useState<RendererMode>(() =>
+    persistRenderer && LocalStorageSettingsStore.isSupported() ? settingsStore.load().renderer ?? "dom" : "dom",
+  )
 
   const tabsRef = useRef(tabs)
   tabsRef.current = tabs
+  const layoutsRef = useRef(layouts)
+  layoutsRef.current = layouts
+  const defaultTitles = useRef(new Map(tabs.map((tab) => [tab.id, tab.title])))
+  const persistedFileSystems = useRef(new WeakSet<FileSystem>())
+  const persistedShells = useRef(new WeakSet<ShellSystem>())
+
+  const updateTabHistory = useCallback((tabId: string) => {
+    setTabs((prev) =>
+      prev.map((tab) => {
+        if (tab.id !== tabId) return tab
+
+        // The shell owns the history; the tab keeps a copy for rendering
+        return {
+          ...tab,
+          commandHistory: [...tab.shellSystem.getHistory().getEntries()],
+          historyIndex: -1,
+        }
+      }),
+    )
+  }, [])
+
+  const persistTab = useCallback(
+    (tab: TerminalTab) => {
+      if (persistHistory && LocalStorageHistoryStore.isSupported() && !persistedShells.current.has(tab.shellSystem)) {
+        persistedShells.current.add(tab.shellSystem)
+        tab.shellSystem.attachHistoryStorage(historyStore)
+        updateTabHistory(tab.id)
+      }
+
+      if (!persistFileSystem || !IndexedDBFileSystemStore.isSupported()) return
+      const shared = tab.fileSystem.sharesTreeWith(workspace)
+      const fileSystem = shared ? workspace : tab.fileSystem
+      if (persistedFileSystems.current.has(fileSystem)) return
+      persistedFileSystems.current.add(fileSystem)
+
+      fileSystem
+        .attachStorage(fileSystemStore, shared ? WORKSPACE_KEY : `tab-${tab.id}`)
+        .then((restored) => {
+          // Re-render so the prompts reflect the restored tree
+          if (restored) {
+            setTabs((prev) => prev.map((t) => (t.fileSystem.sharesTreeWith(fileSystem) ? { ...t } : t)))
+          }
+        })
+        .catch((error) => console.error("[v0] Failed to restore file system:", error))
+    },
+    [persistFileSystem, persistHistory, updateTabHistory, workspace],
+  )
+
+  useEffect(() => {
+    tabsRef.current.forEach(persistTab)
+  }, [persistTab])
 
   const getCurrentTab = useCallback(() => {
     return tabsRef.current.find((tab) => tab.id === activeTab) || tabsRef.current[0]
   }, [activeTab])
 
-  const addNewTab = useCallback(() => {
-    const newId = (tabsRef.current.length + 1).toString()
-    const newTab: TerminalTab = {
-      id: newId,
-      title: `Terminal ${newId}`,
-      lines: [
-        {
-          id: "welcome-1",
-          type: "output",
-          content: "Welcome to Hyper Terminal v1.0.0",
-          timestamp: new Date(),
-        },
-      ],
-      fileSystem: new FileSystem(),
-      commandHistory: [],
-      historyIndex: -1,
-      shellSystem: new ShellSystem(),
-    }
-    setTabs((prev) => [...prev, newTab])
-    setActiveTab(newId)
+  /**
+   * Focus a pane, selecting the tab it is in
+   * @param tabId Session of the pane
+   */
+  const setActiveTab = useCallback((tabId: string) => {
+    setActiveTabState(tabId)
+    setLayouts((prev) =>
+      prev.map((layout) =>
+        layout.activePane !== tabId && PaneLayout.contains(layout.root, tabId)
+          ? { ...layout, activePane: tabId }
+          : layout,
+      ),
+    )
+  }, [])
+
+  /**
+   * Start a session for a new pane
+   * @private
+   */
+  const openSession = useCallback(
+    ({ isolated = false }: NewTabOptions) => {
+      const session = createSession(uuidv4(), nextTitle(tabsRef.current), [WELCOME], isolated ? null : workspace)
+      if (isolated) isolatedTabs.current.add(session.id)
+      defaultTitles.current.set(session.id, session.title)
+      setTabs((prev) => [...prev, session])
+      persistTab(session)
+      return session
+    },
+    [persistTab, workspace],
+  )
+
+  /**
+   * Drop sessions whose panes were closed, along with their saved file systems
+   * @private
+   */
+  const closeSessions = useCallback(
+    (ids: string[]) => {
+      setTabs((prev) => prev.filter((tab) => !ids.includes(tab.id)))
+      for (const id of ids) {
+        defaultTitles.current.delete(id)
+        // The workspace outlives its tabs; only isolated file systems go with them
+        if (isolatedTabs.current.delete(id) && persistFileSystem && IndexedDBFileSystemStore.isSupported()) {
+          fileSystemStore.delete(`tab-${id}`).catch((error) => {
+            console.error("[v0] Failed to delete persisted file system:", error)
+          })
+        }
+      }
+    },
+    [persistFileSystem],
+  )
+
+  /**
+   * Open a tab with a single pane
+   * @param options `isolated` gives the tab a file system of its own, as every tab had before the workspace
+   */
+  const addNewTab = useCallback(
+    (options: NewTabOptions = {}) => {
+      const session = openSession(options)
+      setLayouts((prev) => [...prev, PaneLayout.create(session.id)])
+      setActiveTabState(session.id)
+    },
+    [openSession],
+  )
+
+  /**
+   * Split the focused pane, opening a new session beside or below it
+   * @param direction "vertical" places the new pane to the right, "horizontal" below
+   * @param options `isolated` gives the new pane a file system of its own
+   */
+  const splitPane = useCallback(
+    (direction: SplitDirection, options: NewTabOptions = {}) => {
+      if (!layoutsRef.current.some((l) => PaneLayout.contains(l.root, activeTab))) return
+      const session = openSession(options)
+      setLayouts((prev) =>
+        prev.map((l) =>
+          PaneLayout.contains(l.root, activeTab)
+            ? { ...l, root: PaneLayout.split(l.root, activeTab, direction, session.id), activePane: session.id }
+            : l,
+        ),
+      )
+      setActiveTabState(session.id)
+    },
+    [activeTab, openSession],
+  )
+
+  /**
+   * Close a tab and all of its panes; the last tab is always kept
+   * @param layoutId Tab to close
+   */
+  const removeTab = useCallback(
+    (layoutId: string) => {
+      const index = layoutsRef.current.findIndex((layout) => layout.id === layoutId)
+      if (index === -1 || layoutsRef.current.length === 1) return
+
+      const closed = layoutsRef.current[index]
+      const remaining = layoutsRef.current.filter((layout) => layout !== closed)
+      setLayouts((prev) => prev.filter((layout) => layout.id !== layoutId))
+      closeSessions(PaneLayout.getPaneIds(closed.root))
+
+      // If removing the active tab, switch to the one that takes its place
+      if (PaneLayout.contains(closed.root, activeTab)) {
+        setActiveTabState(remaining[Math.min(index, remaining.length - 1)].activePane)
+      }
+    },
+    [activeTab, closeSessions],
+  )
+
+  /**
+   * Close a pane; closing a tab's only pane closes the tab
+   * @param tabId Session of the pane, the focused one by default
+   */
+  const closePane = useCallback(
+    (tabId: string = activeTab) => {
+      const layout = layoutsRef.current.find((l) => PaneLayout.contains(l.root, tabId))
+      if (!layout) return
+      const root = PaneLayout.remove(layout.root, tabId)
+      if (!root) {
+        removeTab(layout.id)
+        return
+      }
+
+      // Focus moves to the pane before the closed one, or the first if it was first
+      const paneIds = PaneLayout.getPaneIds(layout.root)
+      const index = paneIds.indexOf(tabId)
+      const neighbour = paneIds[index === 0 ? 1 : index - 1]
+      const activePane = layout.activePane === tabId ? neighbour : layout.activePane
+      setLayouts((prev) => prev.map((l) => (l.id === layout.id ? { ...l, root, activePane } : l)))
+      closeSessions([tabId])
+      if (tabId === activeTab) setActiveTabState(activePane)
+    },
+    [activeTab, closeSessions, removeTab],
+  )
+
+  /**
+   * Move a tab to another place in the tab bar
+   * @param layoutId Tab to move
+   * @param targetId Tab whose place it takes
+   */
+  const moveTab = useCallback((layoutId: string, targetId: string) => {
+    setLayouts((prev) => {
+      const from = prev.findIndex((layout) => layout.id === layoutId)
+      const to = prev.findIndex((layout) => layout.id === targetId)
+      if (from === -1 || to === -1 || from === to) return prev
+
+      const next = [...prev]
+      next.splice(to, 0, ...next.splice(from, 1))
+      return next
+    })
+  }, [])
+
+  /**
+   * Change the sizes of the panes in a split
+   * @param splitId Split to resize
+   * @param sizes Share of each child
+   */
+  const resizeSplit = useCallback((splitId: string, sizes: number[]) => {
+    setLayouts((prev) => prev.map((layout) => ({ ...layout, root: PaneLayout.resize(layout.root, splitId, sizes) })))
   }, [])
 
   const updateTabLines = useCallback((tabId: string, newLines: TerminalLine[]) => {
@@ -73,43 +366,38 @@ export function useTerminal() {
       prev.map((tab) => {
         if (tab.id !== tabId) return tab
 
-        const maxLines = 1000
-        const lines = newLines.length > maxLines ? newLines.slice(-maxLines) : newLines
+        const lines = newLines.length > MAX_TAB_LINES ? newLines.slice(-MAX_TAB_LINES) : newLines
 
         return { ...tab, lines }
       }),
     )
   }, [])
 
-  const updateTabHistory = useCallback((tabId: string, command: string) => {
-    if (!command.trim()) return
-
+  const appendTabLines = useCallback((tabId: string, newLines: TerminalLine[]) => {
     setTabs((prev) =>
       prev.map((tab) => {
         if (tab.id !== tabId) return tab
 
-        const maxHistory = 100
-        const newHistory = [...tab.commandHistory]
-
-        // Remove duplicate if it's the last command
-        if (newHistory[newHistory.length - 1] === command) {
-          return tab
-        }
-
-        newHistory.push(command)
-        if (newHistory.length > maxHistory) {
-          newHistory.shift()
-        }
-
-        return {
-          ...tab,
-          commandHistory: newHistory,
-          historyIndex: -1,
-        }
+        const lines = [...tab.lines, ...newLines]
+        return { ...tab, lines: lines.length > MAX_TAB_LINES ? lines.slice(-MAX_TAB_LINES) : lines }
       }),
     )
   }, [])
 
+  /**
+   * Change the title shown on a tab, e.g. when its output sets the window title
+   * @param tabId Tab to rename
+   * @param title New title; blank titles restore the default "Terminal n"
+   */
+  const renameTab = useCallback((tabId: string, title: string) => {
+    const trimmed = title.trim().slice(0, MAX_TAB_TITLE_LENGTH)
+    setTabs((prev) =>
+      prev.map((tab) =>
+        tab.id === tabId ? { ...tab, title: trimmed || defaultTitles.current.get(tabId) || "Terminal" } : tab,
+      ),
+    )
+  }, [])
+
   const clearTab = useCallback((tabId: string) => {
     setTabs((prev) => prev.map((tab) => (tab.id === tabId ? { ...tab, lines: [] } : tab)))
   }, [])
@@ -127,47 +415,117 @@ export function useTerminal() {
     })
   }, [])
 
-  const removeTab = useCallback(
-    (tabId: string) => {
-      setTabs((prev) => {
-        const filtered = prev.filter((tab) => tab.id !== tabId)
-        if (filtered.length === 0) {
-          // Always keep at least one tab
-          return prev
-        }
+  /**
+   * Select the theme the terminal is drawn with, saving the user's themes
+   * @param name Name of a loaded theme, or "default" for the system colors
+   * @returns False if there is no such theme
+   */
+  const selectTheme = useCallback(
+    (name: string) => {
+      const workflowSystem = CommandProcessor.getWorkflowSystem()
+      const key = name.toLowerCase()
+      if (workflowSystem.setActiveTheme(key === "default" ? null : key) === undefined) return false
 
-        // If removing active tab, switch to first available
-        if (tabId === activeTab) {
-          setActiveTab(filtered[0].id)
-        }
+      // The name is checked against the loaded themes above, not the fixed list validateSettings knows
+      setSettings((prev) => ({ ...prev, colorScheme: key }))
+      if (persistThemes && LocalStorageSettingsStore.isSupported()) {
+        settingsStore.save({ themes: workflowSystem.getCustomThemes(), theme: key })
+      }
+      return true
+    },
+    [persistThemes],
+  )
+
+  /**
+   * Add or replace a user theme and select it
+   * @param name Theme name; built-in themes cannot be replaced
+   * @returns False if the name belongs to a built-in theme
+   */
+  const saveTheme = useCallback(
+    (name: string, theme: Base16Theme) => {
+      const workflowSystem = CommandProcessor.getWorkflowSystem()
+      if (workflowSystem.isBuiltInTheme(name)) return false
+      workflowSystem.addTheme(name, theme)
+      return selectTheme(name)
+    },
+    [selectTheme],
+  )
+
+  /**
+   * Remove a user theme, going back to the default colors if it was selected
+   * @param name Theme name
+   */
+  const deleteTheme = useCallback(
+    (name: string) => {
+      const workflowSystem = CommandProcessor.getWorkflowSystem()
+      if (!workflowSystem.removeTheme(name)) return
+      selectTheme(workflowSystem.getActiveThemeName() ?? "default")
+    },
+    [selectTheme],
+  )
 
-        return filtered
-      })
+  /**
+   * Switch how the screen is drawn, saving the choice
+   * @param mode Renderer to use
+   */
+  const setRenderer = useCallback(
+    (mode: RendererMode) => {
+      setRendererState(mode)
+      if (persistRenderer && LocalStorageSettingsStore.isSupported()) {
+        settingsStore.save({ renderer: mode })
+      }
     },
-    [activeTab],
+    [persistRenderer],
   )
 
+  const titles = useMemo(() => Object.fromEntries(tabs.map((tab) => [tab.id, tab.title])), [tabs])
+  const savedLayout = useRef("")
+
+  useEffect(() => {
+    if (!persistLayout || !LocalStorageSettingsStore.isSupported()) return
+    const layout = layouts.find((l) => PaneLayout.contains(l.root, activeTab))
+    const isolated = tabs.filter((tab) => isolatedTabs.current.has(tab.id)).map((tab) => tab.id)
+    const next = { tabs: layouts, activeTab: layout?.id ?? "", titles, isolated }
+    // Output re-renders the tabs constantly; only write when something saved actually changed
+    const serialized = JSON.stringify(next)
+    if (serialized === savedLayout.current) return
+    savedLayout.current = serialized
+    settingsStore.save({ layout: next })
+  }, [activeTab, layouts, persistLayout, tabs, titles])
+
   const memoizedValues = useMemo(
     () => ({
-      tabCount: tabs.length,
-      hasMultipleTabs: tabs.length > 1,
-      currentTabIndex: tabs.findIndex((tab) => tab.id === activeTab),
+      tabCount: layouts.length,
+      hasMultipleTabs: layouts.length > 1,
+      currentTabIndex: layouts.findIndex((layout) => PaneLayout.contains(layout.root, activeTab)),
     }),
-    [tabs.length, activeTab],
+    [layouts, activeTab],
   )
 
   return {
     tabs,
+    layouts,
     activeTab,
     setActiveTab,
     settings,
+    renderer,
+    setRenderer,
     getCurrentTab,
     addNewTab,
     removeTab,
+    splitPane,
+    closePane,
+    moveTab,
+    resizeSplit,
     updateTabLines,
+    appendTabLines,
     updateTabHistory,
     clearTab,
+    renameTab,
     updateSettings,
+    selectTheme,
+    saveTheme,
+    deleteTheme,
     ...memoizedValues,
   }
 }
@@ -0,0 +1,572 @@
+/**
+ * Color schemes of other terminals, converted into the colors of Hyper's config.
+ * Reads iTerm2 `.itermcolors` property lists, Windows Terminal `schemes` JSON, Alacritty TOML or YAML
+ * and Hyper `config` JSON. `hyper theme` uses these directly; the web terminal's load-theme adds
+ * Base16 themes on top (components/theme-import).
+ */
+
+import {YamlError, YamlParser} from './yaml-parser';
+
+export type SchemeFormat = 'iterm2' | 'windows-terminal' | 'alacritty' | 'hyper';
+
+export const schemeFormats: readonly SchemeFormat[] = ['iterm2', 'windows-terminal', 'alacritty', 'hyper'];
+
+/**
+ * A color scheme in any format, with colors as "#rrggbb" (or "#rrggbbaa" when translucent)
+ */
+export interface ColorScheme {
+  /** Name given in the file, if any */
+  name?: string;
+  foreground: string;
+  background: string;
+  cursor?: string;
+  selection?: string;
+  /** The 16 ANSI colors, normal then bright */
+  ansi: string[];
+}
+
+/** Names of the 16 ANSI colors in Hyper's `config.colors` */
+export type HyperColorName =
+  | 'black'
+  | 'red'
+  | 'green'
+  | 'yellow'
+  | 'blue'
+  | 'magenta'
+  | 'cyan'
+  | 'white'
+  | 'lightBlack'
+  | 'lightRed'
+  | 'lightGreen'
+  | 'lightYellow'
+  | 'lightBlue'
+  | 'lightMagenta'
+  | 'lightCyan'
+  | 'lightWhite';
+
+/**
+ * Colors in the shape of Hyper's config: `config.colors` and the colors beside it
+ */
+export interface HyperColors {
+  foregroundColor: string;
+  backgroundColor: string;
+  cursorColor: string;
+  selectionColor?: string;
+  colors: Record<HyperColorName, string>;
+}
+
+/**
+ * Raised for files that are not a color scheme of the expected format
+ */
+export class SchemeImportError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SchemeImportError';
+  }
+}
+
+export const ansiNames = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'] as const;
+const hyperNames = [
+  ...ansiNames,
+  ...ansiNames.map((name) => `light${name[0].toUpperCase()}${name.slice(1)}`)
+] as HyperColorName[];
+// Windows Terminal calls magenta "purple"
+const windowsTerminalNames = ansiNames.map((name) => (name === 'magenta' ? 'purple' : name));
+// Hyper's own defaults for colors its config leaves out
+const hyperDefaults = {foregroundColor: '#ffffff', backgroundColor: '#000000'};
+
+export function isSchemeFormat(value: string): value is SchemeFormat {
+  return (schemeFormats as readonly string[]).includes(value);
+}
+
+/**
+ * Guess a file's format from its extension, then from its contents.
+ * Returns undefined for files that are neither XML, TOML, JSON nor YAML of a known shape.
+ */
+export function detectSchemeFormat(content: string, filename = ''): SchemeFormat | undefined {
+  const extension = /\.([^./]+)$/.exec(filename)?.[1]?.toLowerCase();
+  if (extension === 'itermcolors' || content.trimStart().startsWith('<')) return 'iterm2';
+  if (extension === 'toml' || /^\s*\[colors[.\]]/m.test(content)) return 'alacritty';
+
+  try {
+    if (extension === 'json' || /^\s*[[{]/.test(content)) return schemeFormatOf(parseJson(content));
+    if (extension === 'yml' || extension === 'yaml' || isYamlConfig(content)) {
+      return schemeFormatOf(parseYaml(content, 'YAML'));
+    }
+  } catch {
+    return undefined;
+  }
+  return undefined;
+}
+
+/**
+ * Tell the format of an already parsed JSON or YAML file by its keys
+ */
+function schemeFormatOf(value: unknown): SchemeFormat | undefined {
+  const object = isObject(value) ? value : {};
+  if (Array.isArray(value) || 'schemes' in object || 'brightPurple' in object) return 'windows-terminal';
+  if ('config' in object || 'foregroundColor' in object || 'lightBlack' in object) return 'hyper';
+  if (isObject(object.colors) && 'lightBlack' in object.colors) return 'hyper';
+  if ('colors' in object || 'primary' in object) return 'alacritty';
+  return undefined;
+}
+
+/**
+ * Read every color scheme in a file; only Windows Terminal settings hold more than one
+ */
+export function parseColorSchemes(content: string, format: SchemeFormat): ColorScheme[] {
+  switch (format) {
+    case 'iterm2':
+      return [parseITerm2(content)];
+    case 'windows-terminal':
+      return parseWindowsTerminal(content);
+    case 'alacritty':
+      return [alacrittyScheme(isYamlConfig(content) ? parseYaml(content, 'Alacritty') : parseToml(content))];
+    case 'hyper':
+      return [parseHyper(content)];
+  }
+}
+
+/**
+ * Pick one scheme from those a file holds, by name (case-insensitive) when there are several
+ */
+export function selectColorScheme(schemes: ColorScheme[], name?: string): ColorScheme {
+  const match = name ? schemes.find((scheme) => scheme.name?.toLowerCase() === name.toLowerCase()) : undefined;
+  if (match) return match;
+  if (schemes.length === 1) return schemes[0];
+
+  const names = schemes.map((scheme) => scheme.name ?? '(unnamed)').join(', ');
+  if (schemes.length === 0) throw new SchemeImportError('the file holds no color schemes');
+  throw new SchemeImportError(
+    name ? `no scheme named "${name}" (found ${names})` : `the file holds several schemes; name one of ${names}`
+  );
+}
+
+/**
+ * Convert a scheme into the values to merge into Hyper's `config`
+ */
+export function toHyperColors(scheme: ColorScheme): HyperColors {
+  const colors = Object.fromEntries(hyperNames.map((name, index) => [name, scheme.ansi[index]])) as Record<
+    HyperColorName,
+    string
+  >;
+  const hyper: HyperColors = {
+    foregroundColor: scheme.foreground,
+    backgroundColor: scheme.background,
+    cursorColor: scheme.cursor ?? scheme.foreground,
+    colors
+  };
+  if (scheme.selection) hyper.selectionColor = scheme.selection;
+  return hyper;
+}
+
+/**
+ * Whether an Alacritty config is YAML (before 0.13): it has "key:" lines, where TOML has "key =" lines
+ */
+function isYamlConfig(content: string) {
+  return /^\s*[\w-]+:(\s|$)/m.test(content) && !/^\s*\[/m.test(content);
+}
+
+/**
+ * Read an Alacritty config or theme, parsed from TOML or YAML, with or without the `colors` key
+ */
+function alacrittyScheme(root: unknown): ColorScheme {
+  const colors = isObject(root) && isObject(root.colors) ? root.colors : root;
+  if (!isObject(colors)) throw new SchemeImportError('Alacritty: expected a `colors` table');
+
+  const table = (key: string) => {
+    const value = colors[key];
+    if (!isObject(value)) throw new SchemeImportError(`Alacritty: colors.${key} is missing`);
+    return value;
+  };
+  const primary = table('primary');
+  const palette = (variant: 'normal' | 'bright') => {
+    const values = table(variant);
+    return ansiNames.map((name) => parseColor(values[name], `Alacritty: colors.${variant}.${name}`));
+  };
+  // Cursor and selection may be "CellForeground" or "CellBackground" rather than colors
+  const optional = (key: string, name: string) => {
+    const value = isObject(colors[key]) ? (colors[key] as Record<string, unknown>)[name] : undefined;
+    return typeof value === 'string' && !value.startsWith('Cell')
+      ? parseColor(value, `Alacritty: colors.${key}.${name}`)
+      : undefined;
+  };
+
+  const scheme: ColorScheme = {
+    foreground: parseColor(primary.foreground, 'Alacritty: colors.primary.foreground'),
+    background: parseColor(primary.background, 'Alacritty: colors.primary.background'),
+    ansi: [...palette('normal'), ...palette('bright')]
+  };
+  const cursor = optional('cursor', 'cursor');
+  const selection = optional('selection', 'background');
+  if (cursor) scheme.cursor = cursor;
+  if (selection) scheme.selection = selection;
+  return scheme;
+}
+
+/**
+ * Normalize "#rgb", "#rrggbb", "#rrggbbaa", "0xrrggbb", "rgb()" and "rgba()" colors into "#rrggbb",
+ * or "#rrggbbaa" if the color is translucent. `where` names the color in errors.
+ */
+export function parseColor(value: unknown, where: string): string {
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  const hex = /^(?:#|0x)([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text)?.[1];
+  if (hex) {
+    const full = hex.length === 3 ? [...hex].map((digit) => digit + digit).join('') : hex;
+    return full.endsWith('ff') && full.length === 8 ? `#${full.slice(0, 6)}` : `#${full}`;
+  }
+
+  const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(text);
+  if (rgb) {
+    const channels = rgb.slice(1, 4).map((channel) => Math.round(Math.min(Number(channel), 255)));
+    return formatColor(channels, rgb[4] === undefined ? 1 : Number(rgb[4]));
+  }
+
+  const shown = value === undefined ? 'nothing' : `"${String(value)}"`;
+  throw new SchemeImportError(`${where}: expected a color such as "#1d2b53", got ${shown}`);
+}
+
+// Components are taken as sRGB whatever their `Color Space`, which is close enough for display
+function parseITerm2(content: string): ColorScheme {
+  const root = parsePlist(content);
+  if (!isObject(root)) throw new SchemeImportError('iTerm2: expected a dictionary of colors');
+
+  const color = (key: string) => {
+    const entry = root[key];
+    if (!isObject(entry)) throw new SchemeImportError(`iTerm2: "${key}" is missing`);
+    const channels = ['Red', 'Green', 'Blue'].map((name) => {
+      const value = entry[`${name} Component`];
+      if (typeof value !== 'number') throw new SchemeImportError(`iTerm2: "${key}" has no ${name} Component`);
+      return Math.round(Math.min(Math.max(value, 0), 1) * 255);
+    });
+    const alpha = typeof entry['Alpha Component'] === 'number' ? entry['Alpha Component'] : 1;
+    return formatColor(channels, alpha);
+  };
+  const optional = (key: string) => (key in root ? color(key) : undefined);
+
+  const scheme: ColorScheme = {
+    foreground: color('Foreground Color'),
+    background: color('Background Color'),
+    ansi: Array.from({length: 16}, (_, index) => color(`Ansi ${index} Color`))
+  };
+  const cursor = optional('Cursor Color');
+  const selection = optional('Selection Color');
+  if (cursor) scheme.cursor = cursor;
+  if (selection) scheme.selection = selection;
+  return scheme;
+}
+
+// Windows Terminal settings (`schemes`), a list of schemes, or a single scheme
+function parseWindowsTerminal(content: string): ColorScheme[] {
+  const root = parseJson(content);
+  const entries = Array.isArray(root) ? root : isObject(root) && 'schemes' in root ? root.schemes : [root];
+  if (!Array.isArray(entries)) throw new SchemeImportError('Windows Terminal: `schemes` must be a list');
+
+  return entries.map((entry, index) => {
+    if (!isObject(entry)) throw new SchemeImportError(`Windows Terminal: schemes[${index}] is not an object`);
+    const name = typeof entry.name === 'string' ? entry.name : undefined;
+    const where = `Windows Terminal: ${name ?? `schemes[${index}]`}`;
+    const color = (key: string) => parseColor(entry[key], `${where}: ${key}`);
+
+    const scheme: ColorScheme = {
+      foreground: color('foreground'),
+      background: color('background'),
+      ansi: [
+        ...windowsTerminalNames.map((key) => color(key)),
+        ...windowsTerminalNames.map((key) => color(`bright${key[0].toUpperCase()}${key.slice(1)}`))
+      ]
+    };
+    if (name) scheme.name = name;
+    if (entry.cursorColor !== undefined) scheme.cursor = color('cursorColor');
+    if (entry.selectionBackground !== undefined) scheme.selection = color('selectionBackground');
+    return scheme;
+  });
+}
+
+// A Hyper `hyper.json`, its `config` object, or a bare `colors` map
+function parseHyper(content: string): ColorScheme {
+  const root = parseJson(content);
+  const config = isObject(root) && isObject(root.config) ? root.config : root;
+  if (!isObject(config)) throw new SchemeImportError('Hyper: expected a config object');
+
+  // `colors` may be a map or, as in older configs, a list in ANSI order
+  const colors = isObject(config.colors) ? config.colors : 'lightBlack' in config ? config : null;
+  const ansi = Array.isArray(config.colors)
+    ? config.colors.slice(0, 16)
+    : colors
+      ? hyperNames.map((name) => colors[name])
+      : [];
+  if (ansi.length < 16) throw new SchemeImportError('Hyper: `colors` needs all 16 ANSI colors');
+
+  const scheme: ColorScheme = {
+    foreground: parseColor(config.foregroundColor ?? hyperDefaults.foregroundColor, 'Hyper: foregroundColor'),
+    background: parseColor(config.backgroundColor ?? hyperDefaults.backgroundColor, 'Hyper: backgroundColor'),
+    ansi: ansi.map((color, index) => parseColor(color, `Hyper: colors.${hyperNames[index]}`))
+  };
+  if (config.cursorColor !== undefined) scheme.cursor = parseColor(config.cursorColor, 'Hyper: cursorColor');
+  if (config.selectionColor !== undefined) {
+    scheme.selection = parseColor(config.selectionColor, 'Hyper: selectionColor');
+  }
+  return scheme;
+}
+
+function formatColor(channels: number[], alpha: number): string {
+  const opacity = alpha < 1 ? [Math.round(Math.max(alpha, 0) * 255)] : [];
+  return `#${[...channels, ...opacity].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// JSON with the comments and trailing commas Windows Terminal's settings.json may have
+function parseJson(content: string): unknown {
+  // Drop comments and trailing commas outside strings; strings are matched first so they are kept whole
+  const stripped = content.replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\/|,(?=\s*[}\]])/g, (match, string) =>
+    string ? match : ''
+  );
+  try {
+    return JSON.parse(stripped);
+  } catch (error) {
+    throw new SchemeImportError(`invalid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+// Reports YAML errors as scheme errors, with the line like TOML errors have
+function parseYaml(content: string, where: string): unknown {
+  try {
+    return YamlParser.parse(content);
+  } catch (error) {
+    if (!(error instanceof YamlError)) throw error;
+    throw new SchemeImportError(`${where}: line ${error.line}: ${error.message}`);
+  }
+}
+
+// The XML property list format of `.itermcolors` files
+function parsePlist(content: string): unknown {
+  const body = content.replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/gi, '');
+  const tokens: ({text: string} | {tag: string; close: boolean; empty: boolean})[] = [
+    ...body.matchAll(/<(\/?)([A-Za-z]+)[^>]*?(\/?)>|([^<]+)/g)
+  ]
+    .filter((match) => match[4] === undefined || match[4].trim() !== '')
+    .map((match) =>
+      match[4] !== undefined
+        ? {text: decodeXml(match[4])}
+        : {tag: match[2], close: match[1] === '/', empty: match[3] === '/'}
+    );
+
+  let index = 0;
+  const malformed = () => new SchemeImportError('iTerm2: malformed property list');
+  const expectClose = (tag: string) => {
+    const token = tokens[index++];
+    if (!token || !('tag' in token) || !token.close || token.tag !== tag) throw malformed();
+  };
+  const atClose = (tag: string) => {
+    const token = tokens[index];
+    if (!token) throw malformed();
+    return 'tag' in token && token.close && token.tag === tag;
+  };
+  const readValue = (): unknown => {
+    const token = tokens[index++];
+    if (!token || !('tag' in token) || token.close) throw malformed();
+    if (token.empty) {
+      const values: Record<string, unknown> = {true: true, false: false, dict: {}, array: []};
+      return token.tag in values ? values[token.tag] : '';
+    }
+
+    switch (token.tag) {
+      case 'plist': {
+        const value = readValue();
+        expectClose('plist');
+        return value;
+      }
+      case 'dict': {
+        const dict: Record<string, unknown> = {};
+        while (!atClose('dict')) {
+          const key = tokens[index];
+          if (!('tag' in key) || key.tag !== 'key') throw malformed();
+          dict[String(readValue())] = readValue();
+        }
+        index++;
+        return dict;
+      }
+      case 'array': {
+        const items: unknown[] = [];
+        while (!atClose('array')) items.push(readValue());
+        index++;
+        return items;
+      }
+      default: {
+        let text = '';
+        const next = tokens[index];
+        if (next && 'text' in next) {
+          text = next.text;
+          index++;
+        }
+        expectClose(token.tag);
+        return token.tag === 'real' || token.tag === 'integer' ? Number(text) : text.trim();
+      }
+    }
+  };
+
+  const value = readValue();
+  if (index < tokens.length) throw malformed();
+  return value;
+}
+
+function decodeXml(text: string): string {
+  const entities: Record<string, string> = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"};
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name: string) => entities[name]);
+}
+
+// The subset of TOML Alacritty configs use: tables, dotted keys, strings, numbers, booleans,
+// arrays and inline tables; arrays of tables (`[[hints.enabled]]`) are skipped
+function parseToml(content: string): Record<string, unknown> {
+  const root: Record<string, unknown> = {};
+  let table = root;
+  let position = 0;
+
+  const error = (message: string) => {
+    const line = content.slice(0, position).split('\n').length;
+    return new SchemeImportError(`Alacritty: line ${line}: ${message}`);
+  };
+  const skip = (newlines: boolean) => {
+    while (position < content.length) {
+      const char = content[position];
+      if (char === '#') {
+        while (position < content.length && content[position] !== '\n') position++;
+      } else if (char === ' ' || char === '\t' || char === '\r' || (newlines && char === '\n')) {
+        position++;
+      } else {
+        break;
+      }
+    }
+  };
+  const expect = (char: string) => {
+    skip(false);
+    if (content[position] !== char) throw error(`expected "${char}"`);
+    position++;
+  };
+  const readString = (): string => {
+    const quote = content[position];
+    const triple = content.startsWith(quote.repeat(3), position);
+    const end = triple ? quote.repeat(3) : quote;
+    position += end.length;
+    let value = '';
+    while (!content.startsWith(end, position)) {
+      if (position >= content.length || (!triple && content[position] === '\n')) throw error('unterminated string');
+      const char = content[position++];
+      if (char !== '\\' || quote === "'") {
+        value += char;
+        continue;
+      }
+      const escape = content[position++];
+      if (escape === 'u' || escape === 'U') {
+        const length = escape === 'u' ? 4 : 8;
+        value += String.fromCodePoint(parseInt(content.slice(position, position + length), 16));
+        position += length;
+      } else {
+        value += {n: '\n', t: '\t', r: '\r', b: '\b', f: '\f'}[escape] ?? escape;
+      }
+    }
+    position += end.length;
+    return value;
+  };
+  const readKey = (): string[] => {
+    const parts: string[] = [];
+    for (;;) {
+      skip(false);
+      const char = content[position];
+      if (char === '"' || char === "'") {
+        parts.push(readString());
+      } else {
+        const bare = /^[A-Za-z0-9_-]+/.exec(content.slice(position))?.[0];
+        if (!bare) throw error('expected a key');
+        parts.push(bare);
+        position += bare.length;
+      }
+      skip(false);
+      if (content[position] !== '.') return parts;
+      position++;
+    }
+  };
+  const assign = (target: Record<string, unknown>, key: string[], value: unknown) => {
+    const parent = descend(target, key.slice(0, -1));
+    parent[key[key.length - 1]] = value;
+  };
+  const descend = (target: Record<string, unknown>, key: string[]) => {
+    let current = target;
+    for (const part of key) {
+      if (current[part] === undefined) current[part] = {};
+      const next = current[part];
+      if (!isObject(next)) throw error(`"${key.join('.')}" is not a table`);
+      current = next;
+    }
+    return current;
+  };
+  const readValue = (): unknown => {
+    skip(false);
+    const char = content[position];
+    if (char === '"' || char === "'") return readString();
+    if (char === '[') {
+      position++;
+      const items: unknown[] = [];
+      for (;;) {
+        skip(true);
+        if (content[position] === ']') break;
+        items.push(readValue());
+        skip(true);
+        if (content[position] === ',') position++;
+        else if (content[position] !== ']') throw error('expected "," or "]"');
+      }
+      position++;
+      return items;
+    }
+    if (char === '{') {
+      position++;
+      const inline: Record<string, unknown> = {};
+      skip(false);
+      if (content[position] === '}') {
+        position++;
+        return inline;
+      }
+      for (;;) {
+        const key = readKey();
+        expect('=');
+        assign(inline, key, readValue());
+        skip(false);
+        if (content[position++] === '}') return inline;
+        if (content[position - 1] !== ',') throw error('expected "," or "}"');
+      }
+    }
+
+    const text = /^[^\s,\]}#]+/.exec(content.slice(position))?.[0];
+    if (!text) throw error('expected a value');
+    position += text.length;
+    if (text === 'true' || text === 'false') return text === 'true';
+    const number = Number(text.replace(/_/g, ''));
+    return Number.isNaN(number) ? text : number;
+  };
+
+  for (;;) {
+    skip(true);
+    if (position >= content.length) return root;
+
+    if (content[position] === '[') {
+      const arrayTable = content[position + 1] === '[';
+      position += arrayTable ? 2 : 1;
+      const key = readKey();
+      expect(']');
+      if (arrayTable) expect(']');
+      // Arrays of tables hold hints and key bindings, never colors
+      table = arrayTable ? {} : descend(root, key);
+    } else {
+      const key = readKey();
+      expect('=');
+      assign(table, key, readValue());
+    }
+
+    skip(false);
+    if (position < content.length && content[position] !== '\n') throw error('expected the end of the line');
+  }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
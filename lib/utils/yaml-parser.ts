@@ -0,0 +1,994 @@
+/**
+ * YAML 1.2 loader for the web terminal's workflow and theme files and for Alacritty configs
+ * before 0.13, which `hyper theme` reads too (color-schemes).
+ */
+
+/**
+ * Value of a resolved scalar under the YAML core schema
+ */
+export type YamlScalar = string | number | boolean | null;
+
+/**
+ * Parsed node with its 1-based source position, used to report schema errors
+ */
+export type YamlNode =
+  | {kind: 'scalar'; value: YamlScalar; text: string; line: number; column: number}
+  | {kind: 'sequence'; items: YamlNode[]; line: number; column: number}
+  | {kind: 'mapping'; entries: YamlEntry[]; line: number; column: number};
+
+/**
+ * Scalar node
+ */
+export type YamlScalarNode = Extract<YamlNode, {kind: 'scalar'}>;
+
+/**
+ * Key/value pair of a mapping; only scalar keys are supported
+ */
+export interface YamlEntry {
+  key: YamlScalarNode;
+  value: YamlNode;
+}
+
+/**
+ * Raised for malformed YAML and for documents that do not match the expected schema
+ */
+export class YamlError extends Error {
+  /**
+   * @param message Description of the problem
+   * @param line 1-based line number
+   * @param column 1-based column number
+   */
+  constructor(
+    message: string,
+    readonly line: number,
+    readonly column: number
+  ) {
+    super(message);
+    this.name = 'YamlError';
+  }
+}
+
+/**
+ * Anchor and tag written before a node
+ */
+interface NodeProperties {
+  anchor?: string;
+  tag?: string;
+}
+
+const CORE_SCHEMA = 'tag:yaml.org,2002:';
+const FLOW_INDICATORS = ',[]{}';
+const ESCAPES: Record<string, string> = {
+  '0': '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\u0085',
+  _: '\u00a0',
+  L: '\u2028',
+  P: '\u2029'
+};
+const HEX_ESCAPE_LENGTHS: Record<string, number> = {x: 2, u: 4, U: 8};
+
+const isBlank = (char: string) => char === ' ' || char === '\t';
+const isBreakOrEnd = (char: string) => char === '\n' || char === '';
+const isWhitespaceOrEnd = (char: string) => isBlank(char) || isBreakOrEnd(char);
+
+/**
+ * Loads a single YAML document: block and flow collections, plain, quoted and block scalars,
+ * anchors, aliases and core-schema tags
+ */
+export class YamlParser {
+  /**
+   * Parse a document into plain JavaScript values
+   * @param source YAML text
+   * @returns Objects, arrays and scalars
+   * @throws YamlError if the text is not valid YAML
+   */
+  static parse(source: string): unknown {
+    return this.toValue(this.parseDocument(source));
+  }
+
+  /**
+   * Parse a document into nodes that keep their source positions
+   * @param source YAML text
+   * @returns Root node (an empty document is a null scalar)
+   * @throws YamlError if the text is not valid YAML
+   */
+  static parseDocument(source: string): YamlNode {
+    return new YamlReader(source).readDocument();
+  }
+
+  /**
+   * Convert nodes to plain JavaScript values
+   * Aliased nodes are converted once, so shared structure stays shared.
+   * @param node Parsed node
+   * @returns Objects, arrays and scalars
+   */
+  static toValue(node: YamlNode, converted = new Map<YamlNode, unknown>()): unknown {
+    if (node.kind === 'scalar') return node.value;
+
+    const existing = converted.get(node);
+    if (existing !== undefined) return existing;
+
+    if (node.kind === 'sequence') {
+      const items: unknown[] = [];
+      converted.set(node, items);
+      node.items.forEach((item) => items.push(this.toValue(item, converted)));
+      return items;
+    }
+
+    const object: Record<string, unknown> = {};
+    converted.set(node, object);
+    for (const {key, value} of node.entries) {
+      // defineProperty keeps a "__proto__" key from replacing the prototype
+      Object.defineProperty(object, String(key.value), {
+        value: this.toValue(value, converted),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    }
+    return object;
+  }
+
+  /**
+   * Resolve a plain scalar under the core schema (null, booleans, integers, floats, strings)
+   * @param text Scalar text
+   * @returns Resolved value
+   */
+  static resolveScalar(text: string): YamlScalar {
+    if (/^(?:~|null|Null|NULL)?$/.test(text)) return null;
+    if (/^(?:true|True|TRUE)$/.test(text)) return true;
+    if (/^(?:false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?[0-9]+$/.test(text)) return Number.parseInt(text, 10);
+    if (/^0o[0-7]+$/.test(text)) return Number.parseInt(text.slice(2), 8);
+    if (/^0x[0-9a-fA-F]+$/.test(text)) return Number.parseInt(text.slice(2), 16);
+    if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number.parseFloat(text);
+    if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(?:nan|NaN|NAN)$/.test(text)) return Number.NaN;
+    return text;
+  }
+}
+
+/**
+ * Recursive-descent reader over the source text
+ * Block structure is tracked by column: every block node records the indentation of its parent.
+ */
+class YamlReader {
+  private readonly source: string;
+  private readonly lineStarts: number[] = [0];
+  private readonly anchors = new Map<string, YamlNode>();
+  private position = 0;
+
+  constructor(source: string) {
+    this.source = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    for (let index = 0; index < this.source.length; index++) {
+      if (this.source[index] === '\n') this.lineStarts.push(index + 1);
+    }
+  }
+
+  /**
+   * Read the only document in the stream, skipping directives and document markers
+   */
+  readDocument(): YamlNode {
+    this.skipToContent();
+    while (this.char() === '%' && this.column() === 0) {
+      this.skipLine();
+      this.skipToContent();
+    }
+
+    if (this.isDocumentMarker('---')) {
+      this.position += 3;
+    }
+    const root = this.parseBlockNode(-1, 'document');
+    this.expectLineEnd();
+    this.skipToContent();
+
+    if (this.isDocumentMarker('...')) {
+      this.position += 3;
+      this.expectLineEnd();
+      this.skipToContent();
+    }
+    if (!this.atEnd()) {
+      throw this.error(
+        this.isDocumentMarker('---')
+          ? 'expected a single document in the stream'
+          : 'unexpected content after the document'
+      );
+    }
+    return root;
+  }
+
+  /**
+   * Parse the node after an indicator (`key:`, `-` or `---`), on the same line or the lines below
+   * @param parentIndent Indentation of the enclosing collection (-1 at the top level)
+   * @param context Kind of indicator the node follows
+   */
+  private parseBlockNode(parentIndent: number, context: 'document' | 'mapping' | 'sequence'): YamlNode {
+    const valueStart = this.position;
+    let nodeProperties = this.readProperties();
+    let contentProperties: NodeProperties = {};
+    const inline = !this.atLineEnd();
+
+    if (inline) {
+      // Properties on the content's own line belong to the content (the first key of a mapping)
+      contentProperties = nodeProperties;
+      nodeProperties = {};
+    } else {
+      this.skipToContent();
+      const indent = this.column();
+      const ended = this.atEnd() || this.isDocumentMarker('---') || this.isDocumentMarker('...');
+      if (!ended && context === 'mapping' && indent === parentIndent && this.isSequenceEntry()) {
+        // A sequence may sit at the same indentation as the key it belongs to
+        return this.applyProperties(this.parseBlockSequence(indent), nodeProperties);
+      }
+      if (ended || indent <= parentIndent) {
+        return this.applyProperties(this.scalarNode(null, '', valueStart), nodeProperties);
+      }
+      contentProperties = this.readProperties();
+      if (this.atLineEnd()) {
+        throw this.error('expected a node after its properties');
+      }
+    }
+
+    const start = this.position;
+    const indent = this.column();
+    const char = this.char();
+    const allProperties = () => this.mergeProperties(nodeProperties, contentProperties, start);
+
+    if (this.isSequenceEntry()) {
+      if (inline && context === 'mapping') {
+        throw this.error('block sequence entries are not allowed here');
+      }
+      return this.applyProperties(this.parseBlockSequence(indent), allProperties());
+    }
+    if (char === '|' || char === '>') {
+      return this.applyProperties(this.parseBlockScalar(parentIndent), allProperties());
+    }
+    if (char === '?' && isWhitespaceOrEnd(this.char(1))) {
+      throw this.error('explicit mapping keys are not supported');
+    }
+    if (char === '*') {
+      if (nodeProperties.anchor || nodeProperties.tag || contentProperties.anchor || contentProperties.tag) {
+        throw this.error('an alias cannot have properties');
+      }
+      const alias = this.parseAlias();
+      this.skipSpaces();
+      if (this.isMappingIndicator()) {
+        throw this.error('aliases cannot be used as mapping keys', start);
+      }
+      return alias;
+    }
+
+    const node =
+      char === '[' || char === '{'
+        ? this.parseFlowCollection()
+        : char === "'" || char === '"'
+          ? this.parseQuotedScalar()
+          : this.parsePlainScalar(parentIndent, false, true);
+    const end = this.position;
+    this.skipSpaces();
+
+    if (!this.isMappingIndicator()) {
+      this.position = end;
+      return this.applyProperties(node, allProperties());
+    }
+    if (inline && context === 'mapping') {
+      throw this.error('mapping values are not allowed here');
+    }
+    const key = this.checkKey(node, start);
+    this.applyProperties(key, contentProperties);
+    return this.applyProperties(this.parseBlockMapping(indent, key), nodeProperties);
+  }
+
+  /**
+   * Parse a block mapping whose first key has been read
+   * @param indent Column of the mapping's keys
+   * @param firstKey First key; the reader is positioned at its `:`
+   */
+  private parseBlockMapping(indent: number, firstKey: YamlScalarNode): YamlNode {
+    const mapping: YamlNode = {kind: 'mapping', entries: [], line: firstKey.line, column: firstKey.column};
+    const seen = new Set<string>();
+    let key = firstKey;
+
+    for (;;) {
+      const name = String(key.value);
+      if (seen.has(name)) {
+        throw new YamlError(`duplicated mapping key "${name}"`, key.line, key.column);
+      }
+      seen.add(name);
+
+      this.position++;
+      mapping.entries.push({key, value: this.parseBlockNode(indent, 'mapping')});
+      this.expectLineEnd();
+      this.skipToContent();
+
+      if (this.atEnd() || this.isDocumentMarker('---') || this.isDocumentMarker('...')) break;
+      const column = this.column();
+      if (column < indent) break;
+      if (column > indent) {
+        throw this.error('bad indentation of a mapping entry');
+      }
+      if (this.isSequenceEntry()) break;
+      key = this.parseMappingKey();
+    }
+    return mapping;
+  }
+
+  /**
+   * Parse the key of a second or later block mapping entry, up to its `:`
+   */
+  private parseMappingKey(): YamlScalarNode {
+    const properties = this.readProperties();
+    const start = this.position;
+    const char = this.char();
+
+    if (char === '?' && isWhitespaceOrEnd(this.char(1))) {
+      throw this.error('explicit mapping keys are not supported');
+    }
+    if (char === '*') {
+      throw this.error('aliases cannot be used as mapping keys');
+    }
+    const node =
+      char === '[' || char === '{'
+        ? this.parseFlowCollection()
+        : char === "'" || char === '"'
+          ? this.parseQuotedScalar()
+          : this.parsePlainScalar(0, false, false);
+
+    this.skipSpaces();
+    if (!this.isMappingIndicator()) {
+      throw this.error("expected ':' after a mapping key");
+    }
+    return this.applyProperties(this.checkKey(node, start), properties) as YamlScalarNode;
+  }
+
+  /**
+   * Check that a node can be used as an implicit mapping key
+   * @param node Candidate key
+   * @param start Offset where the key began
+   */
+  private checkKey(node: YamlNode, start: number): YamlScalarNode {
+    if (node.kind !== 'scalar') {
+      throw this.error('only scalars can be used as mapping keys', start);
+    }
+    if (this.location(this.position).line !== node.line) {
+      throw this.error('implicit mapping keys must be on a single line', start);
+    }
+    return node;
+  }
+
+  /**
+   * Parse a block sequence; the reader is positioned at its first `-`
+   * @param indent Column of the `-` indicators
+   */
+  private parseBlockSequence(indent: number): YamlNode {
+    const {line, column} = this.location(this.position);
+    const sequence: YamlNode = {kind: 'sequence', items: [], line, column};
+
+    for (;;) {
+      this.position++;
+      sequence.items.push(this.parseBlockNode(indent, 'sequence'));
+      this.expectLineEnd();
+      this.skipToContent();
+
+      if (this.atEnd() || this.isDocumentMarker('---') || this.isDocumentMarker('...')) break;
+      const current = this.column();
+      if (current < indent) break;
+      if (current > indent) {
+        throw this.error('bad indentation of a sequence entry');
+      }
+      if (!this.isSequenceEntry()) break;
+    }
+    return sequence;
+  }
+
+  /**
+   * Parse a literal (`|`) or folded (`>`) block scalar
+   * @param parentIndent Indentation of the enclosing collection
+   */
+  private parseBlockScalar(parentIndent: number): YamlNode {
+    const start = this.position;
+    const folded = this.char() === '>';
+    let chomping: 'clip' | 'strip' | 'keep' = 'clip';
+    let indentIndicator = 0;
+    this.position++;
+
+    for (let count = 0; count < 2; count++) {
+      const char = this.char();
+      if ((char === '-' || char === '+') && chomping === 'clip') {
+        chomping = char === '-' ? 'strip' : 'keep';
+      } else if (/[1-9]/.test(char) && indentIndicator === 0) {
+        indentIndicator = Number(char);
+      } else {
+        break;
+      }
+      this.position++;
+    }
+    if (!isWhitespaceOrEnd(this.char())) {
+      throw this.error('invalid block scalar header');
+    }
+    this.skipSpaces();
+    if (this.char() === '#') this.skipLine();
+    if (!isBreakOrEnd(this.char())) {
+      throw this.error('unexpected content after the block scalar header');
+    }
+    this.position++;
+
+    let contentIndent = indentIndicator ? Math.max(parentIndent, 0) + indentIndicator : -1;
+    let result = '';
+    let emptyLines = 0;
+    let hasContent = false;
+    let moreIndented = false;
+
+    while (this.position < this.source.length) {
+      const lineStart = this.position;
+      let indent = 0;
+      while (this.source[lineStart + indent] === ' ') indent++;
+      const lineEnd = this.source.indexOf('\n', lineStart);
+      const text = this.source.slice(lineStart, lineEnd === -1 ? this.source.length : lineEnd);
+
+      if (text.trim() === '') {
+        emptyLines++;
+        this.position = lineEnd === -1 ? this.source.length : lineEnd + 1;
+        continue;
+      }
+      if (contentIndent === -1) {
+        // Auto-detect the indentation from the first non-empty line
+        contentIndent = indent;
+        if (contentIndent <= parentIndent) contentIndent = parentIndent + 1;
+      }
+      if (indent < contentIndent || (indent === 0 && /^(?:---|\.\.\.)(?:\s|$)/.test(text))) {
+        this.position = lineStart;
+        break;
+      }
+
+      const line = text.slice(contentIndent);
+      if (!folded) {
+        result += '\n'.repeat(hasContent ? emptyLines + 1 : emptyLines);
+      } else if (isBlank(line[0])) {
+        // More-indented lines keep their line breaks
+        moreIndented = true;
+        result += '\n'.repeat(hasContent ? emptyLines + 1 : emptyLines);
+      } else if (moreIndented) {
+        moreIndented = false;
+        result += '\n'.repeat(emptyLines + 1);
+      } else if (emptyLines === 0) {
+        if (hasContent) result += ' ';
+      } else {
+        result += '\n'.repeat(emptyLines);
+      }
+      result += line;
+      hasContent = true;
+      emptyLines = 0;
+      this.position = lineEnd === -1 ? this.source.length : lineEnd + 1;
+    }
+
+    if (chomping === 'keep') {
+      result += '\n'.repeat(hasContent ? emptyLines + 1 : emptyLines);
+    } else if (chomping === 'clip' && hasContent) {
+      result += '\n';
+    }
+    return this.scalarNode(result, result, start);
+  }
+
+  /**
+   * Parse a plain (unquoted) scalar, folding continuation lines
+   * @param parentIndent Continuation lines must be indented further than this (block context only)
+   * @param flow Whether the scalar is inside a flow collection
+   * @param multiline Whether continuation lines are allowed
+   */
+  private parsePlainScalar(parentIndent: number, flow: boolean, multiline: boolean): YamlNode {
+    const start = this.position;
+    const char = this.char();
+    const next = this.char(1);
+    const indicatorStart =
+      '-?:'.includes(char) && (isWhitespaceOrEnd(next) || (flow && FLOW_INDICATORS.includes(next)));
+    if (isWhitespaceOrEnd(char) || ',[]{}#&*!|>\'"%@`'.includes(char) || indicatorStart) {
+      throw this.error(char === '' ? 'unexpected end of the stream' : `unexpected character '${char}'`);
+    }
+
+    let text = this.readPlainLine(flow);
+    while (multiline) {
+      const end = this.position;
+      this.skipSpaces();
+      if (!isBreakOrEnd(this.char())) {
+        this.position = end;
+        break;
+      }
+
+      let breaks = 0;
+      while (this.char() === '\n') {
+        breaks++;
+        this.position++;
+        this.skipSpaces();
+      }
+      const column = this.column();
+      const continues =
+        !this.atEnd() &&
+        this.char() !== '#' &&
+        !this.isDocumentMarker('---') &&
+        !this.isDocumentMarker('...') &&
+        (flow || column > parentIndent) &&
+        !(flow && FLOW_INDICATORS.includes(this.char())) &&
+        !this.isMappingIndicator();
+      if (!continues) {
+        this.position = end;
+        break;
+      }
+
+      const line = this.readPlainLine(flow);
+      if (line === '') {
+        this.position = end;
+        break;
+      }
+      text += (breaks === 1 ? ' ' : '\n'.repeat(breaks - 1)) + line;
+    }
+    return this.scalarNode(YamlParser.resolveScalar(text), text, start);
+  }
+
+  /**
+   * Read the rest of a plain scalar on the current line, without trailing blanks
+   * @param flow Whether flow indicators end the scalar
+   */
+  private readPlainLine(flow: boolean): string {
+    const begin = this.position;
+    let end = begin;
+    while (!this.atEnd()) {
+      const char = this.char();
+      if (char === '\n') break;
+      if (char === ':') {
+        const next = this.char(1);
+        if (isWhitespaceOrEnd(next) || (flow && FLOW_INDICATORS.includes(next))) break;
+      }
+      if (char === '#' && isWhitespaceOrEnd(this.source[this.position - 1] ?? '')) break;
+      if (flow && FLOW_INDICATORS.includes(char)) break;
+      this.position++;
+      if (!isBlank(char)) end = this.position;
+    }
+    this.position = end;
+    return this.source.slice(begin, end);
+  }
+
+  /**
+   * Parse a single- or double-quoted scalar, folding line breaks
+   */
+  private parseQuotedScalar(): YamlNode {
+    const start = this.position;
+    const quote = this.char();
+    let text = '';
+    this.position++;
+
+    for (;;) {
+      const char = this.char();
+      if (char === '') {
+        throw this.error('unexpected end of the stream within a quoted scalar', start);
+      }
+
+      if (char === quote) {
+        if (quote === "'" && this.char(1) === "'") {
+          text += "'";
+          this.position += 2;
+          continue;
+        }
+        this.position++;
+        break;
+      }
+
+      if (quote === '"' && char === '\\') {
+        const escape = this.char(1);
+        if (escape === '\n') {
+          // An escaped line break joins the lines without a space
+          this.position += 2;
+          this.skipSpaces();
+          continue;
+        }
+        if (ESCAPES[escape] !== undefined) {
+          text += ESCAPES[escape];
+          this.position += 2;
+          continue;
+        }
+        const length = HEX_ESCAPE_LENGTHS[escape];
+        const hex = length ? this.source.slice(this.position + 2, this.position + 2 + length) : '';
+        if (!length || !new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+          throw this.error(`unknown escape sequence '\\${escape}'`);
+        }
+        const codePoint = Number.parseInt(hex, 16);
+        if (codePoint > 0x10ffff) {
+          throw this.error(`invalid Unicode escape '\\${escape}${hex}'`);
+        }
+        text += String.fromCodePoint(codePoint);
+        this.position += 2 + length;
+        continue;
+      }
+
+      if (isBlank(char) || char === '\n') {
+        const blanksStart = this.position;
+        this.skipSpaces();
+        if (this.char() !== '\n') {
+          text += this.source.slice(blanksStart, this.position);
+          continue;
+        }
+
+        // Fold the line break(s): one becomes a space, further ones are kept
+        let breaks = 0;
+        while (this.char() === '\n') {
+          breaks++;
+          this.position++;
+          this.skipSpaces();
+          if (this.column() === 0 && (this.isDocumentMarker('---') || this.isDocumentMarker('...'))) {
+            throw this.error('unexpected document marker within a quoted scalar');
+          }
+        }
+        text += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+        continue;
+      }
+
+      text += char;
+      this.position++;
+    }
+    return this.scalarNode(text, text, start);
+  }
+
+  /**
+   * Parse a flow sequence (`[a, b]`) or flow mapping (`{a: 1}`), which may span lines
+   */
+  private parseFlowCollection(): YamlNode {
+    const start = this.position;
+    const isMapping = this.char() === '{';
+    const closing = isMapping ? '}' : ']';
+    const {line, column} = this.location(start);
+    const items: YamlNode[] = [];
+    const entries: YamlEntry[] = [];
+    const seen = new Set<string>();
+    this.position++;
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.char() === closing) {
+        this.position++;
+        break;
+      }
+      if (this.atEnd()) {
+        throw this.error('unexpected end of the stream within a flow collection', start);
+      }
+
+      const entryStart = this.position;
+      const entry = this.parseFlowNode();
+      this.skipFlowSpace();
+
+      let value: YamlNode | null = null;
+      if (this.char() === ':') {
+        this.position++;
+        this.skipFlowSpace();
+        value =
+          this.char() === ',' || this.char() === closing
+            ? this.scalarNode(null, '', this.position)
+            : this.parseFlowNode();
+        this.skipFlowSpace();
+      }
+
+      if (isMapping || value) {
+        if (entry.kind !== 'scalar') {
+          throw this.error('only scalars can be used as mapping keys', entryStart);
+        }
+        const pair = {key: entry, value: value ?? this.scalarNode(null, '', this.position)};
+        if (isMapping) {
+          const name = String(entry.value);
+          if (seen.has(name)) {
+            throw new YamlError(`duplicated mapping key "${name}"`, entry.line, entry.column);
+          }
+          seen.add(name);
+          entries.push(pair);
+        } else {
+          // `[key: value]` is a sequence holding a single-pair mapping
+          items.push({kind: 'mapping', entries: [pair], line: entry.line, column: entry.column});
+        }
+      } else {
+        items.push(entry);
+      }
+
+      if (this.char() === ',') {
+        this.position++;
+      } else if (this.char() !== closing) {
+        throw this.error(`expected ',' or '${closing}' in a flow ${isMapping ? 'mapping' : 'sequence'}`);
+      }
+    }
+
+    return isMapping ? {kind: 'mapping', entries, line, column} : {kind: 'sequence', items, line, column};
+  }
+
+  /**
+   * Parse a node inside a flow collection
+   */
+  private parseFlowNode(): YamlNode {
+    const properties = this.readProperties();
+    this.skipFlowSpace();
+    const char = this.char();
+
+    let node: YamlNode;
+    if (char === '[' || char === '{') {
+      node = this.parseFlowCollection();
+    } else if (char === "'" || char === '"') {
+      node = this.parseQuotedScalar();
+    } else if (char === '*') {
+      if (properties.anchor || properties.tag) {
+        throw this.error('an alias cannot have properties');
+      }
+      return this.parseAlias();
+    } else if ((properties.anchor || properties.tag) && (FLOW_INDICATORS.includes(char) || char === ':')) {
+      node = this.scalarNode(null, '', this.position);
+    } else {
+      node = this.parsePlainScalar(-1, true, true);
+    }
+    return this.applyProperties(node, properties);
+  }
+
+  /**
+   * Parse an alias (`*name`) and return the node it refers to
+   */
+  private parseAlias(): YamlNode {
+    const start = this.position;
+    this.position++;
+    const name = this.readName();
+    const node = this.anchors.get(name);
+    if (!node) {
+      throw this.error(`unknown alias "${name}"`, start);
+    }
+    return node;
+  }
+
+  /**
+   * Read the anchor (`&name`) and tag (`!tag`) properties in front of a node
+   */
+  private readProperties(): NodeProperties {
+    const properties: NodeProperties = {};
+    for (;;) {
+      this.skipSpaces();
+      const start = this.position;
+      const char = this.char();
+      if (char === '&') {
+        if (properties.anchor) throw this.error('a node can have only one anchor');
+        this.position++;
+        properties.anchor = this.readName();
+      } else if (char === '!') {
+        if (properties.tag) throw this.error('a node can have only one tag');
+        properties.tag = this.readTag();
+      } else {
+        return properties;
+      }
+      if (!isWhitespaceOrEnd(this.char()) && !FLOW_INDICATORS.includes(this.char())) {
+        throw this.error('expected whitespace after a node property', start);
+      }
+    }
+  }
+
+  /**
+   * Read an anchor or alias name
+   */
+  private readName(): string {
+    const start = this.position;
+    while (!isWhitespaceOrEnd(this.char()) && !FLOW_INDICATORS.includes(this.char())) {
+      this.position++;
+    }
+    if (this.position === start) {
+      throw this.error('expected an anchor name');
+    }
+    return this.source.slice(start, this.position);
+  }
+
+  /**
+   * Read a tag and expand the `!!` shorthand to the core schema prefix
+   */
+  private readTag(): string {
+    const start = this.position;
+    if (this.char(1) === '<') {
+      const end = this.source.indexOf('>', start);
+      if (end === -1 || this.source.slice(start, end).includes('\n')) {
+        throw this.error('unterminated verbatim tag');
+      }
+      this.position = end + 1;
+      return this.source.slice(start + 2, end);
+    }
+
+    this.position++;
+    while (!isWhitespaceOrEnd(this.char()) && !FLOW_INDICATORS.includes(this.char())) {
+      this.position++;
+    }
+    const tag = this.source.slice(start, this.position);
+    return tag.startsWith('!!') ? CORE_SCHEMA + tag.slice(2) : tag;
+  }
+
+  /**
+   * Register an anchor and apply a tag to a parsed node
+   * @param node Parsed node
+   * @param properties Properties written before it
+   * @returns The node, or a re-resolved copy for tagged scalars
+   */
+  private applyProperties(node: YamlNode, properties: NodeProperties): YamlNode {
+    let result = node;
+    if (properties.tag) {
+      result = this.applyTag(node, properties.tag);
+    }
+    if (properties.anchor) {
+      this.anchors.set(properties.anchor, result);
+    }
+    return result;
+  }
+
+  /**
+   * Resolve a node according to an explicit tag
+   * @param node Parsed node
+   * @param tag Expanded tag
+   */
+  private applyTag(node: YamlNode, tag: string): YamlNode {
+    const fail = (message: string) => new YamlError(message, node.line, node.column);
+    if (tag === '!') {
+      return node.kind === 'scalar' ? {...node, value: node.text} : node;
+    }
+    if (!tag.startsWith(CORE_SCHEMA)) {
+      throw fail(`unknown tag "${tag}"`);
+    }
+
+    const type = tag.slice(CORE_SCHEMA.length);
+    if (type === 'map' || type === 'seq') {
+      if (node.kind !== (type === 'map' ? 'mapping' : 'sequence')) {
+        throw fail(`expected a ${type === 'map' ? 'mapping' : 'sequence'} for !!${type}`);
+      }
+      return node;
+    }
+    if (node.kind !== 'scalar') {
+      throw fail(`expected a scalar for !!${type}`);
+    }
+    if (type === 'str') {
+      return {...node, value: node.text};
+    }
+
+    if (!['null', 'bool', 'int', 'float'].includes(type)) {
+      throw fail(`unknown tag "!!${type}"`);
+    }
+    const resolved = YamlParser.resolveScalar(node.text);
+    const isInteger = /^(?:[-+]?[0-9]+|0o[0-7]+|0x[0-9a-fA-F]+)$/.test(node.text);
+    const matches =
+      (type === 'null' && resolved === null) ||
+      (type === 'bool' && typeof resolved === 'boolean') ||
+      (type === 'int' && isInteger) ||
+      (type === 'float' && typeof resolved === 'number');
+    if (!matches) {
+      throw fail(`cannot resolve "${node.text}" as !!${type}`);
+    }
+    return {...node, value: resolved};
+  }
+
+  /**
+   * Create a scalar node at a source offset
+   */
+  private scalarNode(value: YamlScalar, text: string, offset: number): YamlScalarNode {
+    return {kind: 'scalar', value, text, ...this.location(offset)};
+  }
+
+  /**
+   * Combine the properties written above a node with those on its own line
+   */
+  private mergeProperties(outer: NodeProperties, inner: NodeProperties, offset: number): NodeProperties {
+    if ((outer.anchor && inner.anchor) || (outer.tag && inner.tag)) {
+      throw this.error('a node can have only one anchor and one tag', offset);
+    }
+    return {...outer, ...inner};
+  }
+
+  /**
+   * Require the rest of the line to be blank or a comment
+   */
+  private expectLineEnd(): void {
+    this.skipSpaces();
+    const lineStart = this.lineStarts[this.location(this.position).line - 1];
+    const atIndentation = this.source.slice(lineStart, this.position).trim() === '';
+    if (this.char() === '#' || isBreakOrEnd(this.char()) || atIndentation) return;
+    throw this.error('unexpected content after a value');
+  }
+
+  /**
+   * Skip blanks, comments and line breaks up to the next content character
+   * @throws YamlError if the content is indented with tabs
+   */
+  private skipToContent(): void {
+    for (;;) {
+      this.skipSpaces();
+      if (this.char() === '#') this.skipLine();
+      if (this.char() !== '\n') break;
+      this.position++;
+    }
+
+    const lineStart = this.lineStarts[this.location(this.position).line - 1];
+    if (!this.atEnd() && this.source.slice(lineStart, this.position).includes('\t')) {
+      throw this.error('tabs cannot be used for indentation', lineStart);
+    }
+  }
+
+  /**
+   * Skip blanks, comments and line breaks inside a flow collection
+   */
+  private skipFlowSpace(): void {
+    for (;;) {
+      const char = this.char();
+      if (isBlank(char) || char === '\n') {
+        this.position++;
+      } else if (char === '#') {
+        this.skipLine();
+      } else {
+        return;
+      }
+    }
+  }
+
+  private skipSpaces(): void {
+    while (isBlank(this.char())) this.position++;
+  }
+
+  private skipLine(): void {
+    while (!isBreakOrEnd(this.char())) this.position++;
+  }
+
+  private atEnd(): boolean {
+    return this.position >= this.source.length;
+  }
+
+  private atLineEnd(): boolean {
+    return this.char() === '#' || isBreakOrEnd(this.char());
+  }
+
+  private char(offset = 0): string {
+    return this.source[this.position + offset] ?? '';
+  }
+
+  private column(): number {
+    return this.location(this.position).column - 1;
+  }
+
+  private isSequenceEntry(): boolean {
+    return this.char() === '-' && isWhitespaceOrEnd(this.char(1));
+  }
+
+  private isMappingIndicator(): boolean {
+    return this.char() === ':' && isWhitespaceOrEnd(this.char(1));
+  }
+
+  private isDocumentMarker(marker: '---' | '...'): boolean {
+    return (
+      this.column() === 0 &&
+      this.source.startsWith(marker, this.position) &&
+      isWhitespaceOrEnd(this.source[this.position + 3] ?? '')
+    );
+  }
+
+  /**
+   * Convert a source offset to a 1-based line and column
+   */
+  private location(offset: number): {line: number; column: number} {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (this.lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return {line: low + 1, column: offset - this.lineStarts[low] + 1};
+  }
+
+  private error(message: string, offset = this.position): YamlError {
+    const {line, column} = this.location(offset);
+    return new YamlError(message, line, column);
+  }
+}
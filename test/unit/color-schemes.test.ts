@@ -0,0 +1,61 @@
+import test from 'ava';
+
+import {
+  SchemeImportError,
+  detectSchemeFormat,
+  parseColorSchemes,
+  selectColorScheme,
+  toHyperColors
+} from '../../lib/utils/color-schemes';
+
+// An Alacritty config from before 0.13, as `hyper theme alacritty.yml` reads it
+const alacrittyYaml = `
+font:
+  size: 12
+colors:
+  primary:
+    background: '#1d1f21'
+    foreground: '0xc5c8c6'
+  cursor:
+    text: CellBackground
+    cursor: '#ffffff'
+  normal:
+    black: '#000000'
+    red: '#cc6666'
+    green: '#b5bd68'
+    yellow: '#f0c674'
+    blue: '#81a2be'
+    magenta: '#b294bb'
+    cyan: '#8abeb7'
+    white: '#c5c8c6'
+  bright:
+    black: '#666666'
+    red: '#d54e53'
+    green: '#b9ca4a'
+    yellow: '#e7c547'
+    blue: '#7aa6da'
+    magenta: '#c397d8'
+    cyan: '#70c0b1'
+    white: '#eaeaea'
+`;
+
+test('hyper theme detects and reads Alacritty YAML configs', (t) => {
+  const format = detectSchemeFormat(alacrittyYaml, 'alacritty.yml');
+  t.is(format, 'alacritty');
+  t.is(detectSchemeFormat(alacrittyYaml, 'colors'), 'alacritty');
+
+  const hyper = toHyperColors(selectColorScheme(parseColorSchemes(alacrittyYaml, format!)));
+  t.is(hyper.backgroundColor, '#1d1f21');
+  t.is(hyper.foregroundColor, '#c5c8c6');
+  t.is(hyper.cursorColor, '#ffffff');
+  t.is(hyper.colors.red, '#cc6666');
+  t.is(hyper.colors.lightWhite, '#eaeaea');
+});
+
+test('malformed Alacritty YAML is a scheme error with its line', (t) => {
+  const error = t.throws(() => parseColorSchemes('colors:\n  primary: [\n', 'alacritty'), {
+    instanceOf: SchemeImportError
+  });
+  t.regex(error!.message, /^Alacritty: line \d+: /);
+  t.is(detectSchemeFormat('colors:\n  primary: [\n', 'alacritty.yaml'), undefined);
+});
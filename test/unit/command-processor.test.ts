@@ -0,0 +1,276 @@
+import test from 'ava';
+
+import {CommandProcessor} from '../../components/command-processor';
+import {FileSystem} from '../../components/file-system';
+import {ShellSystem} from '../../components/shell-system';
+import type {ShellType} from '../../components/shell-system';
+
+type TerminalTab = Parameters<typeof CommandProcessor.processCommand>[1];
+
+const createTab = (shell: ShellType = 'bash'): TerminalTab => {
+  const shellSystem = new ShellSystem();
+  shellSystem.setShell(shell);
+  return {
+    id: 'test',
+    title: 'test',
+    lines: [],
+    fileSystem: new FileSystem(),
+    commandHistory: [],
+    historyIndex: -1,
+    shellSystem
+  } as unknown as TerminalTab;
+};
+
+// Output of a command line, without the echoed command
+const run = async (tab: TerminalTab, command: string) =>
+  (await CommandProcessor.processCommand(command, tab)).slice(1).map((line) => line.content);
+
+test('workflows run in the language of the current shell', async (t) => {
+  CommandProcessor.getWorkflowSystem().addWorkflow({name: 'show-home', command: 'echo $env:HOME'});
+  const tab = createTab('powershell');
+
+  t.deepEqual(await run(tab, 'workflow show-home'), [
+    'Executing workflow: show-home',
+    'Command: echo $env:HOME',
+    '/home/user'
+  ]);
+});
+
+test('workflows run inside a function see its arguments', async (t) => {
+  CommandProcessor.getWorkflowSystem().addWorkflow({name: 'first-argument', command: 'echo $1'});
+  const tab = createTab();
+
+  await run(tab, 'f() { workflow first-argument; }');
+  t.deepEqual(await run(tab, 'f hello'), ['Executing workflow: first-argument', 'Command: echo $1', 'hello']);
+});
+
+test('function definitions can be followed by other commands', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'f() { echo hi; }; f'), ['hi']);
+  t.deepEqual(await run(tab, 'cd ~ && g() { echo "g $1"; } && g there'), ['g there']);
+});
+
+test('function definitions can follow other commands', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'echo a; f() { echo b; }'), ['a']);
+  t.deepEqual(await run(tab, 'f'), ['b']);
+});
+
+test('function definitions in scripts', async (t) => {
+  const tab = createTab();
+  const script = ['echo start', 'greet() {', '  # say hello {', '  echo "hello $1"', '}', 'greet world'].join('\n');
+
+  t.deepEqual(await run(tab, script), ['start', 'hello world']);
+  t.deepEqual(await run(tab, 'outer() { inner() { echo inner; }; }; outer; inner'), ['inner']);
+});
+
+test('function definitions in fish and PowerShell', async (t) => {
+  const fish = createTab('fish');
+  t.deepEqual(await run(fish, 'function f; echo fish $argv; end; f x'), ['fish x']);
+
+  const powershell = createTab('powershell');
+  t.deepEqual(await run(powershell, 'function Say-Hi($name) { echo "hi $name" }; say-hi Bob'), ['hi Bob']);
+});
+
+test('unterminated function definitions are syntax errors', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'f() { echo hi'), ['bash: syntax error: unexpected end of file']);
+});
+
+test('fish_prompt runs in fish after every command', async (t) => {
+  const tab = createTab('fish');
+  const prompt = () => tab.shellSystem.getPrompt(tab.fileSystem.getCurrentPath());
+
+  await run(tab, 'cd /');
+  t.is(prompt(), 'user@hyper-terminal \x1b[32m/\x1b[0m> ');
+
+  const body = "set -l last $status; set_color -o red; echo -n $last; set_color normal; echo -n ' > '";
+  await run(tab, `function fish_prompt; ${body}; end`);
+  await run(tab, 'missing-command');
+  t.is(prompt(), '\x1b[1m\x1b[31m1\x1b[0m > ');
+  t.is(tab.shellSystem.getLastExitStatus(), 1);
+});
+
+test('PowerShell prompt runs in PowerShell after every command', async (t) => {
+  const tab = createTab('powershell');
+  const prompt = () => tab.shellSystem.getPrompt(tab.fileSystem.getCurrentPath());
+
+  await run(tab, 'Set-Location /');
+  t.is(prompt(), 'PS /> ');
+
+  await run(tab, 'function prompt { Write-Host -NoNewline -ForegroundColor Green $env:HOME; "> " }');
+  t.is(prompt(), '\x1b[92m/home/user\x1b[0m> ');
+});
+
+test('PowerShell home is a directory of the tree', async (t) => {
+  const tab = createTab('powershell');
+
+  await run(tab, 'cd /');
+  t.deepEqual(await run(tab, 'cd ~; "$(Get-Location)"'), ['/home/user']);
+  await run(tab, 'cd /');
+  t.deepEqual(await run(tab, 'Set-Location $env:HOME; "$(Get-Location)"'), ['/home/user']);
+});
+
+test('PowerShell joins strings with +', async (t) => {
+  const tab = createTab('powershell');
+
+  t.deepEqual(await run(tab, '"a" + "b" + (Get-Location)'), ['ab/home/user']);
+  t.deepEqual(await run(tab, 'echo a + b'), ['a', '+', 'b']);
+  t.regex((await run(tab, '"a" +'))[0], /following the '\+' operator/);
+
+  await run(tab, 'source /home/user/Microsoft.PowerShell_profile.ps1');
+  t.is(tab.shellSystem.getPrompt(tab.fileSystem.getCurrentPath()), 'PS /home/user> ');
+});
+
+test('echo leaves the line open with -n and expands escapes with -e', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'echo -n a; echo b'), ['a', 'b']);
+  t.deepEqual(await run(tab, 'echo -e "a\\tb"'), ['a\tb']);
+  t.deepEqual(await run(tab, 'echo "$(echo -n a; echo b)"'), ['ab']);
+});
+
+test('echo -n leaves redirected files without a trailing newline', async (t) => {
+  const tab = createTab();
+
+  await run(tab, 'cd ~; echo -n x > f; echo -n y >> f');
+  t.is(tab.fileSystem.readFile('f'), 'xy');
+  await run(tab, 'echo z >> f');
+  t.is(tab.fileSystem.readFile('f'), 'xyz\n');
+});
+
+test('echo -n pipes its output without a trailing newline', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'echo -n a | wc -c'), ['      1']);
+  t.deepEqual(await run(tab, 'echo a | wc -c'), ['      2']);
+  await run(tab, 'cd ~; echo -n x > f');
+  t.deepEqual(await run(tab, 'wc -c < f'), ['      1']);
+});
+
+test('head and tail take negative and signed counts after -n', async (t) => {
+  const tab = createTab();
+
+  await run(tab, 'cd ~; echo -e "a\\nb\\nc" > f');
+  t.deepEqual(await run(tab, 'head -n -1 f'), ['a', 'b']);
+  t.deepEqual(await run(tab, 'head -n -5 f'), []);
+  t.deepEqual(await run(tab, 'head -2 f'), ['a', 'b']);
+  t.deepEqual(await run(tab, 'tail -n -1 f'), ['c']);
+  t.deepEqual(await run(tab, 'tail -n +2 f'), ['b', 'c']);
+  t.deepEqual(await run(tab, 'head -n x f'), ["head: invalid number of lines: 'x'"]);
+});
+
+test('gpu-test rejects unknown test types', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'gpu-test foo'), [
+    "gpu-test: unknown test type 'foo'",
+    'Usage: gpu-test [basic|compute|memory] [elements]'
+  ]);
+});
+
+test('sudo runs only its own command as root', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'sudo WhoAmI'), ['root']);
+  await run(tab, 'sudo sleep 0.2 &');
+  t.deepEqual(await run(tab, 'whoami'), ['user']);
+  t.deepEqual(await run(tab, 'touch /x'), ["touch: cannot touch '/x': Permission denied"]);
+  await run(tab, 'wait');
+});
+
+test('sessions start in the home directory, where the user may write', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'pwd'), ['/home/user']);
+  t.deepEqual(await run(tab, 'mkdir foo && touch a.txt && echo ok'), ['ok']);
+  t.is(tab.fileSystem.stat('/home/user/foo')?.owner, 'user');
+});
+
+test('mkdir creates each operand in its own parent', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'sudo mkdir /secret; echo $?'), ['0']);
+  t.is(tab.fileSystem.stat('/secret')?.owner, 'root');
+  t.deepEqual(await run(tab, 'mkdir a a/b c'), []);
+  t.is(tab.fileSystem.stat('/home/user/a/b')?.type, 'directory');
+  t.is(tab.fileSystem.stat('/home/user/c')?.type, 'directory');
+  t.deepEqual(await run(tab, 'mkdir x/y /z a'), [
+    "mkdir: cannot create directory 'x/y': No such file or directory",
+    "mkdir: cannot create directory '/z': Permission denied",
+    "mkdir: cannot create directory 'a': File exists"
+  ]);
+});
+
+test('grep exits with 1 when nothing matches and 2 on errors', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'echo a | grep a; echo $?'), ['a', '0']);
+  t.deepEqual(await run(tab, 'echo a | grep b; echo $?'), ['1']);
+  t.deepEqual(await run(tab, 'echo a | sudo grep b || echo none'), ['none']);
+  t.deepEqual(await run(tab, 'grep a missing; echo $?'), ['grep: missing: No such file or directory', '2']);
+  const [error, status] = await run(tab, 'echo "(" | grep "("; echo $?');
+  t.regex(error, /^grep: Invalid regular expression/);
+  t.is(status, '2');
+});
+
+test('if runs the body of the first clause whose condition succeeds', async (t) => {
+  const tab = createTab();
+
+  t.deepEqual(await run(tab, 'if false; then echo a; elif true; then echo b; else echo c; fi'), ['b']);
+  t.deepEqual(await run(tab, 'if false; then echo a; fi; echo $?'), ['0']);
+  t.deepEqual(await run(tab, 'f() { if "$1"; then echo yes; else echo no; fi; }; f true; f false'), ['yes', 'no']);
+});
+
+test('source runs a script in the current shell', async (t) => {
+  const tab = createTab();
+  const script = [
+    'echo sourced',
+    'export DIR=$HOME/projects',
+    "alias ll='echo listed'",
+    'if true; then export PS1="> "; fi',
+    'greet() { echo "hello $1"; }'
+  ].join('\n');
+  tab.fileSystem.writeFile('rc', script);
+
+  t.deepEqual(await run(tab, 'source rc; echo $?'), ['sourced', '0']);
+  t.deepEqual(await run(tab, 'echo $DIR $PS1; ll; greet you'), ['/home/user/projects >', 'listed', 'hello you']);
+  tab.fileSystem.writeFile('bad', 'echo a; fi');
+  t.deepEqual(await run(tab, 'source bad; echo $?'), ["bad: syntax error near unexpected token `fi'", '2']);
+});
+
+test('the default configuration files load', async (t) => {
+  const files = {
+    bash: '~/.bashrc',
+    zsh: '~/.zshrc',
+    fish: '~/.config/fish/config.fish',
+    powershell: '~/Microsoft.PowerShell_profile.ps1'
+  } as const;
+  for (const [shell, file] of Object.entries(files)) {
+    const tab = createTab(shell as ShellType);
+    const output = await run(tab, `source ${file}`);
+
+    t.false(
+      output.some((line) => /not found|error/i.test(line)),
+      shell
+    );
+    t.is(tab.shellSystem.getLastExitStatus(), 0, shell);
+    t.true(Object.keys(tab.shellSystem.getShellConfig().aliases).includes('ll'), shell);
+  }
+});
+
+test('record start sizes the recording like the tab screen', async (t) => {
+  const tab = createTab();
+  const header = () => JSON.parse(tab.fileSystem.readFile('session.cast')!.split('\n')[0]);
+
+  await CommandProcessor.processCommand('record start', tab, {getScreenSize: () => ({cols: 132, rows: 43})});
+  t.like(header(), {width: 132, height: 43});
+  await run(tab, 'record stop');
+
+  await run(tab, 'export COLUMNS=100 LINES=30; record start --overwrite');
+  t.like(header(), {width: 100, height: 30});
+  await run(tab, 'record stop');
+});
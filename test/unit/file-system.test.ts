@@ -0,0 +1,100 @@
+import test from 'ava';
+
+import {FileSystem} from '../../components/file-system';
+
+// A file system where root has set up `path` with the given mode and group, then handed it to the default user
+const setUp = (path: string, mode: number, group = 'root', directory = false) => {
+  const fileSystem = new FileSystem();
+  fileSystem.setUser(FileSystem.ROOT);
+  if (directory) {
+    fileSystem.makeDirectories(path);
+  } else {
+    fileSystem.writeFile(path, 'data');
+  }
+  fileSystem.chown(path, null, group);
+  fileSystem.chmod(path, mode);
+  fileSystem.setUser(FileSystem.DEFAULT_USER);
+  return fileSystem;
+};
+
+test('new files and directories get the default modes less the umask', (t) => {
+  const fileSystem = new FileSystem();
+
+  fileSystem.writeFile('a', '');
+  fileSystem.createDirectory('d');
+  t.is(fileSystem.stat('a')?.mode, 0o644);
+  t.is(fileSystem.stat('d')?.mode, 0o755);
+  t.is(fileSystem.stat('a')?.owner, 'user');
+
+  fileSystem.setUmask(0o1077);
+  t.is(fileSystem.getUmask(), 0o077);
+  fileSystem.writeFile('b', '');
+  fileSystem.makeDirectories('e/f');
+  t.is(fileSystem.stat('b')?.mode, 0o600);
+  t.is(fileSystem.stat('e/f')?.mode, 0o700);
+});
+
+test('the owner, group or other bits apply, whichever class the user is in first', (t) => {
+  t.true(setUp('/shared', 0o640, 'user').access('/shared', FileSystem.R_OK).success);
+  t.deepEqual(setUp('/shared', 0o640, 'user').access('/shared', FileSystem.W_OK), {
+    success: false,
+    error: 'Permission denied'
+  });
+  // Group members get the group bits even when the other bits allow more
+  t.false(setUp('/shared', 0o604, 'user').access('/shared', FileSystem.R_OK).success);
+  t.true(setUp('/shared', 0o604).access('/shared', FileSystem.R_OK).success);
+
+  const fileSystem = setUp('/shared', 0o600);
+  t.is(fileSystem.readFile('/shared'), null);
+  t.deepEqual(fileSystem.writeFile('/shared', 'x'), {success: false, error: 'Permission denied'});
+});
+
+test('paths need search permission on every directory on the way', (t) => {
+  const fileSystem = setUp('/vault', 0o744, 'root', true);
+  fileSystem.setUser(FileSystem.ROOT);
+  fileSystem.writeFile('/vault/key', 'secret');
+  fileSystem.setUser(FileSystem.DEFAULT_USER);
+
+  t.deepEqual(fileSystem.access('/vault', FileSystem.R_OK), {success: true});
+  t.deepEqual(fileSystem.access('/vault/key', 0), {success: false, error: 'Permission denied'});
+  t.is(fileSystem.readFile('/vault/key'), null);
+  t.false(fileSystem.changeDirectory('/vault'));
+});
+
+test('root reads and writes anything but only executes files with an execute bit', (t) => {
+  const fileSystem = setUp('/locked', 0o000);
+  fileSystem.setUser(FileSystem.ROOT);
+
+  t.is(fileSystem.readFile('/locked'), 'data');
+  t.true(fileSystem.writeFile('/locked', 'new').success);
+  t.false(fileSystem.access('/locked', FileSystem.X_OK).success);
+  fileSystem.chmod('/locked', 0o010);
+  t.true(fileSystem.access('/locked', FileSystem.X_OK).success);
+});
+
+test('only owners change modes and only root gives files away', (t) => {
+  const fileSystem = setUp('/owned', 0o644);
+  t.deepEqual(fileSystem.chmod('/owned', 0o666), {success: false, error: 'Operation not permitted'});
+  t.deepEqual(fileSystem.chown('/owned', 'user', null), {success: false, error: 'Operation not permitted'});
+
+  fileSystem.writeFile('mine', '');
+  fileSystem.chmod('mine', 0o4755);
+  t.deepEqual(fileSystem.chown('mine', 'root', null), {success: false, error: 'Operation not permitted'});
+  t.deepEqual(fileSystem.chown('mine', null, 'root'), {success: false, error: 'Operation not permitted'});
+  t.true(fileSystem.chown('mine', null, 'sudo').success);
+  // Changing the group clears setuid, as on Linux
+  t.is(fileSystem.stat('mine')?.mode, 0o755);
+  t.deepEqual(fileSystem.chown('mine', 'nobody', null), {success: false, error: "invalid user: 'nobody'"});
+});
+
+test('the sticky bit keeps users from removing what others own', (t) => {
+  const fileSystem = setUp('/scratch', 0o1777, 'root', true);
+  fileSystem.setUser(FileSystem.ROOT);
+  fileSystem.writeFile('/scratch/roots', '');
+  fileSystem.setUser(FileSystem.DEFAULT_USER);
+  fileSystem.writeFile('/scratch/users', '');
+
+  t.deepEqual(fileSystem.remove('/scratch/roots'), {success: false, error: 'Permission denied'});
+  t.deepEqual(fileSystem.move('/scratch/roots', '/scratch/renamed'), {success: false, error: 'Permission denied'});
+  t.true(fileSystem.remove('/scratch/users').success);
+});
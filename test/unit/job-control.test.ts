@@ -0,0 +1,105 @@
+import test from 'ava';
+
+import {JobTable} from '../../components/job-control';
+import type {Job} from '../../components/job-control';
+
+// A job that runs until finish() is called or it is terminated
+const startJob = (table: JobTable, command: string, background = true) => {
+  let finish!: (status?: number) => void;
+  const job = table.start(
+    command,
+    background,
+    (job: Job) =>
+      new Promise<void>((resolve, reject) => {
+        finish = (status = 0) => {
+          job.status = status;
+          resolve();
+        };
+        job.signal.addEventListener('abort', () => reject(job.signal.reason));
+      })
+  );
+  return {job, finish};
+};
+
+test('job specs find jobs by number, recency, command and pid', (t) => {
+  const table = new JobTable();
+  const first = startJob(table, 'sleep 10').job;
+  const second = startJob(table, 'sleep 20').job;
+  const third = startJob(table, 'vim notes').job;
+
+  t.deepEqual(
+    table.list().map((job) => job.id),
+    [1, 2, 3]
+  );
+  t.is(table.find('%1'), first);
+  t.is(table.find('%'), third);
+  t.is(table.find('%%'), third);
+  t.is(table.find('%+'), third);
+  t.is(table.find('%-'), second);
+  t.is(table.find('%vim'), third);
+  t.is(table.find('%?20'), second);
+  t.is(table.find(String(first.pid)), first);
+  // Ambiguous and unknown specs match nothing
+  t.is(table.find('%sleep'), undefined);
+  t.is(table.find('%4'), undefined);
+  t.is(table.find('sleep'), undefined);
+  t.is(table.getLastBackgroundPid(), third.pid);
+});
+
+test('stopping and resuming a job makes it current', (t) => {
+  const table = new JobTable();
+  const first = startJob(table, 'sleep 10').job;
+  startJob(table, 'sleep 20');
+
+  table.suspend(first);
+  t.is(first.state, 'stopped');
+  t.is(table.format(first), '[1]+  Stopped                 sleep 10');
+  t.is(table.format(table.find('%2')!), '[2]-  Running                 sleep 20 &');
+
+  table.continueInBackground(first);
+  t.is(first.state, 'running');
+  t.is(table.format(first, true), `[1]+  ${first.pid} Running                 sleep 10 &`);
+});
+
+test('finished jobs report how they ended and leave the table', async (t) => {
+  const table = new JobTable();
+  const failing = startJob(table, 'false');
+  const killed = startJob(table, 'sleep 10');
+  const states: string[] = [];
+  const track = (job: Job) => job.done.then(() => states.push(`${job.command}: ${job.describeState()} ${job.status}`));
+
+  failing.finish(1);
+  await track(failing.job);
+  killed.job.terminate('TERM');
+  await track(killed.job);
+
+  t.deepEqual(states, ['false: Exit 1 1', 'sleep 10: Terminated 143']);
+  t.deepEqual(table.list(), []);
+  // Numbers are given out again once the table is empty
+  t.is(startJob(table, 'sleep 1').job.id, 1);
+});
+
+test('Ctrl+Z stops the foreground job and lists it', async (t) => {
+  const table = new JobTable();
+  const {job, finish} = startJob(table, 'sleep 10', false);
+  t.deepEqual(table.list(), []);
+
+  const waiting = table.foreground(job);
+  t.true(table.stopForeground());
+  t.is(await waiting, 'stopped');
+  t.is(table.find('%%'), job);
+  t.is(job.id, 1);
+
+  let resumed = false;
+  const checkpoint = job.checkpoint().then(() => (resumed = true));
+  await Promise.resolve();
+  t.false(resumed);
+  table.continueInBackground(job);
+  await checkpoint;
+  t.true(resumed);
+
+  const resumedForeground = table.foreground(job);
+  finish();
+  t.is(await resumedForeground, 'done');
+  t.false(table.stopForeground());
+});
@@ -0,0 +1,53 @@
+import test from 'ava';
+
+import {ShellParser, ShellSyntaxError} from '../../components/shell-parser';
+
+test('function definitions are commands of a list', (t) => {
+  const list = ShellParser.parse('echo a; f() { echo b; echo c; } && f');
+
+  t.is(list.items.length, 2);
+  t.deepEqual(list.items[1].head.commands[0], {type: 'function', name: 'f', body: 'echo b; echo c;'});
+  t.is(list.items[1].rest[0].operator, '&&');
+});
+
+test('function bodies are read as source', (t) => {
+  const [item] = ShellParser.parse('function f {\n  echo "}" # }\n  echo $1\n}').items;
+
+  t.deepEqual(item.head.commands[0], {type: 'function', name: 'f', body: 'echo "}" # }\necho $1'});
+});
+
+test('function definitions only start commands', (t) => {
+  t.throws(() => ShellParser.parse('echo f() { echo b; }'), {instanceOf: ShellSyntaxError});
+  t.throws(() => ShellParser.parse('f() { echo b; } x'), {instanceOf: ShellSyntaxError});
+});
+
+test('fish and PowerShell function definitions', (t) => {
+  const fish = ShellParser.parse('function f --description test; if true; echo a; end; end; f', {dialect: 'fish'});
+  t.deepEqual(fish.items[0].head.commands[0], {type: 'function', name: 'f', body: 'if true\necho a\nend'});
+
+  const powershell = ShellParser.parse('function Get-Two($a, $b) { echo $a $b }', {dialect: 'powershell'});
+  t.deepEqual(powershell.items[0].head.commands[0], {
+    type: 'function',
+    name: 'Get-Two',
+    body: 'param($a, $b)\necho $a $b'
+  });
+});
+
+test('if commands and their clauses', (t) => {
+  const [item] = ShellParser.parse('if false; then echo a; elif true\nthen echo b; else echo c; fi && echo d').items;
+  const command = item.head.commands[0];
+
+  t.is(command.type, 'if');
+  if (command.type !== 'if') return;
+  t.is(command.clauses.length, 2);
+  t.is(command.clauses[1].body.items.length, 1);
+  t.not(command.otherwise, null);
+  t.is(item.rest[0].operator, '&&');
+});
+
+test('if is only reserved where a command starts', (t) => {
+  t.is(ShellParser.parse('echo if then fi').items[0].head.commands[0].type, 'simple');
+  t.throws(() => ShellParser.parse('if true; then echo a'), {instanceOf: ShellSyntaxError});
+  t.throws(() => ShellParser.parse('if true; then fi'), {instanceOf: ShellSyntaxError});
+  t.throws(() => ShellParser.parse('echo a; fi'), {instanceOf: ShellSyntaxError});
+});
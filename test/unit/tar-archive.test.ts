@@ -0,0 +1,119 @@
+import test from 'ava';
+
+import {FileSystem} from '../../components/file-system';
+import {TarArchive, TarFormatError} from '../../components/tar-archive';
+import type {TarEntry} from '../../components/tar-archive';
+
+test('fromFileSystem leaves out what the user cannot read', (t) => {
+  const fileSystem = new FileSystem();
+  fileSystem.setUser(FileSystem.ROOT);
+  fileSystem.makeDirectories('/secret');
+  fileSystem.writeFile('/secret/key', 'hunter2');
+  fileSystem.chmod('/secret', 0o700);
+  fileSystem.writeFile('/private.txt', 'mine');
+  fileSystem.chmod('/private.txt', 0o600);
+  fileSystem.setUser(FileSystem.DEFAULT_USER);
+
+  const skipped: string[] = [];
+  const paths = TarArchive.fromFileSystem(fileSystem, '/', (path, error) => skipped.push(`${path}: ${error}`)).map(
+    (entry) => entry.path
+  );
+
+  t.true(paths.includes('secret'));
+  t.false(paths.includes('secret/key'));
+  t.false(paths.includes('private.txt'));
+  t.true(paths.includes('home/user'));
+  t.deepEqual(skipped, ['/private.txt: Permission denied', '/secret: Permission denied']);
+});
+
+const encoder = new TextEncoder();
+
+const file = (path: string, content = ''): TarEntry => ({
+  path,
+  type: 'file',
+  content: encoder.encode(content),
+  mode: 0o644,
+  owner: 'user',
+  group: 'user',
+  modified: new Date(1700000000000)
+});
+
+// A header block the writer never produces, such as a pax or GNU long name, followed by its data
+const rawEntry = (name: string, typeflag: string, data: string): Uint8Array => {
+  const body = encoder.encode(data);
+  const block = new Uint8Array(512 + Math.ceil(body.length / 512) * 512);
+  const write = (offset: number, value: string) => block.set(encoder.encode(value), offset);
+  write(0, name);
+  write(100, '0000644\0');
+  write(124, `${body.length.toString(8).padStart(11, '0')}\0`);
+  write(136, '00000000000\0');
+  write(156, typeflag);
+  write(257, 'ustar\0');
+  write(263, '00');
+  let checksum = 0;
+  block.forEach((byte, index) => (checksum += index >= 148 && index < 156 ? 32 : byte));
+  write(148, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  block.set(body, 512);
+  return block;
+};
+
+const concat = (...parts: Uint8Array[]) => {
+  const data = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => (data.set(part, offset), offset + part.length), 0);
+  return data;
+};
+
+const readField = (header: Uint8Array, offset: number, length: number) =>
+  new TextDecoder().decode(header.subarray(offset, offset + length)).replace(/\0.*$/s, '');
+
+test('entries survive a create and parse round trip', (t) => {
+  const entries: TarEntry[] = [
+    {...file('docs'), type: 'directory', content: new Uint8Array(0), mode: 0o755},
+    {...file('docs/notes.txt', 'x'.repeat(513)), mode: 0o4750, owner: 'root', group: 'sudo'},
+    file('empty')
+  ];
+  const archive = TarArchive.create(entries);
+
+  t.is(archive.length % 512, 0);
+  t.deepEqual(TarArchive.parse(archive), entries);
+});
+
+test('long paths are split between the ustar prefix and name fields', (t) => {
+  const directory = 'd'.repeat(120);
+  const path = `${directory}/${'n'.repeat(90)}`;
+  const archive = TarArchive.create([file(path, 'long')]);
+
+  t.is(readField(archive, 345, 155), directory);
+  t.is(readField(archive, 0, 100), 'n'.repeat(90));
+  t.is(TarArchive.parse(archive)[0].path, path);
+  t.throws(() => TarArchive.create([file('n'.repeat(101))]), {instanceOf: TarFormatError});
+  t.throws(() => TarArchive.create([file(`${'d'.repeat(156)}/name`)]), {instanceOf: TarFormatError});
+});
+
+test('pax and GNU long names apply to the next entry', (t) => {
+  const paxPath = `pax/${'p'.repeat(300)}`;
+  const gnuPath = `gnu/${'g'.repeat(300)}`;
+  const record = ` path=${paxPath}\n`;
+  // A pax record's length counts its own three digits
+  const length = record.length + 3;
+  const archive = concat(
+    rawEntry('PaxHeaders/x', 'x', `${length}${record}`),
+    TarArchive.create([file('short-1', 'a')]).subarray(0, 1024),
+    rawEntry('././@LongLink', 'L', `${gnuPath}\0`),
+    TarArchive.create([file('short-2', 'b'), file('short-3', 'c')])
+  );
+
+  t.deepEqual(
+    TarArchive.parse(archive).map((entry) => entry.path),
+    [paxPath, gnuPath, 'short-3']
+  );
+});
+
+test('parse rejects damaged archives', (t) => {
+  const archive = TarArchive.create([file('a', 'data')]);
+  archive[0] = 'b'.charCodeAt(0);
+  t.throws(() => TarArchive.parse(archive), {instanceOf: TarFormatError, message: /checksum/});
+
+  const truncated = TarArchive.create([file('a', 'x'.repeat(1024))]).subarray(0, 1024);
+  t.throws(() => TarArchive.parse(truncated), {instanceOf: TarFormatError, message: /end of archive/});
+});
@@ -0,0 +1,58 @@
+import test from 'ava';
+
+import {VT100Processor} from '../../components/vt100-processor';
+
+// A 10x5 screen after the output, as rows of text without trailing blanks, plus the cursor position
+const render = (output: string) => {
+  const terminal = new VT100Processor(10, 5, 100);
+  terminal.write(output);
+  const {cursorX, cursorY} = terminal.getState();
+  const rows = terminal
+    .getScreen()
+    .getRows()
+    .map((row) =>
+      row.cells
+        .map((cell) => cell.char)
+        .join('')
+        .trimEnd()
+    );
+  return {rows, cursor: [cursorX, cursorY], alternate: terminal.getScreen().isAlternate()};
+};
+
+const lines = (count: number) => Array.from({length: count}, (_, index) => index + 1).join('\r\n');
+
+test('CUP moves the cursor to 1-based positions, defaulting to home', (t) => {
+  t.like(render('abc\x1b[2;5Hx'), {rows: ['abc', '    x'], cursor: [5, 1]});
+  t.like(render('\x1b[3;3Hx\x1b[Hy'), {rows: ['y', '', '  x'], cursor: [1, 0]});
+  // Positions past the edge are clamped
+  t.like(render('\x1b[99;99Hz'), {rows: ['', '', '', '', '         z']});
+});
+
+test('EL erases to the end, to the start or all of the line', (t) => {
+  t.like(render('abcdef\x1b[1;3H\x1b[K'), {rows: ['ab'], cursor: [2, 0]});
+  t.like(render('abcdef\x1b[1;3H\x1b[1K'), {rows: ['   def']});
+  t.like(render('abcdef\r\nghi\x1b[1;3H\x1b[2K'), {rows: ['', 'ghi']});
+});
+
+test('ED erases below, above or all of the screen', (t) => {
+  t.like(render(`${lines(4)}\x1b[2;2H\x1b[J`), {rows: ['1', '2'], cursor: [1, 1]});
+  t.like(render(`${lines(4)}\x1b[3;1H\x1b[1J`), {rows: ['', '', '', '4']});
+  t.like(render(`${lines(4)}\x1b[4;1H\x1b[2JX`), {rows: ['', '', '', 'X']});
+});
+
+test('DECSTBM confines scrolling to the region', (t) => {
+  // A line feed at the bottom margin scrolls the region only; row 2 is lost rather than kept as scrollback
+  t.like(render(`${lines(5)}\x1b[2;4r\x1b[4;1H\nX`), {rows: ['1', '3', '4', 'X', '5'], cursor: [1, 3]});
+  // So does a reverse index at the top margin
+  t.like(render(`${lines(5)}\x1b[2;4r\x1b[2;1H\x1bMY`), {rows: ['1', 'Y', '2', '3', '5']});
+  // Setting the region homes the cursor; an invalid one is ignored
+  t.like(render(`${lines(5)}\x1b[2;4r`), {cursor: [0, 0]});
+  t.like(render(`${lines(5)}\x1b[4;2r\x1b[5;1H\nX`), {rows: ['1', '2', '3', '4', '5', 'X']});
+  // Without a region, lines scrolled off the top go to the scrollback
+  t.like(render(lines(7)), {rows: ['1', '2', '3', '4', '5', '6', '7'], cursor: [1, 4]});
+});
+
+test('the alternate screen starts blank and mode 1049 restores the main screen and cursor', (t) => {
+  t.like(render('main\x1b[?1049h\x1b[Halt'), {rows: ['alt', '', '', '', ''], alternate: true});
+  t.like(render('main\x1b[?1049h\x1b[Halt\x1b[?1049l!'), {rows: ['main!'], cursor: [5, 0], alternate: false});
+});
@@ -0,0 +1,38 @@
+import test from 'ava';
+
+import {WorkflowSchema} from '../../components/workflow-schema';
+import {YamlParser} from '../../lib/utils/yaml-parser';
+
+const palette = (color: string) =>
+  Object.fromEntries(
+    ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'].map((name) => [name, color])
+  );
+
+const theme = {
+  accent: '#ff0000',
+  background: '#000000',
+  details: 'darker',
+  foreground: '#ffffff',
+  terminal_colors: {bright: palette('#eeeeee'), normal: palette('#888888')}
+};
+
+test('isTheme accepts the themes validateTheme returns', (t) => {
+  const validated = WorkflowSchema.validateTheme(YamlParser.parseDocument(JSON.stringify(theme)));
+
+  t.true(WorkflowSchema.isTheme(validated));
+  t.true(WorkflowSchema.isTheme({...theme, name: 'extra keys are ignored'}));
+});
+
+test('isTheme rejects plain values that are not themes', (t) => {
+  t.false(WorkflowSchema.isTheme(null));
+  t.false(WorkflowSchema.isTheme([theme]));
+  t.false(WorkflowSchema.isTheme({...theme, details: 'dark'}));
+  t.false(WorkflowSchema.isTheme({...theme, accent: 'red'}));
+  t.false(WorkflowSchema.isTheme({...theme, terminal_colors: {normal: palette('#888888')}}));
+  t.false(
+    WorkflowSchema.isTheme({
+      ...theme,
+      terminal_colors: {...theme.terminal_colors, bright: {...palette('#eee'), cyan: 1}}
+    })
+  );
+});
@@ -0,0 +1,73 @@
+import test from 'ava';
+
+import {YamlError, YamlParser} from '../../lib/utils/yaml-parser';
+import {WorkflowSchema} from '../../components/workflow-schema';
+
+test('documents load as plain values', (t) => {
+  const value = YamlParser.parse(
+    [
+      'name: "tab\\there"',
+      'tags: [git, "two words"]',
+      'base: &base {size: 12}',
+      'copy: *base',
+      'text: |',
+      '  line one',
+      '  line two',
+      'folded: >-',
+      '  a',
+      '  b',
+      'flags: [true, yes, ~, 0x1f, 1.5]'
+    ].join('\n')
+  ) as Record<string, unknown>;
+
+  t.deepEqual(value, {
+    name: 'tab\there',
+    tags: ['git', 'two words'],
+    base: {size: 12},
+    copy: {size: 12},
+    text: 'line one\nline two\n',
+    folded: 'a b',
+    flags: [true, 'yes', null, 31, 1.5]
+  });
+  // Aliases share the anchored value
+  t.is(value.copy, value.base);
+  t.is(YamlParser.parse(''), null);
+});
+
+test('nodes keep their source positions', (t) => {
+  const root = YamlParser.parseDocument('a:\n  - x\n  - y: 1\n');
+  if (root.kind !== 'mapping') return t.fail();
+  const list = root.entries[0].value;
+
+  t.like(list, {kind: 'sequence', line: 2, column: 3});
+  if (list.kind !== 'sequence') return t.fail();
+  t.like(list.items[1], {kind: 'mapping', line: 3, column: 5});
+});
+
+const errors: [string, string, number, number][] = [
+  ['a: 1\nb: "x\n', 'unexpected end of the stream within a quoted scalar', 2, 4],
+  ['a: 1\na: 2\n', 'duplicated mapping key "a"', 2, 1],
+  ['a:\n  b: 1\n c: 2\n', 'bad indentation of a mapping entry', 3, 2],
+  ['a:\n\t- 1\n', 'tabs cannot be used for indentation', 2, 1],
+  ['a: *missing\n', 'unknown alias "missing"', 1, 4],
+  ['a: "\\q"\n', "unknown escape sequence '\\q'", 1, 5]
+];
+for (const [source, message, line, column] of errors) {
+  test(`errors point at the problem: ${message}`, (t) => {
+    const error = t.throws(() => YamlParser.parse(source), {instanceOf: YamlError});
+    t.deepEqual([error?.message, error?.line, error?.column], [message, line, column]);
+  });
+}
+
+test('schema errors point at the offending value', (t) => {
+  const load = (source: string) => WorkflowSchema.validateWorkflow(YamlParser.parseDocument(source));
+
+  t.deepEqual(load('name: hi\ncommand: echo hi\nshells: []\n'), {name: 'hi', command: 'echo hi'});
+  const shell = t.throws(() => load('name: x\ncommand: echo\nshells:\n  - bash\n  - cmd\n'), {instanceOf: YamlError});
+  t.like(shell, {line: 5, column: 5});
+  t.regex(shell?.message ?? '', /^shells\[1\]: unsupported shell "cmd"/);
+  t.like(
+    t.throws(() => load('name: x\n'), {instanceOf: YamlError}),
+    {message: 'command: required key is missing', line: 1, column: 1}
+  );
+});